@@ -0,0 +1,124 @@
+import React, { useState } from "react";
+import { Form, ListGroup, Button } from "react-bootstrap";
+
+import {
+  customerMatches,
+  findCustomerByPhone,
+  formatCustomerLabel,
+} from "../utils/customers";
+
+// Searchable customer select for the order forms. Picking a customer hands
+// the whole record to onSelect so the form can pre-fill its fields.
+const CustomerPicker = ({ customers, selectedId, onSelect }) => {
+  const [search, setSearch] = useState("");
+  const [open, setOpen] = useState(false);
+
+  const selected = customers.find((c) => c.id === selectedId) || null;
+
+  const matches = search.trim()
+    ? customers.filter((c) => customerMatches(c, search)).slice(0, 8)
+    : [];
+
+  const pick = (customer) => {
+    onSelect(customer);
+    setSearch("");
+    setOpen(false);
+  };
+
+  if (selected) {
+    return (
+      <div className="d-flex align-items-center">
+        <span className="mr-2">
+          <i className="nc-icon nc-single-02 mr-1" />
+          {formatCustomerLabel(selected)}
+        </span>
+        <Button
+          variant="link"
+          size="sm"
+          className="p-0"
+          onClick={() => onSelect(null)}
+        >
+          Change
+        </Button>
+      </div>
+    );
+  }
+
+  return (
+    <div style={{ position: "relative" }}>
+      <Form.Control
+        type="text"
+        placeholder="Search existing customers by name or phone..."
+        value={search}
+        onChange={(e) => {
+          setSearch(e.target.value);
+          setOpen(true);
+        }}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setTimeout(() => setOpen(false), 150)}
+      />
+      {open && search.trim() && (
+        <ListGroup
+          style={{
+            position: "absolute",
+            top: "100%",
+            left: 0,
+            right: 0,
+            zIndex: 20,
+            maxHeight: "240px",
+            overflowY: "auto",
+          }}
+        >
+          {matches.length > 0 ? (
+            matches.map((c) => (
+              <ListGroup.Item
+                key={c.id}
+                action
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => pick(c)}
+              >
+                <div>{c.name}</div>
+                <small className="text-muted">
+                  {[c.phone, c.address].filter(Boolean).join(" · ")}
+                </small>
+              </ListGroup.Item>
+            ))
+          ) : (
+            <ListGroup.Item className="text-muted">
+              No match – fill in the details below to add a new customer.
+            </ListGroup.Item>
+          )}
+        </ListGroup>
+      )}
+    </div>
+  );
+};
+
+// typed phone already belongs to a customer -> the order (or quotation)
+// will be linked to them on save; offer to pull in their saved details
+export const CustomerPhoneHint = ({
+  customers,
+  form,
+  onSelect,
+  documentLabel = "order",
+}) => {
+  if (form.customerId) return null;
+  const match = findCustomerByPhone(customers, form.phone);
+  if (!match) return null;
+  return (
+    <small className="text-info d-block mt-1">
+      {form.phone} belongs to {match.name}; the {documentLabel} will be linked
+      to them.{" "}
+      <Button
+        variant="link"
+        size="sm"
+        className="p-0"
+        onClick={() => onSelect(match)}
+      >
+        Use saved details
+      </Button>
+    </small>
+  );
+};
+
+export default CustomerPicker;
@@ -0,0 +1,134 @@
+import React, { useEffect } from "react";
+import { Col, Form, Button } from "react-bootstrap";
+
+import { isFeeOverridden } from "../utils/deliveryFees";
+
+const describeSuggestion = (s) => {
+  if (s.freeShipping) return "free shipping";
+  const parts = [`base ${s.baseFee.toFixed(2)}`];
+  if (s.weightFee > 0) parts.push(`weight ${s.weightFee.toFixed(2)}`);
+  if (s.packageFee > 0) parts.push(`packages ${s.packageFee.toFixed(2)}`);
+  return parts.join(" + ");
+};
+
+// Zone select + delivery charge for the order forms (two columns). The
+// charge follows the suggestion from utils/deliveryFees.js until staff type
+// their own, which then needs a reason.
+//   form: { address, deliveryFee, deliveryZoneId, deliveryFeeManual,
+//           deliveryFeeReason }
+//   suggestion: suggestDeliveryFee() result (null = no zone applies)
+const DeliveryFeeFields = ({
+  zones,
+  form,
+  setForm,
+  suggestion,
+  disabled = false,
+}) => {
+  const suggestedFee = suggestion ? suggestion.fee : null;
+
+  // keep the charge on the suggestion while it isn't overridden
+  useEffect(() => {
+    if (disabled || form.deliveryFeeManual || suggestedFee == null) return;
+    if (Number(form.deliveryFee || 0) !== suggestedFee) {
+      setForm((prev) => ({ ...prev, deliveryFee: String(suggestedFee) }));
+    }
+  }, [
+    disabled,
+    form.deliveryFeeManual,
+    form.deliveryFee,
+    suggestedFee,
+    setForm,
+  ]);
+
+  const overridden = isFeeOverridden(form, suggestion);
+  const activeZones = (zones || []).filter(
+    (z) => z.active || z.id === Number(form.deliveryZoneId || 0)
+  );
+
+  return (
+    <>
+      <Col md={2} className="mb-2">
+        <Form.Label>Delivery Zone</Form.Label>
+        <Form.Control
+          as="select"
+          value={form.deliveryZoneId || ""}
+          onChange={(e) =>
+            setForm((prev) => ({ ...prev, deliveryZoneId: e.target.value }))
+          }
+          disabled={disabled}
+        >
+          <option value="">
+            Auto from address
+            {suggestion?.fromAddress ? ` (${suggestion.zone.name})` : ""}
+          </option>
+          {activeZones.map((z) => (
+            <option key={z.id} value={z.id}>
+              {z.name}
+            </option>
+          ))}
+        </Form.Control>
+        {suggestion && suggestion.metrics.missingWeight > 0 && (
+          <small className="text-muted">
+            {suggestion.metrics.missingWeight} product(s) have no weight set
+          </small>
+        )}
+      </Col>
+      <Col md={2} className="mb-2">
+        <Form.Label>Delivery Charge</Form.Label>
+        <Form.Control
+          type="number"
+          min={0}
+          step="0.01"
+          value={form.deliveryFee}
+          onChange={(e) =>
+            setForm((prev) => ({
+              ...prev,
+              deliveryFee: e.target.value,
+              deliveryFeeManual: true,
+            }))
+          }
+          disabled={disabled}
+        />
+        {suggestion && (
+          <small className="text-muted d-block">
+            Suggested {suggestion.fee.toFixed(2)} (
+            {describeSuggestion(suggestion)})
+            {overridden && !disabled && (
+              <Button
+                variant="link"
+                size="sm"
+                className="p-0 ml-1 align-baseline"
+                onClick={() =>
+                  setForm((prev) => ({
+                    ...prev,
+                    deliveryFee: String(suggestion.fee),
+                    deliveryFeeManual: false,
+                    deliveryFeeReason: "",
+                  }))
+                }
+              >
+                Use
+              </Button>
+            )}
+          </small>
+        )}
+        {overridden && !disabled && (
+          <Form.Control
+            size="sm"
+            className="mt-1"
+            placeholder="Reason for the change *"
+            value={form.deliveryFeeReason || ""}
+            onChange={(e) =>
+              setForm((prev) => ({
+                ...prev,
+                deliveryFeeReason: e.target.value,
+              }))
+            }
+          />
+        )}
+      </Col>
+    </>
+  );
+};
+
+export default DeliveryFeeFields;
@@ -0,0 +1,365 @@
+import React, { useState, useEffect } from "react";
+import { Card, Table, Row, Col, Form, Button, Badge } from "react-bootstrap";
+import { supabase } from "createClient";
+
+import { EMPTY_ZONE, fetchDeliveryZones } from "../utils/deliveryFees";
+
+const toForm = (zone) => ({
+  name: zone.name || "",
+  keywords: (zone.keywords || []).join(", "),
+  base_fee: String(zone.base_fee ?? 0),
+  included_kg: zone.included_kg == null ? "" : String(zone.included_kg),
+  per_kg_fee: String(zone.per_kg_fee ?? 0),
+  per_package_fee: String(zone.per_package_fee ?? 0),
+  free_shipping_min:
+    zone.free_shipping_min == null ? "" : String(zone.free_shipping_min),
+  sort_order: String(zone.sort_order ?? 0),
+  is_default: !!zone.is_default,
+  active: zone.active !== false,
+});
+
+const optionalNumber = (value) =>
+  String(value).trim() === "" ? null : Number(value);
+
+const formatRule = (zone) => {
+  const parts = [`${Number(zone.base_fee || 0).toFixed(2)} base`];
+  if (zone.included_kg != null && Number(zone.per_kg_fee) > 0) {
+    parts.push(
+      `+${Number(zone.per_kg_fee).toFixed(2)}/kg over ${Number(
+        zone.included_kg
+      )} kg`
+    );
+  }
+  if (Number(zone.per_package_fee) > 0) {
+    parts.push(`+${Number(zone.per_package_fee).toFixed(2)}/extra package`);
+  }
+  return parts.join(", ");
+};
+
+// 🚚 Delivery zones and their fee rules (Settings page). The order form
+// suggests a delivery charge from these; see utils/deliveryFees.js.
+const DeliveryZonesCard = () => {
+  const [zones, setZones] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(EMPTY_ZONE);
+  const [editingId, setEditingId] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    fetchDeliveryZones().then((data) => {
+      setZones(data);
+      setLoading(false);
+    });
+  }, []);
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setForm((prev) => ({
+      ...prev,
+      [name]: type === "checkbox" ? checked : value,
+    }));
+  };
+
+  const resetForm = () => {
+    setForm(EMPTY_ZONE);
+    setEditingId(null);
+    setError("");
+  };
+
+  const startEdit = (zone) => {
+    setForm(toForm(zone));
+    setEditingId(zone.id);
+    setError("");
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setError("");
+
+    if (!form.name.trim()) {
+      setError("Zone name is required.");
+      return;
+    }
+    if (Number(form.base_fee || 0) < 0) {
+      setError("Base fee can't be negative.");
+      return;
+    }
+
+    const payload = {
+      name: form.name.trim(),
+      keywords: form.keywords
+        .split(",")
+        .map((k) => k.trim().toLowerCase())
+        .filter(Boolean),
+      base_fee: Number(form.base_fee || 0),
+      included_kg: optionalNumber(form.included_kg),
+      per_kg_fee: Number(form.per_kg_fee || 0),
+      per_package_fee: Number(form.per_package_fee || 0),
+      free_shipping_min: optionalNumber(form.free_shipping_min),
+      sort_order: Number(form.sort_order || 0),
+      is_default: form.is_default,
+      active: form.active,
+      updated_at: new Date().toISOString(),
+    };
+
+    try {
+      setSaving(true);
+
+      // only one fallback zone
+      if (payload.is_default) {
+        const { error: clearErr } = await supabase
+          .from("delivery_zones")
+          .update({ is_default: false })
+          .eq("is_default", true)
+          .neq("id", editingId || 0);
+        if (clearErr) {
+          console.error("Supabase error (delivery_zones):", clearErr);
+          setError(clearErr.message || "Failed to change the default zone.");
+          return;
+        }
+      }
+
+      const query = editingId
+        ? supabase.from("delivery_zones").update(payload).eq("id", editingId)
+        : supabase.from("delivery_zones").insert([payload]);
+      const { error: saveErr } = await query;
+
+      if (saveErr) {
+        console.error("Supabase error (delivery_zones):", saveErr);
+        setError(saveErr.message || "Failed to save the zone.");
+        return;
+      }
+
+      setZones(await fetchDeliveryZones());
+      resetForm();
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (zone) => {
+    const confirmed = window.confirm(
+      `Delete the "${zone.name}" zone? Orders keep the charge they were given.`
+    );
+    if (!confirmed) return;
+
+    const { error: deleteErr } = await supabase
+      .from("delivery_zones")
+      .delete()
+      .eq("id", zone.id);
+
+    if (deleteErr) {
+      console.error("Supabase error (delivery_zones):", deleteErr);
+      alert(deleteErr.message || "Failed to delete the zone.");
+      return;
+    }
+
+    setZones((prev) => prev.filter((z) => z.id !== zone.id));
+    if (editingId === zone.id) resetForm();
+  };
+
+  return (
+    <Card>
+      <Card.Header>
+        <Card.Title as="h4">Delivery Zones</Card.Title>
+        <p className="card-category">
+          Delivery charge suggested on orders. Zones are matched against the
+          delivery address in order; the default zone applies when none match.
+        </p>
+      </Card.Header>
+      <Card.Body>
+        <Form onSubmit={handleSave} className="mb-3">
+          <Row>
+            <Col md={3} className="mb-2">
+              <Form.Label>Zone Name *</Form.Label>
+              <Form.Control
+                name="name"
+                value={form.name}
+                onChange={handleChange}
+                placeholder="Inside Dhaka"
+              />
+            </Col>
+            <Col md={7} className="mb-2">
+              <Form.Label>Address Keywords</Form.Label>
+              <Form.Control
+                name="keywords"
+                value={form.keywords}
+                onChange={handleChange}
+                placeholder="dhanmondi, gulshan, mirpur, ..."
+              />
+            </Col>
+            <Col md={2} className="mb-2">
+              <Form.Label>Match Order</Form.Label>
+              <Form.Control
+                type="number"
+                name="sort_order"
+                value={form.sort_order}
+                onChange={handleChange}
+              />
+            </Col>
+          </Row>
+          <Row className="align-items-end">
+            <Col md={2} className="mb-2">
+              <Form.Label>Base Fee</Form.Label>
+              <Form.Control
+                type="number"
+                min={0}
+                step="0.01"
+                name="base_fee"
+                value={form.base_fee}
+                onChange={handleChange}
+              />
+            </Col>
+            <Col md={2} className="mb-2">
+              <Form.Label>Included kg</Form.Label>
+              <Form.Control
+                type="number"
+                min={0}
+                step="0.01"
+                name="included_kg"
+                value={form.included_kg}
+                onChange={handleChange}
+                placeholder="No weight rule"
+              />
+            </Col>
+            <Col md={2} className="mb-2">
+              <Form.Label>Per Extra kg</Form.Label>
+              <Form.Control
+                type="number"
+                min={0}
+                step="0.01"
+                name="per_kg_fee"
+                value={form.per_kg_fee}
+                onChange={handleChange}
+              />
+            </Col>
+            <Col md={2} className="mb-2">
+              <Form.Label>Per Extra Package</Form.Label>
+              <Form.Control
+                type="number"
+                min={0}
+                step="0.01"
+                name="per_package_fee"
+                value={form.per_package_fee}
+                onChange={handleChange}
+              />
+            </Col>
+            <Col md={2} className="mb-2">
+              <Form.Label>Free Shipping From</Form.Label>
+              <Form.Control
+                type="number"
+                min={0}
+                step="0.01"
+                name="free_shipping_min"
+                value={form.free_shipping_min}
+                onChange={handleChange}
+                placeholder="Never"
+              />
+            </Col>
+            <Col md={2} className="mb-2">
+              <Form.Check
+                type="checkbox"
+                id="zone-is-default"
+                name="is_default"
+                label="Default zone"
+                checked={form.is_default}
+                onChange={handleChange}
+              />
+              <Form.Check
+                type="checkbox"
+                id="zone-active"
+                name="active"
+                label="Active"
+                checked={form.active}
+                onChange={handleChange}
+              />
+            </Col>
+          </Row>
+          <div className="d-flex justify-content-end align-items-center mt-2">
+            {error && <div className="text-danger mr-2">{error}</div>}
+            {editingId && (
+              <Button
+                variant="secondary"
+                className="mr-2"
+                onClick={resetForm}
+                disabled={saving}
+              >
+                Cancel
+              </Button>
+            )}
+            <Button
+              type="submit"
+              variant="info"
+              className="btn-fill"
+              disabled={saving}
+            >
+              {saving ? "Saving..." : editingId ? "Update Zone" : "Add Zone"}
+            </Button>
+          </div>
+        </Form>
+
+        <Table className="table-hover table-striped" responsive>
+          <thead>
+            <tr>
+              <th>#</th>
+              <th>Zone</th>
+              <th>Keywords</th>
+              <th>Fee Rule</th>
+              <th>Free Shipping From</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {zones.map((zone) => (
+              <tr key={zone.id} className={zone.active ? "" : "text-muted"}>
+                <td>{zone.sort_order}</td>
+                <td>
+                  {zone.name}{" "}
+                  {zone.is_default && <Badge variant="info">Default</Badge>}{" "}
+                  {!zone.active && <Badge variant="secondary">Inactive</Badge>}
+                </td>
+                <td style={{ maxWidth: "320px" }}>
+                  <small>{(zone.keywords || []).join(", ") || "-"}</small>
+                </td>
+                <td>{formatRule(zone)}</td>
+                <td>
+                  {zone.free_shipping_min == null
+                    ? "-"
+                    : Number(zone.free_shipping_min).toFixed(2)}
+                </td>
+                <td>
+                  <Button
+                    variant="link"
+                    size="sm"
+                    className="p-0 mr-2"
+                    onClick={() => startEdit(zone)}
+                  >
+                    Edit
+                  </Button>
+                  <Button
+                    variant="link"
+                    size="sm"
+                    className="p-0 text-danger"
+                    onClick={() => handleDelete(zone)}
+                  >
+                    Delete
+                  </Button>
+                </td>
+              </tr>
+            ))}
+            {!loading && zones.length === 0 && (
+              <tr>
+                <td colSpan={6} className="text-center text-muted py-3">
+                  No delivery zones yet. Orders use the charge typed in.
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </Table>
+      </Card.Body>
+    </Card>
+  );
+};
+
+export default DeliveryZonesCard;
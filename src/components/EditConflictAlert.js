@@ -0,0 +1,31 @@
+import React from "react";
+
+// ⚠️ Shown in an edit modal when someone else changed (or deleted) the
+// record after it was opened. conflict: null | "changed" | "deleted"
+const EditConflictAlert = ({ conflict, noun = "record", onReload }) => {
+  if (!conflict) return null;
+
+  return (
+    <div className="alert alert-warning py-2 mb-2">
+      {conflict === "deleted" ? (
+        <>⚠️ This {noun} was deleted by someone else. Saving will fail.</>
+      ) : (
+        <>
+          ⚠️ This {noun} was changed by someone else while you were editing.
+          Saving will overwrite their changes.
+          {onReload && (
+            <button
+              type="button"
+              className="btn btn-link btn-sm p-0 ml-2 align-baseline"
+              onClick={onReload}
+            >
+              Load their version
+            </button>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default EditConflictAlert;
@@ -20,10 +20,12 @@ import { useLocation } from "react-router-dom";
 import { Navbar, Container, Nav, Dropdown, Button } from "react-bootstrap";
 import { useAuth } from "context/AuthProvider";
 
+import GlobalSearch from "./GlobalSearch";
 import routes from "routes.js";
+import { roleLabel } from "utils/permissions";
 
 function Header() {
-  const { signIn, signUp, signOut, user, authLoading, authError } = useAuth();
+  const { signIn, signOut, user, role, authLoading, authError } = useAuth();
   const location = useLocation();
   const mobileSidebarToggle = (e) => {
     e.preventDefault();
@@ -74,6 +76,7 @@ function Header() {
           <span className="navbar-toggler-bar burger-lines"></span>
         </Navbar.Toggle>
         <Navbar.Collapse id="basic-navbar-nav">
+          <GlobalSearch />
           <Nav className="ml-auto flex items-center space-x-4" navbar>
             {/* <Nav.Item>
               <Nav.Link
@@ -198,6 +201,11 @@ function Header() {
                 </Dropdown.Item>
               </Dropdown.Menu>
             </Dropdown> */}
+            <Nav.Item className="d-flex align-items-center">
+              <span className="text-muted small mr-2">
+                {user?.email} · {roleLabel(role)}
+              </span>
+            </Nav.Item>
             <Nav.Item>
               <Nav.Link
                 className="m-0"
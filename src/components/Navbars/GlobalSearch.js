@@ -0,0 +1,175 @@
+import React, { useState, useEffect, useRef } from "react";
+import { useHistory } from "react-router-dom";
+import { Form } from "react-bootstrap";
+
+import { SEARCH_GROUPS, searchEverything } from "../../utils/globalSearch";
+
+// wait for a pause in typing (or a scanner's burst) before searching
+const SEARCH_DELAY_MS = 300;
+
+// 🔍 Navbar search: results grouped by kind; Enter / click opens one
+const GlobalSearch = () => {
+  const history = useHistory();
+  const boxRef = useRef(null);
+  const [term, setTerm] = useState("");
+  const [results, setResults] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [open, setOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(0);
+
+  useEffect(() => {
+    const query = term.trim();
+    if (!query) {
+      setResults(null);
+      setError("");
+      return undefined;
+    }
+
+    let active = true;
+    const timer = setTimeout(() => {
+      setLoading(true);
+      searchEverything(query)
+        .then((data) => {
+          if (!active) return;
+          setResults(data);
+          setError("");
+          setActiveIndex(0);
+        })
+        .catch((err) => {
+          if (active) setError(err.message);
+        })
+        .finally(() => {
+          if (active) setLoading(false);
+        });
+    }, SEARCH_DELAY_MS);
+
+    return () => {
+      active = false;
+      clearTimeout(timer);
+    };
+  }, [term]);
+
+  // close when clicking anywhere else
+  useEffect(() => {
+    const handleClick = (e) => {
+      if (boxRef.current && !boxRef.current.contains(e.target)) {
+        setOpen(false);
+      }
+    };
+    document.addEventListener("mousedown", handleClick);
+    return () => document.removeEventListener("mousedown", handleClick);
+  }, []);
+
+  const groups = SEARCH_GROUPS.map((group) => ({
+    ...group,
+    rows: results?.[group.key] || [],
+  })).filter((group) => group.rows.length > 0);
+
+  // flat list for keyboard navigation
+  const flat = groups.flatMap((group) =>
+    group.rows.map((row) => ({ group, row }))
+  );
+
+  const goTo = (group, row) => {
+    history.push(group.link(row));
+    setOpen(false);
+    setTerm("");
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Escape") {
+      setOpen(false);
+    } else if (e.key === "ArrowDown") {
+      e.preventDefault();
+      setActiveIndex((i) => Math.min(flat.length - 1, i + 1));
+    } else if (e.key === "ArrowUp") {
+      e.preventDefault();
+      setActiveIndex((i) => Math.max(0, i - 1));
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      const hit = flat[activeIndex];
+      if (hit) goTo(hit.group, hit.row);
+    }
+  };
+
+  let position = -1;
+
+  return (
+    <div
+      ref={boxRef}
+      className="position-relative mr-lg-3 my-2 my-lg-0"
+      style={{ minWidth: "280px" }}
+    >
+      <Form.Control
+        type="search"
+        size="sm"
+        placeholder="🔍 Search orders, customers, cartons..."
+        value={term}
+        onChange={(e) => {
+          setTerm(e.target.value);
+          setOpen(true);
+        }}
+        onFocus={() => setOpen(true)}
+        onKeyDown={handleKeyDown}
+      />
+      {open && term.trim() && (
+        <div
+          className="shadow-sm bg-white border rounded"
+          style={{
+            position: "absolute",
+            top: "100%",
+            right: 0,
+            width: "360px",
+            maxHeight: "70vh",
+            overflowY: "auto",
+            zIndex: 1060,
+          }}
+        >
+          {loading && !results && (
+            <div className="p-2 text-muted small">Searching...</div>
+          )}
+          {error && <div className="p-2 text-danger small">{error}</div>}
+          {results && !error && flat.length === 0 && !loading && (
+            <div className="p-2 text-muted small">Nothing found.</div>
+          )}
+          {groups.map((group) => (
+            <div key={group.key}>
+              <div className="px-2 pt-2 pb-1 small text-uppercase text-muted">
+                <i className={`${group.icon} mr-1`} />
+                {group.title}
+              </div>
+              {group.rows.map((row) => {
+                position += 1;
+                const index = position;
+                return (
+                  <div
+                    key={row.id}
+                    role="button"
+                    className={`px-3 py-1 ${
+                      index === activeIndex ? "bg-light" : ""
+                    }`}
+                    style={{ cursor: "pointer" }}
+                    onMouseEnter={() => setActiveIndex(index)}
+                    onMouseDown={(e) => {
+                      // before the input loses focus
+                      e.preventDefault();
+                      goTo(group, row);
+                    }}
+                  >
+                    <div>{group.label(row)}</div>
+                    {group.detail(row) && (
+                      <small className="text-muted">{group.detail(row)}</small>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GlobalSearch;
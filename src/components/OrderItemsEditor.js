@@ -0,0 +1,655 @@
+import React, { useState } from "react";
+import { Table, Form, Button, InputGroup } from "react-bootstrap";
+
+import { DISCOUNT_TYPES, calcDiscount } from "../utils/orderTotals";
+import { describeAutoPlan, planAutoLines } from "../utils/orderItems";
+import TablePager from "./TablePager";
+
+// editor lines per page; orders can have hundreds once auto lines expand
+const LINES_PER_PAGE = 20;
+
+// Lines grouped by product in the order products first appear; lines
+// without a carton yet go last. Returns [{ row, group }] in display order.
+function groupLinesByProduct(items) {
+  const groups = [];
+  const byKey = {};
+  items.forEach((row) => {
+    const key = row.product_id ? String(row.product_id) : "";
+    if (!byKey[key]) {
+      byKey[key] = { key, productId: row.product_id || null, rows: [] };
+      groups.push(byKey[key]);
+    }
+    byKey[key].rows.push(row);
+  });
+  return groups
+    .sort((a, b) => (a.key === "") - (b.key === ""))
+    .flatMap((group) => group.rows.map((row) => ({ row, group })));
+}
+
+// percent / fixed discount: type select + amount
+export const DiscountInput = ({ type, value, onChange, disabled = false }) => (
+  <InputGroup size="sm">
+    <Form.Control
+      as="select"
+      value={type || ""}
+      onChange={(e) => onChange(e.target.value || null, value)}
+      disabled={disabled}
+      style={{ maxWidth: "64px" }}
+    >
+      <option value="">-</option>
+      {DISCOUNT_TYPES.map((t) => (
+        <option key={t.value} value={t.value}>
+          {t.label}
+        </option>
+      ))}
+    </Form.Control>
+    <Form.Control
+      type="number"
+      step="0.01"
+      min={0}
+      value={type ? value ?? "" : ""}
+      onChange={(e) => onChange(type, e.target.value)}
+      disabled={disabled || !type}
+    />
+  </InputGroup>
+);
+
+// Subtotal -> Total breakdown shown under the items editor
+export const OrderTotalsSummary = ({ totals }) => (
+  <>
+    <div>
+      <strong>Subtotal:</strong> {totals.subtotal.toFixed(2)}
+    </div>
+    {totals.discountTotal > 0 && (
+      <div>
+        <strong>Discount:</strong> -{totals.discountTotal.toFixed(2)}
+      </div>
+    )}
+    {totals.vatAmount > 0 && (
+      <div>
+        <strong>VAT:</strong> {totals.vatAmount.toFixed(2)}
+      </div>
+    )}
+    <div>
+      <strong>Delivery:</strong> {totals.deliveryCharge.toFixed(2)}
+    </div>
+    {totals.roundingAdjustment !== 0 && (
+      <div>
+        <strong>Rounding:</strong> {totals.roundingAdjustment.toFixed(2)}
+      </div>
+    )}
+    <div>
+      <strong>Total:</strong> {totals.totalAmount.toFixed(2)}
+    </div>
+  </>
+);
+
+const formatMargin = (percent) =>
+  percent == null ? "-" : `${percent.toFixed(1)}%`;
+
+const marginClass = (m) =>
+  m.belowCost ? "text-danger" : m.belowMin ? "text-warning" : "text-muted";
+
+// Order margin under the totals (margins from utils/margins.js)
+export const OrderMarginSummary = ({ margins, minMarginPercent }) => (
+  <>
+    <div className={marginClass(margins)}>
+      <strong>Margin:</strong> {formatMargin(margins.marginPercent)} (
+      {margins.profit.toFixed(2)})
+    </div>
+    {margins.belowCost > 0 && (
+      <small className="text-danger d-block">
+        ⚠️ {margins.belowCost} line{margins.belowCost > 1 ? "s" : ""} below
+        cost
+      </small>
+    )}
+    {margins.belowMin > 0 && minMarginPercent != null && (
+      <small className="text-warning d-block">
+        ⚠️ {margins.belowMin} line{margins.belowMin > 1 ? "s" : ""} under the{" "}
+        {Number(minMarginPercent)}% minimum margin
+      </small>
+    )}
+  </>
+);
+
+/**
+ * 🔹 Order items editor (cartons / loose / auto), used by orders and quotations
+ *
+ * Prices come from getUnitPriceForProduct(productId, quantity) (the
+ * customer's price list) and follow the quantity until staff type their own
+ * (row.price_manual). getFloorPriceForProduct(productId) flags prices below
+ * the product's floor. margins (utils/margins.js getOrderMargins) adds each
+ * line's margin under its total. Auto rows preview the cartons autoPolicy
+ * (utils/orderItems.js AUTO_CARTON_POLICIES) will pick.
+ *
+ * Lines are shown grouped by product (getProductName(productId)) and paged;
+ * the order of items itself is left alone.
+ */
+const OrderItemsEditor = ({
+  items,
+  setItems,
+  title,
+  cartons,
+  getCartonLabel,
+  getUnitPriceForProduct,
+  getVatRateForProduct,
+  getFloorPriceForProduct = () => null,
+  getProductName = (productId) => `Product #${productId}`,
+  margins = null,
+  autoPolicy = "fifo",
+  isEdit = false,
+}) => {
+  const [page, setPage] = useState(0);
+
+  const lines = groupLinesByProduct(items);
+  const pageCount = Math.max(1, Math.ceil(lines.length / LINES_PER_PAGE));
+  const currentPage = Math.min(page, pageCount - 1);
+  const pageLines = lines.slice(
+    currentPage * LINES_PER_PAGE,
+    (currentPage + 1) * LINES_PER_PAGE
+  );
+
+  // auto previews, planned the way the order will be saved (expandAutoItems)
+  const autoPlans = planAutoLines(items, cartons, autoPolicy);
+
+  const addRow = () => {
+    // new lines are grouped last: show them
+    setPage(Math.floor(items.length / LINES_PER_PAGE));
+    setItems((prev) => [
+      ...prev,
+      {
+        uid: Date.now() + Math.random(),
+        mode: "carton",
+        carton_id: "",
+        product_id: null,
+        quantity: 0,
+        unit_price: 0,
+        line_total: 0,
+        discount_type: null,
+        discount_value: 0,
+        vat_rate: null,
+      },
+    ]);
+  };
+
+  const removeRow = (uid) => {
+    setItems((prev) => prev.filter((r) => r.uid !== uid));
+  };
+
+  const updateRow = (uid, updater) => {
+    setItems((prev) =>
+      prev.map((row) =>
+        row.uid === uid ? { ...row, ...updater(row) } : row
+      )
+    );
+  };
+
+  // a line that gets another product moves to that product's group, maybe on
+  // another page: show the page it lands on
+  const followRow = (uid, productId) => {
+    const regrouped = groupLinesByProduct(
+      items.map((row) =>
+        row.uid === uid ? { ...row, product_id: productId } : row
+      )
+    );
+    const at = regrouped.findIndex(({ row }) => row.uid === uid);
+    if (at >= 0) setPage(Math.floor(at / LINES_PER_PAGE));
+  };
+
+  const handleModeChange = (uid, newMode) => {
+    followRow(uid, null);
+    setItems((prev) => {
+      const updated = prev.map((row) =>
+        row.uid === uid
+          ? {
+              ...row,
+              mode: newMode,
+              carton_id: "",
+              product_id: null,
+              quantity: 0,
+              unit_price: 0,
+              line_total: 0,
+              vat_rate: null,
+              price_manual: false,
+            }
+          : row
+      );
+      return updated;
+    });
+  };
+
+  const handleCartonChange = (uid, cartonIdStr) => {
+    const cartonId = cartonIdStr ? Number(cartonIdStr) : null;
+    const carton = cartons.find((c) => c.id === cartonId);
+
+    followRow(uid, carton ? carton.product_id : null);
+    updateRow(uid, (row) => {
+      if (!carton) {
+        return {
+          carton_id: "",
+          product_id: null,
+          quantity: 0,
+          unit_price: 0,
+          line_total: 0,
+          vat_rate: null,
+        };
+      }
+
+      let qty = 0;
+
+      if (row.mode === "carton") {
+        qty = Number(carton.units_remaining || 0);
+      } else if (row.mode === "loose") {
+        // loose default 1
+        qty = 1;
+      } else if (row.mode === "auto") {
+        // in auto, user will set quantity manually; keep 0 for now
+        qty = 0;
+      }
+
+      const unitPrice = getUnitPriceForProduct(carton.product_id, qty);
+
+      const lineTotal = qty * unitPrice;
+
+      return {
+        carton_id: cartonId,
+        product_id: carton.product_id,
+        quantity: qty,
+        unit_price: unitPrice,
+        line_total: lineTotal,
+        // the product's current rate; stored lines keep the rate they had
+        vat_rate: null,
+        price_manual: false,
+      };
+    });
+  };
+
+  // quantity breaks: list-priced rows follow the quantity, typed prices stay
+  const priceForQty = (row, qty) =>
+    row.price_manual || !row.product_id
+      ? Number(row.unit_price || 0)
+      : getUnitPriceForProduct(row.product_id, qty);
+
+  const handleQtyChange = (uid, value) => {
+    const qtyNum = Number(value) || 0;
+
+    updateRow(uid, (row) => {
+      const mode = row.mode || "carton";
+
+      if (mode === "auto") {
+        // For auto, just store requested total qty in units.
+        let clamped = qtyNum;
+        if (clamped < 1) clamped = 1;
+
+        const unitPrice = priceForQty(row, clamped);
+        const lineTotal = clamped * unitPrice;
+
+        return {
+          quantity: clamped,
+          unit_price: unitPrice,
+          line_total: lineTotal,
+        };
+      }
+
+      if (!row.carton_id) {
+        return { quantity: 0, line_total: 0 };
+      }
+
+      const carton = cartons.find((c) => c.id === Number(row.carton_id));
+      const maxQty = carton ? Number(carton.units_remaining || 0) : 0;
+      let clamped = qtyNum;
+
+      if (clamped < 1) clamped = 1;
+      if (maxQty > 0 && clamped > maxQty) clamped = maxQty;
+
+      const unitPrice = priceForQty(row, clamped);
+      const lineTotal = clamped * unitPrice;
+
+      return {
+        quantity: clamped,
+        unit_price: unitPrice,
+        line_total: lineTotal,
+      };
+    });
+  };
+
+  const handleUnitPriceChange = (uid, value) => {
+    const unitPriceNum = Number(value) || 0;
+
+    updateRow(uid, (row) => {
+      const qty = Number(row.quantity || 0);
+      const lineTotal = qty * unitPriceNum;
+
+      return {
+        unit_price: unitPriceNum,
+        line_total: lineTotal,
+        price_manual: true,
+      };
+    });
+  };
+
+  const resetToListPrice = (uid) => {
+    updateRow(uid, (row) => {
+      const unitPrice = getUnitPriceForProduct(row.product_id, row.quantity);
+      return {
+        unit_price: unitPrice,
+        line_total: Number(row.quantity || 0) * unitPrice,
+        price_manual: false,
+      };
+    });
+  };
+
+  const handleDiscountChange = (uid, type, value) => {
+    updateRow(uid, () => ({
+      discount_type: type,
+      discount_value: type ? value : 0,
+    }));
+  };
+
+  // full / auto cartons: received only; loose: received + open
+  const receivedCartons = cartons.filter((c) => c.status === "received");
+  const openCartons = receivedCartons.filter((c) => c.is_open === true);
+  const availableCartonsFor = (mode) =>
+    mode === "carton" || mode === "auto" ? receivedCartons : openCartons;
+
+  const renderGroupHeader = (group, continued) => {
+    const units = group.rows.reduce(
+      (sum, r) => sum + Number(r.quantity || 0),
+      0
+    );
+    const total = group.rows.reduce((sum, r) => {
+      const lineTotal = Number(r.line_total || 0);
+      return (
+        sum +
+        lineTotal -
+        calcDiscount(lineTotal, r.discount_type, r.discount_value)
+      );
+    }, 0);
+
+    return (
+      <tr key={`group-${group.key}`} className="table-active">
+        <td colSpan={8}>
+          <strong>
+            {group.productId
+              ? getProductName(group.productId)
+              : "New lines (no carton yet)"}
+          </strong>
+          {continued && <span className="text-muted"> (continued)</span>}
+          {group.productId && (
+            <small className="text-muted ml-2">
+              {group.rows.length} line{group.rows.length > 1 ? "s" : ""} ·{" "}
+              {units} units · {total.toFixed(2)}
+            </small>
+          )}
+        </td>
+      </tr>
+    );
+  };
+
+  return (
+    <>
+      <h5 className="mt-3">{title}</h5>
+      <Table bordered size="sm" className="mt-2">
+        <thead>
+          <tr>
+            <th>Type</th>
+            <th>Carton</th>
+            <th style={{ width: "120px" }}>Quantity</th>
+            <th>Unit Price</th>
+            <th style={{ width: "150px" }}>Discount</th>
+            <th>VAT</th>
+            <th>Line Total</th>
+            <th style={{ width: "60px" }}>Actions</th>
+          </tr>
+        </thead>
+        <tbody>
+          {items.length === 0 ? (
+            <tr>
+              <td colSpan={8} className="text-center">
+                No items added yet.
+              </td>
+            </tr>
+          ) : (
+            pageLines.map(({ row, group }, idx) => {
+              const mode = row.mode || "carton";
+              const startsGroup =
+                idx === 0 || pageLines[idx - 1].group !== group;
+
+              // 1) Base list: only available cartons for this mode
+              const baseCartonList = availableCartonsFor(mode);
+
+              // 2) The previously selected carton (even if booked now)
+              const selectedCarton =
+                row.carton_id != null && row.carton_id !== ""
+                  ? cartons.find((c) => c.id === Number(row.carton_id))
+                  : null;
+
+              // 3) Ensure selected carton is present so it shows in dropdown
+              let cartonList = baseCartonList;
+              if (
+                selectedCarton &&
+                !baseCartonList.some((c) => c.id === selectedCarton.id)
+              ) {
+                cartonList = [selectedCarton, ...baseCartonList];
+              }
+
+              // Use cartonList to compute maxQty for loose
+              const currentCarton =
+                cartonList.find((c) => c.id === Number(row.carton_id)) ||
+                selectedCarton;
+
+              const maxQty =
+                currentCarton && mode === "loose"
+                  ? Number(currentCarton.units_remaining || 0)
+                  : undefined;
+
+              // Max + helper for auto
+              let autoMaxQty;
+              let autoHelper = "";
+
+              // (stock the order's other lines take is already left out)
+              const autoPlan = mode === "auto" ? autoPlans.get(row) : null;
+              if (autoPlan) {
+                const { totalAvailable, selection } = autoPlan;
+                autoMaxQty = totalAvailable;
+
+                const desired = Number(row.quantity || 0);
+
+                if (selection) {
+                  autoHelper = `Will ship ${describeAutoPlan(selection)}`;
+                } else if (desired > 0 && autoMaxQty > 0) {
+                  autoHelper = `Not enough stock to fully satisfy ${desired} units. Max across cartons: ${autoMaxQty} units.`;
+                }
+              }
+
+              const lineTotal = Number(row.line_total || 0);
+              const lineDiscount = calcDiscount(
+                lineTotal,
+                row.discount_type,
+                row.discount_value
+              );
+              const vatRate =
+                row.vat_rate ??
+                (row.product_id ? getVatRateForProduct(row.product_id) : 0);
+
+              const listPrice =
+                row.product_id && row.price_manual
+                  ? getUnitPriceForProduct(row.product_id, row.quantity)
+                  : null;
+              const floorPrice = row.product_id
+                ? getFloorPriceForProduct(row.product_id)
+                : null;
+              const belowFloor =
+                floorPrice != null &&
+                Number(row.unit_price || 0) < Number(floorPrice);
+              const lineMargin = margins?.byUid[row.uid];
+
+              return (
+                <React.Fragment key={row.uid}>
+                  {startsGroup &&
+                    renderGroupHeader(group, group.rows[0] !== row)}
+                  <tr>
+                    <td>
+                      <Form.Control
+                        as="select"
+                        value={mode}
+                        onChange={(e) =>
+                          handleModeChange(row.uid, e.target.value)
+                        }
+                      >
+                        <option value="carton">Carton</option>
+                        <option value="loose">Loose</option>
+                        <option value="auto">Auto</option>
+                      </Form.Control>
+                    </td>
+                    <td>
+                      <Form.Control
+                        as="select"
+                        value={row.carton_id || ""}
+                        onChange={(e) =>
+                          handleCartonChange(row.uid, e.target.value)
+                        }
+                      >
+                        <option value="">Select carton</option>
+                        {cartonList.map((c) => (
+                          <option key={c.id} value={c.id}>
+                            {getCartonLabel(c)}
+                          </option>
+                        ))}
+                      </Form.Control>
+                    </td>
+                    <td>
+                      {mode === "carton" ? (
+                        <Form.Control
+                          type="number"
+                          value={row.quantity || 0}
+                          readOnly
+                          disabled
+                        />
+                      ) : (
+                        <>
+                          <Form.Control
+                            type="number"
+                            min={1}
+                            {...(!isEdit && mode === "loose" && typeof maxQty === "number"
+                              ? { max: maxQty }
+                              : {})}
+                            value={row.quantity || ""}
+                            onChange={(e) =>
+                              handleQtyChange(row.uid, e.target.value)
+                            }
+                          />
+                          {!isEdit &&
+                            mode === "loose" &&
+                            typeof maxQty === "number" && (
+                              <small className="text-muted d-block">
+                                Max: {maxQty}
+                              </small>
+                            )}
+                          {mode === "auto" && autoHelper && (
+                            <small className="text-muted d-block">
+                              {autoHelper}
+                            </small>
+                          )}
+                          {mode === "auto" &&
+                            typeof autoMaxQty === "number" &&
+                            autoMaxQty > 0 && (
+                              <small className="text-muted d-block">
+                                Max across cartons: {autoMaxQty}
+                              </small>
+                            )}
+                        </>
+                      )}
+                    </td>
+                    <td>
+                      <Form.Control
+                        type="number"
+                        step="0.01"
+                        min={0}
+                        value={
+                          row.unit_price !== undefined &&
+                          row.unit_price !== null
+                            ? row.unit_price
+                            : ""
+                        }
+                        onChange={(e) =>
+                          handleUnitPriceChange(row.uid, e.target.value)
+                        }
+                        isInvalid={belowFloor}
+                      />
+                      {listPrice != null &&
+                        listPrice !== Number(row.unit_price || 0) && (
+                          <small className="text-muted d-block">
+                            List: {listPrice.toFixed(2)}{" "}
+                            <Button
+                              variant="link"
+                              size="sm"
+                              className="p-0 align-baseline"
+                              onClick={() => resetToListPrice(row.uid)}
+                            >
+                              Use
+                            </Button>
+                          </small>
+                        )}
+                      {belowFloor && (
+                        <small className="text-danger d-block">
+                          ⚠️ Below floor price {Number(floorPrice).toFixed(2)}
+                        </small>
+                      )}
+                    </td>
+                    <td>
+                      <DiscountInput
+                        type={row.discount_type}
+                        value={row.discount_value}
+                        onChange={(type, value) =>
+                          handleDiscountChange(row.uid, type, value)
+                        }
+                      />
+                    </td>
+                    <td>{Number(vatRate || 0)}%</td>
+                    <td>
+                      {(lineTotal - lineDiscount).toFixed(2)}
+                      {lineDiscount > 0 && (
+                        <small className="text-muted d-block">
+                          <s>{lineTotal.toFixed(2)}</s>
+                        </small>
+                      )}
+                      {lineMargin && (
+                        <small className={`${marginClass(lineMargin)} d-block`}>
+                          Margin {formatMargin(lineMargin.marginPercent)}
+                          {lineMargin.belowCost && " (below cost)"}
+                        </small>
+                      )}
+                    </td>
+                    <td>
+                      <Button
+                        variant="link"
+                        size="sm"
+                        className="text-danger p-0"
+                        onClick={() => removeRow(row.uid)}
+                      >
+                        <i className="fa fa-trash" />
+                      </Button>
+                    </td>
+                  </tr>
+                </React.Fragment>
+              );
+            })
+          )}
+        </tbody>
+      </Table>
+      <TablePager
+        page={currentPage}
+        pageSize={LINES_PER_PAGE}
+        total={lines.length}
+        onPageChange={setPage}
+        noun="lines"
+      />
+      <Button variant="secondary" size="sm" onClick={addRow}>
+        + Add Item
+      </Button>
+    </>
+  );
+};
+
+export default OrderItemsEditor;
@@ -2,15 +2,47 @@ import React from "react";
 import { Route, Redirect } from "react-router-dom";
 import { useAuth } from "../context/AuthProvider";
 
+// logged in, but no role yet (new accounts wait for an admin on the Users page)
+function NoAccess() {
+  const { user, signOut } = useAuth();
+
+  return (
+    <div
+      className="d-flex justify-content-center align-items-center"
+      style={{ height: "100vh" }}
+    >
+      <div className="col-md-4 col-sm-8 col-11">
+        <div className="card" style={{ borderRadius: "12px" }}>
+          <div className="card-header text-center">
+            <h4 className="card-title">Waiting for access</h4>
+          </div>
+          <div className="card-body text-center">
+            <p>
+              You're signed in as <strong>{user?.email}</strong>, but your
+              account has no role yet. Ask an administrator to give you one,
+              then reload this page.
+            </p>
+            <button className="btn btn-danger" onClick={() => signOut()}>
+              Log out
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
 export default function ProtectedRoute({ children, ...rest }) {
-  const { user, authLoading } = useAuth();
+  const { user, role, authLoading, profileLoading } = useAuth();
 
   return (
     <Route
       {...rest}
       render={() => {
         if (authLoading) return null; // or a spinner component
-        return user ? children : <Redirect to="/login" />;
+        if (!user) return <Redirect to="/login" />;
+        if (profileLoading) return null;
+        return role ? children : <NoAccess />;
       }}
     />
   );
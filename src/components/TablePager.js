@@ -0,0 +1,43 @@
+import React from "react";
+import { Button } from "react-bootstrap";
+
+// "Showing 21-40 of 312 lines  ‹ Prev  Page 2 of 16  Next ›" under a table.
+// page is 0-based; nothing is rendered when everything fits on one page.
+const TablePager = ({ page, pageSize, total, onPageChange, noun = "rows" }) => {
+  const pageCount = Math.max(1, Math.ceil(total / pageSize));
+  if (pageCount <= 1) return null;
+
+  const first = page * pageSize + 1;
+  const last = Math.min(total, (page + 1) * pageSize);
+
+  return (
+    <div className="d-flex justify-content-between align-items-center my-2">
+      <small className="text-muted">
+        Showing {first}-{last} of {total} {noun}
+      </small>
+      <div className="d-flex align-items-center">
+        <Button
+          variant="link"
+          size="sm"
+          disabled={page === 0}
+          onClick={() => onPageChange(page - 1)}
+        >
+          ‹ Prev
+        </Button>
+        <small className="mx-2">
+          Page {page + 1} of {pageCount}
+        </small>
+        <Button
+          variant="link"
+          size="sm"
+          disabled={page >= pageCount - 1}
+          onClick={() => onPageChange(page + 1)}
+        >
+          Next ›
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default TablePager;
@@ -1,5 +1,6 @@
 import React, { createContext, useContext, useEffect, useState } from "react";
 import { supabase } from "createClient";
+import { can as roleCan } from "utils/permissions";
 
 const AuthContext = createContext(null);
 
@@ -8,6 +9,8 @@ export function AuthProvider({ children }) {
   const [user, setUser] = useState(null);
   const [authLoading, setAuthLoading] = useState(true);
   const [authError, setAuthError] = useState(null);
+  const [profile, setProfile] = useState(null);
+  const [profileLoading, setProfileLoading] = useState(false);
 
   useEffect(() => {
     let mounted = true;
@@ -37,6 +40,35 @@ export function AuthProvider({ children }) {
     };
   }, []);
 
+  // role etc. from public.profiles (see 20261019112000_roles.sql)
+  const userId = user?.id;
+  useEffect(() => {
+    let mounted = true;
+
+    if (!userId) {
+      setProfile(null);
+      setProfileLoading(false);
+      return undefined;
+    }
+
+    setProfileLoading(true);
+    supabase
+      .from("profiles")
+      .select("*")
+      .eq("id", userId)
+      .maybeSingle()
+      .then(({ data, error }) => {
+        if (!mounted) return;
+        if (error) console.error("Supabase error (profiles):", error);
+        setProfile(data ?? null);
+        setProfileLoading(false);
+      });
+
+    return () => {
+      mounted = false;
+    };
+  }, [userId]);
+
   // helpers you can call anywhere
   const signIn = async ({ email, password }) => {
     setAuthError(null);
@@ -45,13 +77,6 @@ export function AuthProvider({ children }) {
     return { data, error };
   };
 
-  const signUp = async ({ email, password }) => {
-    setAuthError(null);
-    const { data, error } = await supabase.auth.signUp({ email, password });
-    if (error) setAuthError(error.message);
-    return { data, error };
-  };
-
   const signOut = async () => {
     setAuthError(null);
     const { error } = await supabase.auth.signOut(); // no args
@@ -64,8 +89,12 @@ export function AuthProvider({ children }) {
     user,
     authLoading,
     authError,
+    profile,
+    profileLoading,
+    role: profile?.role ?? null,
+    // can("orders.delete") etc., see utils/permissions.js
+    can: (permission) => roleCan(profile?.role, permission),
     signIn,
-    signUp,
     signOut,
   };
 
@@ -16,11 +16,13 @@
 
 */
 import React, { Component } from "react";
-import { useLocation, Route, Switch } from "react-router-dom";
+import { useLocation, Route, Switch, Redirect } from "react-router-dom";
 
 import AdminNavbar from "components/Navbars/AdminNavbar";
 import Footer from "components/Footer/Footer";
 import Sidebar from "components/Sidebar/Sidebar";
+import { useAuth } from "context/AuthProvider";
+import { canSeeRoute } from "utils/permissions";
 
 import routes from "routes.js";
 
@@ -32,6 +34,14 @@ function Admin() {
   const [hasImage, setHasImage] = React.useState(true);
   const location = useLocation();
   const mainPanel = React.useRef(null);
+  const { role } = useAuth();
+  // only the pages this user's role may open (see routes.js)
+  const allowedRoutes = React.useMemo(
+    () => routes.filter((route) => canSeeRoute(role, route)),
+    [role]
+  );
+  const homeRoute =
+    allowedRoutes.find((route) => !route.upgrade) || allowedRoutes[0];
   const getRoutes = (routes) => {
     return routes.map((prop, key) => {
       if (prop.layout === "/admin") {
@@ -63,11 +73,19 @@ function Admin() {
   return (
     <>
       <div className="wrapper">
-        <Sidebar color={color} image={hasImage ? image : ""} routes={routes} />
+        <Sidebar
+          color={color}
+          image={hasImage ? image : ""}
+          routes={allowedRoutes}
+        />
         <div className="main-panel" ref={mainPanel}>
           <AdminNavbar />
           <div className="content">
-            <Switch>{getRoutes(routes)}</Switch>
+            <Switch>
+              {getRoutes(allowedRoutes)}
+              {/* unknown or not allowed for this role */}
+              {homeRoute && <Redirect to={homeRoute.layout + homeRoute.path} />}
+            </Switch>
           </div>
           <Footer />
         </div>
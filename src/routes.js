@@ -18,9 +18,15 @@
 import Dashboard from "views/Dashboard.js";
 import UserProfile from "views/UserProfile.js";
 import Orders from "views/Orders";
+import Quotations from "views/Quotations";
+import CodReconciliation from "views/CodReconciliation";
+import Customers from "views/Customers";
 import Inventory from "views/Inventory";
 import Suppliers from "views/Suppliers";
 import ProductList from "views/ProductList";
+import PriceLists from "views/PriceLists";
+import Users from "views/Users";
+import Settings from "views/Settings";
 import TableList from "views/TableList.js";
 import Typography from "views/Typography.js";
 import Icons from "views/Icons.js";
@@ -28,6 +34,8 @@ import Maps from "views/Maps.js";
 import Notifications from "views/Notifications.js";
 import Upgrade from "views/Upgrade.js";
 
+// roles: who may open the page (any role when left out), see
+// utils/permissions.js
 const dashboardRoutes = [
   // {
   //   upgrade: true,
@@ -50,6 +58,7 @@ const dashboardRoutes = [
     name: "Dashboard",
     icon: "nc-icon nc-chart-pie-35",
     component: Dashboard,
+    roles: ["admin", "sales", "accountant"],
     layout: "/admin"
   },
   {
@@ -59,11 +68,36 @@ const dashboardRoutes = [
     component: Orders,
     layout: "/admin"
   },
+  {
+    path: "/quotations",
+    name: "Quotations",
+    icon: "nc-icon nc-paper-2",
+    component: Quotations,
+    roles: ["admin", "sales"],
+    layout: "/admin"
+  },
+  {
+    path: "/cod-reconciliation",
+    name: "COD Reconciliation",
+    icon: "nc-icon nc-money-coins",
+    component: CodReconciliation,
+    roles: ["admin", "accountant"],
+    layout: "/admin"
+  },
+  {
+    path: "/customers",
+    name: "Customers",
+    icon: "nc-icon nc-single-02",
+    component: Customers,
+    roles: ["admin", "sales", "accountant"],
+    layout: "/admin"
+  },
   {
     path: "/inventory",
     name: "Inventory",
     icon: "nc-icon nc-app",
     component: Inventory,
+    roles: ["admin", "sales", "warehouse"],
     layout: "/admin"
   },
   {
@@ -73,11 +107,36 @@ const dashboardRoutes = [
     component: ProductList,
     layout: "/admin"
   },
+  {
+    path: "/price-lists",
+    name: "Price Lists",
+    icon: "nc-icon nc-tag-content",
+    component: PriceLists,
+    roles: ["admin", "sales"],
+    layout: "/admin"
+  },
   {
     path: "/supplier",
     name: "Suppliers",
     icon: "nc-icon nc-delivery-fast",
     component: Suppliers,
+    roles: ["admin", "warehouse", "accountant"],
+    layout: "/admin"
+  },
+  {
+    path: "/users",
+    name: "Users",
+    icon: "nc-icon nc-key-25",
+    component: Users,
+    roles: ["admin"],
+    layout: "/admin"
+  },
+  {
+    path: "/settings",
+    name: "Settings",
+    icon: "nc-icon nc-settings-gear-64",
+    component: Settings,
+    roles: ["admin"],
     layout: "/admin"
   },
   // {
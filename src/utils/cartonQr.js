@@ -0,0 +1,11 @@
+import * as QRCode from "qrcode";
+
+// What a carton's QR code encodes; printed on carton labels (Inventory) and
+// packing slips, so a scan of either finds the same carton.
+export function getCartonQrPayload(cartonId) {
+  return `carton${cartonId}`;
+}
+
+export function getCartonQrDataUrl(cartonId, width = 260) {
+  return QRCode.toDataURL(getCartonQrPayload(cartonId), { margin: 1, width });
+}
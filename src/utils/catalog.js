@@ -0,0 +1,144 @@
+// Products, suppliers and cartons shared by every view through dataCache.js
+// and kept current from realtime changes (realtime.js), plus the name
+// lookups the views used to each define for themselves.
+//
+//   const { data: products, setData: setProducts } = useProducts();
+//   findProductName(products, carton.product_id)
+
+import { useEffect } from "react";
+import { supabase } from "createClient";
+import {
+  useCachedData,
+  getCachedData,
+  setCachedData,
+  invalidateCached,
+} from "./dataCache";
+import { subscribeToTable, applyTableChange } from "./realtime";
+
+// stable placeholder until a list has loaded
+const NO_ROWS = [];
+
+const byIdDesc = (a, b) => b.id - a.id;
+
+// cache key -> table and how realtime changes are applied
+const COLLECTIONS = {
+  products: { table: "products", changeOptions: { compare: byIdDesc } },
+  suppliers: { table: "supplier", changeOptions: { compare: byIdDesc } },
+  cartons: { table: "cartons", changeOptions: { compare: byIdDesc } },
+};
+
+// all rows, newest first
+function selectAll(key) {
+  return async () => {
+    const { table } = COLLECTIONS[key];
+    const { data, error } = await supabase
+      .from(table)
+      .select("*")
+      .order("id", { ascending: false });
+
+    if (error) {
+      console.error(`Supabase error (${table}):`, error);
+      throw new Error(error.message || `Failed to load ${key}.`);
+    }
+    return data || [];
+  };
+}
+
+// purchase prices live in product_costs, which only roles that may see
+// costs can read (20261019112000_roles.sql); for everyone else
+// unit_purchase_price stays null
+async function loadProducts() {
+  const [products, costs] = await Promise.all([
+    selectAll("products")(),
+    supabase.from("product_costs").select("product_id, unit_purchase_price"),
+  ]);
+
+  if (costs.error) {
+    console.error("Supabase error (product_costs):", costs.error);
+  }
+  const costById = new Map(
+    (costs.data || []).map((c) => [c.product_id, c.unit_purchase_price])
+  );
+  return products.map((p) => ({
+    ...p,
+    unit_purchase_price: costById.get(p.id) ?? null,
+  }));
+}
+const loadSuppliers = selectAll("suppliers");
+const loadCartons = selectAll("cartons");
+
+// one realtime subscription per collection for the life of the page, so a
+// list stays current while no view shows it too
+const watched = new Set();
+
+function watchCollection(key) {
+  if (watched.has(key)) return;
+  watched.add(key);
+  const { table, changeOptions } = COLLECTIONS[key];
+  subscribeToTable(table, (payload) =>
+    setCachedData(key, (rows) => applyTableChange(rows, payload, changeOptions))
+  );
+}
+
+function useCollection(key, loader) {
+  useEffect(() => watchCollection(key), [key]);
+  const result = useCachedData(key, loader);
+  return { ...result, data: result.data || NO_ROWS };
+}
+
+export const useProducts = () => useCollection("products", loadProducts);
+export const useSuppliers = () => useCollection("suppliers", loadSuppliers);
+export const useCartons = () => useCollection("cartons", loadCartons);
+
+// rows returned by an order / stock RPC, patched into the cached cartons
+export function mergeCachedCartons(updated) {
+  if (!Array.isArray(updated) || updated.length === 0) return;
+  if (getCachedData("cartons") === undefined) return;
+  setCachedData("cartons", (rows) =>
+    updated.reduce(
+      (acc, row) =>
+        applyTableChange(
+          acc,
+          { eventType: "UPDATE", new: row },
+          { addIf: () => true, compare: byIdDesc }
+        ),
+      rows
+    )
+  );
+}
+
+// reload after a write the caller can't patch in (e.g. a failed RPC)
+export const invalidateCartons = () => invalidateCached("cartons");
+
+// save a product's purchase price (admins only) and patch the cached row;
+// returns the Supabase error, if any
+export async function saveProductCost(productId, cost) {
+  const { error } = await supabase.from("product_costs").upsert({
+    product_id: productId,
+    unit_purchase_price: cost,
+    updated_at: new Date().toISOString(),
+  });
+
+  if (error) {
+    console.error("Supabase error (product_costs):", error);
+    return error;
+  }
+  setCachedData("products", (rows) =>
+    rows.map((p) =>
+      p.id === productId ? { ...p, unit_purchase_price: cost } : p
+    )
+  );
+  return null;
+}
+
+export function findProductName(products, id) {
+  const product = products.find((p) => p.id === Number(id));
+  return product ? product.name : "Unknown Product";
+}
+
+export function findSupplierName(suppliers, id) {
+  const supplier = suppliers.find((s) => s.id === Number(id));
+  return supplier
+    ? supplier.organization_name || supplier.name || "Supplier"
+    : "Unknown Supplier";
+}
@@ -0,0 +1,391 @@
+// Matching a courier settlement report against orders. Applying the result
+// goes through apply_cod_settlement() in
+// supabase/migrations/20261019104000_cod_settlements.sql; the `result`
+// values here match cod_settlement_lines.result.
+
+import { supabase } from "createClient";
+import { normalizePhone } from "./customers";
+import { getBalanceDue } from "./orderTotals";
+import { getOrderShipments } from "./shipments";
+
+// collected amounts within this of what's due count as settled in full
+export const SETTLEMENT_TOLERANCE = 1;
+
+// report columns we read, with header names the couriers' exports use
+export const SETTLEMENT_COLUMNS = [
+  {
+    key: "tracking",
+    label: "Tracking / Consignment ID",
+    aliases: [
+      "tracking_code",
+      "tracking code",
+      "tracking id",
+      "tracking_id",
+      "tracking number",
+      "tracking_number",
+      "consignment_id",
+      "consignment id",
+      "cid",
+      "parcel id",
+    ],
+  },
+  {
+    key: "invoice",
+    label: "Invoice / Merchant Order ID",
+    aliases: [
+      "invoice",
+      "invoice no",
+      "invoice_number",
+      "merchant invoice",
+      "merchant_invoice_id",
+      "merchant order id",
+      "merchant_order_id",
+    ],
+  },
+  {
+    key: "phone",
+    label: "Customer Phone",
+    aliases: [
+      "phone",
+      "recipient_phone",
+      "recipient phone",
+      "customer phone",
+      "customer_phone",
+      "mobile",
+    ],
+  },
+  {
+    key: "collected",
+    label: "Collected Amount",
+    aliases: [
+      "collected amount",
+      "collected_amount",
+      "collected",
+      "cod_amount",
+      "cod amount",
+      "cash collection",
+      "cash_collection_amount",
+      "amount to collect",
+      "amount",
+    ],
+  },
+  {
+    key: "fee",
+    label: "Courier Fee",
+    aliases: [
+      "delivery_charge",
+      "delivery charge",
+      "delivery fee",
+      "delivery_fee",
+      "courier fee",
+      "charge",
+      "total charge",
+      "total_fee",
+    ],
+  },
+];
+
+export const SETTLEMENT_RESULTS = {
+  settled: { label: "Settled", variant: "success" },
+  short_paid: { label: "Short Paid", variant: "warning" },
+  over_paid: { label: "Over Paid", variant: "info" },
+  already_paid: { label: "Already Paid", variant: "secondary" },
+  duplicate: { label: "Duplicate", variant: "secondary" },
+  unmatched: { label: "No Match", variant: "danger" },
+};
+
+// rows with these results record a payment when applied
+export const PAYABLE_RESULTS = ["settled", "short_paid", "over_paid"];
+
+const headerKey = (h) =>
+  String(h || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+
+// { tracking: "Consignment ID", collected: "COD Amount", ... } from the
+// report's headers ("" where nothing fits)
+export function guessColumnMapping(headers) {
+  const mapping = {};
+  SETTLEMENT_COLUMNS.forEach((col) => {
+    const aliases = col.aliases.map(headerKey);
+    mapping[col.key] =
+      aliases
+        .map((a) => headers.find((h) => headerKey(h) === a))
+        .find(Boolean) || "";
+  });
+  return mapping;
+}
+
+// "৳1,250.00", "Tk 1250", "1 250" -> 1250
+export function parseAmount(value) {
+  const n = Number(String(value || "").replace(/[^0-9.-]/g, ""));
+  return Number.isFinite(n) ? n : 0;
+}
+
+// Matches each report row to an order: by tracking / consignment ID (any
+// of the order's shipments), then invoice number, then phone — a phone only
+// counts when exactly one order with money outstanding has it.
+//   courier: only shipments of this courier match by tracking ("" = any)
+// Returns { lines, missing }: one line per report row, and the orders the
+// courier delivered with cash outstanding that the report doesn't mention.
+export function reconcileSettlement(
+  records,
+  mapping,
+  orders,
+  { courier } = {}
+) {
+  const byTracking = new Map();
+  const byInvoice = new Map();
+  const byPhone = new Map();
+
+  orders.forEach((order) => {
+    getOrderShipments(order)
+      .filter((s) => !courier || s.courier === courier)
+      .forEach((s) => {
+        [s.tracking_code, s.consignment_id].filter(Boolean).forEach((code) =>
+          byTracking.set(String(code).trim().toLowerCase(), {
+            order,
+            shipment: s,
+          })
+        );
+      });
+
+    if (order.invoice_number) {
+      byInvoice.set(order.invoice_number.toLowerCase(), order);
+    }
+
+    const phone = normalizePhone(order.customer_phone);
+    const open =
+      !["Cancelled", "Returned"].includes(order.status) &&
+      getBalanceDue(order) > 0;
+    if (phone && open) {
+      byPhone.set(phone, [...(byPhone.get(phone) || []), order]);
+    }
+  });
+
+  const seenOrderIds = new Set();
+
+  const lines = records.map((record, idx) => {
+    const get = (key) => (mapping[key] ? record[mapping[key]] || "" : "");
+    const tracking = get("tracking").trim();
+    const invoice = get("invoice").trim();
+    const phone = get("phone").trim();
+
+    let order = null;
+    let shipment = null;
+    let matchType = null;
+    let note = "";
+
+    const trackingHit = tracking && byTracking.get(tracking.toLowerCase());
+    if (trackingHit) {
+      ({ order, shipment } = trackingHit);
+      matchType = "tracking";
+    } else if (invoice && byInvoice.get(invoice.toLowerCase())) {
+      order = byInvoice.get(invoice.toLowerCase());
+      matchType = "invoice";
+    } else if (phone) {
+      const candidates = byPhone.get(normalizePhone(phone)) || [];
+      if (candidates.length === 1) {
+        order = candidates[0];
+        matchType = "phone";
+      } else if (candidates.length > 1) {
+        note = `${candidates.length} open orders for this phone (${candidates
+          .map((o) => `#${o.id}`)
+          .join(", ")})`;
+      }
+    }
+
+    // the parcel the row is about, when matched some other way
+    if (order && !shipment) {
+      const shipments = getOrderShipments(order).filter(
+        (s) => !courier || s.courier === courier
+      );
+      shipment = shipments.length ? shipments[shipments.length - 1] : null;
+    }
+
+    const collected = parseAmount(get("collected"));
+    const fee = parseAmount(get("fee"));
+    const expected = order ? getBalanceDue(order) : null;
+
+    let result = "unmatched";
+    if (order && seenOrderIds.has(order.id)) {
+      result = "duplicate";
+      note = note || "Order already appears earlier in this report";
+    } else if (order && shipment?.settled_at) {
+      result = "already_paid";
+      note = note || "Parcel settled in an earlier import";
+    } else if (order && expected <= 0) {
+      result = "already_paid";
+    } else if (order && collected < expected - SETTLEMENT_TOLERANCE) {
+      result = "short_paid";
+    } else if (order && collected > expected + SETTLEMENT_TOLERANCE) {
+      result = "over_paid";
+    } else if (order) {
+      result = "settled";
+    }
+    if (order) seenOrderIds.add(order.id);
+
+    if (order && ["Cancelled", "Returned"].includes(order.status)) {
+      result = "unmatched";
+      note = `Order #${order.id} is ${order.status.toLowerCase()}`;
+    }
+
+    // the courier charged more than the delivery fee the customer paid
+    const feeOverCharge =
+      order && fee > Number(order.delivery_charge || 0)
+        ? fee - Number(order.delivery_charge || 0)
+        : 0;
+
+    return {
+      lineNo: idx + 1,
+      record,
+      tracking,
+      invoice,
+      phone,
+      order,
+      shipment,
+      matchType,
+      collected,
+      fee,
+      expected,
+      difference: order ? collected - expected : null,
+      feeOverCharge,
+      result,
+      note,
+    };
+  });
+
+  const missing = orders.filter((order) => {
+    if (seenOrderIds.has(order.id) || getBalanceDue(order) <= 0) return false;
+    if (["Cancelled", "Returned"].includes(order.status)) return false;
+    return getOrderShipments(order).some(
+      (s) =>
+        (!courier || s.courier === courier) &&
+        !s.settled_at &&
+        (s.status === "delivered" || order.status === "Delivered")
+    );
+  });
+
+  return { lines, missing };
+}
+
+// ---------- loading the orders to match against ----------
+
+// what matching needs from an order
+const RECONCILE_SELECT =
+  "id, invoice_number, customer_id, customer_name, customer_phone, status, total_amount, returned_amount, amount_paid, delivery_charge, shipments(*)";
+
+// PostgREST returns at most this many rows per request
+const PAGE_SIZE = 1000;
+// values per in() filter, so request URLs stay short
+const IN_CHUNK = 100;
+
+const chunks = (values, size) => {
+  const out = [];
+  for (let i = 0; i < values.length; i += size) {
+    out.push(values.slice(i, i + size));
+  }
+  return out;
+};
+
+async function fetchRows(query, what) {
+  const { data, error } = await query;
+  if (error) {
+    console.error(`Supabase error (${what}):`, error);
+    throw new Error(error.message || `Failed to load ${what}.`);
+  }
+  return data || [];
+}
+
+// Orders that may still have cash due (Created / Shipped / Delivered), all
+// of them page by page: phone matches and the orders missing from a report
+// come from these.
+export async function fetchOpenOrders() {
+  const orders = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const page = await fetchRows(
+      supabase
+        .from("orders")
+        .select(RECONCILE_SELECT)
+        .in("status", ["Created", "Shipped", "Delivered"])
+        .order("id")
+        .range(from, from + PAGE_SIZE - 1),
+      "orders"
+    );
+    orders.push(...page);
+    if (page.length < PAGE_SIZE) return orders;
+  }
+}
+
+// Orders a report names by tracking / consignment ID or invoice number,
+// whatever their status (a paid or returned one still has to be shown as
+// such rather than as unmatched).
+export async function fetchOrdersNamedIn(records, mapping) {
+  const values = (key) =>
+    mapping[key]
+      ? [
+          ...new Set(
+            records
+              .map((r) => String(r[mapping[key]] || "").trim())
+              .filter(Boolean)
+          ),
+        ]
+      : [];
+
+  const orderIds = new Set();
+  for (const codes of chunks(values("tracking"), IN_CHUNK)) {
+    for (const column of ["tracking_code", "consignment_id"]) {
+      const shipments = await fetchRows(
+        supabase.from("shipments").select("order_id").in(column, codes),
+        "shipments"
+      );
+      shipments.forEach((s) => orderIds.add(s.order_id));
+    }
+  }
+
+  const orders = [];
+  for (const invoices of chunks(values("invoice"), IN_CHUNK)) {
+    orders.push(
+      ...(await fetchRows(
+        supabase
+          .from("orders")
+          .select(RECONCILE_SELECT)
+          .in("invoice_number", invoices),
+        "orders"
+      ))
+    );
+  }
+  for (const ids of chunks([...orderIds], IN_CHUNK)) {
+    orders.push(
+      ...(await fetchRows(
+        supabase.from("orders").select(RECONCILE_SELECT).in("id", ids),
+        "orders"
+      ))
+    );
+  }
+  return orders;
+}
+
+// orders merged by id, later lists winning
+export function mergeOrders(...lists) {
+  const byId = new Map();
+  lists.flat().forEach((o) => byId.set(o.id, o));
+  return [...byId.values()];
+}
+
+// apply_cod_settlement() payload for one reconciled line
+export function toSettlementLinePayload(line) {
+  return {
+    order_id: line.order?.id || null,
+    shipment_id: line.shipment?.id || null,
+    tracking_code: line.tracking || line.shipment?.tracking_code || null,
+    phone: line.phone || null,
+    collected_amount: line.collected,
+    courier_fee: line.fee,
+    expected_amount: line.expected,
+    match_type: line.matchType,
+    result: line.result,
+    raw: line.record,
+  };
+}
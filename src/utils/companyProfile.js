@@ -0,0 +1,72 @@
+// Company profile (name, logo, contact details, invoice texts) from the
+// company_settings row. Read once per page load and shared by the invoice and
+// carton label renderers; the Settings page refreshes it after saving.
+
+import { supabase } from "createClient";
+
+// used until the settings row has loaded (or if it can't be read)
+export const DEFAULT_COMPANY_PROFILE = {
+  name: "Brand Bazaar BD",
+  logoUrl:
+    "https://wujdkjvthzqnzbbczykd.supabase.co/storage/v1/object/public/assets/reactlogo.png",
+  address: "Motijheel, Dhaka, Bangladesh",
+  warehouseAddress: "",
+  phone: "+8801711276418",
+  altPhone: "",
+  email: "",
+  website: "",
+  bin: "",
+  tin: "",
+  invoiceFooter: "Thank you for your business!",
+  invoiceTerms: "",
+  minMarginPercent: 10,
+  marginGuard: "warn",
+  autoCartonPolicy: "fifo",
+};
+
+export function toCompanyProfile(row) {
+  if (!row) return DEFAULT_COMPANY_PROFILE;
+  return {
+    name: row.company_name || DEFAULT_COMPANY_PROFILE.name,
+    logoUrl: row.logo_url || "",
+    address: row.address || "",
+    warehouseAddress: row.warehouse_address || "",
+    phone: row.phone || "",
+    altPhone: row.alt_phone || "",
+    email: row.email || "",
+    website: row.website || "",
+    bin: row.bin || "",
+    tin: row.tin || "",
+    invoiceFooter: row.invoice_footer || "",
+    invoiceTerms: row.invoice_terms || "",
+    minMarginPercent:
+      row.min_margin_percent == null ? null : Number(row.min_margin_percent),
+    marginGuard: row.margin_guard || "warn",
+    autoCartonPolicy: row.auto_carton_policy || "fifo",
+  };
+}
+
+let cachedProfile = null;
+
+export async function fetchCompanyProfile({ refresh = false } = {}) {
+  if (cachedProfile && !refresh) return cachedProfile;
+
+  const { data, error } = await supabase
+    .from("company_settings")
+    .select("*")
+    .eq("id", 1)
+    .maybeSingle();
+
+  if (error) {
+    console.error("Supabase error (company_settings):", error);
+    return cachedProfile || DEFAULT_COMPANY_PROFILE;
+  }
+
+  cachedProfile = toCompanyProfile(data);
+  return cachedProfile;
+}
+
+// "+8801..., +8801..." for one-line contact blocks
+export function getCompanyPhones(profile) {
+  return [profile.phone, profile.altPhone].filter(Boolean).join(", ");
+}
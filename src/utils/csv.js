@@ -0,0 +1,67 @@
+// Minimal CSV reader for imported reports (courier settlements). Handles
+// quoted fields with commas, doubled quotes and line breaks, CRLF line ends,
+// a UTF-8 BOM and ";" as the separator (Excel in some locales).
+
+function detectSeparator(firstLine) {
+  const commas = (firstLine.match(/,/g) || []).length;
+  const semicolons = (firstLine.match(/;/g) || []).length;
+  return semicolons > commas ? ";" : ",";
+}
+
+// text -> array of rows (arrays of trimmed strings); blank lines are skipped
+export function parseCsv(text) {
+  const input = String(text || "").replace(/^\uFEFF/, "");
+  const separator = detectSeparator(input.split(/\r?\n/, 1)[0] || "");
+
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  const endField = () => {
+    row.push(field.trim());
+    field = "";
+  };
+  const endRow = () => {
+    endField();
+    if (row.some((cell) => cell !== "")) rows.push(row);
+    row = [];
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+
+    if (inQuotes) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === separator) {
+      endField();
+    } else if (ch === "\n") {
+      endRow();
+    } else if (ch !== "\r") {
+      field += ch;
+    }
+  }
+  if (field !== "" || row.length) endRow();
+
+  return rows;
+}
+
+// first row as headers -> { headers, records: [{ header: value }] }
+export function parseCsvWithHeaders(text) {
+  const [headers = [], ...rows] = parseCsv(text);
+  return {
+    headers,
+    records: rows.map((cells) =>
+      Object.fromEntries(headers.map((h, idx) => [h, cells[idx] ?? ""]))
+    ),
+  };
+}
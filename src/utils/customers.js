@@ -0,0 +1,39 @@
+// Customer helpers. normalizePhone mirrors normalize_bd_phone() in
+// supabase/migrations/20261019096000_customers.sql, which de-duplicates
+// customers by phone.
+
+// "+880 1711-000000", "8801711000000", "01711000000" -> "01711000000"
+export function normalizePhone(phone) {
+  const digits = String(phone || "").replace(/\D/g, "");
+  if (!digits) return null;
+  if (digits.startsWith("880") && digits.length === 13) {
+    return "0" + digits.slice(3);
+  }
+  if (digits.startsWith("1") && digits.length === 10) return "0" + digits;
+  return digits;
+}
+
+export function findCustomerByPhone(customers, phone) {
+  const normalized = normalizePhone(phone);
+  if (!normalized) return null;
+  return (customers || []).find((c) => c.phone_normalized === normalized) || null;
+}
+
+// name / phone / email search used by the customer list and picker
+export function customerMatches(customer, term) {
+  const t = String(term || "").trim().toLowerCase();
+  if (!t) return true;
+  const phoneTerm = normalizePhone(t);
+  return (
+    customer.name?.toLowerCase().includes(t) ||
+    customer.email?.toLowerCase().includes(t) ||
+    customer.address?.toLowerCase().includes(t) ||
+    customer.phone?.toLowerCase().includes(t) ||
+    (phoneTerm != null && customer.phone_normalized?.includes(phoneTerm))
+  );
+}
+
+export function formatCustomerLabel(customer) {
+  if (!customer) return "";
+  return customer.phone ? `${customer.name} (${customer.phone})` : customer.name;
+}
@@ -0,0 +1,117 @@
+// Shared cache for the lists several views load (products, suppliers,
+// cartons; see catalog.js). A key is fetched once however many components
+// ask for it at the same time, and every view reads the same copy, so
+// moving between pages doesn't refetch and a change made on one page shows
+// on the others. Views write through setData (same shape as a state setter)
+// after saving; invalidateCached() reloads a key whose rows changed on the
+// server in ways the view can't patch itself.
+
+import { useCallback, useEffect, useState } from "react";
+
+// a key used again after this long is reloaded in the background
+const MAX_AGE_MS = 5 * 60 * 1000;
+
+// key -> { data, error, loader, promise, loadedAt, listeners }
+const entries = new Map();
+
+function getEntry(key) {
+  if (!entries.has(key)) {
+    entries.set(key, {
+      data: undefined,
+      error: null,
+      loader: null,
+      promise: null,
+      loadedAt: 0,
+      listeners: new Set(),
+    });
+  }
+  return entries.get(key);
+}
+
+const notify = (entry) => entry.listeners.forEach((listener) => listener());
+
+// key's data, loading it with loader() unless a fresh copy is cached;
+// concurrent calls share one request
+export function loadCached(key, loader, { refresh = false } = {}) {
+  const entry = getEntry(key);
+  if (loader) entry.loader = loader;
+
+  const fresh =
+    entry.data !== undefined && Date.now() - entry.loadedAt < MAX_AGE_MS;
+  if (fresh && !refresh) return Promise.resolve(entry.data);
+  if (entry.promise) return entry.promise;
+
+  entry.promise = entry
+    .loader()
+    .then((data) => {
+      entry.data = data;
+      entry.error = null;
+      entry.loadedAt = Date.now();
+      return data;
+    })
+    .catch((err) => {
+      entry.error = err;
+      throw err;
+    })
+    .finally(() => {
+      entry.promise = null;
+      notify(entry);
+    });
+  return entry.promise;
+}
+
+export function getCachedData(key) {
+  return entries.get(key)?.data;
+}
+
+// replace key's data (value or updater(prev)); ignored until it has loaded
+export function setCachedData(key, updater) {
+  const entry = getEntry(key);
+  if (entry.data === undefined) return;
+  entry.data = typeof updater === "function" ? updater(entry.data) : updater;
+  notify(entry);
+}
+
+// mark key stale: reloaded now if a view shows it, otherwise on next use
+export function invalidateCached(key) {
+  const entry = getEntry(key);
+  entry.loadedAt = 0;
+  if (entry.listeners.size > 0 && entry.loader) {
+    loadCached(key).catch((err) =>
+      console.error(`Failed to reload ${key}:`, err)
+    );
+  }
+}
+
+// { data, loading, error, setData, reload } for a cached key; loader should
+// be a module-level function (it is an effect dependency)
+export function useCachedData(key, loader) {
+  const [, setVersion] = useState(0);
+
+  useEffect(() => {
+    const entry = getEntry(key);
+    const listener = () => setVersion((v) => v + 1);
+    entry.listeners.add(listener);
+    loadCached(key, loader).catch((err) =>
+      console.error(`Failed to load ${key}:`, err)
+    );
+    return () => {
+      entry.listeners.delete(listener);
+    };
+  }, [key, loader]);
+
+  const setData = useCallback((updater) => setCachedData(key, updater), [key]);
+  const reload = useCallback(
+    () => loadCached(key, loader, { refresh: true }),
+    [key, loader]
+  );
+
+  const entry = getEntry(key);
+  return {
+    data: entry.data,
+    loading: entry.data === undefined && !entry.error,
+    error: entry.error ? entry.error.message || `Failed to load ${key}.` : "",
+    setData,
+    reload,
+  };
+}
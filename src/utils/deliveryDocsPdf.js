@@ -0,0 +1,304 @@
+// Unpriced warehouse documents for an order, as A4 PDFs in the invoice's
+// page layout:
+//   - delivery challan: what goes on the truck (carton IDs, loose units and
+//     the carton they are taken from), signed by receiver and driver
+//   - packing slip: one row per carton to pick, with the carton's QR code
+//     (same code as its label) and a tick box for the packer
+//
+// Both list what was dispatched, so later returns don't change them.
+
+import { jsPDF } from "jspdf";
+import autoTable from "jspdf-autotable";
+
+import {
+  FOOTER_HEIGHT,
+  HEADER_HEIGHT,
+  PAGE_MARGIN,
+  drawPageFooter,
+  drawPageHeader,
+  loadImageDataUrl,
+} from "./invoicePdf";
+import { getChallanLabel, getInvoiceLabel } from "./invoiceNumber";
+import { getCartonQrDataUrl } from "./cartonQr";
+
+const QR_SIZE = 18; // mm, packing slip
+
+// Order lines as dispatch lines: full cartons by ID, loose units with the
+// carton they come out of.
+export function getDispatchLines(items, products) {
+  return (items || [])
+    .filter((it) => Number(it.quantity || 0) > 0)
+    .map((it) => ({
+      productName:
+        products.find((p) => p.id === it.product_id)?.name ||
+        "Unknown Product",
+      mode: it.mode === "loose" ? "loose" : "carton",
+      cartonId: it.carton_id || null,
+      units: Number(it.quantity || 0),
+    }));
+}
+
+function summarizeDispatch(lines) {
+  const fullCartons = lines.filter((l) => l.mode === "carton");
+  const loose = lines.filter((l) => l.mode === "loose");
+  const looseUnits = loose.reduce((sum, l) => sum + l.units, 0);
+  const totalUnits = lines.reduce((sum, l) => sum + l.units, 0);
+
+  return [
+    `Full cartons: ${fullCartons.length}${
+      fullCartons.length
+        ? ` (#${fullCartons.map((l) => l.cartonId).join(", #")})`
+        : ""
+    }`,
+    `Loose units: ${looseUnits}${
+      loose.length
+        ? ` (from #${[...new Set(loose.map((l) => l.cartonId))].join(", #")})`
+        : ""
+    }`,
+    `Total units: ${totalUnits}`,
+  ];
+}
+
+// "Bill To" style block + document details; returns the y below it
+function drawOrderBlock(doc, order, company, details) {
+  const pageWidth = doc.internal.pageSize.getWidth();
+  let y = HEADER_HEIGHT + 6;
+
+  doc.setTextColor(17, 17, 17);
+  doc.setFont("helvetica", "bold");
+  doc.setFontSize(11);
+  doc.text("Deliver To:", PAGE_MARGIN, y);
+  doc.text("Details:", pageWidth / 2 + 10, y);
+
+  doc.setFont("helvetica", "normal");
+  doc.setFontSize(10);
+
+  const deliverTo = [
+    order.customer_name,
+    order.customer_phone && `Phone: ${order.customer_phone}`,
+    order.delivery_address && `Address: ${order.delivery_address}`,
+  ]
+    .filter(Boolean)
+    .flatMap((line) => doc.splitTextToSize(String(line), pageWidth / 2 - 20));
+
+  const detailLines = [
+    ...details,
+    company.warehouseAddress && `Dispatched from: ${company.warehouseAddress}`,
+  ]
+    .filter(Boolean)
+    .flatMap((line) => doc.splitTextToSize(String(line), pageWidth / 2 - 24));
+
+  doc.text(deliverTo, PAGE_MARGIN, y + 6);
+  doc.text(detailLines, pageWidth / 2 + 10, y + 6);
+
+  const lineHeight = doc.getLineHeight() / doc.internal.scaleFactor;
+  return y + 6 + Math.max(deliverTo.length, detailLines.length) * lineHeight + 4;
+}
+
+// signature boxes in one row, on a new page if they don't fit
+function drawSignatures(doc, startY, labels) {
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const blockHeight = 30;
+
+  let y = startY + 18;
+  if (y + blockHeight > pageHeight - FOOTER_HEIGHT - 4) {
+    doc.addPage();
+    y = HEADER_HEIGHT + 24;
+  }
+
+  const gap = 10;
+  const width =
+    (pageWidth - PAGE_MARGIN * 2 - gap * (labels.length - 1)) / labels.length;
+
+  doc.setDrawColor(0, 0, 0);
+  doc.setLineWidth(0.3);
+  doc.setTextColor(17, 17, 17);
+  labels.forEach((label, idx) => {
+    const x = PAGE_MARGIN + idx * (width + gap);
+    doc.line(x, y, x + width, y);
+    doc.setFont("helvetica", "bold");
+    doc.setFontSize(9);
+    doc.text(label, x, y + 5);
+    doc.setFont("helvetica", "normal");
+    doc.text("Name:", x, y + 12);
+    doc.text("Date:", x, y + 19);
+  });
+}
+
+function documentDetails(order, title) {
+  return [
+    `${title} No: ${getChallanLabel(order)}`,
+    `Order ID: #${order.id}`,
+    order.invoice_number && `Invoice No: ${getInvoiceLabel(order)}`,
+    `Date: ${new Date().toLocaleDateString()}`,
+  ].filter(Boolean);
+}
+
+async function finishDocument(doc, company, title) {
+  const logoDataUrl = await loadImageDataUrl(company.logoUrl);
+  const pageCount = doc.getNumberOfPages();
+  for (let i = 1; i <= pageCount; i++) {
+    doc.setPage(i);
+    drawPageHeader(doc, company, logoDataUrl, title);
+    drawPageFooter(doc, company, i, pageCount);
+  }
+  return doc.output("blob");
+}
+
+const tableMargin = {
+  top: HEADER_HEIGHT + 4,
+  bottom: FOOTER_HEIGHT + 4,
+  left: PAGE_MARGIN,
+  right: PAGE_MARGIN,
+};
+
+// Delivery challan as a Blob (application/pdf).
+//   company: profile from fetchCompanyProfile() (utils/companyProfile.js)
+export async function generateDeliveryChallanPdf(order, items, products, company) {
+  const doc = new jsPDF({ unit: "mm", format: "a4" });
+  const lines = getDispatchLines(items, products);
+
+  const y = drawOrderBlock(doc, order, company, documentDetails(order, "Challan"));
+
+  autoTable(doc, {
+    startY: y,
+    margin: tableMargin,
+    head: [["#", "Product", "Type", "Carton", "Units"]],
+    body: lines.map((l, idx) => [
+      idx + 1,
+      l.productName,
+      l.mode === "loose" ? "Loose" : "Full carton",
+      l.cartonId
+        ? l.mode === "loose"
+          ? `from #${l.cartonId}`
+          : `#${l.cartonId}`
+        : "-",
+      l.units,
+    ]),
+    showHead: "everyPage",
+    theme: "striped",
+    headStyles: { fillColor: [51, 51, 51] },
+    styles: { fontSize: 9, cellPadding: 2, overflow: "linebreak" },
+    columnStyles: {
+      0: { cellWidth: 10 },
+      2: { cellWidth: 26 },
+      3: { cellWidth: 28 },
+      4: { cellWidth: 18, halign: "right" },
+    },
+  });
+
+  doc.setTextColor(17, 17, 17);
+  doc.setFont("helvetica", "normal");
+  doc.setFontSize(10);
+  const summary = summarizeDispatch(lines);
+  const summaryY = doc.lastAutoTable.finalY + 8;
+  doc.text(summary, PAGE_MARGIN, summaryY);
+
+  const lineHeight = doc.getLineHeight() / doc.internal.scaleFactor;
+  drawSignatures(doc, summaryY + summary.length * lineHeight, [
+    "Receiver's Signature",
+    "Driver's Signature",
+    "Authorised Signature",
+  ]);
+
+  return finishDocument(doc, company, "DELIVERY CHALLAN");
+}
+
+// Packing slip as a Blob (application/pdf), one QR per carton row.
+export async function generatePackingSlipPdf(order, items, products, company) {
+  const doc = new jsPDF({ unit: "mm", format: "a4" });
+  const lines = getDispatchLines(items, products);
+
+  const qrByCarton = {};
+  await Promise.all(
+    [...new Set(lines.map((l) => l.cartonId).filter(Boolean))].map(
+      async (cartonId) => {
+        qrByCarton[cartonId] = await getCartonQrDataUrl(cartonId, 120);
+      }
+    )
+  );
+
+  const y = drawOrderBlock(
+    doc,
+    order,
+    company,
+    documentDetails(order, "Packing Slip")
+  );
+
+  autoTable(doc, {
+    startY: y,
+    margin: tableMargin,
+    head: [["QR", "Carton", "Product", "Pick", "Units", "Packed"]],
+    body: lines.map((l) => [
+      "",
+      l.cartonId ? `#${l.cartonId}` : "-",
+      l.productName,
+      l.mode === "loose"
+        ? `${l.units} loose units out of carton #${l.cartonId}`
+        : "Whole carton (unopened)",
+      l.units,
+      "",
+    ]),
+    showHead: "everyPage",
+    theme: "grid",
+    headStyles: { fillColor: [51, 51, 51] },
+    styles: {
+      fontSize: 9,
+      cellPadding: 2,
+      overflow: "linebreak",
+      valign: "middle",
+      minCellHeight: QR_SIZE + 2,
+    },
+    columnStyles: {
+      0: { cellWidth: QR_SIZE + 4 },
+      1: { cellWidth: 20 },
+      3: { cellWidth: 48 },
+      4: { cellWidth: 16, halign: "right" },
+      5: { cellWidth: 18 },
+    },
+    didDrawCell: (data) => {
+      if (data.section !== "body") return;
+      const line = lines[data.row.index];
+      if (data.column.index === 0 && qrByCarton[line?.cartonId]) {
+        doc.addImage(
+          qrByCarton[line.cartonId],
+          "PNG",
+          data.cell.x + 2,
+          data.cell.y + (data.cell.height - QR_SIZE) / 2,
+          QR_SIZE,
+          QR_SIZE,
+          `qr-carton-${line.cartonId}`,
+          "FAST"
+        );
+      }
+      if (data.column.index === 5) {
+        // tick box
+        doc.setDrawColor(0, 0, 0);
+        doc.setLineWidth(0.3);
+        doc.rect(
+          data.cell.x + (data.cell.width - 6) / 2,
+          data.cell.y + (data.cell.height - 6) / 2,
+          6,
+          6
+        );
+      }
+    },
+  });
+
+  doc.setTextColor(17, 17, 17);
+  doc.setFont("helvetica", "normal");
+  doc.setFontSize(10);
+  const summary = summarizeDispatch(lines);
+  const summaryY = doc.lastAutoTable.finalY + 8;
+  doc.text(summary, PAGE_MARGIN, summaryY);
+
+  const lineHeight = doc.getLineHeight() / doc.internal.scaleFactor;
+  drawSignatures(doc, summaryY + summary.length * lineHeight, [
+    "Packed By",
+    "Driver's Signature",
+    "Receiver's Signature",
+  ]);
+
+  return finishDocument(doc, company, "PACKING SLIP");
+}
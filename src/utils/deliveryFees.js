@@ -0,0 +1,212 @@
+// Delivery zones and the fee they suggest for an order. The rules live in
+// the delivery_zones table (edited from the Settings page); see
+// supabase/migrations/20261019105000_delivery_zones.sql. The server works the
+// suggestion out again from the saved lines; an order charged something else
+// needs a reason, which the server logs.
+
+import { supabase } from "createClient";
+
+export const EMPTY_ZONE = {
+  name: "",
+  keywords: "",
+  base_fee: "0",
+  included_kg: "",
+  per_kg_fee: "0",
+  per_package_fee: "0",
+  free_shipping_min: "",
+  sort_order: "0",
+  is_default: false,
+  active: true,
+};
+
+export async function fetchDeliveryZones() {
+  const { data, error } = await supabase
+    .from("delivery_zones")
+    .select("*")
+    .order("sort_order")
+    .order("id");
+
+  if (error) {
+    console.error("Supabase error (delivery_zones):", error);
+    return [];
+  }
+  return data || [];
+}
+
+const round2 = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+// keywords are matched as whole words, so "uttara" doesn't match "uttarakhand"
+const addressHasKeyword = (address, keyword) => {
+  const word = String(keyword || "")
+    .trim()
+    .toLowerCase();
+  if (!word) return false;
+  const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(`(^|[^a-z0-9])${escaped}([^a-z0-9]|$)`).test(
+    String(address || "").toLowerCase()
+  );
+};
+
+export const getDefaultZone = (zones) =>
+  (zones || []).find((z) => z.active && z.is_default) || null;
+
+// First active zone (by sort_order) with a keyword in the address, else the
+// default zone.
+export function matchZoneByAddress(zones, address) {
+  const active = (zones || []).filter((z) => z.active);
+  return (
+    active.find((z) =>
+      (z.keywords || []).some((k) => addressHasKeyword(address, k))
+    ) || getDefaultZone(zones)
+  );
+}
+
+// Weight and package count of the order editor's rows.
+//   a full carton is one package; loose units together make one more; an
+//   auto row counts the lines it's planned into (autoPlans, from
+//   planAutoLines()), or as many cartons as it needs (units_per_carton each)
+//   while it has no plan
+// Returns { weightKg, packages, missingWeight } where missingWeight counts
+// the products without a unit weight (they add nothing to weightKg).
+export function getShipmentMetrics(rows, products, autoPlans = null) {
+  let weightKg = 0;
+  let cartonPackages = 0;
+  let hasLoose = false;
+  const missing = new Set();
+
+  (rows || []).forEach((r) => {
+    const qty = Number(r.quantity || 0);
+    if (!r.product_id || qty <= 0) return;
+
+    const product = (products || []).find((p) => p.id === r.product_id);
+    const unitWeight = Number(product?.unit_weight_kg || 0);
+    if (unitWeight > 0) {
+      weightKg += unitWeight * qty;
+    } else {
+      missing.add(r.product_id);
+    }
+
+    const picks = r.mode === "auto" && autoPlans?.get(r)?.selection?.picks;
+    if (r.mode === "loose") {
+      hasLoose = true;
+    } else if (picks) {
+      picks.forEach((pick) => {
+        if (pick.mode === "loose") hasLoose = true;
+        else cartonPackages += 1;
+      });
+    } else if (r.mode === "auto") {
+      const perCarton = Number(product?.units_per_carton || 0);
+      cartonPackages += perCarton > 0 ? Math.ceil(qty / perCarton) : 1;
+    } else {
+      cartonPackages += 1;
+    }
+  });
+
+  return {
+    weightKg: round2(weightKg),
+    packages: cartonPackages + (hasLoose ? 1 : 0),
+    missingWeight: missing.size,
+  };
+}
+
+// Fee a zone charges for a shipment.
+//   orderValue: goods after discounts, with VAT (for free shipping)
+// Returns { fee, baseFee, weightFee, packageFee, freeShipping }.
+export function calcDeliveryFee(
+  zone,
+  { weightKg = 0, packages = 0, orderValue = 0 } = {}
+) {
+  if (!zone) {
+    return {
+      fee: 0,
+      baseFee: 0,
+      weightFee: 0,
+      packageFee: 0,
+      freeShipping: false,
+    };
+  }
+
+  const baseFee = Number(zone.base_fee || 0);
+
+  // no included_kg = the zone doesn't charge by weight
+  const extraKg =
+    zone.included_kg == null
+      ? 0
+      : Math.max(0, Math.ceil(weightKg - Number(zone.included_kg)));
+  const weightFee = extraKg * Number(zone.per_kg_fee || 0);
+
+  const packageFee =
+    Math.max(0, packages - 1) * Number(zone.per_package_fee || 0);
+
+  const freeShipping =
+    zone.free_shipping_min != null &&
+    orderValue > 0 &&
+    orderValue >= Number(zone.free_shipping_min);
+
+  return {
+    fee: freeShipping ? 0 : round2(baseFee + weightFee + packageFee),
+    baseFee,
+    weightFee: round2(weightFee),
+    packageFee: round2(packageFee),
+    freeShipping,
+  };
+}
+
+// Suggested delivery charge for an order form.
+//   form: { address, deliveryZoneId } ("" zone = from the address)
+//   rows: the editor's rows (before auto rows are expanded)
+//   orderValue: see calcDeliveryFee
+//   autoPlans: see getShipmentMetrics
+// Returns { zone, fromAddress, metrics, ...calcDeliveryFee() }, or null when
+// no zone applies (no zones set up, or no default zone and no match).
+export function suggestDeliveryFee(
+  zones,
+  form,
+  rows,
+  { products, orderValue, autoPlans }
+) {
+  const chosenId = Number(form.deliveryZoneId || 0);
+  const zone = chosenId
+    ? (zones || []).find((z) => z.id === chosenId)
+    : matchZoneByAddress(zones, form.address);
+  if (!zone) return null;
+
+  const metrics = getShipmentMetrics(rows, products, autoPlans);
+  return {
+    zone,
+    fromAddress: !chosenId,
+    metrics,
+    ...calcDeliveryFee(zone, { ...metrics, orderValue }),
+  };
+}
+
+export const isFeeOverridden = (form, suggestion) =>
+  !!suggestion && round2(form.deliveryFee) !== suggestion.fee;
+
+// Validation message for the delivery charge, or null.
+//   previousFee: the stored charge when editing (kept as is = no reason needed)
+export function getDeliveryFeeError(form, suggestion, previousFee = null) {
+  if (Number(form.deliveryFee || 0) < 0) {
+    return "Delivery charge can't be negative.";
+  }
+  const unchanged =
+    previousFee != null && round2(form.deliveryFee) === round2(previousFee);
+  if (
+    isFeeOverridden(form, suggestion) &&
+    !unchanged &&
+    !String(form.deliveryFeeReason || "").trim()
+  ) {
+    return "Give a reason for changing the suggested delivery charge.";
+  }
+  return null;
+}
+
+// create_order / update_order fields for the delivery rule
+export function buildDeliveryFeePayload(form, suggestion) {
+  return {
+    delivery_zone_id: suggestion?.zone?.id || null,
+    delivery_fee_reason: isFeeOverridden(form, suggestion)
+      ? String(form.deliveryFeeReason || "").trim() || null
+      : null,
+  };
+}
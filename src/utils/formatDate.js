@@ -23,3 +23,12 @@ export function formatDate(dateString) {
 
   return `${day}${suffix} ${month} ${year}, ${hours}:${minutes}${ampm}`;
 }
+
+// today (or `daysAhead` days from today) as "YYYY-MM-DD" in local time
+// (for date inputs)
+export function todayForDateInput(daysAhead = 0) {
+  const now = new Date();
+  now.setDate(now.getDate() + daysAhead);
+  const tzOffset = now.getTimezoneOffset() * 60000;
+  return new Date(now.getTime() - tzOffset).toISOString().slice(0, 10);
+}
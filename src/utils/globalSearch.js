@@ -0,0 +1,128 @@
+// Navbar search across orders, customers, cartons, products and suppliers
+// (global_search() in 20261019110000_global_search.sql). Each result links
+// to its record: customers have their own page, everything else opens in
+// its view's edit modal through ?open=<id> (see useOpenFromQuery below).
+
+import { useEffect, useRef } from "react";
+import { useHistory, useLocation } from "react-router-dom";
+import { supabase } from "createClient";
+
+// result groups in display order (icons as in the sidebar)
+export const SEARCH_GROUPS = [
+  {
+    key: "orders",
+    title: "Orders",
+    icon: "nc-icon nc-badge",
+    link: (r) => `/admin/orders?open=${r.id}`,
+    label: (r) => `#${r.id}${r.invoice_number ? ` · ${r.invoice_number}` : ""}`,
+    detail: (r) =>
+      [r.customer_name, r.customer_phone, r.status].filter(Boolean).join(" · "),
+  },
+  {
+    key: "customers",
+    title: "Customers",
+    icon: "nc-icon nc-single-02",
+    link: (r) => `/admin/customers/${r.id}`,
+    label: (r) => r.name,
+    detail: (r) => r.phone || "",
+  },
+  {
+    key: "cartons",
+    title: "Cartons",
+    icon: "nc-icon nc-app",
+    link: (r) => `/admin/inventory?open=${r.id}`,
+    label: (r) => `Carton #${r.id}`,
+    detail: (r) =>
+      [
+        r.product_name,
+        r.status,
+        r.units_remaining != null && `${r.units_remaining} units`,
+      ]
+        .filter(Boolean)
+        .join(" · "),
+  },
+  {
+    key: "products",
+    title: "Products",
+    icon: "nc-icon nc-single-copy-04",
+    link: (r) => `/admin/products?open=${r.id}`,
+    label: (r) => r.name,
+    detail: (r) => (r.sku ? `SKU ${r.sku}` : ""),
+  },
+  {
+    key: "suppliers",
+    title: "Suppliers",
+    icon: "nc-icon nc-delivery-fast",
+    link: (r) => `/admin/supplier?open=${r.id}`,
+    label: (r) => r.organization_name || r.contact_name,
+    detail: (r) =>
+      [r.organization_name && r.contact_name, r.phone]
+        .filter(Boolean)
+        .join(" · "),
+  },
+];
+
+export async function searchEverything(term, limit = 5) {
+  const { data, error } = await supabase.rpc("global_search", {
+    p_query: term,
+    p_limit: limit,
+  });
+
+  if (error) {
+    console.error("Supabase global_search error:", error);
+    throw new Error(error.message || "Search failed.");
+  }
+  return data || {};
+}
+
+// Opens the record a search result points at (?open=<id>) once it is
+// available, then drops the parameter so closing the modal doesn't reopen
+// it. records: what the view has loaded; fetchRecord(id) (optional) loads
+// one the view doesn't hold (e.g. an order on another page).
+export function useOpenFromQuery(records, open, fetchRecord = null) {
+  const location = useLocation();
+  const history = useHistory();
+  const openId = new URLSearchParams(location.search).get("open");
+
+  // latest callbacks without re-running the effect on every render
+  const openRef = useRef(open);
+  const fetchRef = useRef(fetchRecord);
+  openRef.current = open;
+  fetchRef.current = fetchRecord;
+  const fetchingRef = useRef(null);
+
+  useEffect(() => {
+    if (!openId) return;
+
+    const clearParam = () => {
+      const params = new URLSearchParams(location.search);
+      params.delete("open");
+      const search = params.toString();
+      history.replace({
+        pathname: location.pathname,
+        search: search ? `?${search}` : "",
+      });
+    };
+
+    const record = (records || []).find((r) => String(r.id) === openId);
+    if (record) {
+      openRef.current(record);
+      clearParam();
+      return;
+    }
+
+    if (!fetchRef.current || fetchingRef.current === openId) return;
+    fetchingRef.current = openId;
+    Promise.resolve(fetchRef.current(openId))
+      .catch((err) => {
+        console.error("Failed to load record from search:", err);
+        return null;
+      })
+      .then((fetched) => {
+        fetchingRef.current = null;
+        if (fetched) openRef.current(fetched);
+        else alert(`Record #${openId} was not found.`);
+        clearParam();
+      });
+  }, [openId, records, history, location.pathname, location.search]);
+}
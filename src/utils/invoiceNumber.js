@@ -0,0 +1,52 @@
+// Invoice numbers (BBD/2026-27/000123) are issued by the
+// issue_invoice_number() RPC (admin, sales and warehouse staff) the first
+// time an order's invoice is generated after it has left Created; until then
+// the invoice is a draft.
+// Quotations are numbered QT-000123 by the database when they are created.
+
+// shipped / delivered orders get a number; Created (and Cancelled) orders
+// print a draft invoice and can still be deleted
+export function takesInvoiceNumber(order) {
+  return Boolean(order) && !["Created", "Cancelled"].includes(order.status);
+}
+
+// what to print / show for an order's invoice
+export function getInvoiceLabel(order) {
+  if (!order) return "";
+  return order.invoice_number || `Draft #${order.id}`;
+}
+
+// storage object name in the invoices bucket ("/" is a path separator there)
+export function getInvoiceFileName(order, extension = "pdf") {
+  const base = order.invoice_number
+    ? order.invoice_number.replace(/\//g, "-")
+    : String(order.id);
+  return `invoice_${base}.${extension}`;
+}
+
+export function getQuotationLabel(quotation) {
+  if (!quotation) return "";
+  return quotation.quote_number || `Quotation #${quotation.id}`;
+}
+
+export function getQuotationFileName(quotation) {
+  return `quotation_${getQuotationLabel(quotation).replace(/[/#\s]/g, "-")}.pdf`;
+}
+
+// delivery challans / packing slips are numbered after their order
+export function getChallanLabel(order) {
+  if (!order) return "";
+  return `DC-${String(order.id).padStart(6, "0")}`;
+}
+
+//   kind: "challan" | "packing_slip"
+export function getDeliveryDocFileName(order, kind) {
+  return `${kind}_${getChallanLabel(order)}.pdf`;
+}
+
+// one shipping label per courier booking
+export function getShippingLabelFileName(shipment) {
+  return `shipping_label_${shipment.courier}_${String(
+    shipment.consignment_id
+  ).replace(/[^\w-]/g, "-")}.pdf`;
+}
@@ -0,0 +1,391 @@
+// Invoice as a paginated A4 PDF (selectable text, for printing and
+// accounting). The items table repeats its header on every page and never
+// splits a line across pages (bulk orders run to hundreds of lines); the
+// company header and "Page x of y" footer are stamped on every page at the
+// end.
+//
+// The standard PDF fonts have no ৳ glyph, so amounts are printed as "Tk".
+//
+// The same layout prints quotations (kind: "quotation"): QUOTATION heading,
+// quote number and validity instead of the invoice/payment details.
+//
+// Disc / VAT columns only appear when some line has a discount or VAT, so
+// plain orders keep the simple layout.
+
+import { jsPDF } from "jspdf";
+import autoTable from "jspdf-autotable";
+
+import { getBalanceDue, getNetOrderAmount } from "./orderTotals";
+import { getInvoiceLabel, getQuotationLabel } from "./invoiceNumber";
+import { getCompanyPhones } from "./companyProfile";
+
+// page geometry and header/footer are shared with the delivery documents
+// (deliveryDocsPdf.js)
+export const PAGE_MARGIN = 14; // mm
+export const HEADER_HEIGHT = 30; // mm reserved at the top of every page
+export const FOOTER_HEIGHT = 14; // mm reserved at the bottom of every page
+
+export function formatTk(value) {
+  return `Tk ${Number(value || 0).toLocaleString("en-US", {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  })}`;
+}
+
+// logo as a data URL for addImage (null if it can't be fetched)
+export async function loadImageDataUrl(url) {
+  if (!url) return null;
+  try {
+    const res = await fetch(url);
+    if (!res.ok) return null;
+    const blob = await res.blob();
+    return await new Promise((resolve) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => resolve(null);
+      reader.readAsDataURL(blob);
+    });
+  } catch (e) {
+    console.warn("Failed to load invoice logo (ignored):", e);
+    return null;
+  }
+}
+
+export function drawPageHeader(doc, company, logoDataUrl, title) {
+  const pageWidth = doc.internal.pageSize.getWidth();
+  let textX = PAGE_MARGIN;
+
+  if (logoDataUrl) {
+    try {
+      doc.addImage(logoDataUrl, PAGE_MARGIN, 8, 16, 16);
+      textX += 20;
+    } catch (e) {
+      console.warn("Failed to draw invoice logo (ignored):", e);
+    }
+  }
+
+  doc.setTextColor(17, 17, 17);
+  doc.setFont("helvetica", "bold");
+  doc.setFontSize(16);
+  doc.text(company.name || "", textX, 15);
+
+  doc.setFont("helvetica", "normal");
+  doc.setFontSize(8.5);
+  if (company.address) doc.text(company.address, textX, 20);
+  const contact = [getCompanyPhones(company), company.email, company.website]
+    .filter(Boolean)
+    .join("  |  ");
+  if (contact) doc.text(contact, textX, 24);
+
+  doc.setFont("helvetica", "bold");
+  doc.setFontSize(18);
+  doc.text(title, pageWidth - PAGE_MARGIN, 15, { align: "right" });
+
+  const taxIds = [
+    company.bin && `BIN: ${company.bin}`,
+    company.tin && `TIN: ${company.tin}`,
+  ]
+    .filter(Boolean)
+    .join("  |  ");
+  if (taxIds) {
+    doc.setFont("helvetica", "normal");
+    doc.setFontSize(8.5);
+    doc.text(taxIds, pageWidth - PAGE_MARGIN, 24, { align: "right" });
+  }
+
+  doc.setDrawColor(0, 0, 0);
+  doc.setLineWidth(0.4);
+  doc.line(PAGE_MARGIN, 27, pageWidth - PAGE_MARGIN, 27);
+}
+
+export function drawPageFooter(doc, company, pageNo, pageCount) {
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const y = pageHeight - 8;
+
+  doc.setTextColor(100, 100, 100);
+  doc.setFont("helvetica", "normal");
+  doc.setFontSize(9);
+  if (company.invoiceFooter) {
+    // one line; the rest of the row holds the page number
+    const [footerLine] = doc.splitTextToSize(
+      company.invoiceFooter,
+      pageWidth - PAGE_MARGIN * 2 - 30
+    );
+    doc.text(footerLine, PAGE_MARGIN, y);
+  }
+  doc.text(`Page ${pageNo} of ${pageCount}`, pageWidth - PAGE_MARGIN, y, {
+    align: "right",
+  });
+}
+
+function drawCancelledStamp(doc) {
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+
+  doc.saveGraphicsState();
+  doc.setGState(new doc.GState({ opacity: 0.2 }));
+  doc.setTextColor(220, 53, 69);
+  doc.setFont("helvetica", "bold");
+  doc.setFontSize(80);
+  doc.text("CANCELLED", pageWidth / 2, pageHeight / 2, {
+    align: "center",
+    baseline: "middle",
+    angle: 25,
+  });
+  doc.restoreGraphicsState();
+}
+
+// Builds the invoice and returns it as a Blob (application/pdf).
+//   company: profile from fetchCompanyProfile() (utils/companyProfile.js)
+//   options.kind: "invoice" (default) or "quotation" (order = quotation row)
+export async function generateInvoicePdf(
+  order,
+  items,
+  products,
+  company,
+  { kind = "invoice" } = {}
+) {
+  const isQuotation = kind === "quotation";
+  const doc = new jsPDF({ unit: "mm", format: "a4" });
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const logoDataUrl = await loadImageDataUrl(company.logoUrl);
+
+  // ---------- invoice details + bill to (first page) ----------
+  let y = HEADER_HEIGHT + 6;
+
+  doc.setTextColor(17, 17, 17);
+  doc.setFont("helvetica", "bold");
+  doc.setFontSize(11);
+  doc.text("Bill To:", PAGE_MARGIN, y);
+  doc.text(
+    isQuotation ? "Quotation Details:" : "Invoice Details:",
+    pageWidth / 2 + 10,
+    y
+  );
+
+  doc.setFont("helvetica", "normal");
+  doc.setFontSize(10);
+
+  const billTo = [
+    order.customer_name,
+    order.customer_phone && `Phone: ${order.customer_phone}`,
+    order.customer_email && `Email: ${order.customer_email}`,
+    order.delivery_address && `Address: ${order.delivery_address}`,
+  ]
+    .filter(Boolean)
+    .flatMap((line) => doc.splitTextToSize(String(line), pageWidth / 2 - 20));
+
+  const validUntil =
+    order.valid_until && new Date(order.valid_until).toLocaleDateString();
+  const details = (
+    isQuotation
+      ? [
+          `Quotation No: ${getQuotationLabel(order)}`,
+          order.created_at &&
+            `Date: ${new Date(order.created_at).toLocaleDateString()}`,
+          validUntil && `Valid Until: ${validUntil}`,
+        ]
+      : [
+          `Invoice No: ${getInvoiceLabel(order)}`,
+          `Order ID: #${order.id}`,
+          order.created_at &&
+            `Date: ${new Date(order.created_at).toLocaleString()}`,
+          `Status: ${order.status || "Created"}`,
+          order.payment_status && `Payment: ${order.payment_status}`,
+        ]
+  ).filter(Boolean);
+
+  doc.text(billTo, PAGE_MARGIN, y + 6);
+  doc.text(details, pageWidth / 2 + 10, y + 6);
+
+  const lineHeight = doc.getLineHeight() / doc.internal.scaleFactor;
+  y += 6 + Math.max(billTo.length, details.length) * lineHeight + 4;
+
+  // ---------- items ----------
+  const showDiscount = (items || []).some(
+    (it) => Number(it.discount_amount || 0) > 0
+  );
+  const showVat = (items || []).some((it) => Number(it.vat_rate || 0) > 0);
+
+  const body = (items || []).map((item, idx) => {
+    const product = products.find((p) => p.id === item.product_id);
+    const productName = product?.name || "Unknown Product";
+    const returnedQty = Number(item.returned_quantity || 0);
+    const carton = item.carton_id
+      ? ` (${item.mode === "loose" ? "loose from" : "carton"} #${item.carton_id})`
+      : "";
+
+    const discount = Number(item.discount_amount || 0);
+    const discountLabel =
+      item.discount_type === "percent"
+        ? ` (${Number(item.discount_value || 0)}%)`
+        : "";
+
+    return [
+      idx + 1,
+      `${productName}${carton}${returnedQty ? `\nReturned: ${returnedQty}` : ""}`,
+      Number(item.quantity || 0),
+      formatTk(item.unit_price),
+      ...(showDiscount
+        ? [discount > 0 ? `- ${formatTk(discount)}${discountLabel}` : "-"]
+        : []),
+      ...(showVat
+        ? [
+            `${Number(item.vat_rate || 0)}%\n${formatTk(item.vat_amount)}`,
+          ]
+        : []),
+      formatTk(item.line_total),
+    ];
+  });
+
+  const head = [
+    "#",
+    "Product",
+    "Qty",
+    "Unit Price",
+    ...(showDiscount ? ["Discount"] : []),
+    ...(showVat ? ["VAT"] : []),
+    "Line Total",
+  ];
+  const amountColumns = {};
+  for (let col = 3; col < head.length; col++) {
+    amountColumns[col] = { cellWidth: col === 3 ? 26 : 28, halign: "right" };
+  }
+
+  const tableMargin = {
+    top: HEADER_HEIGHT + 4,
+    bottom: FOOTER_HEIGHT + 4,
+    left: PAGE_MARGIN,
+    right: PAGE_MARGIN,
+  };
+
+  autoTable(doc, {
+    startY: y,
+    margin: tableMargin,
+    head: [head],
+    body,
+    showHead: "everyPage",
+    rowPageBreak: "avoid",
+    theme: "striped",
+    headStyles: { fillColor: [51, 51, 51] },
+    styles: { fontSize: 9, cellPadding: 2, overflow: "linebreak" },
+    columnStyles: {
+      0: { cellWidth: 10 },
+      2: { cellWidth: 14, halign: "right" },
+      ...amountColumns,
+    },
+  });
+
+  // ---------- totals ----------
+  const subtotal = (items || []).reduce(
+    (sum, it) => sum + Number(it.line_total || 0),
+    0
+  );
+  const deliveryFee = Number(order.delivery_charge || 0);
+  const total = Number(order.total_amount ?? subtotal + deliveryFee);
+  const returnedAmount = Number(order.returned_amount || 0);
+  const amountPaid = Number(order.amount_paid || 0);
+  const lineDiscounts = (items || []).reduce(
+    (sum, it) => sum + Number(it.discount_amount || 0),
+    0
+  );
+  const orderDiscount = Number(order.discount_amount || 0);
+  const vatAmount = Number(order.vat_amount || 0);
+  const rounding = Number(order.rounding_adjustment || 0);
+
+  const totals = [["Subtotal", formatTk(subtotal)]];
+  if (lineDiscounts > 0) {
+    totals.push(["Line Discounts", `- ${formatTk(lineDiscounts)}`]);
+  }
+  if (orderDiscount > 0) {
+    const pct =
+      order.discount_type === "percent"
+        ? ` (${Number(order.discount_value || 0)}%)`
+        : "";
+    totals.push([`Order Discount${pct}`, `- ${formatTk(orderDiscount)}`]);
+  }
+  if (vatAmount > 0) totals.push(["VAT", formatTk(vatAmount)]);
+  totals.push(["Delivery", formatTk(deliveryFee)]);
+  if (rounding !== 0) totals.push(["Rounding", formatTk(rounding)]);
+  totals.push(["Total", formatTk(total)]);
+  if (returnedAmount > 0) {
+    totals.push(["Returned", `- ${formatTk(returnedAmount)}`]);
+    totals.push(["Net Total", formatTk(getNetOrderAmount(order))]);
+  }
+  if (amountPaid > 0) {
+    totals.push(["Paid", formatTk(amountPaid)]);
+    totals.push(["Balance Due", formatTk(getBalanceDue(order))]);
+  }
+
+  const totalsWidth = 80;
+  autoTable(doc, {
+    startY: doc.lastAutoTable.finalY + 4,
+    margin: { ...tableMargin, left: pageWidth - PAGE_MARGIN - totalsWidth },
+    tableWidth: totalsWidth,
+    body: totals,
+    theme: "plain",
+    rowPageBreak: "avoid",
+    styles: { fontSize: 10, cellPadding: 1.5 },
+    columnStyles: { 1: { halign: "right" } },
+    didParseCell: (data) => {
+      const label = data.row.raw[0];
+      if (["Total", "Net Total", "Balance Due"].includes(label)) {
+        data.cell.styles.fontStyle = "bold";
+      }
+    },
+  });
+
+  // free text below the totals, moved to a new page if it doesn't fit
+  const pageHeight = doc.internal.pageSize.getHeight();
+  let textY = doc.lastAutoTable.finalY + 8;
+  const writeBlock = (text, { bold = false, color = [17, 17, 17] } = {}) => {
+    doc.setFont("helvetica", bold ? "bold" : "normal");
+    doc.setFontSize(10);
+    const lines = doc.splitTextToSize(text, pageWidth - PAGE_MARGIN * 2);
+    if (textY + lines.length * lineHeight > pageHeight - FOOTER_HEIGHT - 4) {
+      doc.addPage();
+      textY = HEADER_HEIGHT + 6;
+    }
+    doc.setTextColor(...color);
+    doc.text(lines, PAGE_MARGIN, textY);
+    textY += lines.length * lineHeight + 2;
+  };
+
+  if (isQuotation) {
+    if (order.notes) writeBlock(order.notes);
+    writeBlock(
+      `This quotation is valid until ${
+        validUntil || "further notice"
+      }. Prices are confirmed and stock is reserved only when the order is placed.`,
+      { color: [80, 80, 80] }
+    );
+  }
+
+  // cancelled orders keep their invoice for the records, clearly stamped
+  if (order.status === "Cancelled" && order.cancel_reason) {
+    writeBlock(`Cancelled: ${order.cancel_reason}`, { color: [220, 53, 69] });
+  }
+
+  if (company.invoiceTerms) {
+    textY += 2;
+    writeBlock("Terms & Conditions", { bold: true });
+    writeBlock(company.invoiceTerms, { color: [80, 80, 80] });
+  }
+
+  // ---------- header / footer on every page ----------
+  const pageCount = doc.getNumberOfPages();
+  for (let i = 1; i <= pageCount; i++) {
+    doc.setPage(i);
+    drawPageHeader(
+      doc,
+      company,
+      logoDataUrl,
+      isQuotation ? "QUOTATION" : "INVOICE"
+    );
+    drawPageFooter(doc, company, i, pageCount);
+    if (order.status === "Cancelled") drawCancelledStamp(doc);
+  }
+
+  return doc.output("blob");
+}
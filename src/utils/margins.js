@@ -0,0 +1,74 @@
+// Margins of order lines against product cost, and the minimum-margin guard
+// from company settings. Mirrors order_margin_issues() / apply_margin_guard()
+// in supabase/migrations/20261019107000_margin_guard.sql: margin is measured
+// on the price after discounts, before VAT.
+
+export const MARGIN_GUARD_OPTIONS = [
+  { value: "warn", label: "Warn (only below-cost prices need approval)" },
+  { value: "block", label: "Block (prices below the minimum need approval)" },
+];
+
+// margin as a percentage of the selling amount (null when nothing is sold)
+export function calcMarginPercent(amount, cost) {
+  const sell = Number(amount || 0);
+  if (sell <= 0) return null;
+  return ((sell - Number(cost || 0)) / sell) * 100;
+}
+
+// Margins for computeOrderTotals() lines.
+//   getUnitCost(line): the line's cost per unit (null = unknown, not checked)
+//   settings: { minMarginPercent, marginGuard } (utils/companyProfile.js)
+// Returns { byUid: { [uid]: { cost, profit, marginPercent, belowCost,
+// belowMin } }, cost, profit, marginPercent, belowCost, belowMin,
+// needsApproval } where belowCost / belowMin count lines.
+export function getOrderMargins(lines, getUnitCost, settings = {}) {
+  const minMargin =
+    settings.minMarginPercent == null
+      ? null
+      : Number(settings.minMarginPercent);
+  const byUid = {};
+  let sell = 0;
+  let cost = 0;
+  let belowCost = 0;
+  let belowMin = 0;
+
+  (lines || []).forEach((line) => {
+    const qty = Number(line.quantity || 0);
+    const unitCost = line.product_id ? getUnitCost(line) : null;
+    if (qty <= 0 || unitCost == null) return;
+
+    const amount = Number(line.taxable_amount || 0);
+    const lineCost = Number(unitCost) * qty;
+    const marginPercent = calcMarginPercent(amount, lineCost);
+    const lineBelowCost = amount < lineCost;
+    const lineBelowMin =
+      minMargin != null && (marginPercent == null || marginPercent < minMargin);
+
+    byUid[line.uid] = {
+      cost: lineCost,
+      profit: amount - lineCost,
+      marginPercent,
+      belowCost: lineBelowCost,
+      belowMin: lineBelowMin,
+    };
+
+    sell += amount;
+    cost += lineCost;
+    if (lineBelowCost) belowCost += 1;
+    if (lineBelowMin) belowMin += 1;
+  });
+
+  return {
+    byUid,
+    cost,
+    profit: sell - cost,
+    marginPercent: calcMarginPercent(sell, cost),
+    belowCost,
+    belowMin,
+    needsApproval:
+      belowCost > 0 || (settings.marginGuard === "block" && belowMin > 0),
+  };
+}
+
+export const isMarginApprovalPending = (order) =>
+  order?.margin_approval_status === "pending";
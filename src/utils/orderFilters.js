@@ -0,0 +1,97 @@
+// Orders list filters, sorting and paging kept in the page URL
+// (/admin/orders?status=Created&from=2026-10-01&page=2&sort=total_amount&dir=asc)
+// so a filtered view can be bookmarked, shared and restored with Back.
+// The list itself comes from list_orders() (20261019109000_orders_list.sql).
+
+import { supabase } from "createClient";
+
+export const ORDERS_PER_PAGE = 25;
+
+export const EMPTY_ORDER_FILTERS = {
+  q: "",
+  status: "",
+  from: "", // yyyy-mm-dd (local)
+  to: "", // yyyy-mm-dd (local, inclusive)
+  customer: "",
+  phone: "",
+  product: "", // product id
+  carton: "", // carton id
+};
+
+// columns list_orders() can sort by
+export const ORDER_SORTS = [
+  "id",
+  "created_at",
+  "customer_name",
+  "status",
+  "total_amount",
+];
+
+// { filters, page (1-based), sort, ascending } from location.search
+export function parseOrderQuery(search) {
+  const params = new URLSearchParams(search);
+  const filters = {};
+  Object.keys(EMPTY_ORDER_FILTERS).forEach((key) => {
+    filters[key] = params.get(key) || "";
+  });
+  const sort = params.get("sort");
+  return {
+    filters,
+    page: Math.max(1, parseInt(params.get("page"), 10) || 1),
+    sort: ORDER_SORTS.includes(sort) ? sort : "id",
+    ascending: params.get("dir") === "asc",
+  };
+}
+
+// query string for a list state; defaults are left out to keep URLs short
+export function buildOrderQuery({ filters, page = 1, sort = "id", ascending }) {
+  const params = new URLSearchParams();
+  Object.keys(EMPTY_ORDER_FILTERS).forEach((key) => {
+    const value = String(filters?.[key] || "").trim();
+    if (value) params.set(key, value);
+  });
+  if (page > 1) params.set("page", String(page));
+  if (sort !== "id") params.set("sort", sort);
+  if (ascending) params.set("dir", "asc");
+  const query = params.toString();
+  return query ? `?${query}` : "";
+}
+
+export const hasOrderFilters = (filters) =>
+  Object.keys(EMPTY_ORDER_FILTERS).some((key) =>
+    String(filters?.[key] || "").trim()
+  );
+
+// local day -> timestamp (the day's start in the browser's time zone)
+const dayStart = (date, addDays = 0) => {
+  const d = new Date(`${date}T00:00:00`);
+  d.setDate(d.getDate() + addDays);
+  return d.toISOString();
+};
+
+// one page of orders (ORDER_SELECT shape) and the number of matches
+export async function fetchOrdersPage({ filters, page, sort, ascending }) {
+  const { data, error } = await supabase.rpc("list_orders", {
+    p_filters: {
+      q: filters.q || null,
+      status: filters.status || null,
+      from: filters.from ? dayStart(filters.from) : null,
+      to: filters.to ? dayStart(filters.to, 1) : null,
+      customer: filters.customer || null,
+      phone: filters.phone || null,
+      product_id: filters.product || null,
+      carton_id: filters.carton ? filters.carton.replace(/^#/, "") : null,
+    },
+    p_sort: sort,
+    p_ascending: ascending,
+    p_limit: ORDERS_PER_PAGE,
+    p_offset: (page - 1) * ORDERS_PER_PAGE,
+  });
+
+  if (error) {
+    console.error("Supabase list_orders error:", error);
+    throw new Error(error.message || "Failed to load orders.");
+  }
+
+  return { orders: data?.orders || [], total: Number(data?.total || 0) };
+}
@@ -0,0 +1,179 @@
+// Issuing an order's invoice: number it (first time only), render the PDF
+// and store it in the "invoices" bucket. Used wherever orders are written.
+// Quotation PDFs, the delivery challan / packing slip and courier shipping
+// labels are rendered and stored the same way.
+
+import { supabase } from "createClient";
+
+import { generateInvoicePdf } from "./invoicePdf";
+import { fetchCompanyProfile } from "./companyProfile";
+import {
+  generateDeliveryChallanPdf,
+  generatePackingSlipPdf,
+} from "./deliveryDocsPdf";
+import { generateShippingLabelPdf } from "./shippingLabelPdf";
+import {
+  getDeliveryDocFileName,
+  getInvoiceFileName,
+  getQuotationFileName,
+  getShippingLabelFileName,
+  takesInvoiceNumber,
+} from "./invoiceNumber";
+
+// order row + lines (with their unit_cost, which order_item_costs only
+// shows to roles that may see costs) + status history + payments +
+// shipments (same shape the order RPCs return)
+export const ORDER_SELECT =
+  "*, order_items(*, ...order_item_costs(unit_cost)), order_status_history(*), order_payments(*), shipments(*)";
+
+// quotation row + lines (same shape the quotation RPCs return)
+export const QUOTATION_SELECT = "*, quotation_items(*)";
+
+// upload to the invoices bucket; returns a cache-busted public URL
+async function uploadPdf(fileName, pdfBlob) {
+  const file = new File([pdfBlob], fileName, { type: "application/pdf" });
+
+  const { error: uploadError } = await supabase.storage
+    .from("invoices")
+    .upload(fileName, file, { upsert: true, contentType: "application/pdf" });
+
+  if (uploadError) {
+    console.error("Supabase upload error (invoice):", uploadError);
+    throw new Error(uploadError.message || "Failed to upload invoice.");
+  }
+
+  const { data: publicData } = await supabase.storage
+    .from("invoices")
+    .getPublicUrl(fileName);
+
+  const baseUrl = publicData?.publicUrl || null;
+  return baseUrl ? `${baseUrl}?v=${Date.now()}` : null;
+}
+
+// upload the invoice PDF & update orders.invoice_pdf_url; returns the order
+// (ORDER_SELECT shape)
+//   issueNumber: false for roles that can't number invoices (they get the
+//   draft until someone who moves orders along regenerates it)
+export async function createOrUpdateInvoice(
+  orderRow,
+  items,
+  products,
+  { issueNumber = true } = {}
+) {
+  // the first invoice of a shipped / delivered order takes the next number
+  if (issueNumber && !orderRow.invoice_number && takesInvoiceNumber(orderRow)) {
+    const { data: issued, error: issueError } = await supabase.rpc(
+      "issue_invoice_number",
+      { p_order_id: orderRow.id }
+    );
+    if (issueError) {
+      console.error("Supabase issue_invoice_number error:", issueError);
+      throw new Error(issueError.message || "Failed to issue invoice number.");
+    }
+    orderRow = issued;
+  }
+
+  const company = await fetchCompanyProfile();
+  const pdfBlob = await generateInvoicePdf(orderRow, items, products, company);
+  const invoiceUrl = await uploadPdf(
+    getInvoiceFileName(orderRow, "pdf"),
+    pdfBlob
+  );
+
+  const { data: finalOrder, error: finalUpdateError } = await supabase
+    .from("orders")
+    .update({ invoice_pdf_url: invoiceUrl })
+    .eq("id", orderRow.id)
+    .select(ORDER_SELECT)
+    .single();
+
+  if (finalUpdateError) {
+    console.error(
+      "Supabase final update error (invoice_pdf_url):",
+      finalUpdateError
+    );
+    throw new Error(finalUpdateError.message || "Failed to save invoice URL.");
+  }
+
+  return finalOrder;
+}
+
+// render + store a quotation PDF and save quotations.quotation_pdf_url;
+// returns the quotation (QUOTATION_SELECT shape)
+export async function createOrUpdateQuotationPdf(quotation, products) {
+  const company = await fetchCompanyProfile();
+  const items = [...(quotation.quotation_items || [])].sort(
+    (a, b) => Number(a.line_no || 0) - Number(b.line_no || 0)
+  );
+  const pdfBlob = await generateInvoicePdf(quotation, items, products, company, {
+    kind: "quotation",
+  });
+  const pdfUrl = await uploadPdf(getQuotationFileName(quotation), pdfBlob);
+
+  const { data, error } = await supabase
+    .from("quotations")
+    .update({ quotation_pdf_url: pdfUrl })
+    .eq("id", quotation.id)
+    .select(QUOTATION_SELECT)
+    .single();
+
+  if (error) {
+    console.error("Supabase update error (quotation_pdf_url):", error);
+    throw new Error(error.message || "Failed to save quotation PDF URL.");
+  }
+
+  return data;
+}
+
+// render + store the delivery challan and packing slip and save their URLs
+// on the order; returns the order (ORDER_SELECT shape)
+export async function createOrUpdateDeliveryDocs(orderRow, items, products) {
+  const company = await fetchCompanyProfile();
+
+  const [challanBlob, packingSlipBlob] = await Promise.all([
+    generateDeliveryChallanPdf(orderRow, items, products, company),
+    generatePackingSlipPdf(orderRow, items, products, company),
+  ]);
+  const [challanUrl, packingSlipUrl] = await Promise.all([
+    uploadPdf(getDeliveryDocFileName(orderRow, "challan"), challanBlob),
+    uploadPdf(getDeliveryDocFileName(orderRow, "packing_slip"), packingSlipBlob),
+  ]);
+
+  const { data, error } = await supabase
+    .from("orders")
+    .update({
+      challan_pdf_url: challanUrl,
+      packing_slip_pdf_url: packingSlipUrl,
+    })
+    .eq("id", orderRow.id)
+    .select(ORDER_SELECT)
+    .single();
+
+  if (error) {
+    console.error("Supabase update error (delivery documents):", error);
+    throw new Error(error.message || "Failed to save delivery documents.");
+  }
+
+  return data;
+}
+
+// render + store the shipping label of a courier booking and save
+// shipments.label_url (set_shipment_label, shipments are read-only here);
+// returns the shipment
+export async function createOrUpdateShippingLabel(orderRow, shipment) {
+  const company = await fetchCompanyProfile();
+  const pdfBlob = await generateShippingLabelPdf(orderRow, shipment, company);
+  const labelUrl = await uploadPdf(getShippingLabelFileName(shipment), pdfBlob);
+
+  const { data, error } = await supabase.rpc("set_shipment_label", {
+    p_shipment_id: shipment.id,
+    p_label_url: labelUrl,
+  });
+
+  if (error) {
+    console.error("Supabase rpc error (set_shipment_label):", error);
+    throw new Error(error.message || "Failed to save the shipping label.");
+  }
+
+  return data;
+}
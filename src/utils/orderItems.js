@@ -0,0 +1,364 @@
+import { computeOrderTotals } from "./orderTotals";
+
+// Order lines live in the order_items table; views load them embedded with
+// select("*, order_items(*, ...order_item_costs(unit_cost))"). Returns them
+// in line order.
+export function getOrderItems(order) {
+  const rows = Array.isArray(order?.order_items) ? order.order_items : [];
+  return [...rows].sort((a, b) => Number(a.line_no || 0) - Number(b.line_no || 0));
+}
+
+// ---------- editor rows -> order lines ----------
+//
+// Shared by the order and quotation forms (components/OrderItemsEditor.js).
+
+// unit-price helper usable everywhere
+export function getUnitPriceForProductFromList(products, productId) {
+  const p = products.find((x) => x.id === productId);
+  // adjust the key "unit_selling_price" if your column is named differently
+  return p?.unit_selling_price ? Number(p.unit_selling_price) : 0;
+}
+
+// how auto mode picks cartons (company_settings.auto_carton_policy)
+export const AUTO_CARTON_POLICIES = [
+  { value: "fifo", label: "FIFO (oldest received first)" },
+  { value: "fewest", label: "Fewest cartons (largest first)" },
+];
+
+const receivedTime = (c) =>
+  c.received_at ? new Date(c.received_at).getTime() : Infinity;
+
+const byPolicy = (policy) => (a, b) => {
+  if (policy === "fewest") {
+    const diff =
+      Number(b.units_remaining || 0) - Number(a.units_remaining || 0);
+    if (diff !== 0) return diff;
+  } else {
+    const diff = receivedTime(a) - receivedTime(b);
+    if (diff !== 0) return diff;
+  }
+  return a.id - b.id;
+};
+
+/**
+ * Plan an "Auto" line so it ships exactly desiredUnits:
+ * 1. sealed cartons go out whole while they fit in what is still needed
+ * 2. the rest is taken loose from cartons that are already open
+ * 3. anything still missing is taken loose from one more sealed carton,
+ *    which the order opens
+ *
+ * policy "fifo" works through cartons by received_at (oldest first);
+ * "fewest" takes the largest cartons first so fewer are touched.
+ *
+ * Input: the product's cartons (status = received, units_remaining > 0)
+ * Returns:
+ *   { picks: [{ carton, mode: "carton" | "loose", quantity }], totalUnits }
+ *   or null if there isn't enough stock
+ */
+export function selectCartonsForAuto(
+  cartonsForProduct,
+  desiredUnits,
+  policy = "fifo"
+) {
+  if (!Array.isArray(cartonsForProduct) || cartonsForProduct.length === 0) {
+    return null;
+  }
+
+  const desired = Number(desiredUnits || 0);
+  const available = cartonsForProduct.filter(
+    (c) => Number(c.units_remaining || 0) > 0
+  );
+  const totalAvailable = available.reduce(
+    (sum, c) => sum + Number(c.units_remaining || 0),
+    0
+  );
+  if (desired <= 0 || totalAvailable < desired) {
+    return null;
+  }
+
+  const sorted = [...available].sort(byPolicy(policy));
+  const sealed = sorted.filter((c) => !c.is_open);
+  const open = sorted.filter((c) => c.is_open);
+
+  const picks = [];
+  let left = desired;
+
+  // 1) whole sealed cartons
+  const usedIds = new Set();
+  for (const c of sealed) {
+    const units = Number(c.units_remaining || 0);
+    if (units > left) continue;
+    picks.push({ carton: c, mode: "carton", quantity: units });
+    usedIds.add(c.id);
+    left -= units;
+    if (left === 0) break;
+  }
+
+  // 2) loose units from open cartons
+  for (const c of open) {
+    if (left === 0) break;
+    const qty = Math.min(left, Number(c.units_remaining || 0));
+    picks.push({ carton: c, mode: "loose", quantity: qty });
+    left -= qty;
+  }
+
+  // 3) open one more carton; every sealed carton left is bigger than what is
+  // still needed (otherwise step 1 would have taken it)
+  if (left > 0) {
+    const next = sealed.find((c) => !usedIds.has(c.id));
+    if (!next) return null;
+    picks.push({ carton: next, mode: "loose", quantity: left });
+    left = 0;
+  }
+
+  return { picks, totalUnits: desired };
+}
+
+// "2 full cartons (#12, #13) + 28 loose from #9 (opens it)"
+export function describeAutoPlan(selection) {
+  if (!selection) return "";
+  const full = selection.picks.filter((p) => p.mode === "carton");
+  const loose = selection.picks.filter((p) => p.mode === "loose");
+
+  const parts = [];
+  if (full.length > 0) {
+    parts.push(
+      `${full.length} full carton${full.length > 1 ? "s" : ""} (${full
+        .map((p) => `#${p.carton.id}`)
+        .join(", ")})`
+    );
+  }
+  loose.forEach((p) => {
+    parts.push(
+      `${p.quantity} loose from #${p.carton.id}${
+        p.carton.is_open ? "" : " (opens it)"
+      }`
+    );
+  });
+  return parts.join(" + ");
+}
+
+// cartons an auto line can still plan from: the product's received cartons
+// minus what the order's other lines take (carton id -> units, Infinity =
+// the whole carton)
+function cartonsLeftForAuto(cartons, productId, taken) {
+  return cartons
+    .filter((c) => c.product_id === productId && c.status === "received")
+    .map((c) => {
+      const used = taken[c.id] || 0;
+      if (!used) return c;
+      // part of a carton is gone: what's left is loose stock
+      return {
+        ...c,
+        units_remaining: Math.max(0, Number(c.units_remaining || 0) - used),
+        is_open: true,
+      };
+    })
+    .filter((c) => Number(c.units_remaining || 0) > 0);
+}
+
+/**
+ * Plan every "auto" row of an order against the stock left after the
+ * order's other lines: carton / loose lines first, then the auto rows in
+ * order, each taking what it plans so the next one doesn't plan the same
+ * units twice.
+ *
+ * Returns a Map row -> { productId, totalAvailable, selection } for the
+ * auto rows that have a product (selection is null when the stock left
+ * can't cover row.quantity).
+ */
+export function planAutoLines(rows, cartons, policy = "fifo") {
+  const taken = {};
+  const take = (cartonId, units) => {
+    taken[cartonId] = (taken[cartonId] || 0) + units;
+  };
+  rows.forEach((r) => {
+    if (r.mode === "auto" || !r.carton_id) return;
+    take(
+      Number(r.carton_id),
+      r.mode === "loose" ? Number(r.quantity || 0) : Infinity
+    );
+  });
+
+  const plans = new Map();
+  rows.forEach((r) => {
+    if (r.mode !== "auto") return;
+
+    const baseCarton = cartons.find((c) => c.id === Number(r.carton_id));
+    const productId = baseCarton?.product_id || r.product_id;
+    if (!productId) return;
+
+    const cartonsForProduct = cartonsLeftForAuto(cartons, productId, taken);
+    const totalAvailable = cartonsForProduct.reduce(
+      (sum, c) => sum + Number(c.units_remaining || 0),
+      0
+    );
+    const desired = Number(r.quantity || 0);
+    const selection =
+      desired > 0
+        ? selectCartonsForAuto(cartonsForProduct, desired, policy)
+        : null;
+
+    if (selection) {
+      selection.picks.forEach((pick) =>
+        take(pick.carton.id, pick.mode === "carton" ? Infinity : pick.quantity)
+      );
+    }
+    plans.set(r, { productId, totalAvailable, selection });
+  });
+  return plans;
+}
+
+/**
+ * Expand rows that are in "auto" mode into "carton" and "loose" items.
+ *
+ * - User selects a carton + desired quantity in UNITS.
+ * - We look at ALL cartons for that product (status="received", units_remaining>0).
+ * - selectCartonsForAuto() plans exactly that many units (see policy there).
+ * - Then we create a `mode: "carton"` row per whole carton and a
+ *   `mode: "loose"` row per carton units are taken from.
+ *
+ * Example (72-unit cartons, one open carton with 30 left), desired=100
+ *   => 1 full carton (72) + 28 loose from the open carton
+ *
+ * Other rows (carton / loose) are passed through unchanged.
+ */
+export function expandAutoItems(rows, cartons, products, policy = "fifo") {
+  const expanded = [];
+
+  // each auto row is planned against what the order's other lines leave
+  const plans = planAutoLines(rows, cartons, policy);
+
+  rows.forEach((r) => {
+    if (r.mode !== "auto") {
+      expanded.push(r);
+      return;
+    }
+
+    if (!r.carton_id) {
+      throw new Error("Auto items must have a carton selected.");
+    }
+
+    const desired = Number(r.quantity || 0);
+    if (!desired || desired <= 0) {
+      throw new Error("Auto items must have a valid quantity.");
+    }
+
+    const baseCarton = cartons.find(
+      (c) => c.id === Number(r.carton_id)
+    );
+    if (!baseCarton) {
+      throw new Error(`Selected carton #${r.carton_id} not found.`);
+    }
+
+    const productId = baseCarton.product_id || r.product_id;
+    if (!productId) {
+      throw new Error(
+        `Product not found for selected carton #${baseCarton.id}.`
+      );
+    }
+
+    const unitPrice =
+      r.unit_price != null
+        ? Number(r.unit_price)
+        : getUnitPriceForProductFromList(products, productId);
+
+    const { totalAvailable, selection } = plans.get(r);
+
+    if (totalAvailable < desired) {
+      throw new Error(
+        `Not enough cartons available for this product. Requested ${desired} units, but only ${totalAvailable} units are available across all cartons.`
+      );
+    }
+
+    if (!selection) {
+      throw new Error(
+        `Not enough cartons available for this product. Requested ${desired} units, but available stock cannot satisfy it.`
+      );
+    }
+
+    // a fixed discount on the auto row is shared by its lines per unit;
+    // the last line takes whatever rounding leaves over
+    const fixedDiscount =
+      r.discount_type === "fixed" ? Number(r.discount_value || 0) : 0;
+    let discountLeft = fixedDiscount;
+
+    selection.picks.forEach((pick, idx) => {
+      const qty = pick.quantity;
+      const isLast = idx === selection.picks.length - 1;
+
+      let discountValue = Number(r.discount_value || 0);
+      if (r.discount_type === "fixed") {
+        discountValue = isLast
+          ? discountLeft
+          : Math.round(((fixedDiscount * qty) / selection.totalUnits) * 100) /
+            100;
+        discountLeft -= discountValue;
+      }
+
+      expanded.push({
+        uid: Date.now() + Math.random(),
+        mode: pick.mode,
+        carton_id: pick.carton.id,
+        product_id: productId,
+        quantity: qty,
+        unit_price: unitPrice,
+        line_total: qty * unitPrice,
+        discount_type: r.discount_type || null,
+        discount_value: discountValue,
+        vat_rate: r.vat_rate,
+      });
+    });
+  });
+
+  return expanded;
+}
+
+// 🧾 discounts + VAT -> item payloads and the order totals stored with them
+export function buildOrderPricing(rows, form, products) {
+  const totals = computeOrderTotals(
+    rows.map((r) => ({
+      ...r,
+      vat_rate:
+        r.vat_rate ??
+        products.find((p) => p.id === r.product_id)?.vat_rate ??
+        0,
+    })),
+    {
+      discountType: form.discountType || null,
+      discountValue: form.discountValue,
+      deliveryCharge: form.deliveryFee,
+    }
+  );
+
+  const itemsPayload = totals.lines.map((r) => ({
+    mode: r.mode,
+    carton_id: r.carton_id ? Number(r.carton_id) : null,
+    product_id: r.product_id || null,
+    quantity: Number(r.quantity || 0),
+    unit_price: Number(r.unit_price || 0),
+    line_total: r.line_total,
+    discount_type: r.discount_type || null,
+    discount_value: Number(r.discount_value || 0),
+    discount_amount: r.discount_amount,
+    order_discount_amount: r.order_discount_amount,
+    taxable_amount: r.taxable_amount,
+    vat_rate: r.vat_rate,
+    vat_amount: r.vat_amount,
+    net_amount: r.net_amount,
+  }));
+
+  const orderTotals = {
+    subtotal: totals.subtotal,
+    discount_type: form.discountType || null,
+    discount_value: Number(form.discountValue || 0),
+    discount_amount: totals.orderDiscountAmount,
+    discount_total: totals.discountTotal,
+    vat_amount: totals.vatAmount,
+    delivery_charge: totals.deliveryCharge,
+    rounding_adjustment: totals.roundingAdjustment,
+    total_amount: totals.totalAmount,
+  };
+
+  return { itemsPayload, orderTotals };
+}
@@ -0,0 +1,94 @@
+// Order status lifecycle. Mirrors order_status_transition_allowed() in
+// supabase/migrations/20261019093000_order_status_lifecycle.sql – the
+// database enforces it, this copy drives the UI.
+
+export const ORDER_STATUSES = [
+  "Created",
+  "Shipped",
+  "Delivered",
+  "Paid",
+  "Cancelled",
+  "Returned",
+];
+
+export const ORDER_STATUS_TRANSITIONS = {
+  Created: ["Shipped", "Delivered", "Cancelled"],
+  Shipped: ["Delivered", "Returned"],
+  Delivered: ["Paid", "Returned"],
+  Paid: ["Returned"],
+  Cancelled: [],
+  Returned: [],
+};
+
+export function canTransition(from, to) {
+  if (from === to) return true;
+  return (ORDER_STATUS_TRANSITIONS[from] || []).includes(to);
+}
+
+// current status first, then everything it may move to
+export function getAllowedStatuses(current) {
+  if (!current) return ["Created"];
+  return [current, ...(ORDER_STATUS_TRANSITIONS[current] || [])];
+}
+
+// reached only through the cancel / return flows, which restock
+export const RESTOCKING_STATUSES = ["Cancelled", "Returned"];
+
+// statuses offered in the edit form (no cancel / return shortcuts)
+export function getEditableStatuses(current) {
+  return getAllowedStatuses(current).filter(
+    (st) => st === current || !RESTOCKING_STATUSES.includes(st)
+  );
+}
+
+export function canCancelOrder(order) {
+  return order?.status === "Created";
+}
+
+export function canReturnOrder(order) {
+  return ["Shipped", "Delivered", "Paid"].includes(order?.status);
+}
+
+// once cancelled or partly returned, an order's lines can't be edited
+export function isOrderLocked(order) {
+  if (!order) return false;
+  return (
+    RESTOCKING_STATUSES.includes(order.status) ||
+    Number(order.returned_amount || 0) > 0
+  );
+}
+
+// react-bootstrap Badge variant per status
+export function getStatusVariant(status) {
+  switch (status) {
+    case "Paid":
+      return "success";
+    case "Delivered":
+      return "info";
+    case "Shipped":
+      return "warning";
+    case "Cancelled":
+    case "Returned":
+      return "danger";
+    default:
+      return "secondary";
+  }
+}
+
+// status history rows, oldest first
+export function getStatusHistory(order) {
+  const rows = Array.isArray(order?.order_status_history)
+    ? order.order_status_history
+    : [];
+  return [...rows].sort(
+    (a, b) =>
+      new Date(a.changed_at) - new Date(b.changed_at) ||
+      Number(a.id || 0) - Number(b.id || 0)
+  );
+}
+
+// when the order last entered `status` (null if it never did)
+export function getStatusChangedAt(order, status) {
+  const entries = getStatusHistory(order).filter((h) => h.to_status === status);
+  return entries.length ? entries[entries.length - 1].changed_at : null;
+}
@@ -0,0 +1,146 @@
+// What the customer owes for an order: nothing once it is cancelled, and
+// the invoice total less anything they returned.
+export function getNetOrderAmount(order) {
+  if (!order || order.status === "Cancelled") return 0;
+  const total = Number(order.total_amount || 0);
+  const returned = Number(order.returned_amount || 0);
+  return Math.max(0, total - returned);
+}
+
+// Outstanding balance after the payments recorded in the ledger.
+export function getBalanceDue(order) {
+  const paid = Number(order?.amount_paid || 0);
+  return Math.max(0, getNetOrderAmount(order) - paid);
+}
+
+// VAT still owed on an order: nothing once cancelled, and returned units
+// take their share of a line's VAT back with them (they are refunded at the
+// VAT-inclusive net price).
+//   items: getOrderItems(order)
+export function getOrderVatAmount(order, items) {
+  if (!order || order.status === "Cancelled") return 0;
+  return (items || []).reduce((sum, it) => {
+    const qty = Number(it.quantity || 0);
+    if (!qty) return sum;
+    const kept = qty - Number(it.returned_quantity || 0);
+    return sum + (Number(it.vat_amount || 0) * kept) / qty;
+  }, 0);
+}
+
+// Per-unit selling price after discounts, before VAT (what profit is
+// measured on). Lines saved before discounts existed fall back to unit_price.
+export function getNetUnitPrice(item) {
+  const qty = Number(item?.quantity || 0);
+  if (item?.taxable_amount == null || !qty) {
+    return Number(item?.unit_price || 0);
+  }
+  return Number(item.taxable_amount) / qty;
+}
+
+// ---------- discounts, VAT and rounding ----------
+
+export const DISCOUNT_TYPES = [
+  { value: "percent", label: "%" },
+  { value: "fixed", label: "৳" },
+];
+
+// order totals are rounded to the whole taka; the difference is shown as
+// "Rounding" on the invoice
+export const ROUND_TO = 1;
+
+const round2 = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+// Discount on `base` for a percent/fixed discount, never more than the base.
+export function calcDiscount(base, type, value) {
+  const amount = Number(value || 0);
+  if (!type || amount <= 0 || base <= 0) return 0;
+  const discount =
+    type === "percent" ? (base * Math.min(amount, 100)) / 100 : amount;
+  return round2(Math.min(discount, base));
+}
+
+// Works out every line and the order totals the way they are stored.
+//   lines: [{ quantity, unit_price, discount_type, discount_value, vat_rate, ... }]
+// Returns { lines, subtotal, lineDiscountTotal, orderDiscountAmount,
+// discountTotal, vatAmount, deliveryCharge, roundingAdjustment, totalAmount }
+// with each line extended by line_total, discount_amount,
+// order_discount_amount, taxable_amount, vat_amount and net_amount.
+export function computeOrderTotals(
+  lines,
+  { discountType = null, discountValue = 0, deliveryCharge = 0 } = {}
+) {
+  const computed = (lines || []).map((line) => {
+    const lineTotal = round2(
+      Number(line.quantity || 0) * Number(line.unit_price || 0)
+    );
+    return {
+      ...line,
+      line_total: lineTotal,
+      discount_amount: calcDiscount(
+        lineTotal,
+        line.discount_type,
+        line.discount_value
+      ),
+      vat_rate: Number(line.vat_rate || 0),
+    };
+  });
+
+  const subtotal = round2(computed.reduce((sum, l) => sum + l.line_total, 0));
+  const lineDiscountTotal = round2(
+    computed.reduce((sum, l) => sum + l.discount_amount, 0)
+  );
+  const afterLineDiscounts = round2(subtotal - lineDiscountTotal);
+  const orderDiscountAmount = calcDiscount(
+    afterLineDiscounts,
+    discountType,
+    discountValue
+  );
+
+  // order discount is shared pro rata; the largest line takes the paisa left over
+  let largestIdx = -1;
+  let largestBase = -1;
+  let allocated = 0;
+  computed.forEach((l, idx) => {
+    const base = l.line_total - l.discount_amount;
+    l.order_discount_amount =
+      afterLineDiscounts > 0
+        ? round2((orderDiscountAmount * base) / afterLineDiscounts)
+        : 0;
+    allocated += l.order_discount_amount;
+    if (base > largestBase) {
+      largestIdx = idx;
+      largestBase = base;
+    }
+  });
+  if (largestIdx >= 0) {
+    computed[largestIdx].order_discount_amount = round2(
+      computed[largestIdx].order_discount_amount + orderDiscountAmount - allocated
+    );
+  }
+
+  computed.forEach((l) => {
+    l.taxable_amount = round2(
+      l.line_total - l.discount_amount - l.order_discount_amount
+    );
+    l.vat_amount = round2((l.taxable_amount * l.vat_rate) / 100);
+    l.net_amount = round2(l.taxable_amount + l.vat_amount);
+  });
+
+  const discountTotal = round2(lineDiscountTotal + orderDiscountAmount);
+  const vatAmount = round2(computed.reduce((sum, l) => sum + l.vat_amount, 0));
+  const delivery = round2(deliveryCharge);
+  const exact = round2(subtotal - discountTotal + vatAmount + delivery);
+  const totalAmount = Math.round(exact / ROUND_TO) * ROUND_TO;
+
+  return {
+    lines: computed,
+    subtotal,
+    lineDiscountTotal,
+    orderDiscountAmount,
+    discountTotal,
+    vatAmount,
+    deliveryCharge: delivery,
+    roundingAdjustment: round2(totalAmount - exact),
+    totalAmount,
+  };
+}
@@ -0,0 +1,34 @@
+// Payment methods accepted in the order payment ledger. Values match the
+// order_payments.method check constraint.
+export const PAYMENT_METHODS = [
+  { value: "cash", label: "Cash" },
+  { value: "bkash", label: "bKash" },
+  { value: "nagad", label: "Nagad" },
+  { value: "rocket", label: "Rocket" },
+  { value: "bank", label: "Bank Transfer" },
+  { value: "card", label: "Card" },
+  { value: "cod", label: "Cash on Delivery" },
+  { value: "other", label: "Other" },
+];
+
+export function getPaymentMethodLabel(value) {
+  const m = PAYMENT_METHODS.find((x) => x.value === value);
+  return m ? m.label : value || "Unknown";
+}
+
+// payments of an order, oldest first
+export function getOrderPayments(order) {
+  const rows = Array.isArray(order?.order_payments) ? order.order_payments : [];
+  return [...rows].sort(
+    (a, b) =>
+      new Date(a.paid_at) - new Date(b.paid_at) ||
+      Number(a.id || 0) - Number(b.id || 0)
+  );
+}
+
+// react-bootstrap Badge variant per payment status
+export function getPaymentStatusVariant(paymentStatus) {
+  if (paymentStatus === "Paid") return "success";
+  if (paymentStatus === "Partially Paid") return "warning";
+  return "secondary";
+}
@@ -0,0 +1,71 @@
+// Roles and what each may do in the UI. The database enforces the same
+// rules with table policies (see 20261019112000_roles.sql), so hiding a
+// button here is a convenience, not the protection.
+//
+//   const { can } = useAuth();
+//   {can("orders.delete") && <Button ...>Delete</Button>}
+
+export const ROLES = [
+  {
+    value: "admin",
+    label: "Admin",
+    description: "Everything, including users, settings and deletes.",
+  },
+  {
+    value: "sales",
+    label: "Sales",
+    description: "Orders, quotations, customers and payments.",
+  },
+  {
+    value: "warehouse",
+    label: "Warehouse",
+    description:
+      "Cartons and suppliers, order status, shipping and returns. No purchase prices.",
+  },
+  {
+    value: "accountant",
+    label: "Accountant",
+    description: "Payments, COD settlements and reports.",
+  },
+];
+
+export function roleLabel(role) {
+  const found = ROLES.find((r) => r.value === role);
+  return found ? found.label : "No access";
+}
+
+// permission -> roles that have it
+export const PERMISSIONS = {
+  "orders.create": ["admin", "sales"],
+  "orders.edit": ["admin", "sales"],
+  "orders.cancel": ["admin", "sales"],
+  "orders.updateStatus": ["admin", "sales", "warehouse"],
+  "orders.return": ["admin", "sales", "warehouse"],
+  "orders.ship": ["admin", "sales", "warehouse"],
+  "orders.delete": ["admin"],
+  "orders.approvePrices": ["admin"],
+  "payments.manage": ["admin", "sales", "accountant"],
+  "costs.view": ["admin", "sales", "accountant"],
+  "customers.manage": ["admin", "sales"],
+  "customers.delete": ["admin"],
+  "cartons.manage": ["admin", "warehouse"],
+  "suppliers.manage": ["admin", "warehouse"],
+  "suppliers.delete": ["admin"],
+  "products.manage": ["admin"],
+  "priceLists.manage": ["admin"],
+  "settings.manage": ["admin"],
+  "users.manage": ["admin"],
+};
+
+export function can(role, permission) {
+  const roles = PERMISSIONS[permission];
+  if (!roles) {
+    console.error(`Unknown permission: ${permission}`);
+    return false;
+  }
+  return Boolean(role) && roles.includes(role);
+}
+
+// routes.js entries list the roles that may open them
+export const canSeeRoute = (role, route) =>
+  Boolean(role) && (!route.roles || route.roles.includes(role));
@@ -0,0 +1,83 @@
+// Price lists with quantity breaks. A customer's own list applies, else the
+// default list; products a list doesn't price keep unit_selling_price. See
+// supabase/migrations/20261019106000_price_lists.sql.
+
+import { supabase } from "createClient";
+
+export const PRICE_LIST_SELECT = "*, price_list_items(*)";
+
+export async function fetchPriceLists() {
+  const { data, error } = await supabase
+    .from("price_lists")
+    .select(PRICE_LIST_SELECT)
+    .order("name");
+
+  if (error) {
+    console.error("Supabase error (price_lists):", error);
+    return [];
+  }
+  return data || [];
+}
+
+// the list a customer buys on (customer may be null for a new buyer)
+export function getCustomerPriceList(priceLists, customer) {
+  const active = (priceLists || []).filter((l) => l.active);
+  return (
+    (customer?.price_list_id &&
+      active.find((l) => l.id === customer.price_list_id)) ||
+    active.find((l) => l.is_default) ||
+    null
+  );
+}
+
+// The list's tier for a product at a quantity: the highest min_quantity the
+// quantity reaches (a line priced before its quantity is known counts as 1).
+export function getTier(priceList, productId, quantity) {
+  const qty = Math.max(1, Number(quantity || 0));
+  return (
+    (priceList?.price_list_items || [])
+      .filter(
+        (it) => it.product_id === productId && Number(it.min_quantity) <= qty
+      )
+      .sort((a, b) => Number(b.min_quantity) - Number(a.min_quantity))[0] ||
+    null
+  );
+}
+
+// { price, tier } for a product; tier is null when the product's own
+// selling price applies
+export function resolveUnitPrice(priceList, product, quantity) {
+  const tier = product ? getTier(priceList, product.id, quantity) : null;
+  if (tier) return { price: Number(tier.unit_price), tier };
+  return { price: Number(product?.unit_selling_price || 0), tier: null };
+}
+
+// "72+ units (1 carton)" for a tier
+export function formatTierQuantity(minQuantity, product) {
+  const qty = Number(minQuantity || 1);
+  const perCarton = Number(product?.units_per_carton || 0);
+  const cartons =
+    perCarton > 0 && qty % perCarton === 0
+      ? ` (${qty / perCarton} carton${qty / perCarton > 1 ? "s" : ""})`
+      : "";
+  return `${qty}+ units${cartons}`;
+}
+
+export const isBelowFloor = (product, unitPrice) =>
+  product?.floor_price != null &&
+  Number(unitPrice || 0) < Number(product.floor_price);
+
+// Re-prices editor rows whose price wasn't typed in by hand (after the
+// customer, and so the price list, changes).
+//   getUnitPrice(productId, quantity)
+export function repriceItems(rows, getUnitPrice) {
+  return rows.map((r) => {
+    if (r.price_manual || !r.product_id) return r;
+    const unitPrice = getUnitPrice(r.product_id, r.quantity);
+    return {
+      ...r,
+      unit_price: unitPrice,
+      line_total: Number(r.quantity || 0) * unitPrice,
+    };
+  });
+}
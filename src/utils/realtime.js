@@ -0,0 +1,117 @@
+// Live updates between open dashboard tabs (Supabase Realtime on orders,
+// cartons, products and supplier; see 20261019111000_realtime.sql).
+// Views keep loading their data once and then patch it from the change
+// events instead of asking everyone to refresh.
+
+import { useEffect, useRef, useState, useCallback } from "react";
+import { supabase } from "createClient";
+
+// how long a changed row stays highlighted
+export const CHANGE_HIGHLIGHT_MS = 4000;
+
+// a write this tab made itself echoes back within a few seconds
+const OWN_WRITE_MS = 10000;
+const ownWrites = new Map(); // "table:id" -> time of the write
+
+// call right before saving a record, so its echo isn't taken for a
+// colleague's edit (see isOwnWrite)
+export function markOwnWrite(table, id) {
+  ownWrites.set(`${table}:${id}`, Date.now());
+}
+
+export function isOwnWrite(table, id) {
+  const at = ownWrites.get(`${table}:${id}`);
+  return at != null && Date.now() - at < OWN_WRITE_MS;
+}
+
+// the changed row's id (DELETE events only carry the old row's key)
+export const changedRowId = (payload) =>
+  payload.eventType === "DELETE" ? payload.old?.id : payload.new?.id;
+
+// Calls onChange(payload) for every insert / update / delete on the table
+// until the returned function is called. payload: { eventType, new, old }.
+export function subscribeToTable(table, onChange) {
+  const channel = supabase
+    .channel(`live-${table}-${Math.random().toString(36).slice(2)}`)
+    .on("postgres_changes", { event: "*", schema: "public", table }, onChange)
+    .subscribe((status, err) => {
+      if (err) console.error(`Supabase realtime error (${table}):`, err);
+    });
+
+  return () => {
+    supabase.removeChannel(channel);
+  };
+}
+
+// subscribeToTable for as long as the component is mounted
+export function useTableChanges(table, onChange) {
+  const onChangeRef = useRef(onChange);
+  onChangeRef.current = onChange;
+
+  useEffect(
+    () => subscribeToTable(table, (payload) => onChangeRef.current(payload)),
+    [table]
+  );
+}
+
+// rows with one change applied: updates replace the row in place, deletes
+// drop it, inserts are added first (or last with prepend: false, or in
+// order with compare). addIf(row, eventType) decides whether a row the list
+// doesn't hold yet belongs in it (default: inserts only).
+export function applyTableChange(rows, payload, options = {}) {
+  const {
+    addIf = (row, eventType) => eventType === "INSERT",
+    prepend = true,
+    compare = null,
+  } = options;
+  const id = changedRowId(payload);
+
+  if (payload.eventType === "DELETE") {
+    return rows.filter((r) => r.id !== id);
+  }
+
+  const row = payload.new;
+  if (rows.some((r) => r.id === id)) {
+    return rows.map((r) => (r.id === id ? { ...r, ...row } : r));
+  }
+  if (!addIf(row, payload.eventType)) return rows;
+  const next = prepend ? [row, ...rows] : [...rows, row];
+  return compare ? next.sort(compare) : next;
+}
+
+// ids changed a moment ago (for highlighting): [isChanged(id), markChanged(id)]
+export function useChangedIds() {
+  const [changed, setChanged] = useState({});
+  const timersRef = useRef([]);
+
+  useEffect(
+    () => () => {
+      timersRef.current.forEach(clearTimeout);
+    },
+    []
+  );
+
+  const markChanged = useCallback((id) => {
+    if (id == null) return;
+    setChanged((prev) => ({ ...prev, [id]: true }));
+    const timer = setTimeout(() => {
+      setChanged((prev) => {
+        const next = { ...prev };
+        delete next[id];
+        return next;
+      });
+      timersRef.current = timersRef.current.filter((t) => t !== timer);
+    }, CHANGE_HIGHLIGHT_MS);
+    timersRef.current.push(timer);
+  }, []);
+
+  const isChanged = useCallback((id) => Boolean(changed[id]), [changed]);
+
+  return [isChanged, markChanged];
+}
+
+// row style for a recently changed row
+export const changedRowStyle = (changed) =>
+  changed
+    ? { backgroundColor: "#fff8e1", transition: "background-color 0.5s" }
+    : { transition: "background-color 0.5s" };
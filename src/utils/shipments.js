@@ -0,0 +1,130 @@
+// Courier shipments. Booking and tracking run in the "courier" edge function
+// (supabase/functions/courier), which holds the courier API keys; status
+// updates also arrive by webhook. Shipment statuses mirror shipments.status in
+// supabase/migrations/20261019103000_courier_shipments.sql.
+
+import { supabase } from "createClient";
+
+// values match shipments.courier
+export const COURIERS = [
+  {
+    value: "steadfast",
+    label: "Steadfast",
+    trackingUrl: (s) => `https://steadfast.com.bd/t/${s.tracking_code}`,
+  },
+  {
+    value: "pathao",
+    label: "Pathao",
+    trackingUrl: (s) =>
+      `https://merchant.pathao.com/tracking?consignment_id=${s.consignment_id}`,
+  },
+  {
+    value: "redx",
+    label: "RedX",
+    trackingUrl: (s) =>
+      `https://redx.com.bd/track-parcel/?trackingId=${s.consignment_id}`,
+  },
+  { value: "mock", label: "Mock Courier (testing)", trackingUrl: null },
+];
+
+export const SHIPMENT_STATUS_LABELS = {
+  booked: "Booked",
+  picked_up: "Picked Up",
+  in_transit: "In Transit",
+  delivered: "Delivered",
+  returned: "Returned",
+  cancelled: "Cancelled",
+};
+
+export function getCourierLabel(value) {
+  const c = COURIERS.find((x) => x.value === value);
+  return c ? c.label : value || "Unknown";
+}
+
+export function getTrackingUrl(shipment) {
+  const c = COURIERS.find((x) => x.value === shipment?.courier);
+  return c?.trackingUrl && shipment.tracking_code
+    ? c.trackingUrl(shipment)
+    : null;
+}
+
+export function getShipmentStatusLabel(status) {
+  return SHIPMENT_STATUS_LABELS[status] || status || "Unknown";
+}
+
+// react-bootstrap Badge variant per shipment status
+export function getShipmentStatusVariant(status) {
+  switch (status) {
+    case "delivered":
+      return "success";
+    case "picked_up":
+    case "in_transit":
+      return "info";
+    case "returned":
+    case "cancelled":
+      return "danger";
+    default:
+      return "secondary";
+  }
+}
+
+// shipments of an order, oldest first
+export function getOrderShipments(order) {
+  const rows = Array.isArray(order?.shipments) ? order.shipments : [];
+  return [...rows].sort(
+    (a, b) =>
+      new Date(a.booked_at) - new Date(b.booked_at) ||
+      Number(a.id || 0) - Number(b.id || 0)
+  );
+}
+
+// the most recent booking (null if the order was never booked)
+export function getLatestShipment(order) {
+  const rows = getOrderShipments(order);
+  return rows.length ? rows[rows.length - 1] : null;
+}
+
+export function isShipmentOpen(shipment) {
+  return ["booked", "picked_up", "in_transit"].includes(shipment?.status);
+}
+
+// shipped orders without a live booking (never booked, or the last parcel
+// came back / was cancelled). Mirrors the check in the courier function.
+export function canBookShipment(order) {
+  if (order?.status !== "Shipped") return false;
+  const latest = getLatestShipment(order);
+  return !latest || ["returned", "cancelled"].includes(latest.status);
+}
+
+// calls the courier edge function; errors carry the function's message
+async function invokeCourier(body) {
+  const { data, error } = await supabase.functions.invoke("courier", { body });
+
+  if (error) {
+    let message = error.message;
+    try {
+      message = (await error.context.json()).error || message;
+    } catch (e) {
+      // no JSON body (network error, function not deployed)
+    }
+    console.error(`Courier error (${body.action}):`, error);
+    throw new Error(message || "Courier request failed.");
+  }
+
+  return data;
+}
+
+// -> { shipment, order }
+export function bookShipment(order, courier) {
+  return invokeCourier({ action: "book", order_id: order.id, courier });
+}
+
+// -> { shipment, order }
+export function trackShipment(shipment) {
+  return invokeCourier({ action: "track", shipment_id: shipment.id });
+}
+
+// refreshes all open shipments -> { orders, errors }
+export function pollShipments() {
+  return invokeCourier({ action: "poll" });
+}
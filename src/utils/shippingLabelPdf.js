@@ -0,0 +1,136 @@
+// Shipping label for a courier booking: a 100 x 150 mm page to stick on the
+// parcel with the courier, tracking code (+ QR), recipient, sender and the
+// amount to collect.
+
+import { jsPDF } from "jspdf";
+import * as QRCode from "qrcode";
+
+import { formatTk } from "./invoicePdf";
+import { getInvoiceLabel } from "./invoiceNumber";
+import { getCourierLabel } from "./shipments";
+
+const LABEL_WIDTH = 100; // mm
+const LABEL_HEIGHT = 150; // mm
+const MARGIN = 6; // mm
+const QR_SIZE = 30; // mm
+
+// Shipping label as a Blob (application/pdf).
+//   company: profile from fetchCompanyProfile() (utils/companyProfile.js)
+export async function generateShippingLabelPdf(order, shipment, company) {
+  const doc = new jsPDF({ unit: "mm", format: [LABEL_WIDTH, LABEL_HEIGHT] });
+  const innerWidth = LABEL_WIDTH - MARGIN * 2;
+  const trackingCode = shipment.tracking_code || shipment.consignment_id;
+
+  doc.setTextColor(17, 17, 17);
+  doc.setDrawColor(0, 0, 0);
+  doc.setLineWidth(0.4);
+  doc.rect(MARGIN / 2, MARGIN / 2, LABEL_WIDTH - MARGIN, LABEL_HEIGHT - MARGIN);
+
+  // courier + amount to collect
+  let y = MARGIN + 6;
+  doc.setFont("helvetica", "bold");
+  doc.setFontSize(16);
+  doc.text(getCourierLabel(shipment.courier).toUpperCase(), MARGIN, y);
+  doc.setFontSize(11);
+  doc.text(
+    Number(shipment.cod_amount || 0) > 0
+      ? `COD ${formatTk(shipment.cod_amount)}`
+      : "PREPAID",
+    LABEL_WIDTH - MARGIN,
+    y,
+    { align: "right" }
+  );
+
+  // tracking code + QR
+  y += 4;
+  const qrDataUrl = await QRCode.toDataURL(String(trackingCode), {
+    margin: 1,
+    width: 200,
+  });
+  doc.addImage(
+    qrDataUrl,
+    "PNG",
+    MARGIN,
+    y,
+    QR_SIZE,
+    QR_SIZE,
+    undefined,
+    "FAST"
+  );
+
+  doc.setFont("helvetica", "normal");
+  doc.setFontSize(9);
+  doc.text("Tracking", MARGIN + QR_SIZE + 4, y + 8);
+  doc.setFont("helvetica", "bold");
+  doc.setFontSize(12);
+  doc.text(
+    doc.splitTextToSize(String(trackingCode), innerWidth - QR_SIZE - 4),
+    MARGIN + QR_SIZE + 4,
+    y + 14
+  );
+  if (shipment.consignment_id !== trackingCode) {
+    doc.setFont("helvetica", "normal");
+    doc.setFontSize(8);
+    doc.text(
+      `Consignment: ${shipment.consignment_id}`,
+      MARGIN + QR_SIZE + 4,
+      y + 24
+    );
+  }
+
+  y += QR_SIZE + 4;
+  doc.line(MARGIN, y, LABEL_WIDTH - MARGIN, y);
+
+  // recipient
+  y += 6;
+  doc.setFont("helvetica", "bold");
+  doc.setFontSize(9);
+  doc.text("TO", MARGIN, y);
+  doc.setFontSize(13);
+  doc.text(
+    doc.splitTextToSize(order.customer_name || "", innerWidth)[0] || "",
+    MARGIN,
+    y + 6
+  );
+  doc.setFont("helvetica", "normal");
+  doc.setFontSize(11);
+  doc.text(order.customer_phone || "", MARGIN, y + 12);
+  const address = doc
+    .splitTextToSize(order.delivery_address || "", innerWidth)
+    .slice(0, 5);
+  doc.setFontSize(10);
+  doc.text(address, MARGIN, y + 18);
+
+  const lineHeight = doc.getLineHeight() / doc.internal.scaleFactor;
+  y += 18 + address.length * lineHeight + 2;
+  doc.line(MARGIN, y, LABEL_WIDTH - MARGIN, y);
+
+  // sender
+  y += 6;
+  doc.setFont("helvetica", "bold");
+  doc.setFontSize(9);
+  doc.text("FROM", MARGIN, y);
+  doc.setFont("helvetica", "normal");
+  const sender = [
+    company.name,
+    company.phone,
+    company.warehouseAddress || company.address,
+  ]
+    .filter(Boolean)
+    .flatMap((line) => doc.splitTextToSize(String(line), innerWidth))
+    .slice(0, 5);
+  doc.text(sender, MARGIN, y + 5);
+
+  // order reference along the bottom
+  doc.setFontSize(8);
+  doc.text(
+    [
+      `Order #${order.id} · ${getInvoiceLabel(order)}`,
+      `Booked ${new Date(shipment.booked_at || Date.now()).toLocaleDateString()}`,
+    ],
+    MARGIN,
+    LABEL_HEIGHT - MARGIN - 6
+  );
+
+  return doc.output("blob");
+}
@@ -0,0 +1,586 @@
+// src/views/CodReconciliation.js
+
+import React, { useState, useEffect, useMemo, useRef } from "react";
+import {
+  Card,
+  Table,
+  Container,
+  Row,
+  Col,
+  Form,
+  Button,
+  Badge,
+} from "react-bootstrap";
+import { Link } from "react-router-dom";
+import { supabase } from "createClient";
+import { formatDate, todayForDateInput } from "../utils/formatDate";
+import { parseCsvWithHeaders } from "../utils/csv";
+import {
+  PAYABLE_RESULTS,
+  SETTLEMENT_COLUMNS,
+  SETTLEMENT_RESULTS,
+  fetchOpenOrders,
+  fetchOrdersNamedIn,
+  guessColumnMapping,
+  mergeOrders,
+  reconcileSettlement,
+  toSettlementLinePayload,
+} from "../utils/codSettlement";
+import { getBalanceDue } from "../utils/orderTotals";
+import { getInvoiceLabel } from "../utils/invoiceNumber";
+import {
+  COURIERS,
+  getCourierLabel,
+  getLatestShipment,
+} from "../utils/shipments";
+
+const MATCH_LABELS = {
+  tracking: "Tracking ID",
+  invoice: "Invoice No.",
+  phone: "Phone",
+};
+
+const money = (value) => `৳${Number(value || 0).toFixed(2)}`;
+
+const CodReconciliation = () => {
+  const [orders, setOrders] = useState([]);
+  const [loadingOrders, setLoadingOrders] = useState(true);
+  const [matching, setMatching] = useState(false);
+  const [settlements, setSettlements] = useState([]);
+
+  // import form
+  const [courier, setCourier] = useState("");
+  const [reference, setReference] = useState("");
+  const [settledOn, setSettledOn] = useState(todayForDateInput());
+  const [fileName, setFileName] = useState("");
+  const [report, setReport] = useState(null); // { headers, records }
+  const [mapping, setMapping] = useState({});
+  const [importError, setImportError] = useState("");
+  const [applying, setApplying] = useState(false);
+  const [appliedMessage, setAppliedMessage] = useState("");
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    async function fetchAll() {
+      const [openOrders, { data: settlementsData, error: settlementsErr }] =
+        await Promise.all([
+          fetchOpenOrders().catch((err) => {
+            setImportError(err.message);
+            return [];
+          }),
+          supabase
+            .from("cod_settlements")
+            .select("*")
+            .order("imported_at", { ascending: false })
+            .limit(25),
+        ]);
+
+      if (settlementsErr)
+        console.error("Supabase error (cod_settlements):", settlementsErr);
+
+      setOrders((prev) => mergeOrders(openOrders, prev));
+      setSettlements(settlementsData || []);
+      setLoadingOrders(false);
+    }
+
+    fetchAll();
+  }, []);
+
+  // the report's own orders (by tracking / invoice), whatever their status
+  const trackingColumn = mapping.tracking;
+  const invoiceColumn = mapping.invoice;
+  useEffect(() => {
+    if (!report) return undefined;
+    let cancelled = false;
+
+    setMatching(true);
+    fetchOrdersNamedIn(report.records, {
+      tracking: trackingColumn,
+      invoice: invoiceColumn,
+    })
+      .then((named) => {
+        if (!cancelled) setOrders((prev) => mergeOrders(prev, named));
+      })
+      .catch((err) => {
+        if (!cancelled) setImportError(err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setMatching(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [report, trackingColumn, invoiceColumn]);
+
+  const reconciliation = useMemo(
+    () =>
+      report
+        ? reconcileSettlement(report.records, mapping, orders, { courier })
+        : null,
+    [report, mapping, orders, courier]
+  );
+
+  const summary = useMemo(() => {
+    const lines = reconciliation?.lines || [];
+    const sum = (rows, fn) => rows.reduce((acc, l) => acc + fn(l), 0);
+    const payable = lines.filter(
+      (l) => PAYABLE_RESULTS.includes(l.result) && l.collected > 0
+    );
+    return {
+      collected: sum(lines, (l) => l.collected),
+      fees: sum(lines, (l) => l.fee),
+      payable: payable.length,
+      toApply: sum(payable, (l) => l.collected),
+      shortPaid: sum(
+        lines.filter((l) => l.result === "short_paid"),
+        (l) => l.expected - l.collected
+      ),
+      feeOverCharge: sum(lines, (l) => l.feeOverCharge),
+      unmatched: lines.filter((l) => l.result === "unmatched").length,
+    };
+  }, [reconciliation]);
+
+  const resetImport = () => {
+    setReport(null);
+    setMapping({});
+    setFileName("");
+    setReference("");
+    if (fileInputRef.current) fileInputRef.current.value = "";
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    setImportError("");
+    setAppliedMessage("");
+    if (!file) return;
+
+    try {
+      const parsed = parseCsvWithHeaders(await file.text());
+      if (!parsed.records.length) {
+        setImportError("The file has no rows below its header line.");
+        setReport(null);
+        return;
+      }
+      setReport(parsed);
+      setMapping(guessColumnMapping(parsed.headers));
+      setFileName(file.name);
+    } catch (err) {
+      console.error("Settlement file error:", err);
+      setImportError(err?.message || "Could not read the file.");
+    }
+  };
+
+  const handleMappingChange = (key, header) => {
+    setMapping((prev) => ({ ...prev, [key]: header }));
+  };
+
+  const handleApply = async () => {
+    setImportError("");
+    setAppliedMessage("");
+
+    if (!mapping.collected) {
+      setImportError("Choose the column with the collected amount.");
+      return;
+    }
+    if (!mapping.tracking && !mapping.invoice && !mapping.phone) {
+      setImportError(
+        "Choose at least one column to match orders by (tracking ID, invoice no. or phone)."
+      );
+      return;
+    }
+    if (!summary.payable) {
+      setImportError("No row in this report matches an order with money due.");
+      return;
+    }
+
+    const confirmed = window.confirm(
+      `Record ${money(summary.toApply)} of COD payments on ${summary.payable} order(s)?`
+    );
+    if (!confirmed) return;
+
+    try {
+      setApplying(true);
+      const { data: result, error } = await supabase.rpc(
+        "apply_cod_settlement",
+        {
+          p_settlement: {
+            courier: courier || null,
+            reference: reference.trim() || null,
+            file_name: fileName || null,
+            settled_on: settledOn || null,
+          },
+          p_lines: reconciliation.lines.map(toSettlementLinePayload),
+        }
+      );
+
+      if (error) {
+        console.error("Supabase apply_cod_settlement error:", error);
+        setImportError(error.message || "Failed to apply the settlement.");
+        return;
+      }
+
+      const updated = result.orders || [];
+      setOrders((prev) =>
+        prev.map((o) => updated.find((u) => u.id === o.id) || o)
+      );
+      setSettlements((prev) => [result.settlement, ...prev]);
+      setAppliedMessage(
+        `Settlement #${result.settlement.id} applied: ${updated.length} order(s) updated.`
+      );
+      resetImport();
+    } catch (err) {
+      console.error("Unexpected settlement error:", err);
+      setImportError(err?.message || "Unexpected error applying settlement.");
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  const renderOrderCell = (order) => (
+    <>
+      <div>
+        #{order.id}{" "}
+        <small className="text-muted">{getInvoiceLabel(order)}</small>
+      </div>
+      <small>
+        {order.customer_id ? (
+          <Link to={`/admin/customers/${order.customer_id}`}>
+            {order.customer_name}
+          </Link>
+        ) : (
+          order.customer_name
+        )}{" "}
+        · {order.status}
+      </small>
+    </>
+  );
+
+  return (
+    <Container fluid>
+      <Row>
+        <Col md="12">
+          <Card>
+            <Card.Header>
+              <Card.Title as="h4">COD Reconciliation</Card.Title>
+              <p className="card-category">
+                Import a courier settlement report (CSV), check it against your
+                orders and record the cash collected
+              </p>
+            </Card.Header>
+            <Card.Body>
+              <Row>
+                <Col md={3} className="mb-2">
+                  <Form.Label>Courier</Form.Label>
+                  <Form.Control
+                    as="select"
+                    value={courier}
+                    onChange={(e) => setCourier(e.target.value)}
+                  >
+                    <option value="">Any courier</option>
+                    {COURIERS.map((c) => (
+                      <option key={c.value} value={c.value}>
+                        {c.label}
+                      </option>
+                    ))}
+                  </Form.Control>
+                </Col>
+                <Col md={3} className="mb-2">
+                  <Form.Label>Settlement / Payout Reference</Form.Label>
+                  <Form.Control
+                    type="text"
+                    placeholder="Optional"
+                    value={reference}
+                    onChange={(e) => setReference(e.target.value)}
+                  />
+                </Col>
+                <Col md={2} className="mb-2">
+                  <Form.Label>Settled On</Form.Label>
+                  <Form.Control
+                    type="date"
+                    value={settledOn}
+                    onChange={(e) => setSettledOn(e.target.value)}
+                  />
+                </Col>
+                <Col md={4} className="mb-2">
+                  <Form.Label>Settlement File (CSV)</Form.Label>
+                  <Form.Control
+                    type="file"
+                    accept=".csv,text/csv"
+                    ref={fileInputRef}
+                    onChange={handleFileChange}
+                  />
+                </Col>
+              </Row>
+
+              {importError && (
+                <div className="text-danger mb-2">{importError}</div>
+              )}
+              {appliedMessage && (
+                <div className="text-success mb-2">{appliedMessage}</div>
+              )}
+
+              {report && (
+                <>
+                  <h5 className="mt-3 mb-2">
+                    Columns in {fileName}{" "}
+                    <small className="text-muted">
+                      ({report.records.length} rows)
+                    </small>
+                  </h5>
+                  <Row>
+                    {SETTLEMENT_COLUMNS.map((col) => (
+                      <Col md key={col.key} className="mb-2">
+                        <Form.Label>{col.label}</Form.Label>
+                        <Form.Control
+                          as="select"
+                          value={mapping[col.key] || ""}
+                          onChange={(e) =>
+                            handleMappingChange(col.key, e.target.value)
+                          }
+                        >
+                          <option value="">— not in file —</option>
+                          {report.headers.map((h) => (
+                            <option key={h} value={h}>
+                              {h}
+                            </option>
+                          ))}
+                        </Form.Control>
+                      </Col>
+                    ))}
+                  </Row>
+
+                  <div className="d-flex flex-wrap my-3" style={{ gap: 16 }}>
+                    <div>
+                      Collected: <strong>{money(summary.collected)}</strong>
+                    </div>
+                    <div>
+                      Courier fees: <strong>{money(summary.fees)}</strong>
+                    </div>
+                    <div>
+                      Payout:{" "}
+                      <strong>{money(summary.collected - summary.fees)}</strong>
+                    </div>
+                    {summary.shortPaid > 0 && (
+                      <div className="text-warning">
+                        Short paid: <strong>{money(summary.shortPaid)}</strong>
+                      </div>
+                    )}
+                    {summary.feeOverCharge > 0 && (
+                      <div className="text-warning">
+                        Fees above delivery charge:{" "}
+                        <strong>{money(summary.feeOverCharge)}</strong>
+                      </div>
+                    )}
+                    {summary.unmatched > 0 && (
+                      <div className="text-danger">
+                        Unmatched rows: <strong>{summary.unmatched}</strong>
+                      </div>
+                    )}
+                  </div>
+
+                  <Table bordered size="sm" responsive>
+                    <thead>
+                      <tr>
+                        <th>#</th>
+                        <th>Tracking</th>
+                        <th>Phone</th>
+                        <th>Order</th>
+                        <th>Matched By</th>
+                        <th className="text-right">Collected</th>
+                        <th className="text-right">Fee</th>
+                        <th className="text-right">Due</th>
+                        <th className="text-right">Difference</th>
+                        <th>Result</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {reconciliation.lines.map((line) => {
+                        const res = SETTLEMENT_RESULTS[line.result];
+                        return (
+                          <tr key={line.lineNo}>
+                            <td>{line.lineNo}</td>
+                            <td>{line.tracking || "-"}</td>
+                            <td>{line.phone || "-"}</td>
+                            <td>
+                              {line.order ? renderOrderCell(line.order) : "-"}
+                            </td>
+                            <td>{MATCH_LABELS[line.matchType] || "-"}</td>
+                            <td className="text-right">
+                              {money(line.collected)}
+                            </td>
+                            <td className="text-right">
+                              {money(line.fee)}
+                              {line.feeOverCharge > 0 && (
+                                <small
+                                  className="text-warning d-block"
+                                  title="More than the delivery charge on the order"
+                                >
+                                  +{money(line.feeOverCharge)} over
+                                </small>
+                              )}
+                            </td>
+                            <td className="text-right">
+                              {line.expected != null
+                                ? money(line.expected)
+                                : "-"}
+                            </td>
+                            <td
+                              className={`text-right ${
+                                line.difference < 0
+                                  ? "text-danger"
+                                  : line.difference > 0
+                                    ? "text-info"
+                                    : ""
+                              }`}
+                            >
+                              {line.difference != null
+                                ? money(line.difference)
+                                : "-"}
+                            </td>
+                            <td>
+                              <Badge variant={res.variant}>{res.label}</Badge>
+                              {line.note && (
+                                <small className="text-muted d-block">
+                                  {line.note}
+                                </small>
+                              )}
+                            </td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </Table>
+
+                  {reconciliation.missing.length > 0 && (
+                    <>
+                      <h5 className="mt-4 mb-2 text-danger">
+                        Missing Collections{" "}
+                        <small className="text-muted">
+                          delivered{" "}
+                          {courier ? `by ${getCourierLabel(courier)} ` : ""}
+                          with cash due, but not in this report
+                        </small>
+                      </h5>
+                      <Table bordered size="sm" responsive>
+                        <thead>
+                          <tr>
+                            <th>Order</th>
+                            <th>Courier</th>
+                            <th>Tracking</th>
+                            <th className="text-right">Due</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {reconciliation.missing.map((order) => {
+                            const shipment = getLatestShipment(order);
+                            return (
+                              <tr key={order.id}>
+                                <td>{renderOrderCell(order)}</td>
+                                <td>
+                                  {shipment
+                                    ? getCourierLabel(shipment.courier)
+                                    : "-"}
+                                </td>
+                                <td>{shipment?.tracking_code || "-"}</td>
+                                <td className="text-right">
+                                  {money(getBalanceDue(order))}
+                                </td>
+                              </tr>
+                            );
+                          })}
+                        </tbody>
+                      </Table>
+                    </>
+                  )}
+
+                  <div className="d-flex justify-content-end mt-3">
+                    <Button
+                      variant="secondary"
+                      className="mr-2"
+                      onClick={resetImport}
+                      disabled={applying}
+                    >
+                      Discard
+                    </Button>
+                    <Button
+                      variant="info"
+                      className="btn-fill"
+                      onClick={handleApply}
+                      disabled={applying || loadingOrders || matching}
+                    >
+                      {applying
+                        ? "Applying..."
+                        : loadingOrders || matching
+                          ? "Looking up orders..."
+                          : `Apply Settlement (${summary.payable} payment${
+                              summary.payable === 1 ? "" : "s"
+                            })`}
+                    </Button>
+                  </div>
+                </>
+              )}
+            </Card.Body>
+          </Card>
+
+          <Card className="strpied-tabled-with-hover">
+            <Card.Header>
+              <Card.Title as="h4">Past Settlements</Card.Title>
+            </Card.Header>
+            <Card.Body className="table-full-width table-responsive px-0">
+              <Table className="table-hover table-striped">
+                <thead>
+                  <tr>
+                    <th className="border-0">#</th>
+                    <th className="border-0">Settled On</th>
+                    <th className="border-0">Courier</th>
+                    <th className="border-0">Reference</th>
+                    <th className="border-0">File</th>
+                    <th className="border-0">Rows</th>
+                    <th className="border-0">Collected</th>
+                    <th className="border-0">Fees</th>
+                    <th className="border-0">Payout</th>
+                    <th className="border-0">Imported</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {settlements.length > 0 ? (
+                    settlements.map((s) => (
+                      <tr key={s.id}>
+                        <td>#{s.id}</td>
+                        <td>{s.settled_on}</td>
+                        <td>{s.courier ? getCourierLabel(s.courier) : "-"}</td>
+                        <td>{s.reference || "-"}</td>
+                        <td>{s.file_name || "-"}</td>
+                        <td>{s.row_count}</td>
+                        <td>{money(s.collected_total)}</td>
+                        <td>{money(s.fee_total)}</td>
+                        <td>{money(s.payout_total)}</td>
+                        <td>
+                          {formatDate(s.imported_at)}
+                          {s.imported_by_email && (
+                            <small className="text-muted d-block">
+                              {s.imported_by_email}
+                            </small>
+                          )}
+                        </td>
+                      </tr>
+                    ))
+                  ) : (
+                    <tr>
+                      <td colSpan="10" className="text-center">
+                        No settlements imported yet.
+                      </td>
+                    </tr>
+                  )}
+                </tbody>
+              </Table>
+            </Card.Body>
+          </Card>
+        </Col>
+      </Row>
+    </Container>
+  );
+};
+
+export default CodReconciliation;
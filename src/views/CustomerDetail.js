@@ -0,0 +1,233 @@
+import React, { useState, useEffect } from "react";
+import { Link, useParams } from "react-router-dom";
+import { Card, Table, Container, Row, Col, Badge } from "react-bootstrap";
+import { supabase } from "createClient";
+import { formatDate } from "../utils/formatDate";
+import { getStatusVariant } from "../utils/orderStatus";
+import { getBalanceDue, getNetOrderAmount } from "../utils/orderTotals";
+import { getPaymentStatusVariant } from "../utils/payments";
+
+const formatCurrency = (value) => `৳${Number(value || 0).toFixed(2)}`;
+
+const CustomerDetail = () => {
+  const { customerId } = useParams();
+
+  const [customer, setCustomer] = useState(null);
+  const [orders, setOrders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState("");
+
+  useEffect(() => {
+    async function fetchCustomer() {
+      setLoading(true);
+      setLoadError("");
+
+      const [
+        { data: customerData, error: customerErr },
+        { data: ordersData, error: ordersErr },
+      ] = await Promise.all([
+        supabase
+          .from("customer_summary")
+          .select("*")
+          .eq("id", customerId)
+          .maybeSingle(),
+        supabase
+          .from("orders")
+          .select("*")
+          .eq("customer_id", customerId)
+          .order("id", { ascending: false }),
+      ]);
+
+      if (customerErr) console.error("Supabase error (customer):", customerErr);
+      if (ordersErr) console.error("Supabase error (orders):", ordersErr);
+
+      if (customerErr || !customerData) {
+        setLoadError(customerErr?.message || "Customer not found.");
+      }
+
+      setCustomer(customerData || null);
+      setOrders(ordersData || []);
+      setLoading(false);
+    }
+
+    fetchCustomer();
+  }, [customerId]);
+
+  if (loading) {
+    return (
+      <Container fluid>
+        <p className="text-muted">Loading customer...</p>
+      </Container>
+    );
+  }
+
+  if (!customer) {
+    return (
+      <Container fluid>
+        <p className="text-danger">{loadError}</p>
+        <Link to="/admin/customers">← Back to customers</Link>
+      </Container>
+    );
+  }
+
+  const stats = [
+    { label: "Orders", value: customer.order_count || 0 },
+    { label: "Lifetime Value", value: formatCurrency(customer.lifetime_value) },
+    { label: "Paid", value: formatCurrency(customer.total_paid) },
+    {
+      label: "Outstanding",
+      value: formatCurrency(customer.outstanding),
+      className: Number(customer.outstanding || 0) > 0 ? "text-danger" : "",
+    },
+  ];
+
+  return (
+    <Container fluid>
+      <Link to="/admin/customers">← Back to customers</Link>
+
+      <Row className="mt-2">
+        <Col md="4">
+          <Card>
+            <Card.Header>
+              <Card.Title as="h4">{customer.name}</Card.Title>
+              <p className="card-category">Customer #{customer.id}</p>
+            </Card.Header>
+            <Card.Body>
+              <div>
+                <strong>Phone:</strong> {customer.phone || "-"}
+              </div>
+              <div>
+                <strong>Email:</strong> {customer.email || "-"}
+              </div>
+              <div>
+                <strong>Address:</strong> {customer.address || "-"}
+              </div>
+              {customer.notes && (
+                <div className="mt-2 text-muted">{customer.notes}</div>
+              )}
+              <div className="mt-2 text-muted">
+                <small>
+                  Customer since {formatDate(customer.created_at)}
+                  {customer.last_order_at &&
+                    ` · last order ${formatDate(customer.last_order_at)}`}
+                </small>
+              </div>
+            </Card.Body>
+          </Card>
+        </Col>
+
+        <Col md="8">
+          <Row>
+            {stats.map((s) => (
+              <Col sm="6" lg="3" key={s.label}>
+                <Card className="card-stats">
+                  <Card.Body>
+                    <div className="numbers">
+                      <p className="card-category">{s.label}</p>
+                      <Card.Title as="h4" className={s.className}>
+                        {s.value}
+                      </Card.Title>
+                    </div>
+                  </Card.Body>
+                </Card>
+              </Col>
+            ))}
+          </Row>
+        </Col>
+      </Row>
+
+      <Row>
+        <Col md="12">
+          <Card className="strpied-tabled-with-hover">
+            <Card.Header>
+              <Card.Title as="h4">Orders</Card.Title>
+              <p className="card-category">
+                Lifetime value and balance exclude cancelled orders and
+                returns
+              </p>
+            </Card.Header>
+            <Card.Body className="table-full-width table-responsive px-0">
+              <Table className="table-hover table-striped">
+                <thead>
+                  <tr>
+                    <th>Order</th>
+                    <th>Date</th>
+                    <th>Status</th>
+                    <th>Payment</th>
+                    <th>Net Total</th>
+                    <th>Paid</th>
+                    <th>Balance</th>
+                    <th>Invoice</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {orders.length > 0 ? (
+                    orders.map((order) => (
+                      <tr key={order.id}>
+                        <td>
+                          <div>#{order.id}</div>
+                          {order.invoice_number && (
+                            <small className="text-muted text-nowrap">
+                              {order.invoice_number}
+                            </small>
+                          )}
+                        </td>
+                        <td>{formatDate(order.created_at)}</td>
+                        <td>
+                          <Badge variant={getStatusVariant(order.status)}>
+                            {order.status}
+                          </Badge>
+                        </td>
+                        <td>
+                          {order.status !== "Cancelled" && (
+                            <Badge
+                              variant={getPaymentStatusVariant(
+                                order.payment_status
+                              )}
+                            >
+                              {order.payment_status || "Unpaid"}
+                            </Badge>
+                          )}
+                        </td>
+                        <td>{formatCurrency(getNetOrderAmount(order))}</td>
+                        <td>{formatCurrency(order.amount_paid)}</td>
+                        <td
+                          className={
+                            getBalanceDue(order) > 0 ? "text-danger" : ""
+                          }
+                        >
+                          {formatCurrency(getBalanceDue(order))}
+                        </td>
+                        <td>
+                          {order.invoice_pdf_url || order.invoice_url ? (
+                            <a
+                              href={order.invoice_pdf_url || order.invoice_url}
+                              target="_blank"
+                              rel="noreferrer"
+                            >
+                              View
+                            </a>
+                          ) : (
+                            "-"
+                          )}
+                        </td>
+                      </tr>
+                    ))
+                  ) : (
+                    <tr>
+                      <td colSpan={8} className="text-center text-muted py-3">
+                        No orders yet.
+                      </td>
+                    </tr>
+                  )}
+                </tbody>
+              </Table>
+            </Card.Body>
+          </Card>
+        </Col>
+      </Row>
+    </Container>
+  );
+};
+
+export default CustomerDetail;
@@ -0,0 +1,579 @@
+import React, { useState, useEffect } from "react";
+import { Link, Route, Switch, useRouteMatch } from "react-router-dom";
+import {
+  Card,
+  Table,
+  Container,
+  Row,
+  Col,
+  Form,
+  Button,
+  Collapse,
+} from "react-bootstrap";
+import { supabase } from "createClient";
+import { customerMatches } from "../utils/customers";
+import { fetchPriceLists } from "../utils/priceLists";
+import CustomerDetail from "./CustomerDetail";
+import { useAuth } from "../context/AuthProvider";
+
+const EMPTY_CUSTOMER = {
+  name: "",
+  phone: "",
+  email: "",
+  address: "",
+  notes: "",
+  price_list_id: "",
+};
+
+const PriceListSelect = ({ priceLists, value, onChange }) => (
+  <Form.Control
+    as="select"
+    name="price_list_id"
+    value={value}
+    onChange={onChange}
+  >
+    <option value="">Default list</option>
+    {priceLists
+      .filter((l) => l.active || String(l.id) === String(value))
+      .map((l) => (
+        <option key={l.id} value={l.id}>
+          {l.name}
+        </option>
+      ))}
+  </Form.Control>
+);
+
+const formatCurrency = (value) => `৳${Number(value || 0).toFixed(2)}`;
+
+// unique index on the normalized phone -> friendlier message
+function describeCustomerError(error, fallback) {
+  if (error?.code === "23505") {
+    return "Another customer already has this phone number.";
+  }
+  return error?.message || fallback;
+}
+
+const CustomerList = () => {
+  const { can } = useAuth();
+  const canManage = can("customers.manage");
+  const [customers, setCustomers] = useState([]);
+  const [search, setSearch] = useState("");
+  const [priceLists, setPriceLists] = useState([]);
+
+  // Add customer form state
+  const [newCustomer, setNewCustomer] = useState(EMPTY_CUSTOMER);
+  const [addError, setAddError] = useState("");
+  const [adding, setAdding] = useState(false);
+  const [showForm, setShowForm] = useState(false);
+
+  // Edit customer state (custom modal)
+  const [showEditModal, setShowEditModal] = useState(false);
+  const [editingCustomer, setEditingCustomer] = useState(null);
+  const [editForm, setEditForm] = useState(EMPTY_CUSTOMER);
+  const [editError, setEditError] = useState("");
+  const [savingEdit, setSavingEdit] = useState(false);
+
+  // list rows come from the summary view (customer + order totals)
+  const fetchCustomers = async () => {
+    const { data, error } = await supabase
+      .from("customer_summary")
+      .select("*")
+      .order("name");
+
+    if (error) {
+      console.error("Supabase error (customers):", error);
+    } else {
+      setCustomers(data || []);
+    }
+  };
+
+  useEffect(() => {
+    fetchCustomers();
+    fetchPriceLists().then(setPriceLists);
+  }, []);
+
+  const getPriceListName = (id) =>
+    priceLists.find((l) => l.id === id)?.name || "Default";
+
+  // 🔍 filter logic
+  const filteredCustomers = customers.filter((c) => customerMatches(c, search));
+
+  // ------- Add customer handlers -------
+
+  const handleNewCustomerChange = (e) => {
+    const { name, value } = e.target;
+    setNewCustomer((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleAddCustomer = async (e) => {
+    e.preventDefault();
+    setAddError("");
+
+    if (!newCustomer.name.trim()) {
+      setAddError("Customer name is required.");
+      return;
+    }
+
+    try {
+      setAdding(true);
+
+      const { error } = await supabase.from("customers").insert([
+        {
+          name: newCustomer.name.trim(),
+          phone: newCustomer.phone.trim() || null,
+          email: newCustomer.email.trim() || null,
+          address: newCustomer.address.trim() || null,
+          notes: newCustomer.notes.trim() || null,
+          price_list_id: newCustomer.price_list_id
+            ? Number(newCustomer.price_list_id)
+            : null,
+        },
+      ]);
+
+      if (error) {
+        console.error("Supabase insert error:", error);
+        setAddError(describeCustomerError(error, "Failed to add customer."));
+      } else {
+        setNewCustomer(EMPTY_CUSTOMER);
+        await fetchCustomers();
+      }
+    } finally {
+      setAdding(false);
+    }
+  };
+
+  // ------- Delete customer -------
+
+  const handleDeleteCustomer = async (customer) => {
+    const confirmed = window.confirm(
+      Number(customer.order_count || 0) > 0
+        ? `${customer.name} has ${customer.order_count} order(s). Delete the customer anyway? The orders are kept, unlinked.`
+        : "Are you sure you want to delete this customer?"
+    );
+    if (!confirmed) return;
+
+    const { error } = await supabase
+      .from("customers")
+      .delete()
+      .eq("id", customer.id);
+
+    if (error) {
+      console.error("Supabase delete error:", error);
+      alert(error.message || "Failed to delete customer.");
+    } else {
+      setCustomers((prev) => prev.filter((c) => c.id !== customer.id));
+    }
+  };
+
+  // ------- Edit customer -------
+
+  const openEditModal = (customer) => {
+    setEditingCustomer(customer);
+    setEditForm({
+      name: customer.name || "",
+      phone: customer.phone || "",
+      email: customer.email || "",
+      address: customer.address || "",
+      notes: customer.notes || "",
+      price_list_id: customer.price_list_id
+        ? String(customer.price_list_id)
+        : "",
+    });
+    setEditError("");
+    setShowEditModal(true);
+  };
+
+  const handleEditChange = (e) => {
+    const { name, value } = e.target;
+    setEditForm((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSaveEdit = async (e) => {
+    e.preventDefault();
+    if (!editingCustomer) return;
+
+    setEditError("");
+
+    if (!editForm.name.trim()) {
+      setEditError("Customer name is required.");
+      return;
+    }
+
+    try {
+      setSavingEdit(true);
+
+      const { data, error } = await supabase
+        .from("customers")
+        .update({
+          name: editForm.name.trim(),
+          phone: editForm.phone.trim() || null,
+          email: editForm.email.trim() || null,
+          address: editForm.address.trim() || null,
+          notes: editForm.notes.trim() || null,
+          price_list_id: editForm.price_list_id
+            ? Number(editForm.price_list_id)
+            : null,
+          updated_at: new Date().toISOString(),
+        })
+        .eq("id", editingCustomer.id)
+        .eq("version", editingCustomer.version)
+        .select()
+        .maybeSingle();
+
+      if (error) {
+        console.error("Supabase update error:", error);
+        setEditError(describeCustomerError(error, "Failed to update customer."));
+      } else if (!data) {
+        setEditError(
+          "This customer was changed by someone else. Close and reopen to see the latest details."
+        );
+        await fetchCustomers();
+      } else {
+        setShowEditModal(false);
+        setEditingCustomer(null);
+        await fetchCustomers();
+      }
+    } finally {
+      setSavingEdit(false);
+    }
+  };
+
+  return (
+    <>
+      <Container fluid>
+        <Row>
+          <Col md="12">
+            <Card className="strpied-tabled-with-hover">
+              <Card.Header>
+                <Card.Title as="h4">Customers</Card.Title>
+                <p className="card-category">
+                  One record per phone number, with order history and balance
+                </p>
+
+                {/* 🔍 Search bar */}
+                <Form.Control
+                  type="text"
+                  placeholder="Search by name, phone, email, address..."
+                  value={search}
+                  onChange={(e) => setSearch(e.target.value)}
+                  className="mt-3 mb-3"
+                />
+
+                {/* Toggle Add Customer form */}
+                {canManage && (
+                  <div className="d-flex justify-content-start mb-2">
+                    <Button
+                      variant={showForm ? "danger" : "info"}
+                      onClick={() => setShowForm((prev) => !prev)}
+                    >
+                      {showForm ? "Close" : "Add New Customer"}
+                    </Button>
+                  </div>
+                )}
+
+                {/* ➕ Add Customer mini-form (sliding) */}
+                <Collapse in={showForm && canManage}>
+                  <div>
+                    <Form onSubmit={handleAddCustomer} className="border-top pt-3">
+                      <Row>
+                        <Col md={3} className="mb-2">
+                          <Form.Label>Name *</Form.Label>
+                          <Form.Control
+                            name="name"
+                            value={newCustomer.name}
+                            onChange={handleNewCustomerChange}
+                            placeholder="Customer name"
+                          />
+                        </Col>
+                        <Col md={3} className="mb-2">
+                          <Form.Label>Phone</Form.Label>
+                          <Form.Control
+                            name="phone"
+                            value={newCustomer.phone}
+                            onChange={handleNewCustomerChange}
+                            placeholder="01XXXXXXXXX"
+                          />
+                        </Col>
+                        <Col md={3} className="mb-2">
+                          <Form.Label>Email</Form.Label>
+                          <Form.Control
+                            name="email"
+                            type="email"
+                            value={newCustomer.email}
+                            onChange={handleNewCustomerChange}
+                            placeholder="Email"
+                          />
+                        </Col>
+                        <Col md={3} className="mb-2">
+                          <Form.Label>Price List</Form.Label>
+                          <PriceListSelect
+                            priceLists={priceLists}
+                            value={newCustomer.price_list_id}
+                            onChange={handleNewCustomerChange}
+                          />
+                        </Col>
+                      </Row>
+                      <Row>
+                        <Col md={6} className="mb-2">
+                          <Form.Label>Address</Form.Label>
+                          <Form.Control
+                            as="textarea"
+                            rows={2}
+                            name="address"
+                            value={newCustomer.address}
+                            onChange={handleNewCustomerChange}
+                            placeholder="Delivery address"
+                          />
+                        </Col>
+                        <Col md={6} className="mb-2">
+                          <Form.Label>Notes</Form.Label>
+                          <Form.Control
+                            as="textarea"
+                            rows={2}
+                            name="notes"
+                            value={newCustomer.notes}
+                            onChange={handleNewCustomerChange}
+                            placeholder="Additional notes"
+                          />
+                        </Col>
+                      </Row>
+
+                      <div className="d-flex justify-content-end mt-2">
+                        {addError && (
+                          <div className="text-danger mb-1 mr-2">{addError}</div>
+                        )}
+                        <Button
+                          type="submit"
+                          variant="info"
+                          className="btn-fill"
+                          disabled={adding}
+                        >
+                          {adding ? "Adding..." : "Save Customer"}
+                        </Button>
+                      </div>
+                    </Form>
+                  </div>
+                </Collapse>
+              </Card.Header>
+
+              <Card.Body className="table-full-width table-responsive px-0">
+                <Table className="table-hover table-striped">
+                  <thead>
+                    <tr>
+                      <th>ID</th>
+                      <th>Name</th>
+                      <th>Phone</th>
+                      <th>Email</th>
+                      <th>Address</th>
+                      <th>Price List</th>
+                      <th>Orders</th>
+                      <th>Lifetime Value</th>
+                      <th>Outstanding</th>
+                      {canManage && <th>Actions</th>}
+                    </tr>
+                  </thead>
+
+                  <tbody>
+                    {filteredCustomers.length > 0 ? (
+                      filteredCustomers.map((customer) => (
+                        <tr key={customer.id}>
+                          <td>{customer.id}</td>
+                          <td>
+                            <Link to={`/admin/customers/${customer.id}`}>
+                              {customer.name}
+                            </Link>
+                          </td>
+                          <td>{customer.phone}</td>
+                          <td>{customer.email}</td>
+                          <td>{customer.address}</td>
+                          <td>{getPriceListName(customer.price_list_id)}</td>
+                          <td>{customer.order_count || 0}</td>
+                          <td>{formatCurrency(customer.lifetime_value)}</td>
+                          <td
+                            className={
+                              Number(customer.outstanding || 0) > 0
+                                ? "text-danger"
+                                : ""
+                            }
+                          >
+                            {formatCurrency(customer.outstanding)}
+                          </td>
+                          {canManage && (
+                            <td className="d-flex align-items-center gap-2">
+                              <Button
+                                variant="info"
+                                size="sm"
+                                className="mr-1"
+                                onClick={() => openEditModal(customer)}
+                              >
+                                Edit
+                              </Button>
+                              {can("customers.delete") && (
+                                <Button
+                                  variant="danger"
+                                  size="sm"
+                                  onClick={() => handleDeleteCustomer(customer)}
+                                >
+                                  Delete
+                                </Button>
+                              )}
+                            </td>
+                          )}
+                        </tr>
+                      ))
+                    ) : (
+                      <tr>
+                        <td colSpan={10} className="text-center text-danger py-3">
+                          No customers found!
+                        </td>
+                      </tr>
+                    )}
+                  </tbody>
+                </Table>
+              </Card.Body>
+            </Card>
+          </Col>
+        </Row>
+      </Container>
+
+      {/* ✏️ EDIT CUSTOMER - CUSTOM MODAL */}
+      {showEditModal && (
+        <div
+          onClick={() => !savingEdit && setShowEditModal(false)}
+          style={{
+            position: "fixed",
+            inset: 0,
+            background: "rgba(0,0,0,0.7)",
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "center",
+            zIndex: 10000,
+          }}
+        >
+          <div
+            className="card"
+            style={{
+              width: "90%",
+              maxWidth: "800px",
+              maxHeight: "90vh",
+              overflowY: "auto",
+            }}
+            onClick={(e) => e.stopPropagation()}
+          >
+            <div className="card-header d-flex justify-content-between align-items-center">
+              <h4 className="mb-0">Edit Customer</h4>
+              <button
+                type="button"
+                className="btn btn-sm btn-outline-secondary"
+                onClick={() => !savingEdit && setShowEditModal(false)}
+              >
+                ✕
+              </button>
+            </div>
+            <div className="card-body">
+              {editError && (
+                <div className="text-danger mb-2">{editError}</div>
+              )}
+
+              <Form onSubmit={handleSaveEdit}>
+                <Row>
+                  <Col md={3} className="mb-2">
+                    <Form.Label>Name *</Form.Label>
+                    <Form.Control
+                      name="name"
+                      value={editForm.name}
+                      onChange={handleEditChange}
+                    />
+                  </Col>
+                  <Col md={3} className="mb-2">
+                    <Form.Label>Phone</Form.Label>
+                    <Form.Control
+                      name="phone"
+                      value={editForm.phone}
+                      onChange={handleEditChange}
+                    />
+                  </Col>
+                  <Col md={3} className="mb-2">
+                    <Form.Label>Email</Form.Label>
+                    <Form.Control
+                      name="email"
+                      type="email"
+                      value={editForm.email}
+                      onChange={handleEditChange}
+                    />
+                  </Col>
+                  <Col md={3} className="mb-2">
+                    <Form.Label>Price List</Form.Label>
+                    <PriceListSelect
+                      priceLists={priceLists}
+                      value={editForm.price_list_id}
+                      onChange={handleEditChange}
+                    />
+                  </Col>
+                </Row>
+                <Row>
+                  <Col md={12} className="mb-2">
+                    <Form.Label>Address</Form.Label>
+                    <Form.Control
+                      as="textarea"
+                      rows={2}
+                      name="address"
+                      value={editForm.address}
+                      onChange={handleEditChange}
+                    />
+                  </Col>
+                </Row>
+                <Row>
+                  <Col md={12} className="mb-2">
+                    <Form.Label>Notes</Form.Label>
+                    <Form.Control
+                      as="textarea"
+                      rows={3}
+                      name="notes"
+                      value={editForm.notes}
+                      onChange={handleEditChange}
+                    />
+                  </Col>
+                </Row>
+
+                <div className="d-flex justify-content-end mt-3">
+                  <Button
+                    type="button"
+                    variant="secondary"
+                    className="mr-2"
+                    onClick={() => !savingEdit && setShowEditModal(false)}
+                    disabled={savingEdit}
+                  >
+                    Cancel
+                  </Button>
+                  <Button
+                    type="submit"
+                    variant="info"
+                    className="btn-fill"
+                    disabled={savingEdit}
+                  >
+                    {savingEdit ? "Saving..." : "Save Changes"}
+                  </Button>
+                </div>
+              </Form>
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  );
+};
+
+// /admin/customers lists everyone, /admin/customers/:customerId shows one
+const Customers = () => {
+  const { path } = useRouteMatch();
+
+  return (
+    <Switch>
+      <Route path={`${path}/:customerId`} component={CustomerDetail} />
+      <Route path={path} component={CustomerList} />
+    </Switch>
+  );
+};
+
+export default Customers;
@@ -5,6 +5,16 @@ import ChartistGraph from "react-chartist";
 import { Card, Table, Container, Row, Col, Badge, Button } from "react-bootstrap";
 import { supabase } from "createClient";
 import { formatDate } from "../utils/formatDate";
+import { getOrderItems } from "../utils/orderItems";
+import { getStatusVariant } from "../utils/orderStatus";
+import {
+  getBalanceDue,
+  getNetOrderAmount,
+  getNetUnitPrice,
+  getOrderVatAmount,
+} from "../utils/orderTotals";
+import { getOrderPayments } from "../utils/payments";
+import { useProducts, findProductName } from "../utils/catalog";
 
 // helper: currency format
 const formatCurrency = (value) => {
@@ -36,7 +46,8 @@ const wrapLabel = (value, maxPerLine = 12) => {
 
 function Dashboard() {
   const [orders, setOrders] = useState([]);
-  const [products, setProducts] = useState([]);
+  const { data: products, error: productsError } = useProducts();
+  const [productSales, setProductSales] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
   const [revenueRange, setRevenueRange] = useState("7d"); // "7d" | "14d" | "1m" | "6m" | "1y"
@@ -50,28 +61,33 @@ function Dashboard() {
 
         const [
           { data: ordersData, error: ordersErr },
-          { data: productsData, error: productsErr },
+          { data: salesData, error: salesErr },
         ] = await Promise.all([
           supabase
             .from("orders")
-            .select("*")
+            .select(
+              "*, order_items(*, ...order_item_costs(unit_cost)), order_status_history(*), order_payments(*)"
+            )
             .order("created_at", { ascending: true }),
-          supabase.from("products").select("*"),
+          // per-product totals aggregated in the database
+          supabase
+            .from("product_sales")
+            .select("*")
+            .order("revenue", { ascending: false })
+            .limit(5),
         ]);
 
         if (ordersErr) {
           console.error("Supabase error (orders):", ordersErr);
           setError(ordersErr.message || "Failed to load orders.");
         }
-        if (productsErr) {
-          console.error("Supabase error (products):", productsErr);
-          setError(
-            (prev) => prev || productsErr.message || "Failed to load products."
-          );
+
+        if (salesErr) {
+          console.error("Supabase error (product_sales):", salesErr);
         }
 
         setOrders(ordersData || []);
-        setProducts(productsData || []);
+        setProductSales(salesData || []);
       } catch (err) {
         console.error("Unexpected dashboard fetch error:", err);
         setError(err?.message || "Unexpected error loading dashboard.");
@@ -83,14 +99,12 @@ function Dashboard() {
     fetchData();
   }, []);
 
-  const getProductName = (id) => {
-    const p = products.find((x) => x.id === id);
-    return p ? p.name : "Unknown Product";
-  };
+  const getProductName = (id) => findProductName(products, id);
 
   // ---------- DERIVED METRICS ----------
   const {
     totalRevenue,
+    totalVat,
     totalOrders,
     paidRevenue,
     unpaidAmount,
@@ -109,6 +123,7 @@ function Dashboard() {
   } = useMemo(() => {
     const result = {
       totalRevenue: 0,
+      totalVat: 0,
       totalOrders: orders.length,
       paidRevenue: 0,
       unpaidAmount: 0,
@@ -129,9 +144,10 @@ function Dashboard() {
     if (orders.length === 0) return result;
 
     let totalRev = 0;
+    let totalVat = 0;
     let paidRev = 0;
+    let unpaid = 0;
     const statusMap = {};
-    const productStats = {}; // productId -> { productId, units, revenue }
 
     // for dynamic revenue-by-day ranges
     const dayRevenueMap = {}; // YYYY-MM-DD -> revenue (all orders)
@@ -142,15 +158,22 @@ function Dashboard() {
     let totalUnitsSold = 0;
 
     orders.forEach((order) => {
-      const orderTotal = Number(order.total_amount || 0);
+      // revenue is net of returns and excludes VAT (collected for the
+      // government); cancelled orders count for nothing
+      const orderItems = getOrderItems(order);
+      const orderVat = getOrderVatAmount(order, orderItems);
+      const orderTotal = getNetOrderAmount(order) - orderVat;
       const status = order.status || "Unknown";
+      if (status === "Cancelled") return;
+
+      totalVat += orderVat;
 
       totalRev += orderTotal;
       statusMap[status] = (statusMap[status] || 0) + orderTotal;
 
-      if (status === "Paid") {
-        paidRev += orderTotal;
-      }
+      // money actually received so far, whatever the status
+      paidRev += Number(order.amount_paid || 0);
+      unpaid += getBalanceDue(order);
 
       // revenue per day (based on created_at)
       if (order.created_at) {
@@ -161,27 +184,22 @@ function Dashboard() {
         dayRevenueMap[key] += orderTotal;
       }
 
-      const items = Array.isArray(order.items) ? order.items : [];
-      items.forEach((it) => {
+      orderItems.forEach((it) => {
         if (!it.product_id) return;
         const pid = it.product_id;
-
-        // product revenue & units
-        if (!productStats[pid]) {
-          productStats[pid] = { productId: pid, units: 0, revenue: 0 };
+        const qty =
+          Number(it.quantity || 0) - Number(it.returned_quantity || 0);
+
+        // profit (cost snapshot taken when the line was sold; fall back to
+        // the current product cost for lines without one)
+        let cost = it.unit_cost;
+        if (cost == null) {
+          const prod = products.find((p) => p.id === pid);
+          cost = prod?.unit_purchase_price;
         }
-        const qty = Number(it.quantity || 0);
-        const lineRevenue = Number(it.line_total || 0);
-        productStats[pid].units += qty;
-        productStats[pid].revenue += lineRevenue;
-
-        // profit (use products table for cost)
-        const prod = products.find((p) => p.id === pid);
-        const cost = prod?.unit_purchase_price
-          ? Number(prod.unit_purchase_price)
-          : 0;
-        const unitSell = Number(it.unit_price || 0);
-        const lineProfit = (unitSell - cost) * qty;
+        // after line + order discounts, before VAT
+        const unitSell = getNetUnitPrice(it);
+        const lineProfit = (unitSell - Number(cost || 0)) * qty;
 
         grossProfit += lineProfit;
         totalUnitsSold += qty;
@@ -191,10 +209,10 @@ function Dashboard() {
       });
     });
 
-    const unpaid = totalRev - paidRev;
     const avgOrder = orders.length > 0 ? totalRev / orders.length : 0;
 
     result.totalRevenue = totalRev;
+    result.totalVat = totalVat;
     result.paidRevenue = paidRev;
     result.unpaidAmount = unpaid;
     result.avgOrderValue = avgOrder;
@@ -207,10 +225,12 @@ function Dashboard() {
     result.avgProfitPerUnit =
       totalUnitsSold > 0 ? grossProfit / totalUnitsSold : 0;
 
-    // ---- Top products by revenue (top 5) ----
-    const productArray = Object.values(productStats);
-    productArray.sort((a, b) => b.revenue - a.revenue);
-    result.topProducts = productArray.slice(0, 5);
+    // ---- Top products by revenue (top 5, from the product_sales view) ----
+    result.topProducts = productSales.map((row) => ({
+      productId: row.product_id,
+      units: Number(row.units_sold || 0),
+      revenue: Number(row.revenue || 0),
+    }));
 
     // Chart labels (#1, #2, #3 …) and series (each product its own series)
     result.topProductLabels = result.topProducts.map((_, i) => `#${i + 1}`);
@@ -241,7 +261,7 @@ function Dashboard() {
       "1y": buildRange(365),
     };
 
-    // ---- Monthly PAID revenue (last 6 months, based on updated_at) ----
+    // ---- Monthly PAID revenue (last 6 months, by payment date) ----
     const paidMonthMap = {}; // YYYY-MM -> revenue
     const monthsList = [];
 
@@ -264,14 +284,15 @@ function Dashboard() {
     }
 
     orders.forEach((order) => {
-      if (order.status !== "Paid" || !order.updated_at) return;
-      const d = new Date(order.updated_at);
-      const key = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(
-        2,
-        "0"
-      )}`;
-      if (!(key in paidMonthMap)) return; // ignore older than 6 months
-      paidMonthMap[key] += Number(order.total_amount || 0);
+      getOrderPayments(order).forEach((payment) => {
+        const d = new Date(payment.paid_at);
+        const key = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(
+          2,
+          "0"
+        )}`;
+        if (!(key in paidMonthMap)) return; // ignore older than 6 months
+        paidMonthMap[key] += Number(payment.amount || 0);
+      });
     });
 
     result.paidMonthLabels = monthsList.map((m) => m.label);
@@ -280,7 +301,7 @@ function Dashboard() {
     ];
 
     return result;
-  }, [orders, products]);
+  }, [orders, products, productSales]);
 
   // ---------- CHART DATA ----------
 
@@ -465,7 +486,9 @@ function Dashboard() {
               </Card.Body>
               <Card.Footer>
                 <hr />
-                <div className="stats">All time from all orders</div>
+                <div className="stats">
+                  All time, excluding VAT ({formatCurrency(totalVat)})
+                </div>
               </Card.Footer>
             </Card>
           </Col>
@@ -492,7 +515,7 @@ function Dashboard() {
               <Card.Footer>
                 <hr />
                 <div className="stats">
-                  Orders with status <strong>Paid</strong>
+                  Payments received across all orders
                 </div>
               </Card.Footer>
             </Card>
@@ -521,7 +544,7 @@ function Dashboard() {
               <Card.Footer>
                 <hr />
                 <div className="stats">
-                  Total - Paid (Created / Shipped / Delivered)
+                  Balance still due on open orders
                 </div>
               </Card.Footer>
             </Card>
@@ -755,7 +778,7 @@ function Dashboard() {
               <Card.Header>
                 <Card.Title as="h4">Monthly Paid Revenue</Card.Title>
                 <p className="card-category">
-                  Last 6 months, only <strong>Paid</strong> orders
+                  Last 6 months, by payment date
                 </p>
               </Card.Header>
               <Card.Body>
@@ -783,7 +806,7 @@ function Dashboard() {
               <Card.Footer>
                 <hr />
                 <div className="stats">
-                  Cash actually received per month (Paid orders)
+                  Cash actually received per month (all payments)
                 </div>
               </Card.Footer>
             </Card>
@@ -879,17 +902,7 @@ function Dashboard() {
                               )}
                             </td>
                             <td>
-                              <Badge
-                                variant={
-                                  o.status === "Paid"
-                                    ? "success"
-                                    : o.status === "Delivered"
-                                    ? "info"
-                                    : o.status === "Shipped"
-                                    ? "warning"
-                                    : "secondary"
-                                }
-                              >
+                              <Badge variant={getStatusVariant(o.status)}>
                                 {o.status || "Unknown"}
                               </Badge>
                             </td>
@@ -907,8 +920,8 @@ function Dashboard() {
               <Card.Footer>
                 <hr />
                 <div className="stats">
-                  {error
-                    ? `Error: ${error}`
+                  {error || productsError
+                    ? `Error: ${error || productsError}`
                     : loading
                     ? "Loading..."
                     : `Total orders: ${orders.length}`}
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from "react";
+import React, { useState } from "react";
 import {
   Card,
   Table,
@@ -11,11 +11,26 @@ import {
 } from "react-bootstrap";
 import { supabase } from "createClient";
 import { formatDate } from "../utils/formatDate";
-import * as QRCode from "qrcode";
-
-const COMPANY_NAME = "Brand Bazaar BD";
-const COMPANY_LOGO_URL =
-  "https://wujdkjvthzqnzbbczykd.supabase.co/storage/v1/object/public/assets/reactlogo.png";
+import { getCartonQrDataUrl } from "../utils/cartonQr";
+import { fetchCompanyProfile } from "../utils/companyProfile";
+import { useOpenFromQuery } from "../utils/globalSearch";
+import {
+  useCartons,
+  useProducts,
+  useSuppliers,
+  findProductName,
+  findSupplierName,
+} from "../utils/catalog";
+import {
+  useTableChanges,
+  changedRowId,
+  useChangedIds,
+  changedRowStyle,
+  markOwnWrite,
+  isOwnWrite,
+} from "../utils/realtime";
+import EditConflictAlert from "../components/EditConflictAlert";
+import { useAuth } from "../context/AuthProvider";
 
 // 🔹 Helper: current local time for datetime-local input ("YYYY-MM-DDTHH:mm")
 function getNowForDatetimeLocal() {
@@ -36,10 +51,12 @@ function utcToLocalDatetimeLocal(isoString) {
 }
 
 const Inventory = () => {
-  const [cartons, setCartons] = useState([]);
+  const { data: cartons, setData: setCartons } = useCartons();
   const [selectedImage, setSelectedImage] = useState(null);
-  const [suppliers, setSuppliers] = useState([]);
-  const [products, setProducts] = useState([]);
+  const { data: suppliers } = useSuppliers();
+  const { data: products } = useProducts();
+  const { can } = useAuth();
+  const canManage = can("cartons.manage");
 
   // Add new carton form state
   const [showForm, setShowForm] = useState(false);
@@ -83,6 +100,10 @@ const Inventory = () => {
   });
   const [editError, setEditError] = useState("");
   const [savingEdit, setSavingEdit] = useState(false);
+  // someone else changed the carton being edited: "changed" | "deleted"
+  const [editConflict, setEditConflict] = useState(null);
+
+  const [isChanged, markChanged] = useChangedIds();
 
   // ---- helpers for status/date ----
   const getStatusDateKey = (status) => {
@@ -97,52 +118,20 @@ const Inventory = () => {
     return "Received At";
   };
 
-  useEffect(() => {
-    async function fetchCartons() {
-      const { data, error } = await supabase
-        .from("cartons")
-        .select("*")
-        .order("id", { ascending: false }); // always newest first
-
-      if (error) {
-        console.error("Supabase error (cartons):", error);
-      } else {
-        setCartons(data || []);
-      }
-    }
-
-    async function fetchSuppliers() {
-      const { data, error } = await supabase.from("supplier").select("*");
-      if (error) {
-        console.error("Supabase error (suppliers):", error);
-      } else {
-        setSuppliers(data || []);
-      }
-    }
-
-    async function fetchProducts() {
-      const { data, error } = await supabase.from("products").select("*");
-      if (error) {
-        console.error("Supabase error (products):", error);
-      } else {
-        setProducts(data || []);
-      }
+  // 🔴 live: cartons booked / received / edited in other tabs (the shared
+  // lists patch themselves; this highlights the rows and flags the one being
+  // edited)
+  useTableChanges("cartons", (payload) => {
+    const id = changedRowId(payload);
+    if (isOwnWrite("cartons", id)) return;
+    markChanged(id);
+    if (editingCarton?.id === id) {
+      setEditConflict(payload.eventType === "DELETE" ? "deleted" : "changed");
     }
+  });
 
-    fetchCartons();
-    fetchSuppliers();
-    fetchProducts();
-  }, []);
-
-  function getSupplierName(id) {
-    const supplier = suppliers.find((s) => s.id === id);
-    return supplier ? supplier.organization_name : "Unknown Supplier";
-  }
-
-  function getProductName(id) {
-    const product = products.find((p) => p.id === id);
-    return product ? product.name : "Unknown Product";
-  }
+  const getSupplierName = (id) => findSupplierName(suppliers, id);
+  const getProductName = (id) => findProductName(products, id);
 
   function getStatusTime(carton) {
     if (carton.status === "received") return carton.received_at;
@@ -200,11 +189,7 @@ const Inventory = () => {
 
   // 🔥 Generate a "label-style" image: logo + text + QR
   async function generateCartonLabelImage(carton, product, unitsRemaining) {
-    const qrPayload = `carton${carton.id}`;
-    const qrDataUrl = await QRCode.toDataURL(qrPayload, {
-      margin: 1,
-      width: 260,
-    });
+    const qrDataUrl = await getCartonQrDataUrl(carton.id, 260);
 
     // Canvas
     const width = 800;
@@ -230,8 +215,9 @@ const Inventory = () => {
     const qrY = (height - qrSize) / 2;
 
     // Logo
+    const company = await fetchCompanyProfile();
     const logoSize = 150;
-    const logoImg = await loadImage(COMPANY_LOGO_URL);
+    const logoImg = await loadImage(company.logoUrl);
     if (logoImg) {
       const logoX = 100;
       const logoY = paddingTop;
@@ -246,7 +232,7 @@ const Inventory = () => {
     ctx.fillStyle = "#111111";
     ctx.textBaseline = "top";
     ctx.font = "bold 36px Arial";
-    ctx.fillText(COMPANY_NAME, paddingLeft, currentY);
+    ctx.fillText(company.name, paddingLeft, currentY);
     currentY += 48;
 
     // Product name (wrapped)
@@ -402,6 +388,7 @@ const Inventory = () => {
         setAddError(insertError.message || "Failed to add carton(s).");
         return;
       }
+      (insertedCartons || []).forEach((c) => markOwnWrite("cartons", c.id));
 
       const product = products.find(
         (p) => p.id === Number(newCarton.product_id)
@@ -419,8 +406,11 @@ const Inventory = () => {
       }
 
       // prepend new cartons and keep sorted (id desc)
+      const newIds = finalCartons.map((c) => c.id);
       setCartons((prev) =>
-        [...finalCartons, ...prev].sort((a, b) => b.id - a.id)
+        [...finalCartons, ...prev.filter((c) => !newIds.includes(c.id))].sort(
+          (a, b) => b.id - a.id
+        )
       );
 
       // reset form
@@ -447,6 +437,7 @@ const Inventory = () => {
   async function handleGenerateQrForCarton(carton) {
     try {
       setQrBusyId(carton.id);
+      markOwnWrite("cartons", carton.id);
 
       const product = products.find((p) => p.id === carton.product_id);
       const units = Number(carton.units_remaining) || 0;
@@ -503,6 +494,7 @@ const Inventory = () => {
   function openEditModal(carton) {
     setEditingCarton(carton);
     setEditError("");
+    setEditConflict(null);
 
     const product = products.find((p) => p.id === carton.product_id);
     const status = carton.status || "received";
@@ -529,6 +521,13 @@ const Inventory = () => {
     setEditingCarton(null);
   }
 
+  // navbar search result: /admin/inventory?open=<id> (waits for products so
+  // the edit form shows the carton's product); read-only roles get the row
+  // highlighted instead
+  useOpenFromQuery(products.length ? cartons : [], (carton) =>
+    canManage ? openEditModal(carton) : markChanged(carton.id)
+  );
+
   const handleEditChange = (e) => {
     const { name, value, type, checked } = e.target;
 
@@ -568,6 +567,7 @@ const Inventory = () => {
 
     try {
       setSavingEdit(true);
+      markOwnWrite("cartons", editingCarton.id);
 
       const units = Number(editData.units_remaining);
       const status = editData.status || "received";
@@ -589,13 +589,18 @@ const Inventory = () => {
         payload[dateKey] = new Date(editData.statusDate).toISOString();
       }
 
-      // 1) Update carton fields
-      const { data: updatedCarton, error: updateError } = await supabase
+      // 1) Update carton fields (only if nobody changed it since we opened it)
+      let updateQuery = supabase
         .from("cartons")
         .update(payload)
-        .eq("id", editingCarton.id)
+        .eq("id", editingCarton.id);
+      if (editingCarton.version != null) {
+        updateQuery = updateQuery.eq("version", editingCarton.version);
+      }
+
+      const { data: updatedCarton, error: updateError } = await updateQuery
         .select()
-        .single();
+        .maybeSingle();
 
       if (updateError) {
         console.error("Supabase update error (carton edit):", updateError);
@@ -603,6 +608,13 @@ const Inventory = () => {
         return;
       }
 
+      if (!updatedCarton) {
+        setEditError(
+          `Carton ${editingCarton.id} was changed by someone else (e.g. booked on an order) since you opened it. Close and reopen it to see the latest values.`
+        );
+        return;
+      }
+
       // 2) Regenerate label + update qr_code_url
       const product = products.find((p) => p.id === updatedCarton.product_id);
       const finalCarton = await createOrUpdateCartonLabel(
@@ -677,16 +689,18 @@ const Inventory = () => {
                 Current available stock and their status
               </p>
 
-              <div className="d-flex justify-content-start mb-2 mt-3">
-                <Button
-                  variant={showForm ? "danger" : "info"}
-                  onClick={() => setShowForm((prev) => !prev)}
-                >
-                  {showForm ? "Close" : "Add New Carton"}
-                </Button>
-              </div>
+              {canManage && (
+                <div className="d-flex justify-content-start mb-2 mt-3">
+                  <Button
+                    variant={showForm ? "danger" : "info"}
+                    onClick={() => setShowForm((prev) => !prev)}
+                  >
+                    {showForm ? "Close" : "Add New Carton"}
+                  </Button>
+                </div>
+              )}
 
-              <Collapse in={showForm}>
+              <Collapse in={showForm && canManage}>
                 <div>
                   <Form onSubmit={handleAddCarton} className="border-top pt-3">
                     <Row>
@@ -840,13 +854,16 @@ const Inventory = () => {
                     <th className="border-0">Carton Open</th>
                     <th className="border-0">Status</th>
                     <th className="border-0">Time</th>
-                    <th className="border-0">Actions</th>
+                    {canManage && <th className="border-0">Actions</th>}
                   </tr>
                 </thead>
                 <tbody>
                   {cartons.length > 0 ? (
                     cartons.map((carton) => (
-                      <tr key={carton.id}>
+                      <tr
+                        key={carton.id}
+                        style={changedRowStyle(isChanged(carton.id))}
+                      >
                         <td>Carton {carton.id}</td>
                         <td>
                           {carton.qr_code_url ? (
@@ -896,7 +913,7 @@ const Inventory = () => {
                                 Print Label
                               </Button>
                             </div>
-                          ) : (
+                          ) : canManage ? (
                             <Button
                               size="sm"
                               variant="secondary"
@@ -909,6 +926,8 @@ const Inventory = () => {
                                 ? "Generating..."
                                 : "Get QR Code"}
                             </Button>
+                          ) : (
+                            <span className="text-muted">No label yet</span>
                           )}
                         </td>
                         <td>{getProductName(carton.product_id)}</td>
@@ -917,26 +936,28 @@ const Inventory = () => {
                         <td>{carton.is_open ? "YES" : "NO"}</td>
                         <td>{(carton.status || "").toUpperCase()}</td>
                         <td>{formatDate(getStatusTime(carton))}</td>
-                        <td className="align-middle">
-                          <div className="d-flex align-items-center gap-2">
-                            <Button
-                              variant="link"
-                              size="sm"
-                              className="p-0 text-warning"
-                              onClick={() => openEditModal(carton)}
-                            >
-                              <i className="fa fa-edit" />
-                            </Button>
-                            <Button
-                              variant="link"
-                              size="sm"
-                              className="p-0 text-danger ml-2"
-                              onClick={() => handleDeleteCarton(carton)}
-                            >
-                              <i className="fa fa-trash" />
-                            </Button>
-                          </div>
-                        </td>
+                        {canManage && (
+                          <td className="align-middle">
+                            <div className="d-flex align-items-center gap-2">
+                              <Button
+                                variant="link"
+                                size="sm"
+                                className="p-0 text-warning"
+                                onClick={() => openEditModal(carton)}
+                              >
+                                <i className="fa fa-edit" />
+                              </Button>
+                              <Button
+                                variant="link"
+                                size="sm"
+                                className="p-0 text-danger ml-2"
+                                onClick={() => handleDeleteCarton(carton)}
+                              >
+                                <i className="fa fa-trash" />
+                              </Button>
+                            </div>
+                          </td>
+                        )}
                       </tr>
                     ))
                   ) : (
@@ -986,6 +1007,15 @@ const Inventory = () => {
                 </div>
 
                 <div className="modal-body">
+                  <EditConflictAlert
+                    conflict={editConflict}
+                    noun="carton"
+                    onReload={() =>
+                      openEditModal(
+                        cartons.find((c) => c.id === editingCarton?.id)
+                      )
+                    }
+                  />
                   <Row>
                     <Col md={12} className="mb-2 position-relative">
                       <Form.Label>Product *</Form.Label>
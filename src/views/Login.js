@@ -6,22 +6,13 @@ import { useHistory } from "react-router-dom";
 
 function Login() {
   const history = useHistory(); // remove if you don't want redirect
-  const { signIn, signUp, signOut, user, authLoading, authError } = useAuth();
+  const { signIn, signOut, user, authLoading, authError } = useAuth();
 
   const [email, setEmail] = useState("");
   const [password, setPassword] = useState("");
   const [localErr, setLocalErr] = useState("");
   const [loading, setLoading] = useState(false);
 
-  const handleSignUp = async () => {
-    setLocalErr("");
-    setLoading(true);
-    const { error } = await signUp({ email, password });
-    setLoading(false);
-    if (error) return setLocalErr(error.message);
-    history.push("/admin/dashboard");
-  };
-
   const handleLogin = async () => {
     setLocalErr("");
     setLoading(true);
@@ -68,6 +59,9 @@ function Login() {
             <div className="card-header text-center">
               <h4 className="card-title">Login</h4>
               <p className="card-category">Access Brand Bazaar BD dashboard</p>
+              <p className="card-category">
+                Need an account? Ask an administrator to invite you.
+              </p>
             </div>
 
             <div className="card-body">
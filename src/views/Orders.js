@@ -10,825 +10,178 @@ import {
   Form,
   Button,
   Collapse,
+  Badge,
 } from "react-bootstrap";
+import { Link, useHistory, useLocation } from "react-router-dom";
 import { supabase } from "createClient";
+import { useAuth } from "context/AuthProvider";
 import * as QRCode from "qrcode"; // not strictly needed here but fine if you already use
 // If you have a shared formatDate util you can import & reuse it
-import { formatDate } from "../utils/formatDate";
-
-const COMPANY_NAME = "Brand Bazaar BD";
-const COMPANY_LOGO_URL =
-  "https://wujdkjvthzqnzbbczykd.supabase.co/storage/v1/object/public/assets/reactlogo.png";
-
-// ---------- small helpers ----------
-
-async function dataURLToFile(dataUrl, filename) {
-  const res = await fetch(dataUrl);
-  const blob = await res.blob();
-  return new File([blob], filename, { type: "image/png" });
-}
-
-async function loadImage(src) {
-  if (!src) return null;
-  return new Promise((resolve) => {
-    const img = new Image();
-    img.crossOrigin = "anonymous";
-    img.onload = () => resolve(img);
-    img.onerror = () => resolve(null);
-    img.src = src;
-  });
-}
-
-function wrapText(ctx, text, x, y, maxWidth, lineHeight) {
-  if (!text) return y;
-  const words = String(text).split(/\s+/);
-  let line = "";
-
-  for (let n = 0; n < words.length; n++) {
-    const testLine = line ? line + " " + words[n] : words[n];
-    const { width } = ctx.measureText(testLine);
-    if (width > maxWidth && n > 0) {
-      ctx.fillText(line, x, y);
-      line = words[n];
-      y += lineHeight;
-    } else {
-      line = testLine;
-    }
-  }
-  if (line) ctx.fillText(line, x, y);
-  return y;
-}
-
-// unit-price helper usable everywhere
-function getUnitPriceForProductFromList(products, productId) {
-  const p = products.find((x) => x.id === productId);
-  // adjust the key "unit_selling_price" if your column is named differently
-  return p?.unit_selling_price ? Number(p.unit_selling_price) : 0;
-}
-
-/**
- * Select cartons for "Auto" mode:
- * - Input: all cartons for a product (status = received, units_remaining > 0)
- * - Goal: pick the FEWEST cartons whose total units >= desiredUnits
- * - Strategy: greedy, pick largest cartons first
- *
- * Returns:
- *   { selectedCartons: Carton[], totalUnits: number } or null if not enough stock
- */
-function selectCartonsForAuto(cartonsForProduct, desiredUnits) {
-  if (!Array.isArray(cartonsForProduct) || cartonsForProduct.length === 0) {
-    return null;
-  }
-
-  // sort by units_remaining DESC, then by id ASC
-  const sorted = [...cartonsForProduct].sort((a, b) => {
-    const ua = Number(a.units_remaining || 0);
-    const ub = Number(b.units_remaining || 0);
-    if (ub !== ua) return ub - ua;
-    return a.id - b.id;
-  });
-
-  let totalAvailable = 0;
-  sorted.forEach((c) => {
-    totalAvailable += Number(c.units_remaining || 0);
-  });
-
-  if (totalAvailable < desiredUnits) {
-    return null;
-  }
-
-  const selectedCartons = [];
-  let sum = 0;
-
-  for (const c of sorted) {
-    if (sum >= desiredUnits) break;
-    const units = Number(c.units_remaining || 0);
-    if (units <= 0) continue;
-    selectedCartons.push(c);
-    sum += units;
-  }
-
-  if (sum < desiredUnits) {
+import { formatDate, todayForDateInput } from "../utils/formatDate";
+import {
+  buildOrderPricing,
+  expandAutoItems,
+  getOrderItems,
+  planAutoLines,
+} from "../utils/orderItems";
+import CustomerPicker, { CustomerPhoneHint } from "../components/CustomerPicker";
+import DeliveryFeeFields from "../components/DeliveryFeeFields";
+import TablePager from "../components/TablePager";
+import OrderItemsEditor, {
+  DiscountInput,
+  OrderMarginSummary,
+  OrderTotalsSummary,
+} from "../components/OrderItemsEditor";
+import {
+  ORDER_STATUSES,
+  canCancelOrder,
+  canReturnOrder,
+  getEditableStatuses,
+  getStatusHistory,
+  getStatusVariant,
+  isOrderLocked,
+} from "../utils/orderStatus";
+import {
+  computeOrderTotals,
+  getBalanceDue,
+  getNetOrderAmount,
+} from "../utils/orderTotals";
+import {
+  ORDER_SELECT,
+  createOrUpdateDeliveryDocs,
+  createOrUpdateInvoice,
+  createOrUpdateShippingLabel,
+} from "../utils/orderInvoice";
+import { getInvoiceLabel } from "../utils/invoiceNumber";
+import {
+  PAYMENT_METHODS,
+  getOrderPayments,
+  getPaymentMethodLabel,
+  getPaymentStatusVariant,
+} from "../utils/payments";
+import {
+  COURIERS,
+  bookShipment,
+  canBookShipment,
+  getCourierLabel,
+  getLatestShipment,
+  getShipmentStatusLabel,
+  getShipmentStatusVariant,
+  getTrackingUrl,
+  isShipmentOpen,
+  pollShipments,
+  trackShipment,
+} from "../utils/shipments";
+import {
+  buildDeliveryFeePayload,
+  fetchDeliveryZones,
+  getDeliveryFeeError,
+  suggestDeliveryFee,
+} from "../utils/deliveryFees";
+import {
+  fetchPriceLists,
+  getCustomerPriceList,
+  repriceItems,
+  resolveUnitPrice,
+} from "../utils/priceLists";
+import {
+  DEFAULT_COMPANY_PROFILE,
+  fetchCompanyProfile,
+} from "../utils/companyProfile";
+import { getOrderMargins, isMarginApprovalPending } from "../utils/margins";
+import { useOpenFromQuery } from "../utils/globalSearch";
+import {
+  useProducts,
+  mergeCachedCartons,
+  invalidateCartons,
+  findProductName,
+} from "../utils/catalog";
+import {
+  useTableChanges,
+  applyTableChange,
+  changedRowId,
+  useChangedIds,
+  changedRowStyle,
+  markOwnWrite,
+  isOwnWrite,
+} from "../utils/realtime";
+import EditConflictAlert from "../components/EditConflictAlert";
+import {
+  EMPTY_ORDER_FILTERS,
+  ORDERS_PER_PAGE,
+  buildOrderQuery,
+  fetchOrdersPage,
+  hasOrderFilters,
+  parseOrderQuery,
+} from "../utils/orderFilters";
+
+// bulk orders can hold hundreds of cartons; the list shows the first few
+const MAX_LISTED_CARTONS = 8;
+
+// The order forms only need cartons that can still be sold, plus the ones an
+// order being edited already holds (booked / emptied).
+async function fetchOrderFormCartons(order = null) {
+  const heldIds = [
+    ...new Set(
+      getOrderItems(order)
+        .filter((it) => it.carton_id)
+        .map((it) => Number(it.carton_id))
+    ),
+  ];
+
+  let query = supabase.from("cartons").select("*");
+  query = heldIds.length
+    ? query.or(`status.eq.received,id.in.(${heldIds.join(",")})`)
+    : query.eq("status", "received");
+
+  const { data, error } = await query;
+  if (error) {
+    console.error("Supabase error (cartons):", error);
     return null;
   }
-
-  return { selectedCartons, totalUnits: sum };
+  return data || [];
 }
 
-/**
- * Expand rows that are in "auto" mode into multiple "carton" items.
- *
- * - User selects a carton + desired quantity in UNITS.
- * - We look at ALL cartons for that product (status="received", units_remaining>0).
- * - We pick the FEWEST cartons whose total units >= desired.
- * - Then we create `mode: "carton"` rows for each carton we select.
- *
- * Example:
- *   Carton units: [50,72,72,72], desired=216
- *   => we pick the three 72s (total 216), NOT all four cartons.
- *
- * Other rows (carton / loose) are passed through unchanged.
- */
-function expandAutoItems(rows, cartons, products) {
-  const expanded = [];
-
-  rows.forEach((r) => {
-    if (r.mode !== "auto") {
-      expanded.push(r);
-      return;
-    }
-
-    if (!r.carton_id) {
-      throw new Error("Auto items must have a carton selected.");
-    }
-
-    const desired = Number(r.quantity || 0);
-    if (!desired || desired <= 0) {
-      throw new Error("Auto items must have a valid quantity.");
-    }
-
-    const baseCarton = cartons.find(
-      (c) => c.id === Number(r.carton_id)
-    );
-    if (!baseCarton) {
-      throw new Error(`Selected carton #${r.carton_id} not found.`);
-    }
-
-    const productId = baseCarton.product_id || r.product_id;
-    if (!productId) {
-      throw new Error(
-        `Product not found for selected carton #${baseCarton.id}.`
-      );
-    }
-
-    const unitPrice =
-      r.unit_price != null
-        ? Number(r.unit_price)
-        : getUnitPriceForProductFromList(products, productId);
-
-    const cartonsForProduct = cartons.filter(
-      (c) =>
-        c.product_id === productId &&
-        c.status === "received" &&
-        Number(c.units_remaining || 0) > 0
-    );
-
-    const totalAvailable = cartonsForProduct.reduce(
-      (sum, c) => sum + Number(c.units_remaining || 0),
-      0
-    );
-
-    if (totalAvailable < desired) {
-      throw new Error(
-        `Not enough cartons available for this product. Requested ${desired} units, but only ${totalAvailable} units are available across all cartons.`
-      );
-    }
-
-    const selection = selectCartonsForAuto(cartonsForProduct, desired);
-    if (!selection) {
-      throw new Error(
-        `Not enough cartons available for this product. Requested ${desired} units, but available stock cannot satisfy it.`
-      );
-    }
-
-    selection.selectedCartons.forEach((c) => {
-      const qty = Number(c.units_remaining || 0);
-
-      expanded.push({
-        uid: Date.now() + Math.random(),
-        mode: "carton",
-        carton_id: c.id,
-        product_id: productId,
-        quantity: qty, // full carton => unopened
-        unit_price: unitPrice,
-        line_total: qty * unitPrice,
-      });
-    });
-  });
-
-  return expanded;
-}
-
-// 🔥 draw invoice as an image & return dataURL
-async function generateInvoiceImage(order, items, products) {
-  const width = 900;
-  const height = 1200;
-  const canvas = document.createElement("canvas");
-  canvas.width = width;
-  canvas.height = height;
-  const ctx = canvas.getContext("2d");
-
-  // background
-  ctx.fillStyle = "#ffffff";
-  ctx.fillRect(0, 0, width, height);
-
-  // border
-  ctx.strokeStyle = "#000000";
-  ctx.lineWidth = 3;
-  ctx.strokeRect(20, 20, width - 40, height - 40);
-
-  // logo + company name
-  const logoSize = 120;
-  const logoImg = await loadImage(COMPANY_LOGO_URL);
-  const padding = 40;
-
-  if (logoImg) {
-    ctx.drawImage(logoImg, padding, padding, logoSize, logoSize);
-  }
-
-  ctx.fillStyle = "#111111";
-  ctx.textBaseline = "top";
-  ctx.font = "bold 32px Arial";
-  ctx.fillText(COMPANY_NAME, padding + logoSize + 20, padding + 10);
-
-  ctx.font = "24px Arial";
-  ctx.fillText("Invoice", padding + logoSize + 20, padding + 60);
-
-  // order + customer info
-  let y = padding + logoSize + 40;
-
-  ctx.font = "18px Arial";
-  ctx.fillText(`Invoice ID: #${order.id}`, padding, y);
-  y += 24;
-  if (order.created_at) {
-    const dt = new Date(order.created_at);
-    ctx.fillText(`Date: ${dt.toLocaleString()}`, padding, y);
-    y += 24;
-  }
-  ctx.fillText(`Address: Motijheel, Dhaka, Bangladesh`, padding, y);
-  y += 24;
-  ctx.fillText(`Phone: +8801711276418`, padding, y);
-  y += 40;
-
-  ctx.font = "20px Arial";
-  ctx.fillText("Bill To:", padding, y);
-  y += 24;
-  ctx.font = "18px Arial";
-  wrapText(ctx, `${order.customer_name || ""}`, padding, y, 400, 20);
-  y += 20;
-  if (order.customer_email) {
-    wrapText(
-      ctx,
-      `Email: ${order.customer_email}`,
-      padding,
-      y,
-      400,
-      20
-    );
-    y += 20;
-  }
-  if (order.customer_phone) {
-    wrapText(
-      ctx,
-      `Phone: ${order.customer_phone}`,
-      padding,
-      y,
-      400,
-      20
-    );
-    y += 20;
-  }
-  if (order.delivery_address) {
-    y = wrapText(
-      ctx,
-      `Address: ${order.delivery_address}`,
-      padding,
-      y,
-      500,
-      20
-    );
-    y += 20;
-  }
-
-  // table header (no Cartons column here)
-  y += 30;
-  const colX = {
-    product: padding,
-    qty: padding + 420,
-    unit: padding + 520,
-    total: padding + 660,
-  };
-
-  ctx.font = "bold 16px Arial";
-  ctx.fillText("Product", colX.product, y);
-  ctx.fillText("Qty", colX.qty, y);
-  ctx.fillText("Unit Price", colX.unit, y);
-  ctx.fillText("Line Total", colX.total, y);
-  y += 18;
-  ctx.beginPath();
-  ctx.moveTo(padding, y);
-  ctx.lineTo(width - padding, y);
-  ctx.stroke();
-  y += 20;
-
-  ctx.font = "16px Arial";
-
-  // items
-  let subtotal = 0;
-  (items || []).forEach((item) => {
-    const product = products.find((p) => p.id === item.product_id);
-    const productName = product?.name || "Unknown Product";
-
-    const text = `${productName}`;
-    const lineHeight = 20;
-
-    // Product text only
-    y = wrapText(ctx, text, colX.product, y, 380, lineHeight);
-
-    // Qty / prices
-    ctx.fillText(String(item.quantity || 0), colX.qty, y);
-    ctx.fillText(`৳${(item.unit_price || 0).toFixed(2)}`, colX.unit, y);
-    ctx.fillText(`৳${(item.line_total || 0).toFixed(2)}`, colX.total, y);
-    y += 24;
-
-    subtotal += item.line_total || 0;
-  });
-
-  // totals
-  y += 20;
-  ctx.beginPath();
-  ctx.moveTo(padding, y);
-  ctx.lineTo(width - padding, y);
-  ctx.stroke();
-  y += 10;
-
-  const deliveryFee = Number(order.delivery_charge || 0);
-  const total = Number(order.total || subtotal + deliveryFee);
-
-  ctx.font = "16px Arial";
-  ctx.fillText(
-    `Subtotal: ৳${(subtotal || 0).toFixed(2)}`,
-    colX.total - 40,
-    y
-  );
-  y += 22;
-  ctx.fillText(
-    `Delivery: ৳${deliveryFee.toFixed(2)}`,
-    colX.total - 40,
-    y
-  );
-  y += 22;
-  ctx.font = "bold 18px Arial";
-  ctx.fillText(`Total: ৳${total.toFixed(2)}`, colX.total - 40, y);
-  y += 40;
-
-  ctx.font = "14px Arial";
-  ctx.fillText(
-    "Thank you for your business!",
-    padding,
-    height - padding - 30
-  );
-
-  return canvas.toDataURL("image/png");
-}
-
-// 🔁 helper to upload invoice & update orders.invoice_url
-async function createOrUpdateInvoice(orderRow, items, products) {
-  const dataUrl = await generateInvoiceImage(orderRow, items, products);
-  const fileName = `invoice_${orderRow.id}.png`;
-  const file = await dataURLToFile(dataUrl, fileName);
-
-  const { error: uploadError } = await supabase.storage
-    .from("invoices")
-    .upload(fileName, file, { upsert: true });
-
-  if (uploadError) {
-    console.error("Supabase upload error (invoice):", uploadError);
-    throw new Error(uploadError.message || "Failed to upload invoice.");
-  }
-
-  const { data: publicData } = await supabase.storage
-    .from("invoices")
-    .getPublicUrl(fileName);
-
-  const baseUrl = publicData?.publicUrl || null;
-  const invoiceUrl = baseUrl ? `${baseUrl}?v=${Date.now()}` : null;
-
-  const { data: finalOrder, error: finalUpdateError } = await supabase
-    .from("orders")
-    .update({ invoice_url: invoiceUrl })
-    .eq("id", orderRow.id)
-    .select()
-    .single();
-
-  if (finalUpdateError) {
-    console.error(
-      "Supabase final update error (invoice_url):",
-      finalUpdateError
-    );
-    throw new Error(finalUpdateError.message || "Failed to save invoice URL.");
-  }
-
-  return finalOrder;
-}
-
-/**
- * 🔹 Order items editor (cartons / loose / auto) – kept outside main component
- */
-const OrderItemsEditor = ({
-  items,
-  setItems,
-  title,
-  cartons,
-  getCartonLabel,
-  getUnitPriceForProduct,
-  isEdit = false,
-}) => {
-  const addRow = () => {
-    if (items.length >= 25) {
-      alert("You cannot add more than 25 items in a single order.");
-      return;
-    }
-
-    setItems((prev) => [
-      ...prev,
-      {
-        uid: Date.now() + Math.random(),
-        mode: "carton",
-        carton_id: "",
-        product_id: null,
-        quantity: 0,
-        unit_price: 0,
-        line_total: 0,
-      },
-    ]);
-  };
-
-  const removeRow = (uid) => {
-    setItems((prev) => prev.filter((r) => r.uid !== uid));
-  };
-
-  const updateRow = (uid, updater) => {
-    setItems((prev) =>
-      prev.map((row) =>
-        row.uid === uid ? { ...row, ...updater(row) } : row
-      )
-    );
-  };
-
-  const handleModeChange = (uid, newMode) => {
-    setItems((prev) => {
-      const updated = prev.map((row) =>
-        row.uid === uid
-          ? {
-              ...row,
-              mode: newMode,
-              carton_id: "",
-              product_id: null,
-              quantity: 0,
-              unit_price: 0,
-              line_total: 0,
-            }
-          : row
-      );
-      return updated;
-    });
-  };
-
-  const handleCartonChange = (uid, cartonIdStr) => {
-    const cartonId = cartonIdStr ? Number(cartonIdStr) : null;
-    const carton = cartons.find((c) => c.id === cartonId);
-
-    updateRow(uid, (row) => {
-      if (!carton) {
-        return {
-          carton_id: "",
-          product_id: null,
-          quantity: 0,
-          unit_price: 0,
-          line_total: 0,
-        };
-      }
-
-      const unitPrice = getUnitPriceForProduct(carton.product_id);
-      let qty = 0;
-
-      if (row.mode === "carton") {
-        qty = Number(carton.units_remaining || 0);
-      } else if (row.mode === "loose") {
-        // loose default 1
-        qty = 1;
-      } else if (row.mode === "auto") {
-        // in auto, user will set quantity manually; keep 0 for now
-        qty = 0;
-      }
-
-      const lineTotal = qty * unitPrice;
-
-      return {
-        carton_id: cartonId,
-        product_id: carton.product_id,
-        quantity: qty,
-        unit_price: unitPrice,
-        line_total: lineTotal,
-      };
-    });
-  };
-
-  const handleQtyChange = (uid, value) => {
-    const qtyNum = Number(value) || 0;
-
-    updateRow(uid, (row) => {
-      const mode = row.mode || "carton";
-
-      if (mode === "auto") {
-        // For auto, just store requested total qty in units.
-        let clamped = qtyNum;
-        if (clamped < 1) clamped = 1;
-
-        const unitPrice = Number(row.unit_price || 0);
-        const lineTotal = clamped * unitPrice;
-
-        return {
-          quantity: clamped,
-          line_total: lineTotal,
-        };
-      }
-
-      if (!row.carton_id) {
-        return { quantity: 0, line_total: 0 };
-      }
-
-      const carton = cartons.find((c) => c.id === Number(row.carton_id));
-      const maxQty = carton ? Number(carton.units_remaining || 0) : 0;
-      let clamped = qtyNum;
-
-      if (clamped < 1) clamped = 1;
-      if (maxQty > 0 && clamped > maxQty) clamped = maxQty;
-
-      const lineTotal = clamped * Number(row.unit_price || 0);
-
-      return {
-        quantity: clamped,
-        line_total: lineTotal,
-      };
-    });
-  };
-
-  const handleUnitPriceChange = (uid, value) => {
-    const unitPriceNum = Number(value) || 0;
-
-    updateRow(uid, (row) => {
-      const qty = Number(row.quantity || 0);
-      const lineTotal = qty * unitPriceNum;
-
-      return {
-        unit_price: unitPriceNum,
-        line_total: lineTotal,
-      };
-    });
-  };
-
-  const availableCartonsFor = (mode) => {
-    if (mode === "carton" || mode === "auto") {
-      // full / auto cartons: received only
-      return cartons.filter((c) => c.status === "received");
-    }
-    // loose: received + open
-    return cartons.filter(
-      (c) => c.status === "received" && c.is_open === true
-    );
-  };
-
-  return (
-    <>
-      <h5 className="mt-3">{title}</h5>
-      <Table bordered size="sm" className="mt-2">
-        <thead>
-          <tr>
-            <th>Type</th>
-            <th>Carton</th>
-            <th style={{ width: "120px" }}>Quantity</th>
-            <th>Unit Price</th>
-            <th>Line Total</th>
-            <th style={{ width: "60px" }}>Actions</th>
-          </tr>
-        </thead>
-        <tbody>
-          {items.length === 0 ? (
-            <tr>
-              <td colSpan={6} className="text-center">
-                No items added yet.
-              </td>
-            </tr>
-          ) : (
-            items.map((row) => {
-              const mode = row.mode || "carton";
-
-              // 1) Base list: only available cartons for this mode
-              const baseCartonList = availableCartonsFor(mode);
-
-              // 2) The previously selected carton (even if booked now)
-              const selectedCarton =
-                row.carton_id != null && row.carton_id !== ""
-                  ? cartons.find((c) => c.id === Number(row.carton_id))
-                  : null;
-
-              // 3) Ensure selected carton is present so it shows in dropdown
-              let cartonList = baseCartonList;
-              if (
-                selectedCarton &&
-                !baseCartonList.some((c) => c.id === selectedCarton.id)
-              ) {
-                cartonList = [selectedCarton, ...baseCartonList];
-              }
-
-              // Use cartonList to compute maxQty for loose
-              const currentCarton =
-                cartonList.find((c) => c.id === Number(row.carton_id)) ||
-                selectedCarton;
-
-              const maxQty =
-                currentCarton && mode === "loose"
-                  ? Number(currentCarton.units_remaining || 0)
-                  : undefined;
-
-              // Max + helper for auto
-              let autoMaxQty;
-              let autoHelper = "";
-
-              if (mode === "auto") {
-                const productId =
-                  currentCarton?.product_id || row.product_id;
-                if (productId) {
-                  const cartonsForProduct = cartons
-                    .filter(
-                      (c) =>
-                        c.product_id === productId &&
-                        c.status === "received" &&
-                        Number(c.units_remaining || 0) > 0
-                    )
-                    .sort((a, b) => a.id - b.id);
-
-                  autoMaxQty = cartonsForProduct.reduce(
-                    (sum, c) => sum + Number(c.units_remaining || 0),
-                    0
-                  );
-
-                  const desired = Number(row.quantity || 0);
-
-                  if (desired > 0 && cartonsForProduct.length > 0) {
-                    const selection = selectCartonsForAuto(
-                      cartonsForProduct,
-                      desired
-                    );
-
-                    if (selection) {
-                      const neededCount =
-                        selection.selectedCartons.length;
-                      const totalUnits = selection.totalUnits;
-
-                      // Option A-style text (current behavior)
-                      autoHelper = `Will use ${neededCount} carton${
-                        neededCount > 1 ? "s" : ""
-                      } = ${totalUnits} units`;
-
-                      // Option B (with IDs) – commented for future:
-                      // const usedIds = selection.selectedCartons
-                      //   .map((c) => c.id)
-                      //   .join(", ");
-                      // autoHelper = `Will use ${neededCount} carton${
-                      //   neededCount > 1 ? "s" : ""
-                      // } (IDs: ${usedIds}) = ${totalUnits} units`;
-                    } else if (autoMaxQty > 0) {
-                      autoHelper = `Not enough stock to fully satisfy ${desired} units. Max across cartons: ${autoMaxQty} units.`;
-                    }
-                  }
-                }
-              }
-
-              return (
-                <tr key={row.uid}>
-                  <td>
-                    <Form.Control
-                      as="select"
-                      value={mode}
-                      onChange={(e) =>
-                        handleModeChange(row.uid, e.target.value)
-                      }
-                    >
-                      <option value="carton">Carton</option>
-                      <option value="loose">Loose</option>
-                      <option value="auto">Auto</option>
-                    </Form.Control>
-                  </td>
-                  <td>
-                    <Form.Control
-                      as="select"
-                      value={row.carton_id || ""}
-                      onChange={(e) =>
-                        handleCartonChange(row.uid, e.target.value)
-                      }
-                    >
-                      <option value="">Select carton</option>
-                      {cartonList.map((c) => (
-                        <option key={c.id} value={c.id}>
-                          {getCartonLabel(c)}
-                        </option>
-                      ))}
-                    </Form.Control>
-                  </td>
-                  <td>
-                    {mode === "carton" ? (
-                      <Form.Control
-                        type="number"
-                        value={row.quantity || 0}
-                        readOnly
-                        disabled
-                      />
-                    ) : (
-                      <>
-                        <Form.Control
-                          type="number"
-                          min={1}
-                          {...(!isEdit && mode === "loose" && typeof maxQty === "number"
-                            ? { max: maxQty }
-                            : {})}
-                          value={row.quantity || ""}
-                          onChange={(e) =>
-                            handleQtyChange(row.uid, e.target.value)
-                          }
-                        />
-                        {!isEdit &&
-                          mode === "loose" &&
-                          typeof maxQty === "number" && (
-                            <small className="text-muted d-block">
-                              Max: {maxQty}
-                            </small>
-                          )}
-                        {mode === "auto" && autoHelper && (
-                          <small className="text-muted d-block">
-                            {autoHelper}
-                          </small>
-                        )}
-                        {mode === "auto" &&
-                          typeof autoMaxQty === "number" &&
-                          autoMaxQty > 0 && (
-                            <small className="text-muted d-block">
-                              Max across cartons: {autoMaxQty}
-                            </small>
-                          )}
-                      </>
-                    )}
-                  </td>
-                  <td>
-                    <Form.Control
-                      type="number"
-                      step="0.01"
-                      min={0}
-                      value={
-                        row.unit_price !== undefined &&
-                        row.unit_price !== null
-                          ? row.unit_price
-                          : ""
-                      }
-                      onChange={(e) =>
-                        handleUnitPriceChange(row.uid, e.target.value)
-                      }
-                    />
-                  </td>
-                  <td>{Number(row.line_total || 0).toFixed(2)}</td>
-                  <td>
-                    <Button
-                      variant="link"
-                      size="sm"
-                      className="text-danger p-0"
-                      onClick={() => removeRow(row.uid)}
-                    >
-                      <i className="fa fa-trash" />
-                    </Button>
-                  </td>
-                </tr>
-              );
-            })
-          )}
-        </tbody>
-      </Table>
-      <Button variant="secondary" size="sm" onClick={addRow}>
-        + Add Item
-      </Button>
-    </>
-  );
-};
-
-// -----------------------------------
-
 const Orders = () => {
+  const { can } = useAuth();
+  const canEditOrders = can("orders.edit");
+  const canApprovePrices = can("orders.approvePrices");
+  const canManagePayments = can("payments.manage");
+  const history = useHistory();
+  const location = useLocation();
   const [orders, setOrders] = useState([]);
+  const [ordersTotal, setOrdersTotal] = useState(0);
+  const [ordersLoading, setOrdersLoading] = useState(true);
+  const [ordersError, setOrdersError] = useState("");
+  // bumped to reload the current page (new orders from other tabs)
+  const [listVersion, setListVersion] = useState(0);
+  const [newOrdersCount, setNewOrdersCount] = useState(0);
   const [cartons, setCartons] = useState([]);
-  const [products, setProducts] = useState([]);
+  const { data: products } = useProducts();
+  const [customers, setCustomers] = useState([]);
+  const [zones, setZones] = useState([]);
+  const [priceLists, setPriceLists] = useState([]);
+  const [company, setCompany] = useState(DEFAULT_COMPANY_PROFILE);
 
   const [showForm, setShowForm] = useState(false);
   const [creating, setCreating] = useState(false);
   const [createError, setCreateError] = useState("");
 
   const [customer, setCustomer] = useState({
+    customerId: null,
     name: "",
     email: "",
     phone: "",
     address: "",
     deliveryFee: "0",
+    deliveryZoneId: "",
+    deliveryFeeManual: false,
+    deliveryFeeReason: "",
+    discountType: "",
+    discountValue: "0",
     status: "Created",
+    marginApproved: false,
+    marginApprovalNote: "",
   });
 
   // create-order items (per-item carton/loose/auto)
@@ -848,64 +201,202 @@ const Orders = () => {
   const [showEditModal, setShowEditModal] = useState(false);
   const [editingOrder, setEditingOrder] = useState(null);
   const [editCustomer, setEditCustomer] = useState({
+    customerId: null,
     name: "",
     email: "",
     phone: "",
     address: "",
     deliveryFee: "0",
+    deliveryZoneId: "",
+    deliveryFeeManual: true,
+    deliveryFeeReason: "",
+    discountType: "",
+    discountValue: "0",
     status: "Created",
+    statusNote: "",
+    courier: "",
+    marginApproved: false,
+    marginApprovalNote: "",
   });
   const [editItems, setEditItems] = useState([]);
-  const [originalEditItems, setOriginalEditItems] = useState([]);
   const [editError, setEditError] = useState("");
   const [savingEdit, setSavingEdit] = useState(false);
+  // someone else changed the order being edited: "changed" | "deleted"
+  const [editConflict, setEditConflict] = useState(null);
+
+  const [isChanged, markChanged] = useChangedIds();
+
+  // 🔍 list filters / sort / page live in the URL; the form edits a draft
+  const listQuery = parseOrderQuery(location.search);
+  const [filterDraft, setFilterDraft] = useState(listQuery.filters);
 
   // invoice zoom
   const [selectedInvoiceImage, setSelectedInvoiceImage] = useState(null);
 
+  // status history row toggle (order id)
+  const [historyOrderId, setHistoryOrderId] = useState(null);
+
+  // RETURN modal
+  const [returnOrder, setReturnOrder] = useState(null);
+  const [returnQty, setReturnQty] = useState({}); // order_item_id -> qty string
+  const [returnReason, setReturnReason] = useState("");
+  const [returnError, setReturnError] = useState("");
+  const [savingReturn, setSavingReturn] = useState(false);
+
+  // PAYMENTS modal
+  const [paymentOrder, setPaymentOrder] = useState(null);
+  const [newPayment, setNewPayment] = useState({
+    amount: "",
+    method: "cash",
+    reference: "",
+    paidDate: todayForDateInput(),
+    note: "",
+  });
+  const [paymentError, setPaymentError] = useState("");
+  const [savingPayment, setSavingPayment] = useState(false);
+
+  // COURIER BOOKING modal
+  const [bookingOrder, setBookingOrder] = useState(null);
+  const [bookingCourier, setBookingCourier] = useState(COURIERS[0].value);
+  const [bookingError, setBookingError] = useState("");
+  const [savingBooking, setSavingBooking] = useState(false);
+  const [refreshingShipments, setRefreshingShipments] = useState(false);
+
   useEffect(() => {
     async function fetchAll() {
       const [
-        { data: ordersData, error: ordersErr },
-        { data: cartonsData, error: cartonsErr },
-        { data: productsData, error: productsErr },
+        cartonsData,
+        { data: customersData, error: customersErr },
+        zonesData,
+        priceListsData,
+        companyData,
       ] = await Promise.all([
-        supabase
-          .from("orders")
-          .select("*")
-          .order("id", { ascending: false }),
-        supabase.from("cartons").select("*"),
-        supabase.from("products").select("*"),
+        fetchOrderFormCartons(),
+        supabase.from("customers").select("*").order("name"),
+        fetchDeliveryZones(),
+        fetchPriceLists(),
+        fetchCompanyProfile(),
       ]);
 
-      if (ordersErr) console.error("Supabase error (orders):", ordersErr);
-      if (cartonsErr) console.error("Supabase error (cartons):", cartonsErr);
-      if (productsErr) console.error("Supabase error (products):", productsErr);
+      if (customersErr)
+        console.error("Supabase error (customers):", customersErr);
 
-      setOrders(ordersData || []);
       setCartons(cartonsData || []);
-      setProducts(productsData || []);
+      setCustomers(customersData || []);
+      setZones(zonesData);
+      setPriceLists(priceListsData);
+      setCompany(companyData);
     }
 
     fetchAll();
   }, []);
 
-  const getProductName = (id) => {
-    const p = products.find((x) => x.id === id);
-    return p ? p.name : "Unknown Product";
+  // one page of the list, again whenever the URL's filters / sort / page change
+  useEffect(() => {
+    let active = true;
+    const query = parseOrderQuery(location.search);
+    setFilterDraft(query.filters);
+    setOrdersLoading(true);
+    setOrdersError("");
+    setNewOrdersCount(0);
+
+    fetchOrdersPage(query)
+      .then(({ orders: pageOrders, total }) => {
+        if (!active) return;
+        // a page past the end (old link, last order on it deleted)
+        const lastPage = Math.max(1, Math.ceil(total / ORDERS_PER_PAGE));
+        if (query.page > lastPage) {
+          history.replace({
+            pathname: location.pathname,
+            search: buildOrderQuery({ ...query, page: lastPage }),
+          });
+          return;
+        }
+        setOrders(pageOrders);
+        setOrdersTotal(total);
+      })
+      .catch((err) => {
+        if (active) setOrdersError(err.message);
+      })
+      .finally(() => {
+        if (active) setOrdersLoading(false);
+      });
+
+    return () => {
+      active = false;
+    };
+  }, [location.search, location.pathname, history, listVersion]);
+
+  const setListQuery = (changes) => {
+    history.push({
+      pathname: location.pathname,
+      search: buildOrderQuery({ ...listQuery, ...changes }),
+    });
+  };
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilterDraft((prev) => ({ ...prev, [name]: value }));
   };
 
+  const applyFilters = (e) => {
+    e.preventDefault();
+    setListQuery({ filters: filterDraft, page: 1 });
+  };
+
+  const clearFilters = () => {
+    setListQuery({ filters: EMPTY_ORDER_FILTERS, page: 1 });
+  };
+
+  // same column again flips the direction; a new column starts descending
+  const sortBy = (column) => {
+    setListQuery({
+      sort: column,
+      ascending: listQuery.sort === column ? !listQuery.ascending : false,
+      page: 1,
+    });
+  };
+
+  const renderSortHeader = (label, column) => (
+    <th className="border-0">
+      <Button
+        variant="link"
+        className="p-0 text-reset text-nowrap"
+        onClick={() => sortBy(column)}
+      >
+        {label}
+        {listQuery.sort === column && (listQuery.ascending ? " ▲" : " ▼")}
+      </Button>
+    </th>
+  );
+
+  const getProductName = (id) => findProductName(products, id);
+
   const getCartonLabel = (carton) => {
     if (!carton) return "Unknown Carton";
     return `Carton ${carton.id} - ${getProductName(carton.product_id)}`;
   };
 
-  const getUnitPriceForProduct = (productId) =>
-    getUnitPriceForProductFromList(products, productId);
+  // 🏷️ prices from the form's customer's price list (quantity breaks)
+  const getPriceListFor = (form) =>
+    getCustomerPriceList(
+      priceLists,
+      customers.find((c) => c.id === form.customerId)
+    );
+
+  const unitPriceFor = (form) => (productId, quantity) =>
+    resolveUnitPrice(
+      getPriceListFor(form),
+      products.find((p) => p.id === productId),
+      quantity
+    ).price;
+
+  const getFloorPriceForProduct = (productId) =>
+    products.find((p) => p.id === productId)?.floor_price ?? null;
 
   // 🔹 NEW: helper to show carton IDs in orders list
   const getOrderCartonList = (order) => {
-    const itemsFromDb = Array.isArray(order.items) ? order.items : [];
+    const itemsFromDb = getOrderItems(order);
     const ids = [
       ...new Set(
         itemsFromDb
@@ -913,66 +404,136 @@ const Orders = () => {
           .map((it) => Number(it.carton_id))
       ),
     ];
+    if (ids.length > MAX_LISTED_CARTONS) {
+      return `${ids.slice(0, MAX_LISTED_CARTONS).join(", ")} +${
+        ids.length - MAX_LISTED_CARTONS
+      } more`;
+    }
     return ids.length ? ids.join(", ") : "";
   };
 
+  const getVatRateForProduct = (productId) =>
+    Number(products.find((p) => p.id === productId)?.vat_rate || 0);
+
   // ---------- shared totals helpers ----------
 
-  const calcSubtotal = (rows) =>
-    rows.reduce((sum, r) => sum + Number(r.line_total || 0), 0);
+  // same maths as the saved order (auto rows are priced before expansion)
+  const calcTotals = (rows, form) =>
+    computeOrderTotals(
+      rows.map((r) => ({
+        ...r,
+        vat_rate: r.vat_rate ?? getVatRateForProduct(r.product_id),
+      })),
+      {
+        discountType: form.discountType || null,
+        discountValue: form.discountValue,
+        deliveryCharge: form.deliveryFee,
+      }
+    );
 
-  // ---------- carton booking helper (NEW) ----------
+  // 📉 margins against cost: lines keep the cost they were saved with
+  // (replace_order_items), new products cost their purchase price
+  const unitCostFor = (order) => (line) => {
+    const saved = order
+      ? getOrderItems(order).find(
+          (it) => it.product_id === line.product_id && it.unit_cost != null
+        )
+      : null;
+    if (saved) return Number(saved.unit_cost);
+    const cost = products.find((p) => p.id === line.product_id)
+      ?.unit_purchase_price;
+    return cost == null ? null : Number(cost);
+  };
 
-  const applyCartonStatusChanges = async ({ bookIds = [], unbookIds = [] }) => {
-    // avoid unnecessary DB calls
-    const uniqueBookIds = [...new Set(bookIds)].filter(Boolean);
-    const uniqueUnbookIds = [...new Set(unbookIds)].filter(Boolean);
+  const marginsFor = (rows, form, order = null) =>
+    getOrderMargins(calcTotals(rows, form).lines, unitCostFor(order), company);
 
-    if (uniqueBookIds.length === 0 && uniqueUnbookIds.length === 0) {
-      return;
-    }
+  // asks the server to approve below-margin prices (admins only)
+  const buildMarginApprovalPayload = (form, margins) =>
+    margins.needsApproval && form.marginApproved
+      ? {
+          margin_approved: true,
+          margin_approval_note: form.marginApprovalNote.trim() || null,
+        }
+      : {};
+
+  // delivery charge the zone rules suggest for a form (null = no zone)
+  const suggestFor = (rows, form) => {
+    const totals = calcTotals(rows, form);
+    return suggestDeliveryFee(zones, form, rows, {
+      products,
+      orderValue: totals.subtotal - totals.discountTotal + totals.vatAmount,
+      autoPlans: planAutoLines(rows, cartons, company.autoCartonPolicy),
+    });
+  };
 
-    const updatedCartons = [...cartons];
+  const setOrderDiscount = (setForm) => (type, value) =>
+    setForm((prev) => ({
+      ...prev,
+      discountType: type || "",
+      discountValue: type ? value : "0",
+    }));
 
-    // set status = "booked" for bookIds
-    if (uniqueBookIds.length > 0) {
-      const { data, error } = await supabase
-        .from("cartons")
-        .update({ status: "booked" })
-        .in("id", uniqueBookIds)
-        .select();
+  // ---------- stock sync helper ----------
 
-      if (error) {
-        console.error("Supabase error booking cartons:", error);
-        throw new Error(error.message || "Failed to book cartons.");
-      }
+  // order RPCs return the cartons they touched; patch them in place (the
+  // form only loaded the sellable ones, so released cartons are added) and
+  // in the shared list the Inventory page shows
+  const mergeCartons = (updated) => {
+    if (!Array.isArray(updated) || updated.length === 0) return;
+    setCartons((prev) => [
+      ...prev.map((c) => updated.find((u) => u.id === c.id) || c),
+      ...updated.filter((u) => !prev.some((c) => c.id === u.id)),
+    ]);
+    mergeCachedCartons(updated);
+  };
 
-      (data || []).forEach((c) => {
-        const idx = updatedCartons.findIndex((x) => x.id === c.id);
-        if (idx !== -1) updatedCartons[idx] = c;
-      });
-    }
+  // after a rejected write our copy of the stock is stale; reload it so the
+  // editor shows what is really available
+  const reloadCartons = async () => {
+    invalidateCartons();
+    const data = await fetchOrderFormCartons(editingOrder);
+    if (data) setCartons(data);
+  };
 
-    // set status = "received" for unbookIds
-    if (uniqueUnbookIds.length > 0) {
-      const { data, error } = await supabase
-        .from("cartons")
-        .update({ status: "received" })
-        .in("id", uniqueUnbookIds)
-        .select();
+  // orders can add customers on the server (new phone number)
+  const reloadCustomers = async (order) => {
+    if (!order?.customer_id) return;
+    if (customers.some((c) => c.id === order.customer_id)) return;
+    const { data, error } = await supabase
+      .from("customers")
+      .select("*")
+      .order("name");
+    if (error) {
+      console.error("Supabase error (customers):", error);
+      return;
+    }
+    setCustomers(data || []);
+  };
 
-      if (error) {
-        console.error("Supabase error unbooking cartons:", error);
-        throw new Error(error.message || "Failed to unbook cartons.");
-      }
+  const replaceOrder = (order) => {
+    setOrders((prev) => prev.map((o) => (o.id === order.id ? order : o)));
+  };
 
-      (data || []).forEach((c) => {
-        const idx = updatedCartons.findIndex((x) => x.id === c.id);
-        if (idx !== -1) updatedCartons[idx] = c;
-      });
+  // keep the stored invoice in line with an order change that is already
+  // committed; a failure here is reported but doesn't undo the change
+  const syncInvoice = async (order) => {
+    try {
+      const finalOrder = await createOrUpdateInvoice(
+        order,
+        getOrderItems(order),
+        products,
+        { issueNumber: can("orders.updateStatus") }
+      );
+      replaceOrder(finalOrder);
+    } catch (err) {
+      console.error("Invoice generation error:", err);
+      alert(
+        `Order #${order.id} was saved, but its invoice could not be regenerated: ${
+          err?.message || "unknown error"
+        }`
+      );
     }
-
-    setCartons(updatedCartons);
   };
 
   // ---------- CREATE ORDER ----------
@@ -982,13 +543,29 @@ const Orders = () => {
     setCustomer((prev) => ({ ...prev, [name]: value }));
   };
 
+  // picking a customer pre-fills the contact fields; the order keeps its
+  // own copy of them for the invoice
+  const customerFields = (c) => ({
+    customerId: c.id,
+    name: c.name || "",
+    email: c.email || "",
+    phone: c.phone || "",
+    address: c.address || "",
+  });
+
+  const handleSelectCustomer = (c) => {
+    setCustomer((prev) =>
+      c ? { ...prev, ...customerFields(c) } : { ...prev, customerId: null }
+    );
+    setItems((prev) =>
+      repriceItems(prev, unitPriceFor({ customerId: c?.id || null }))
+    );
+  };
+
   const validateItems = (rows, isEdit = false) => {
     if (rows.length === 0) {
       return "Please add at least one item.";
     }
-    if (rows.length > 25) {
-      return "You cannot add more than 25 items in a single order.";
-    }
 
     for (const r of rows) {
       if (!r.carton_id)
@@ -1008,45 +585,6 @@ const Orders = () => {
     return null;
   };
 
-
-  const applyLooseAdjustments = async (adjustments) => {
-    // adjustments: { [cartonId]: deltaUnits }
-    const ids = Object.keys(adjustments);
-    if (ids.length === 0) return;
-
-    const updatedCartons = [...cartons];
-
-    for (const idStr of ids) {
-      const id = Number(idStr);
-      const delta = adjustments[idStr]; // can be negative or positive
-      const index = updatedCartons.findIndex((c) => c.id === id);
-      if (index === -1) continue;
-      const currentUnits = Number(updatedCartons[index].units_remaining || 0);
-      const newUnits = currentUnits + delta; // delta negative => subtract
-
-      // prevent below zero
-      if (newUnits < 0) {
-        throw new Error(`Not enough units remaining for Carton ${id}.`);
-      }
-
-      const { data: updated, error } = await supabase
-        .from("cartons")
-        .update({ units_remaining: newUnits })
-        .eq("id", id)
-        .select()
-        .single();
-
-      if (error) {
-        console.error("Supabase error updating carton units:", error);
-        throw new Error(error.message || "Failed to update carton units.");
-      }
-
-      updatedCartons[index] = updated;
-    }
-
-    setCartons(updatedCartons);
-  };
-
   const handleCreateOrder = async (e) => {
     e.preventDefault();
     setCreateError("");
@@ -1072,96 +610,97 @@ const Orders = () => {
       return;
     }
 
+    const deliverySuggestion = suggestFor(items, customer);
+    const feeErr = getDeliveryFeeError(customer, deliverySuggestion);
+    if (feeErr) {
+      setCreateError(feeErr);
+      return;
+    }
+
     try {
       setCreating(true);
 
       // expand "auto" items into multiple "carton" rows
-      const expandedItems = expandAutoItems(items, cartons, products);
-
-      if (expandedItems.length > 25) {
-        throw new Error(
-          "You cannot have more than 25 items in a single order."
-        );
-      }
+      const expandedItems = expandAutoItems(
+        items,
+        cartons,
+        products,
+        company.autoCartonPolicy
+      );
 
-      const subtotal = calcSubtotal(expandedItems);
-      const deliveryFee = Number(customer.deliveryFee || 0);
-      const total_amount = subtotal + deliveryFee;
-
-      const orderItemsPayload = expandedItems.map((r) => ({
-        mode: r.mode,
-        carton_id: r.carton_id ? Number(r.carton_id) : null,
-        product_id: r.product_id || null,
-        quantity: Number(r.quantity || 0),
-        unit_price: Number(r.unit_price || 0),
-        line_total: Number(r.line_total || 0),
-      }));
+      const { itemsPayload: orderItemsPayload, orderTotals } =
+        buildOrderPricing(expandedItems, customer, products);
 
-      const insertPayload = {
+      const orderPayload = {
+        customer_id: customer.customerId || null,
         customer_name: customer.name,
         customer_email: customer.email || null,
         customer_phone: customer.phone || null,
         delivery_address: customer.address || null,
         status: customer.status || "Created",
-        items: orderItemsPayload,
-        subtotal,
-        delivery_charge: deliveryFee,
-        total_amount: total_amount,
+        ...orderTotals,
+        ...buildDeliveryFeePayload(customer, deliverySuggestion),
+        ...buildMarginApprovalPayload(customer, marginsFor(items, customer)),
       };
 
-      const { data: insertedOrder, error: insertErr } = await supabase
-        .from("orders")
-        .insert([insertPayload])
-        .select()
-        .single();
+      // order row + loose deductions + carton bookings in one transaction
+      const { data: result, error: createErr } = await supabase.rpc(
+        "create_order",
+        { p_order: orderPayload, p_items: orderItemsPayload }
+      );
 
-      if (insertErr) {
-        console.error("Supabase insert error (order):", insertErr);
-        setCreateError(insertErr.message || "Failed to create order.");
+      if (createErr) {
+        console.error("Supabase create_order error:", createErr);
+        setCreateError(createErr.message || "Failed to create order.");
+        await reloadCartons();
         return;
       }
 
-      // inventory adjustments for loose items (auto expanded cartons remain cartons)
-      const looseAdjustments = {};
-      orderItemsPayload.forEach((it) => {
-        if (it.mode === "loose" && it.carton_id) {
-          const key = String(it.carton_id);
-          looseAdjustments[key] =
-            (looseAdjustments[key] || 0) - it.quantity;
-        }
-      });
-
-      if (Object.keys(looseAdjustments).length > 0) {
-        await applyLooseAdjustments(looseAdjustments);
-      }
-
-      // 🔹 NEW: mark full cartons in this order as "booked"
-      const cartonBookIds = orderItemsPayload
-        .filter((it) => it.mode === "carton" && it.carton_id)
-        .map((it) => it.carton_id);
-
-      if (cartonBookIds.length > 0) {
-        await applyCartonStatusChanges({ bookIds: cartonBookIds });
+      const insertedOrder = result.order;
+      markOwnWrite("orders", insertedOrder.id);
+      mergeCartons(result.cartons);
+
+      // generate invoice (outside the transaction; can be retried via "Get Invoice")
+      let finalOrder = insertedOrder;
+      try {
+        finalOrder = await createOrUpdateInvoice(
+          insertedOrder,
+          orderItemsPayload,
+          products
+        );
+      } catch (invoiceErr) {
+        console.error("Invoice generation error:", invoiceErr);
+        setCreateError(
+          `Order #${insertedOrder.id} was saved, but the invoice failed: ${
+            invoiceErr?.message || "unknown error"
+          }. Use "Get Invoice" to retry.`
+        );
       }
 
-      // generate invoice
-      const finalOrder = await createOrUpdateInvoice(
-        insertedOrder,
-        orderItemsPayload,
-        products
-      );
-
-      // prepend in local list
-      setOrders((prev) => [finalOrder, ...prev]);
+      // prepend in local list (shown until the list is next loaded)
+      setOrders((prev) => [
+        finalOrder,
+        ...prev.filter((o) => o.id !== finalOrder.id),
+      ]);
+      setOrdersTotal((prev) => prev + 1);
+      await reloadCustomers(insertedOrder);
 
       // reset form
       setCustomer({
+        customerId: null,
         name: "",
         email: "",
         phone: "",
         address: "",
         deliveryFee: "0",
+        deliveryZoneId: "",
+        deliveryFeeManual: false,
+        deliveryFeeReason: "",
+        discountType: "",
+        discountValue: "0",
         status: "Created",
+        marginApproved: false,
+        marginApprovalNote: "",
       });
       setItems([
         {
@@ -1184,19 +723,40 @@ const Orders = () => {
 
   // ---------- EDIT ORDER ----------
 
+  // lines (and customer) can't change on cancelled / returned orders, nor
+  // for roles that may only move the status (warehouse)
+  const linesLockedFor = (order) => isOrderLocked(order) || !canEditOrders;
+
   const openEditModal = (order) => {
     setEditingOrder(order);
     setEditError("");
+    setEditConflict(null);
+    fetchOrderFormCartons(order).then((data) => {
+      if (data) setCartons(data);
+    });
 
-    const itemsFromDb = Array.isArray(order.items) ? order.items : [];
+    const itemsFromDb = getOrderItems(order);
 
     setEditCustomer({
+      customerId: order.customer_id || null,
       name: order.customer_name || "",
       email: order.customer_email || "",
       phone: order.customer_phone || "",
       address: order.delivery_address || "",
       deliveryFee: String(order.delivery_charge || 0),
+      // the stored charge stays until staff change it or pick the suggestion
+      deliveryZoneId: order.delivery_zone_id
+        ? String(order.delivery_zone_id)
+        : "",
+      deliveryFeeManual: true,
+      deliveryFeeReason: order.delivery_fee_reason || "",
+      discountType: order.discount_type || "",
+      discountValue: String(order.discount_value || 0),
       status: order.status || "Created",
+      statusNote: "",
+      courier: "",
+      marginApproved: false,
+      marginApprovalNote: "",
     });
 
     const mappedItems = itemsFromDb.map((it) => ({
@@ -1207,10 +767,14 @@ const Orders = () => {
       quantity: it.quantity || 0,
       unit_price: it.unit_price || 0,
       line_total: it.line_total || 0,
+      discount_type: it.discount_type || null,
+      discount_value: it.discount_value || 0,
+      vat_rate: it.vat_rate ?? null,
+      // stored prices stay as sold
+      price_manual: true,
     }));
 
     setEditItems(mappedItems);
-    setOriginalEditItems(itemsFromDb);
     setShowEditModal(true);
   };
 
@@ -1219,237 +783,551 @@ const Orders = () => {
     setEditingOrder(null);
   };
 
-  const handleEditCustomerChange = (e) => {
-    const { name, value } = e.target;
-    setEditCustomer((prev) => ({ ...prev, [name]: value }));
-  };
+  const handleEditCustomerChange = (e) => {
+    const { name, value } = e.target;
+    setEditCustomer((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSelectEditCustomer = (c) => {
+    setEditCustomer((prev) =>
+      c ? { ...prev, ...customerFields(c) } : { ...prev, customerId: null }
+    );
+    setEditItems((prev) =>
+      repriceItems(prev, unitPriceFor({ customerId: c?.id || null }))
+    );
+  };
+
+  const handleUpdateOrder = async (e) => {
+    e.preventDefault();
+    if (!editingOrder) return;
+    setEditError("");
+
+    if (!editCustomer.name?.trim()) {
+      setEditError("Customer name is required.");
+      return;
+    }
+
+    if (!editCustomer.phone?.trim()) {
+      setEditError("Customer phone is required.");
+      return;
+    }
+
+    if (!editCustomer.address?.trim()) {
+      setEditError("Delivery address is required.");
+      return;
+    }
+
+    // cancelled / returned orders keep their stored lines untouched
+    const itemsLocked = linesLockedFor(editingOrder);
+
+    const itemErr = itemsLocked ? null : validateItems(editItems, true);
+    if (itemErr) {
+      setEditError(itemErr);
+      return;
+    }
+
+    const deliverySuggestion = itemsLocked
+      ? null
+      : suggestFor(editItems, editCustomer);
+    const feeErr = itemsLocked
+      ? null
+      : getDeliveryFeeError(
+          editCustomer,
+          deliverySuggestion,
+          editingOrder.delivery_charge
+        );
+    if (feeErr) {
+      setEditError(feeErr);
+      return;
+    }
+
+    try {
+      setSavingEdit(true);
+      markOwnWrite("orders", editingOrder.id);
+
+      // locked orders keep their stored totals (the server ignores them)
+      let newItemsPayload = null;
+      let orderTotals = {};
+
+      if (!itemsLocked) {
+        // expand "auto" items into multiple "carton" rows
+        const expandedItems = expandAutoItems(
+          editItems,
+          cartons,
+          products,
+          company.autoCartonPolicy
+        );
+
+        const pricing = buildOrderPricing(expandedItems, editCustomer, products);
+        newItemsPayload = pricing.itemsPayload;
+        orderTotals = {
+          ...pricing.orderTotals,
+          ...buildDeliveryFeePayload(editCustomer, deliverySuggestion),
+          ...buildMarginApprovalPayload(
+            editCustomer,
+            marginsFor(editItems, editCustomer, editingOrder)
+          ),
+        };
+      }
+
+      const payload = {
+        customer_id: editCustomer.customerId || null,
+        customer_name: editCustomer.name,
+        customer_email: editCustomer.email || null,
+        customer_phone: editCustomer.phone || null,
+        delivery_address: editCustomer.address || null,
+        status: editCustomer.status || "Created",
+        status_note: editCustomer.statusNote || null,
+        ...orderTotals,
+      };
+
+      // the server releases the stock held by the stored items and books
+      // the new ones in the same transaction as the order update
+      const { data: result, error: updateErr } = await supabase.rpc(
+        "update_order",
+        {
+          p_order_id: editingOrder.id,
+          p_order: payload,
+          p_items: newItemsPayload,
+          p_expected_version: editingOrder.version ?? null,
+        }
+      );
+
+      if (updateErr) {
+        console.error("Supabase update_order error:", updateErr);
+        setEditError(updateErr.message || "Failed to update order.");
+        await reloadCartons();
+        return;
+      }
+
+      const updatedOrder = result.order;
+      mergeCartons(result.cartons);
+      setOrders((prev) =>
+        prev.map((o) => (o.id === updatedOrder.id ? updatedOrder : o))
+      );
+      await reloadCustomers(updatedOrder);
+
+      // regenerate invoice (and the warehouse documents if the lines changed)
+      let finalOrder = await createOrUpdateInvoice(
+        updatedOrder,
+        getOrderItems(updatedOrder),
+        products
+      );
+      if (newItemsPayload && finalOrder.challan_pdf_url) {
+        finalOrder = await createOrUpdateDeliveryDocs(
+          finalOrder,
+          getOrderItems(finalOrder),
+          products
+        );
+      }
+
+      setOrders((prev) =>
+        prev.map((o) => (o.id === finalOrder.id ? finalOrder : o))
+      );
+      closeEditModal();
+
+      // moving to Shipped books the parcel with the chosen courier; the
+      // status change stands even if the booking fails
+      if (
+        editCustomer.courier &&
+        editCustomer.status === "Shipped" &&
+        editingOrder.status !== "Shipped"
+      ) {
+        try {
+          replaceOrder(await bookCourier(finalOrder, editCustomer.courier));
+        } catch (err) {
+          alert(
+            `Order #${finalOrder.id} is marked Shipped, but booking it with ${getCourierLabel(
+              editCustomer.courier
+            )} failed: ${err?.message || "unknown error"}\n\nUse "Book Courier" on the order to try again.`
+          );
+        }
+      }
+    } catch (err) {
+      console.error("Unexpected edit error:", err);
+      setEditError(err?.message || "Unexpected error updating order.");
+    } finally {
+      setSavingEdit(false);
+    }
+  };
+
+  // ---------- DELETE ORDER ----------
+
+  const handleDeleteOrder = async (order) => {
+    // numbered invoices stay on record (protect_invoice_number)
+    if (order.invoice_number) {
+      alert(
+        `Order #${order.id} has invoice ${order.invoice_number} and can't be deleted; cancel or return it instead.`
+      );
+      return;
+    }
+
+    const confirmed = window.confirm(
+      `Delete Order #${order.id}? This cannot be undone.`
+    );
+    if (!confirmed) return;
+
+    try {
+      markOwnWrite("orders", order.id);
+      // restock + delete in one transaction
+      const { data: result, error } = await supabase.rpc("delete_order", {
+        p_order_id: order.id,
+        p_expected_version: order.version ?? null,
+      });
+
+      if (error) {
+        console.error("Supabase delete_order error:", error);
+        alert(error.message || "Failed to delete order.");
+        return;
+      }
+
+      mergeCartons(result?.cartons);
+
+      // delete invoice files (best-effort; older orders may still have a PNG)
+      if (order.invoice_pdf_url || order.invoice_url) {
+        try {
+          await supabase.storage
+            .from("invoices")
+            .remove([`invoice_${order.id}.pdf`, `invoice_${order.id}.png`]);
+        } catch (e) {
+          console.warn("Failed to remove invoice file (ignored):", e);
+        }
+      }
+
+      setOrders((prev) => prev.filter((o) => o.id !== order.id));
+      setOrdersTotal((prev) => Math.max(0, prev - 1));
+    } catch (err) {
+      console.error("Unexpected delete error:", err);
+      alert(err?.message || "Unexpected error while deleting order.");
+    }
+  };
+
+  // ---------- CANCEL / RETURN ----------
 
-  const handleUpdateOrder = async (e) => {
-    e.preventDefault();
-    if (!editingOrder) return;
-    setEditError("");
+  const handleCancelOrder = async (order) => {
+    const reason = window.prompt(
+      `Cancel Order #${order.id}? Its cartons and loose units go back to inventory.\n\nReason (optional):`,
+      ""
+    );
+    if (reason === null) return;
 
-    if (!editCustomer.name?.trim()) {
-      setEditError("Customer name is required.");
-      return;
-    }
+    markOwnWrite("orders", order.id);
+    const { data: result, error } = await supabase.rpc("cancel_order", {
+      p_order_id: order.id,
+      p_reason: reason.trim() || null,
+      p_expected_version: order.version ?? null,
+    });
 
-    if (!editCustomer.phone?.trim()) {
-      setEditError("Customer phone is required.");
+    if (error) {
+      console.error("Supabase cancel_order error:", error);
+      alert(error.message || "Failed to cancel order.");
+      await reloadCartons();
       return;
     }
 
-    if (!editCustomer.address?.trim()) {
-      setEditError("Delivery address is required.");
+    mergeCartons(result.cartons);
+    replaceOrder(result.order);
+    await syncInvoice(result.order);
+  };
+
+  const handleApproveMargin = async (order) => {
+    const note = window.prompt(
+      `Approve the below-margin prices on Order #${order.id}?\n\nNote (optional):`,
+      ""
+    );
+    if (note === null) return;
+
+    markOwnWrite("orders", order.id);
+    const { data, error } = await supabase.rpc("approve_order_margin", {
+      p_order_id: order.id,
+      p_note: note.trim() || null,
+    });
+
+    if (error) {
+      console.error("Supabase approve_order_margin error:", error);
+      alert(error.message || "Failed to approve the prices.");
       return;
     }
 
-    const itemErr = validateItems(editItems, true);
-    if (itemErr) {
-      setEditError(itemErr);
+    replaceOrder(data);
+  };
+
+  const openReturnModal = (order) => {
+    setReturnOrder(order);
+    setReturnQty({});
+    setReturnReason("");
+    setReturnError("");
+  };
+
+  const closeReturnModal = () => {
+    setReturnOrder(null);
+  };
+
+  const handleReturnAll = () => {
+    const all = {};
+    getOrderItems(returnOrder).forEach((it) => {
+      const remaining =
+        Number(it.quantity || 0) - Number(it.returned_quantity || 0);
+      if (remaining > 0) all[it.id] = String(remaining);
+    });
+    setReturnQty(all);
+  };
+
+  const handleSubmitReturn = async (e) => {
+    e.preventDefault();
+    if (!returnOrder) return;
+    setReturnError("");
+
+    const lines = Object.entries(returnQty)
+      .map(([id, qty]) => ({
+        order_item_id: Number(id),
+        quantity: Number(qty) || 0,
+      }))
+      .filter((l) => l.quantity > 0);
+
+    if (lines.length === 0) {
+      setReturnError("Enter a return quantity for at least one line.");
       return;
     }
 
     try {
-      setSavingEdit(true);
+      setSavingReturn(true);
+      markOwnWrite("orders", returnOrder.id);
 
-      // expand "auto" items into multiple "carton" rows
-      const expandedItems = expandAutoItems(editItems, cartons, products);
+      const { data: result, error } = await supabase.rpc(
+        "return_order_items",
+        {
+          p_order_id: returnOrder.id,
+          p_lines: lines,
+          p_reason: returnReason.trim() || null,
+          p_expected_version: returnOrder.version ?? null,
+        }
+      );
 
-      if (expandedItems.length > 25) {
-        throw new Error(
-          "You cannot have more than 25 items in a single order."
-        );
+      if (error) {
+        console.error("Supabase return_order_items error:", error);
+        setReturnError(error.message || "Failed to record return.");
+        await reloadCartons();
+        return;
       }
 
-      const subtotal = calcSubtotal(expandedItems);
-      const deliveryFee = Number(editCustomer.deliveryFee || 0);
-      const total_amount = subtotal + deliveryFee;
-
-      const newItemsPayload = expandedItems.map((r) => ({
-        mode: r.mode,
-        carton_id: r.carton_id ? Number(r.carton_id) : null,
-        product_id: r.product_id || null,
-        quantity: Number(r.quantity || 0),
-        unit_price: Number(r.unit_price || 0),
-        line_total: Number(r.line_total || 0),
-      }));
+      mergeCartons(result.cartons);
+      replaceOrder(result.order);
+      closeReturnModal();
+      await syncInvoice(result.order);
+    } finally {
+      setSavingReturn(false);
+    }
+  };
 
-      const payload = {
-        customer_name: editCustomer.name,
-        customer_email: editCustomer.email || null,
-        customer_phone: editCustomer.phone || null,
-        delivery_address: editCustomer.address || null,
-        status: editCustomer.status || "Created",
-        items: newItemsPayload,
-        subtotal,
-        delivery_charge: deliveryFee,
-        total_amount: total_amount,
-        updated_at: new Date().toISOString(),
-      };
+  // ---------- PAYMENTS ----------
+
+  const fetchOrder = async (orderId) => {
+    const { data, error } = await supabase
+      .from("orders")
+      .select(ORDER_SELECT)
+      .eq("id", orderId)
+      .single();
+    if (error) throw new Error(error.message || "Failed to reload order.");
+    return data;
+  };
 
-      // build adjustments for loose items: old -> +quantity, new -> -quantity
-      const looseAdjustments = {};
+  // navbar search result: /admin/orders?open=<id> (may be on another page);
+  // roles that can't change orders get its payments instead
+  useOpenFromQuery(
+    orders,
+    (order) =>
+      canEditOrders || can("orders.updateStatus")
+        ? openEditModal(order)
+        : openPaymentModal(order),
+    fetchOrder
+  );
 
-      (originalEditItems || []).forEach((it) => {
-        if (it.mode === "loose" && it.carton_id) {
-          const key = String(it.carton_id);
-          looseAdjustments[key] =
-            (looseAdjustments[key] || 0) + Number(it.quantity || 0);
-        }
-      });
+  // ---------- LIVE UPDATES ----------
+
+  // 🔴 orders changed in other tabs. Events carry the bare orders row, so the
+  // order is reloaded in the list's shape (lines, payments, shipments).
+  // New orders go straight in on the default first page; anywhere else a
+  // notice offers to reload the page.
+  useTableChanges("orders", (payload) => {
+    const id = changedRowId(payload);
+    if (!isOwnWrite("orders", id) && editingOrder?.id === id) {
+      setEditConflict(payload.eventType === "DELETE" ? "deleted" : "changed");
+    }
+
+    if (payload.eventType === "DELETE") {
+      if (isOwnWrite("orders", id) || !orders.some((o) => o.id === id)) return;
+      setOrders((prev) => prev.filter((o) => o.id !== id));
+      setOrdersTotal((prev) => Math.max(0, prev - 1));
+      return;
+    }
+
+    if (payload.eventType === "UPDATE" && !orders.some((o) => o.id === id)) {
+      return;
+    }
 
-      newItemsPayload.forEach((it) => {
-        if (it.mode === "loose" && it.carton_id) {
-          const key = String(it.carton_id);
-          looseAdjustments[key] =
-            (looseAdjustments[key] || 0) - Number(it.quantity || 0);
+    const isDefaultList =
+      listQuery.page === 1 &&
+      listQuery.sort === "id" &&
+      !listQuery.ascending &&
+      !hasOrderFilters(listQuery.filters);
+
+    fetchOrder(id)
+      .then((order) => {
+        // our own new order may echo back before create_order returns
+        const own = isOwnWrite("orders", id);
+        if (payload.eventType === "UPDATE") {
+          replaceOrder(order);
+        } else if (own) {
+          return;
+        } else if (isDefaultList) {
+          setOrders((prev) =>
+            prev.some((o) => o.id === id)
+              ? prev
+              : [order, ...prev].slice(0, ORDERS_PER_PAGE)
+          );
+          setOrdersTotal((prev) => prev + 1);
+        } else {
+          setNewOrdersCount((prev) => prev + 1);
+          return;
         }
-      });
+        if (!own) markChanged(id);
+      })
+      .catch((err) => console.error("Supabase error (live order):", err));
+  });
 
-      const { data: updatedOrder, error: updateErr } = await supabase
-        .from("orders")
-        .update(payload)
-        .eq("id", editingOrder.id)
-        .select()
-        .single();
+  // stock booked / released elsewhere; the forms only add sellable cartons
+  useTableChanges("cartons", (payload) =>
+    setCartons((prev) =>
+      applyTableChange(prev, payload, {
+        addIf: (row) => row.status === "received",
+      })
+    )
+  );
 
-      if (updateErr) {
-        console.error("Supabase update error (order):", updateErr);
-        setEditError(updateErr.message || "Failed to update order.");
-        return;
-      }
+  const openPaymentModal = (order) => {
+    setPaymentOrder(order);
+    setPaymentError("");
+    setNewPayment({
+      amount: String(getBalanceDue(order) || ""),
+      method: "cash",
+      reference: "",
+      paidDate: todayForDateInput(),
+      note: "",
+    });
+  };
 
-      if (Object.keys(looseAdjustments).length > 0) {
-        await applyLooseAdjustments(looseAdjustments);
-      }
+  const closePaymentModal = () => {
+    setPaymentOrder(null);
+  };
 
-      // 🔹 NEW: carton booking changes for edit
-      const prevCartonIds = new Set(
-        (originalEditItems || [])
-          .filter((it) => it.mode === "carton" && it.carton_id)
-          .map((it) => it.carton_id)
-      );
+  const handleNewPaymentChange = (e) => {
+    const { name, value } = e.target;
+    setNewPayment((prev) => ({ ...prev, [name]: value }));
+  };
 
-      const newCartonIds = new Set(
-        newItemsPayload
-          .filter((it) => it.mode === "carton" && it.carton_id)
-          .map((it) => it.carton_id)
-      );
+  // the ledger trigger updates amount_paid / payment_status (and may move
+  // the order to Paid), so reload the order and its invoice afterwards
+  const afterPaymentChange = async (orderId) => {
+    const updated = await fetchOrder(orderId);
+    replaceOrder(updated);
+    setPaymentOrder(updated);
+    await syncInvoice(updated);
+  };
 
-      const cartonsToBook = [];
-      const cartonsToUnbook = [];
+  const handleAddPayment = async (e) => {
+    e.preventDefault();
+    if (!paymentOrder) return;
+    setPaymentError("");
 
-      // new cartons: in new but not in prev
-      newCartonIds.forEach((id) => {
-        if (!prevCartonIds.has(id)) {
-          cartonsToBook.push(id);
-        }
-      });
+    const amount = Number(newPayment.amount);
+    if (!amount || amount <= 0) {
+      setPaymentError("Please enter a payment amount.");
+      return;
+    }
+    if (newPayment.method !== "cash" && !newPayment.reference.trim()) {
+      setPaymentError("Please enter the transaction reference.");
+      return;
+    }
 
-      // removed cartons: in prev but not in new
-      prevCartonIds.forEach((id) => {
-        if (!newCartonIds.has(id)) {
-          cartonsToUnbook.push(id);
-        }
-      });
+    try {
+      setSavingPayment(true);
+      markOwnWrite("orders", paymentOrder.id);
 
-      if (cartonsToBook.length > 0 || cartonsToUnbook.length > 0) {
-        await applyCartonStatusChanges({
-          bookIds: cartonsToBook,
-          unbookIds: cartonsToUnbook,
-        });
-      }
+      const paidAt =
+        newPayment.paidDate === todayForDateInput()
+          ? new Date().toISOString()
+          : new Date(`${newPayment.paidDate}T12:00`).toISOString();
 
-      // regenerate invoice
-      const finalOrder = await createOrUpdateInvoice(
-        updatedOrder,
-        newItemsPayload,
-        products
-      );
+      const { error } = await supabase.from("order_payments").insert([
+        {
+          order_id: paymentOrder.id,
+          amount,
+          method: newPayment.method,
+          reference: newPayment.reference.trim() || null,
+          note: newPayment.note.trim() || null,
+          paid_at: paidAt,
+        },
+      ]);
 
-      setOrders((prev) =>
-        prev.map((o) => (o.id === finalOrder.id ? finalOrder : o))
-      );
-      closeEditModal();
+      if (error) {
+        console.error("Supabase insert error (payment):", error);
+        setPaymentError(error.message || "Failed to record payment.");
+        return;
+      }
+
+      await afterPaymentChange(paymentOrder.id);
+      setNewPayment((prev) => ({
+        ...prev,
+        amount: "",
+        reference: "",
+        note: "",
+      }));
     } catch (err) {
-      console.error("Unexpected edit error:", err);
-      setEditError(err?.message || "Unexpected error updating order.");
+      console.error("Unexpected payment error:", err);
+      setPaymentError(err?.message || "Unexpected error recording payment.");
     } finally {
-      setSavingEdit(false);
+      setSavingPayment(false);
     }
   };
 
-  // ---------- DELETE ORDER ----------
-
-  const handleDeleteOrder = async (order) => {
+  const handleDeletePayment = async (payment) => {
     const confirmed = window.confirm(
-      `Delete Order #${order.id}? This cannot be undone.`
+      `Remove the payment of ৳${Number(payment.amount).toFixed(2)}?`
     );
     if (!confirmed) return;
 
     try {
-      // add back loose items to cartons
-      const itemsFromDb = Array.isArray(order.items) ? order.items : [];
-      const looseAdjustments = {};
-      itemsFromDb.forEach((it) => {
-        if (it.mode === "loose" && it.carton_id) {
-          const key = String(it.carton_id);
-          looseAdjustments[key] =
-            (looseAdjustments[key] || 0) + Number(it.quantity || 0);
-        }
-      });
-
-      if (Object.keys(looseAdjustments).length > 0) {
-        await applyLooseAdjustments(looseAdjustments);
-      }
-
-      // 🔹 NEW: unbook full cartons in this order
-      const cartonsToUnbook = itemsFromDb
-        .filter((it) => it.mode === "carton" && it.carton_id)
-        .map((it) => it.carton_id);
-
-      if (cartonsToUnbook.length > 0) {
-        await applyCartonStatusChanges({ unbookIds: cartonsToUnbook });
-      }
-
-      // delete invoice file (best-effort)
-      if (order.invoice_url) {
-        try {
-          const fileName = `invoice_${order.id}.png`;
-          await supabase.storage.from("invoices").remove([fileName]);
-        } catch (e) {
-          console.warn("Failed to remove invoice file (ignored):", e);
-        }
-      }
-
+      markOwnWrite("orders", payment.order_id);
       const { error } = await supabase
-        .from("orders")
+        .from("order_payments")
         .delete()
-        .eq("id", order.id);
+        .eq("id", payment.id);
 
       if (error) {
-        console.error("Supabase delete error (order):", error);
-        alert(error.message || "Failed to delete order.");
+        console.error("Supabase delete error (payment):", error);
+        setPaymentError(error.message || "Failed to remove payment.");
         return;
       }
 
-      setOrders((prev) => prev.filter((o) => o.id !== order.id));
+      await afterPaymentChange(payment.order_id);
     } catch (err) {
-      console.error("Unexpected delete error:", err);
-      alert(err?.message || "Unexpected error while deleting order.");
+      console.error("Unexpected payment error:", err);
+      setPaymentError(err?.message || "Unexpected error removing payment.");
     }
   };
 
   // ---------- INVOICE GENERATION / PRINT ----------
 
   const handleGenerateInvoice = async (order) => {
+    markOwnWrite("orders", order.id);
     try {
-      const itemsFromDb = Array.isArray(order.items) ? order.items : [];
+      const itemsFromDb = getOrderItems(order);
       const finalOrder = await createOrUpdateInvoice(
         order,
         itemsFromDb,
-        products
+        products,
+        { issueNumber: can("orders.updateStatus") }
       );
 
       setOrders((prev) =>
@@ -1461,7 +1339,146 @@ const Orders = () => {
     }
   };
 
-  const handlePrintInvoice = (order) => {
+  // unpriced challan + packing slip for the warehouse
+  const handleGenerateDeliveryDocs = async (order) => {
+    markOwnWrite("orders", order.id);
+    try {
+      const finalOrder = await createOrUpdateDeliveryDocs(
+        order,
+        getOrderItems(order),
+        products
+      );
+      replaceOrder(finalOrder);
+    } catch (err) {
+      console.error("Delivery documents error:", err);
+      alert(err?.message || "Failed to generate the delivery documents.");
+    }
+  };
+
+  // ---------- COURIER SHIPMENTS ----------
+
+  // a label that fails to render leaves the booking in place ("Make Label"
+  // on the order retries it); returns the order with the labelled shipment
+  const withShippingLabel = async (order, shipment) => {
+    try {
+      const labelled = await createOrUpdateShippingLabel(order, shipment);
+      return {
+        ...order,
+        shipments: (order.shipments || []).map((s) =>
+          s.id === labelled.id ? labelled : s
+        ),
+      };
+    } catch (err) {
+      console.error("Shipping label error:", err);
+      alert(
+        `Order #${order.id} was booked, but its shipping label could not be created: ${
+          err?.message || "unknown error"
+        }`
+      );
+      return order;
+    }
+  };
+
+  // books the parcel, then renders its label; returns the updated order
+  const bookCourier = async (order, courier) => {
+    const { shipment, order: bookedOrder } = await bookShipment(order, courier);
+    return withShippingLabel(bookedOrder, shipment);
+  };
+
+  const openBookingModal = (order) => {
+    setBookingOrder(order);
+    setBookingError("");
+  };
+
+  const closeBookingModal = () => {
+    setBookingOrder(null);
+  };
+
+  const handleSubmitBooking = async (e) => {
+    e.preventDefault();
+    if (!bookingOrder) return;
+    setBookingError("");
+
+    try {
+      setSavingBooking(true);
+      markOwnWrite("orders", bookingOrder.id);
+      replaceOrder(await bookCourier(bookingOrder, bookingCourier));
+      closeBookingModal();
+    } catch (err) {
+      setBookingError(err?.message || "Failed to book the shipment.");
+    } finally {
+      setSavingBooking(false);
+    }
+  };
+
+  const handleMakeShippingLabel = async (order, shipment) => {
+    replaceOrder(await withShippingLabel(order, shipment));
+  };
+
+  // a delivered parcel also moves its order to Delivered (server-side)
+  const handleTrackShipment = async (shipment) => {
+    try {
+      const result = await trackShipment(shipment);
+      replaceOrder(result.order);
+    } catch (err) {
+      alert(err?.message || "Failed to refresh tracking.");
+    }
+  };
+
+  const handleRefreshShipments = async () => {
+    try {
+      setRefreshingShipments(true);
+      const result = await pollShipments();
+      const updated = result.orders || [];
+      setOrders((prev) =>
+        prev.map((o) => updated.find((u) => u.id === o.id) || o)
+      );
+      if (result.errors?.length) {
+        alert(
+          `Tracking could not be refreshed for:\n${result.errors
+            .map((er) => `Order #${er.order_id}: ${er.message}`)
+            .join("\n")}`
+        );
+      }
+    } catch (err) {
+      alert(err?.message || "Failed to refresh tracking.");
+    } finally {
+      setRefreshingShipments(false);
+    }
+  };
+
+  // PDFs print from a hidden frame with the browser's PDF viewer
+  const printPdf = async (url, label) => {
+    try {
+      const res = await fetch(url);
+      if (!res.ok) throw new Error(`Could not load ${label} (${res.status}).`);
+      const blobUrl = URL.createObjectURL(await res.blob());
+
+      const frame = document.createElement("iframe");
+      frame.style.display = "none";
+      frame.src = blobUrl;
+      frame.onload = () => {
+        frame.contentWindow.focus();
+        frame.contentWindow.print();
+        setTimeout(() => {
+          frame.remove();
+          URL.revokeObjectURL(blobUrl);
+        }, 60000);
+      };
+      document.body.appendChild(frame);
+    } catch (err) {
+      console.error(`PDF print error (${label}):`, err);
+      alert(err?.message || `Failed to print ${label}.`);
+    }
+  };
+
+  const handlePrintInvoice = async (order) => {
+    if (order.invoice_pdf_url) {
+      await printPdf(order.invoice_pdf_url, "invoice");
+      return;
+    }
+
+    // older orders: PNG invoice
     if (!order.invoice_url) return;
     const printWindow = window.open("", "_blank", "width=800,height=900");
     if (!printWindow) return;
@@ -1470,7 +1487,7 @@ const Orders = () => {
     printWindow.document.write(`
       <html>
         <head>
-          <title>Invoice #${order.id}</title>
+          <title>Invoice ${getInvoiceLabel(order)}</title>
           <style>
             body { margin: 0; padding: 20px; font-family: Arial, sans-serif; }
             img { max-width: 100%; height: auto; }
@@ -1494,13 +1511,65 @@ const Orders = () => {
 
   // ---------- subtotal & total for create/edit forms ----------
 
-  const createSubtotal = calcSubtotal(items);
-  const createDeliveryFeeNum = Number(customer.deliveryFee || 0);
-  const createTotal = createSubtotal + createDeliveryFeeNum;
-
-  const editSubtotal = calcSubtotal(editItems);
-  const editDeliveryFeeNum = Number(editCustomer.deliveryFee || 0);
-  const editTotal = editSubtotal + editDeliveryFeeNum;
+  const createTotals = calcTotals(items, customer);
+  const editTotals = calcTotals(editItems, editCustomer);
+  const createSuggestion = suggestFor(items, customer);
+  const createPriceList = getPriceListFor(customer);
+  const editPriceList = getPriceListFor(editCustomer);
+  const editSuggestion = showEditModal
+    ? suggestFor(editItems, editCustomer)
+    : null;
+  const createMargins = marginsFor(items, customer);
+  const editMargins = showEditModal
+    ? marginsFor(editItems, editCustomer, editingOrder)
+    : null;
+
+  // approve-now checkbox for admins; everyone else is told the order waits
+  const renderMarginApproval = (margins, form, setForm, order = null) => {
+    if (!margins.needsApproval) return null;
+
+    const setField = (name, value) =>
+      setForm((prev) => ({ ...prev, [name]: value }));
+
+    return (
+      <div className="mt-2">
+        {order?.margin_approval_status === "approved" && (
+          <small className="text-muted d-block">
+            ✅ Approved by {order.margin_approved_by_email || "an admin"}
+            {order.margin_approved_at &&
+              ` on ${formatDate(order.margin_approved_at)}`}
+            ; changed prices need a new approval.
+          </small>
+        )}
+        {canApprovePrices ? (
+          <>
+            <Form.Check
+              type="checkbox"
+              id={`margin-approve-${order?.id || "new"}`}
+              label="Approve these prices"
+              checked={form.marginApproved}
+              onChange={(e) => setField("marginApproved", e.target.checked)}
+            />
+            {form.marginApproved && (
+              <Form.Control
+                size="sm"
+                placeholder="Approval note (optional)"
+                value={form.marginApprovalNote}
+                onChange={(e) =>
+                  setField("marginApprovalNote", e.target.value)
+                }
+              />
+            )}
+          </>
+        ) : (
+          <small className="text-warning d-block">
+            Prices below the allowed margin need an admin&apos;s approval; the
+            order stays Created until then.
+          </small>
+        )}
+      </div>
+    );
+  };
 
   return (
     <Container fluid>
@@ -1513,18 +1582,159 @@ const Orders = () => {
                 Create and manage customer orders & invoices
               </p>
 
+              {/* 🔍 Filters (kept in the URL) */}
+              <Form onSubmit={applyFilters} className="mt-3">
+                <Row>
+                  <Col md={3} className="mb-2">
+                    <Form.Control
+                      type="text"
+                      name="q"
+                      placeholder="Invoice no., order #, customer, phone..."
+                      value={filterDraft.q}
+                      onChange={handleFilterChange}
+                    />
+                  </Col>
+                  <Col md={2} className="mb-2">
+                    <Form.Control
+                      as="select"
+                      name="status"
+                      value={filterDraft.status}
+                      onChange={handleFilterChange}
+                    >
+                      <option value="">All statuses</option>
+                      {ORDER_STATUSES.map((st) => (
+                        <option key={st} value={st}>
+                          {st}
+                        </option>
+                      ))}
+                    </Form.Control>
+                  </Col>
+                  <Col md={2} className="mb-2">
+                    <Form.Control
+                      type="date"
+                      name="from"
+                      title="Created from"
+                      value={filterDraft.from}
+                      onChange={handleFilterChange}
+                    />
+                  </Col>
+                  <Col md={2} className="mb-2">
+                    <Form.Control
+                      type="date"
+                      name="to"
+                      title="Created until"
+                      value={filterDraft.to}
+                      onChange={handleFilterChange}
+                    />
+                  </Col>
+                  <Col md={3} className="mb-2">
+                    <Form.Control
+                      type="text"
+                      name="customer"
+                      placeholder="Customer name"
+                      value={filterDraft.customer}
+                      onChange={handleFilterChange}
+                    />
+                  </Col>
+                </Row>
+                <Row>
+                  <Col md={3} className="mb-2">
+                    <Form.Control
+                      type="text"
+                      name="phone"
+                      placeholder="Phone"
+                      value={filterDraft.phone}
+                      onChange={handleFilterChange}
+                    />
+                  </Col>
+                  <Col md={3} className="mb-2">
+                    <Form.Control
+                      as="select"
+                      name="product"
+                      value={filterDraft.product}
+                      onChange={handleFilterChange}
+                    >
+                      <option value="">Any product</option>
+                      {products.map((p) => (
+                        <option key={p.id} value={p.id}>
+                          {p.name}
+                        </option>
+                      ))}
+                    </Form.Control>
+                  </Col>
+                  <Col md={2} className="mb-2">
+                    <Form.Control
+                      type="number"
+                      min={1}
+                      name="carton"
+                      placeholder="Carton ID"
+                      value={filterDraft.carton}
+                      onChange={handleFilterChange}
+                    />
+                  </Col>
+                  <Col md={4} className="mb-2 d-flex align-items-start">
+                    <Button type="submit" variant="info" className="btn-fill">
+                      Filter
+                    </Button>
+                    {hasOrderFilters(listQuery.filters) && (
+                      <Button
+                        variant="link"
+                        className="ml-2"
+                        onClick={clearFilters}
+                      >
+                        Clear filters
+                      </Button>
+                    )}
+                  </Col>
+                </Row>
+              </Form>
+
               <div className="d-flex justify-content-start mb-2 mt-3">
-                <Button
-                  variant={showForm ? "danger" : "info"}
-                  onClick={() => setShowForm((prev) => !prev)}
-                >
-                  {showForm ? "Close" : "Create New Order"}
-                </Button>
+                {can("orders.create") && (
+                  <Button
+                    variant={showForm ? "danger" : "info"}
+                    className="mr-2"
+                    onClick={() => setShowForm((prev) => !prev)}
+                  >
+                    {showForm ? "Close" : "Create New Order"}
+                  </Button>
+                )}
+                {can("orders.ship") && (
+                  <Button
+                    variant="outline-secondary"
+                    disabled={refreshingShipments}
+                    onClick={handleRefreshShipments}
+                    title="Ask the couriers for the latest status of open shipments"
+                  >
+                    <i className="fa fa-truck mr-1" />
+                    {refreshingShipments ? "Refreshing..." : "Refresh Tracking"}
+                  </Button>
+                )}
               </div>
 
-              <Collapse in={showForm}>
+              <Collapse in={showForm && can("orders.create")}>
                 <div>
                   <Form onSubmit={handleCreateOrder} className="border-top pt-3">
+                    <Row>
+                      <Col md={8} className="mb-2">
+                        <Form.Label>Customer</Form.Label>
+                        <CustomerPicker
+                          customers={customers}
+                          selectedId={customer.customerId}
+                          onSelect={handleSelectCustomer}
+                        />
+                        <CustomerPhoneHint
+                          customers={customers}
+                          form={customer}
+                          onSelect={handleSelectCustomer}
+                        />
+                        {createPriceList && (
+                          <small className="text-muted d-block">
+                            🏷️ Price list: {createPriceList.name}
+                          </small>
+                        )}
+                      </Col>
+                    </Row>
                     <Row>
                       <Col md={4} className="mb-2">
                         <Form.Label>Customer Name *</Form.Label>
@@ -1556,7 +1766,7 @@ const Orders = () => {
                     </Row>
 
                     <Row>
-                      <Col md={8} className="mb-2">
+                      <Col md={6} className="mb-2">
                         <Form.Label>Delivery Address *</Form.Label>
                         <Form.Control
                           as="textarea"
@@ -1566,28 +1776,21 @@ const Orders = () => {
                           onChange={handleCustomerChange}
                         />
                       </Col>
-                      <Col md={2} className="mb-2">
-                        <Form.Label>Delivery Charge</Form.Label>
-                        <Form.Control
-                          type="number"
-                          name="deliveryFee"
-                          value={customer.deliveryFee}
-                          onChange={handleCustomerChange}
-                        />
-                      </Col>
+                      <DeliveryFeeFields
+                        zones={zones}
+                        form={customer}
+                        setForm={setCustomer}
+                        suggestion={createSuggestion}
+                      />
                       <Col md={2} className="mb-2">
                         <Form.Label>Status</Form.Label>
+                        {/* new orders always start as Created */}
                         <Form.Control
-                          as="select"
-                          name="status"
+                          type="text"
                           value={customer.status}
-                          onChange={handleCustomerChange}
-                        >
-                          <option value="Created">Created</option>
-                          <option value="Shipped">Shipped</option>
-                          <option value="Delivered">Delivered</option>
-                          <option value="Paid">Paid</option>
-                        </Form.Control>
+                          readOnly
+                          disabled
+                        />
                       </Col>
                     </Row>
 
@@ -1598,25 +1801,39 @@ const Orders = () => {
                       title="Order Items"
                       cartons={cartons}
                       getCartonLabel={getCartonLabel}
-                      getUnitPriceForProduct={getUnitPriceForProduct}
+                      getUnitPriceForProduct={unitPriceFor(customer)}
+                      getVatRateForProduct={getVatRateForProduct}
+                      getFloorPriceForProduct={getFloorPriceForProduct}
+                      getProductName={getProductName}
+                      margins={createMargins}
+                      autoPolicy={company.autoCartonPolicy}
                     />
 
-                    <Row className="mt-3">
-                      <Col md={4}>
-                        <div>
-                          <strong>Subtotal:</strong>{" "}
-                          {createSubtotal.toFixed(2)}
-                        </div>
-                        <div>
-                          <strong>Delivery:</strong>{" "}
-                          {createDeliveryFeeNum.toFixed(2)}
-                        </div>
-                        <div>
-                          <strong>Total:</strong> {createTotal.toFixed(2)}
-                        </div>
+                    <Row className="mt-3">
+                      <Col md={3}>
+                        <Form.Label>Order Discount</Form.Label>
+                        <DiscountInput
+                          type={customer.discountType}
+                          value={customer.discountValue}
+                          onChange={setOrderDiscount(setCustomer)}
+                        />
+                      </Col>
+                      <Col md={3}>
+                        <OrderTotalsSummary totals={createTotals} />
+                      </Col>
+                      <Col md={3}>
+                        <OrderMarginSummary
+                          margins={createMargins}
+                          minMarginPercent={company.minMarginPercent}
+                        />
+                        {renderMarginApproval(
+                          createMargins,
+                          customer,
+                          setCustomer
+                        )}
                       </Col>
                       <Col
-                        md={{ span: 4, offset: 4 }}
+                        md={3}
                         className="d-flex justify-content-end align-items-end"
                       >
                         <div className="text-right w-100">
@@ -1642,17 +1859,34 @@ const Orders = () => {
             </Card.Header>
 
             <Card.Body className="table-full-width table-responsive px-0">
+              {newOrdersCount > 0 && (
+                <div className="alert alert-info py-2 mx-3 mb-2 d-flex justify-content-between align-items-center">
+                  <span>
+                    🔔 {newOrdersCount} new order
+                    {newOrdersCount === 1 ? " was" : "s were"} added by
+                    others.
+                  </span>
+                  <Button
+                    variant="link"
+                    size="sm"
+                    className="p-0"
+                    onClick={() => setListVersion((v) => v + 1)}
+                  >
+                    Reload list
+                  </Button>
+                </div>
+              )}
               <Table className="table-hover table-striped">
                 <thead>
                   <tr>
-                    <th className="border-0">ID</th>
-                    <th className="border-0">Customer</th>
+                    {renderSortHeader("ID", "id")}
+                    {renderSortHeader("Customer", "customer_name")}
                     <th className="border-0">Contact</th>
-                    <th className="border-0">Status</th>
+                    {renderSortHeader("Status", "status")}
                     <th className="border-0">Cartons</th>
-                    <th className="border-0">Total</th>
+                    {renderSortHeader("Total", "total_amount")}
                     <th className="border-0">Invoice</th>
-                    <th className="border-0">Created At</th>
+                    {renderSortHeader("Created At", "created_at")}
                     <th className="border-0">Actions</th>
                   </tr>
                 </thead>
@@ -1660,110 +1894,465 @@ const Orders = () => {
                   {orders.length > 0 ? (
                     orders.map((order) => {
                       const cartonList = getOrderCartonList(order);
+                      const history = getStatusHistory(order);
+                      const showHistory = historyOrderId === order.id;
+                      const shipment = getLatestShipment(order);
                       return (
-                        <tr key={order.id}>
-                          <td>#{order.id}</td>
-                          <td>
-                            <div>{order.customer_name}</div>
-                            <small className="text-muted">
-                              {order.delivery_address}
-                            </small>
-                          </td>
-                          <td>
-                            <div>{order.customer_phone}</div>
-                            <small className="text-muted">
-                              {order.customer_email}
-                            </small>
-                          </td>
-                          <td>{order.status}</td>
-                          <td>{cartonList || "-"}</td>
-                          <td>
-                            ৳{Number(order.total_amount || 0).toFixed(2)}
-                          </td>
-                          <td>
-                            {order.invoice_url ? (
-                              <div style={{ textAlign: "center" }}>
-                                <div
-                                  onClick={() =>
-                                    setSelectedInvoiceImage(order.invoice_url)
-                                  }
-                                  style={{
-                                    width: "140px",
-                                    height: "140px",
-                                    borderRadius: "12px",
-                                    overflow: "hidden",
-                                    boxShadow:
-                                      "0 4px 12px rgba(0,0,0,0.1)",
-                                    background: "#fff",
-                                    cursor: "zoom-in",
-                                    margin: "0 auto 6px",
-                                  }}
+                        <React.Fragment key={order.id}>
+                          <tr style={changedRowStyle(isChanged(order.id))}>
+                            <td>
+                              <div>#{order.id}</div>
+                              {order.invoice_number && (
+                                <small className="text-muted text-nowrap">
+                                  {order.invoice_number}
+                                </small>
+                              )}
+                            </td>
+                            <td>
+                              <div>
+                                {order.customer_id ? (
+                                  <Link
+                                    to={`/admin/customers/${order.customer_id}`}
+                                  >
+                                    {order.customer_name}
+                                  </Link>
+                                ) : (
+                                  order.customer_name
+                                )}
+                              </div>
+                              <small className="text-muted">
+                                {order.delivery_address}
+                              </small>
+                            </td>
+                            <td>
+                              <div>{order.customer_phone}</div>
+                              <small className="text-muted">
+                                {order.customer_email}
+                              </small>
+                            </td>
+                            <td>
+                              <Badge variant={getStatusVariant(order.status)}>
+                                {order.status}
+                              </Badge>
+                              {isMarginApprovalPending(order) && (
+                                <div className="mt-1">
+                                  <Badge variant="warning">
+                                    Needs price approval
+                                  </Badge>
+                                  {canApprovePrices && (
+                                    <Button
+                                      variant="link"
+                                      size="sm"
+                                      className="p-0 d-block"
+                                      onClick={() => handleApproveMargin(order)}
+                                    >
+                                      Approve Prices
+                                    </Button>
+                                  )}
+                                </div>
+                              )}
+                              {order.margin_approval_status === "approved" && (
+                                <small
+                                  className="text-muted d-block"
+                                  title={order.margin_approval_note || ""}
                                 >
-                                  <img
-                                    src={order.invoice_url}
-                                    alt={`Invoice #${order.id}`}
+                                  Prices approved by{" "}
+                                  {order.margin_approved_by_email || "an admin"}
+                                </small>
+                              )}
+                              {history.length > 0 && (
+                                <div>
+                                  <Button
+                                    variant="link"
+                                    size="sm"
+                                    className="p-0"
+                                    onClick={() =>
+                                      setHistoryOrderId(
+                                        showHistory ? null : order.id
+                                      )
+                                    }
+                                  >
+                                    {showHistory ? "Hide history" : "History"}
+                                  </Button>
+                                </div>
+                              )}
+                              {shipment && (
+                                <div className="mt-1 small text-nowrap">
+                                  <div>
+                                    🚚 {getCourierLabel(shipment.courier)}{" "}
+                                    <Badge
+                                      variant={getShipmentStatusVariant(
+                                        shipment.status
+                                      )}
+                                    >
+                                      {getShipmentStatusLabel(shipment.status)}
+                                    </Badge>
+                                  </div>
+                                  {getTrackingUrl(shipment) ? (
+                                    <a
+                                      href={getTrackingUrl(shipment)}
+                                      target="_blank"
+                                      rel="noreferrer"
+                                    >
+                                      {shipment.tracking_code}
+                                    </a>
+                                  ) : (
+                                    <span className="text-muted">
+                                      {shipment.tracking_code ||
+                                        shipment.consignment_id ||
+                                        "booking…"}
+                                    </span>
+                                  )}
+                                  <div>
+                                    {shipment.label_url ? (
+                                      <Button
+                                        variant="link"
+                                        size="sm"
+                                        className="p-0"
+                                        onClick={() =>
+                                          printPdf(
+                                            shipment.label_url,
+                                            "shipping label"
+                                          )
+                                        }
+                                      >
+                                        <i className="fa fa-print mr-1" />
+                                        Label
+                                      </Button>
+                                    ) : (
+                                      <Button
+                                        variant="link"
+                                        size="sm"
+                                        className="p-0"
+                                        onClick={() =>
+                                          handleMakeShippingLabel(
+                                            order,
+                                            shipment
+                                          )
+                                        }
+                                      >
+                                        Make Label
+                                      </Button>
+                                    )}
+                                    {isShipmentOpen(shipment) && (
+                                      <>
+                                        {" · "}
+                                        <Button
+                                          variant="link"
+                                          size="sm"
+                                          className="p-0"
+                                          title="Refresh tracking"
+                                          onClick={() =>
+                                            handleTrackShipment(shipment)
+                                          }
+                                        >
+                                          Track
+                                        </Button>
+                                      </>
+                                    )}
+                                  </div>
+                                </div>
+                              )}
+                              {canBookShipment(order) && can("orders.ship") && (
+                                <div>
+                                  <Button
+                                    variant="link"
+                                    size="sm"
+                                    className="p-0"
+                                    onClick={() => openBookingModal(order)}
+                                  >
+                                    🚚 Book Courier
+                                  </Button>
+                                </div>
+                              )}
+                            </td>
+                            <td>{cartonList || "-"}</td>
+                            <td>
+                              ৳{Number(order.total_amount || 0).toFixed(2)}
+                              {Number(order.returned_amount || 0) > 0 && (
+                                <small className="text-danger d-block">
+                                  Returned -৳
+                                  {Number(order.returned_amount).toFixed(2)}
+                                  <br />
+                                  Net ৳{getNetOrderAmount(order).toFixed(2)}
+                                </small>
+                              )}
+                              {order.status !== "Cancelled" && (
+                                <div className="mt-1">
+                                  <Badge
+                                    variant={getPaymentStatusVariant(
+                                      order.payment_status
+                                    )}
+                                  >
+                                    {order.payment_status || "Unpaid"}
+                                  </Badge>
+                                  {getBalanceDue(order) > 0 && (
+                                    <small className="text-muted d-block">
+                                      Due ৳{getBalanceDue(order).toFixed(2)}
+                                    </small>
+                                  )}
+                                  <Button
+                                    variant="link"
+                                    size="sm"
+                                    className="p-0"
+                                    onClick={() => openPaymentModal(order)}
+                                  >
+                                    Payments
+                                  </Button>
+                                </div>
+                              )}
+                            </td>
+                            <td>
+                              {order.invoice_pdf_url ? (
+                                <div style={{ textAlign: "center" }}>
+                                  <a
+                                    href={order.invoice_pdf_url}
+                                    target="_blank"
+                                    rel="noreferrer"
+                                    className="btn btn-sm btn-outline-info mb-1"
+                                  >
+                                    <i className="fa fa-file-pdf mr-1" />
+                                    View PDF
+                                  </a>
+                                  <br />
+                                  <Button
+                                    size="sm"
+                                    variant="outline-secondary"
+                                    onClick={() => handlePrintInvoice(order)}
+                                  >
+                                    Print Invoice
+                                  </Button>
+                                </div>
+                              ) : order.invoice_url ? (
+                                <div style={{ textAlign: "center" }}>
+                                  <div
+                                    onClick={() =>
+                                      setSelectedInvoiceImage(order.invoice_url)
+                                    }
                                     style={{
-                                      width: "100%",
-                                      height: "100%",
-                                      objectFit: "cover",
+                                      width: "140px",
+                                      height: "140px",
+                                      borderRadius: "12px",
+                                      overflow: "hidden",
+                                      boxShadow:
+                                        "0 4px 12px rgba(0,0,0,0.1)",
+                                      background: "#fff",
+                                      cursor: "zoom-in",
+                                      margin: "0 auto 6px",
                                     }}
-                                  />
+                                  >
+                                    <img
+                                      src={order.invoice_url}
+                                      alt={`Invoice #${order.id}`}
+                                      style={{
+                                        width: "100%",
+                                        height: "100%",
+                                        objectFit: "cover",
+                                      }}
+                                    />
+                                  </div>
+                                  <Button
+                                    size="sm"
+                                    variant="outline-secondary"
+                                    onClick={() => handlePrintInvoice(order)}
+                                  >
+                                    Print Invoice
+                                  </Button>
+                                  {/* image invoice from before PDFs */}
+                                  <Button
+                                    size="sm"
+                                    variant="link"
+                                    className="d-block mx-auto"
+                                    onClick={() => handleGenerateInvoice(order)}
+                                  >
+                                    Get PDF
+                                  </Button>
                                 </div>
+                              ) : (
                                 <Button
                                   size="sm"
-                                  variant="outline-secondary"
-                                  onClick={() => handlePrintInvoice(order)}
+                                  variant="secondary"
+                                  onClick={() => handleGenerateInvoice(order)}
                                 >
-                                  Print Invoice
+                                  Get Invoice
                                 </Button>
+                              )}
+                              {/* warehouse documents (no prices) */}
+                              {order.status !== "Cancelled" && (
+                                <div
+                                  className="mt-1 text-nowrap"
+                                  style={{ textAlign: "center" }}
+                                >
+                                  {order.challan_pdf_url ? (
+                                    <>
+                                      <Button
+                                        size="sm"
+                                        variant="link"
+                                        className="p-0"
+                                        title="Print delivery challan"
+                                        onClick={() =>
+                                          printPdf(
+                                            order.challan_pdf_url,
+                                            "challan"
+                                          )
+                                        }
+                                      >
+                                        <i className="fa fa-print mr-1" />
+                                        Challan
+                                      </Button>
+                                      {" · "}
+                                      <Button
+                                        size="sm"
+                                        variant="link"
+                                        className="p-0"
+                                        title="Print packing slip"
+                                        onClick={() =>
+                                          printPdf(
+                                            order.packing_slip_pdf_url,
+                                            "packing slip"
+                                          )
+                                        }
+                                      >
+                                        <i className="fa fa-print mr-1" />
+                                        Packing Slip
+                                      </Button>
+                                    </>
+                                  ) : (
+                                    <Button
+                                      size="sm"
+                                      variant="link"
+                                      className="p-0"
+                                      onClick={() =>
+                                        handleGenerateDeliveryDocs(order)
+                                      }
+                                    >
+                                      Challan &amp; Packing Slip
+                                    </Button>
+                                  )}
+                                </div>
+                              )}
+                            </td>
+                            <td>
+                              {order.created_at
+                                ? formatDate(order.created_at)
+                                : "-"}
+                            </td>
+                            <td className="align-middle">
+                              <div className="d-flex align-items-center gap-2">
+                                {(canEditOrders ||
+                                  can("orders.updateStatus")) && (
+                                  <Button
+                                    variant="link"
+                                    size="sm"
+                                    className="p-0 text-warning"
+                                    onClick={() => openEditModal(order)}
+                                  >
+                                    <i className="fa fa-edit" />
+                                  </Button>
+                                )}
+                                {canCancelOrder(order) &&
+                                  can("orders.cancel") && (
+                                    <Button
+                                      variant="link"
+                                      size="sm"
+                                      className="p-0 text-secondary ml-2"
+                                      title="Cancel order"
+                                      onClick={() => handleCancelOrder(order)}
+                                    >
+                                      <i className="fa fa-ban" />
+                                    </Button>
+                                  )}
+                                {canReturnOrder(order) &&
+                                  can("orders.return") && (
+                                    <Button
+                                      variant="link"
+                                      size="sm"
+                                      className="p-0 text-info ml-2"
+                                      title="Record return"
+                                      onClick={() => openReturnModal(order)}
+                                    >
+                                      <i className="fa fa-undo" />
+                                    </Button>
+                                  )}
+                                {/* invoiced orders keep their number; cancel instead */}
+                                {can("orders.delete") && (
+                                  <Button
+                                    variant="link"
+                                    size="sm"
+                                    className={`p-0 ml-2 ${
+                                      order.invoice_number
+                                        ? "text-muted"
+                                        : "text-danger"
+                                    }`}
+                                    title={
+                                      order.invoice_number
+                                        ? "Invoiced orders can't be deleted; cancel or return instead"
+                                        : "Delete order"
+                                    }
+                                    onClick={() => handleDeleteOrder(order)}
+                                  >
+                                    <i className="fa fa-trash" />
+                                  </Button>
+                                )}
                               </div>
-                            ) : (
-                              <Button
-                                size="sm"
-                                variant="secondary"
-                                onClick={() => handleGenerateInvoice(order)}
-                              >
-                                Get Invoice
-                              </Button>
-                            )}
-                          </td>
-                          <td>
-                            {order.created_at
-                              ? formatDate(order.created_at)
-                              : "-"}
-                          </td>
-                          <td className="align-middle">
-                            <div className="d-flex align-items-center gap-2">
-                              <Button
-                                variant="link"
-                                size="sm"
-                                className="p-0 text-warning"
-                                onClick={() => openEditModal(order)}
-                              >
-                                <i className="fa fa-edit" />
-                              </Button>
-                              <Button
-                                variant="link"
-                                size="sm"
-                                className="p-0 text-danger ml-2"
-                                onClick={() => handleDeleteOrder(order)}
-                              >
-                                <i className="fa fa-trash" />
-                              </Button>
-                            </div>
-                          </td>
-                        </tr>
+                            </td>
+                          </tr>
+                          {showHistory && (
+                            <tr>
+                              <td colSpan={9} className="bg-light">
+                                <Table size="sm" className="mb-0">
+                                  <thead>
+                                    <tr>
+                                      <th>When</th>
+                                      <th>Change</th>
+                                      <th>By</th>
+                                      <th>Note</th>
+                                    </tr>
+                                  </thead>
+                                  <tbody>
+                                    {history.map((h) => (
+                                      <tr key={h.id}>
+                                        <td>{formatDate(h.changed_at)}</td>
+                                        <td>
+                                          {h.from_status
+                                            ? `${h.from_status} → ${h.to_status}`
+                                            : h.to_status}
+                                        </td>
+                                        <td>{h.changed_by_email || "-"}</td>
+                                        <td>{h.note || "-"}</td>
+                                      </tr>
+                                    ))}
+                                  </tbody>
+                                </Table>
+                              </td>
+                            </tr>
+                          )}
+                        </React.Fragment>
                       );
                     })
                   ) : (
                     <tr>
                       <td colSpan={9} className="text-center text-danger py-3">
-                        No orders have been created yet.
+                        {ordersLoading
+                          ? "Loading orders..."
+                          : ordersError ||
+                            (hasOrderFilters(listQuery.filters)
+                              ? "No orders match your filters."
+                              : "No orders have been created yet.")}
                       </td>
                     </tr>
                   )}
                 </tbody>
               </Table>
+              <div className="px-3">
+                <TablePager
+                  page={listQuery.page - 1}
+                  pageSize={ORDERS_PER_PAGE}
+                  total={ordersTotal}
+                  onPageChange={(p) => setListQuery({ page: p + 1 })}
+                  noun="orders"
+                />
+              </div>
             </Card.Body>
           </Card>
         </Col>
@@ -1807,38 +2396,69 @@ const Orders = () => {
                   className="modal-body"
                   style={{ maxHeight: "70vh", overflowY: "auto" }}
                 >
-                  <Row>
-                    <Col md={4} className="mb-2">
-                      <Form.Label>Customer Name *</Form.Label>
-                      <Form.Control
-                        type="text"
-                        name="name"
-                        value={editCustomer.name}
-                        onChange={handleEditCustomerChange}
-                      />
-                    </Col>
-                    <Col md={4} className="mb-2">
-                      <Form.Label>Email</Form.Label>
-                      <Form.Control
-                        type="email"
-                        name="email"
-                        value={editCustomer.email}
-                        onChange={handleEditCustomerChange}
-                      />
-                    </Col>
-                    <Col md={4} className="mb-2">
-                      <Form.Label>Phone *</Form.Label>
-                      <Form.Control
-                        type="text"
-                        name="phone"
-                        value={editCustomer.phone}
-                        onChange={handleEditCustomerChange}
-                      />
-                    </Col>
-                  </Row>
+                  <EditConflictAlert
+                    conflict={editConflict}
+                    noun="order"
+                    onReload={() =>
+                      fetchOrder(editingOrder.id)
+                        .then(openEditModal)
+                        .catch((err) => setEditError(err.message))
+                    }
+                  />
+                  <fieldset disabled={!canEditOrders}>
+                    <Row>
+                      <Col md={8} className="mb-2">
+                        <Form.Label>Customer</Form.Label>
+                        <CustomerPicker
+                          customers={customers}
+                          selectedId={editCustomer.customerId}
+                          onSelect={handleSelectEditCustomer}
+                        />
+                        <CustomerPhoneHint
+                          customers={customers}
+                          form={editCustomer}
+                          onSelect={handleSelectEditCustomer}
+                        />
+                        {editPriceList && (
+                          <small className="text-muted d-block">
+                            🏷️ Price list: {editPriceList.name}
+                          </small>
+                        )}
+                      </Col>
+                    </Row>
+                    <Row>
+                      <Col md={4} className="mb-2">
+                        <Form.Label>Customer Name *</Form.Label>
+                        <Form.Control
+                          type="text"
+                          name="name"
+                          value={editCustomer.name}
+                          onChange={handleEditCustomerChange}
+                        />
+                      </Col>
+                      <Col md={4} className="mb-2">
+                        <Form.Label>Email</Form.Label>
+                        <Form.Control
+                          type="email"
+                          name="email"
+                          value={editCustomer.email}
+                          onChange={handleEditCustomerChange}
+                        />
+                      </Col>
+                      <Col md={4} className="mb-2">
+                        <Form.Label>Phone *</Form.Label>
+                        <Form.Control
+                          type="text"
+                          name="phone"
+                          value={editCustomer.phone}
+                          onChange={handleEditCustomerChange}
+                        />
+                      </Col>
+                    </Row>
+                  </fieldset>
 
                   <Row>
-                    <Col md={8} className="mb-2">
+                    <Col md={6} className="mb-2">
                       <Form.Label>Delivery Address *</Form.Label>
                       <Form.Control
                         as="textarea"
@@ -1846,17 +2466,16 @@ const Orders = () => {
                         name="address"
                         value={editCustomer.address}
                         onChange={handleEditCustomerChange}
+                        disabled={!canEditOrders}
                       />
                     </Col>
-                    <Col md={2} className="mb-2">
-                      <Form.Label>Delivery Charge</Form.Label>
-                      <Form.Control
-                        type="number"
-                        name="deliveryFee"
-                        value={editCustomer.deliveryFee}
-                        onChange={handleEditCustomerChange}
-                      />
-                    </Col>
+                    <DeliveryFeeFields
+                      zones={zones}
+                      form={editCustomer}
+                      setForm={setEditCustomer}
+                      suggestion={editSuggestion}
+                      disabled={linesLockedFor(editingOrder)}
+                    />
                     <Col md={2} className="mb-2">
                       <Form.Label>Status</Form.Label>
                       <Form.Control
@@ -1865,39 +2484,113 @@ const Orders = () => {
                         value={editCustomer.status}
                         onChange={handleEditCustomerChange}
                       >
-                        <option value="Created">Created</option>
-                        <option value="Shipped">Shipped</option>
-                        <option value="Delivered">Delivered</option>
-                        <option value="Paid">Paid</option>
+                        {getEditableStatuses(editingOrder?.status)
+                          .filter(
+                            // Paid follows from the payment ledger
+                            (st) =>
+                              st !== "Paid" ||
+                              st === editingOrder?.status ||
+                              getBalanceDue(editingOrder) <= 0
+                          )
+                          .map((st) => (
+                            <option key={st} value={st}>
+                              {st}
+                            </option>
+                          ))}
                       </Form.Control>
                     </Col>
                   </Row>
 
+                  {editCustomer.status !== editingOrder?.status && (
+                    <Row>
+                      {editCustomer.status === "Shipped" &&
+                        canBookShipment({
+                          ...editingOrder,
+                          status: "Shipped",
+                        }) && (
+                          <Col md={4} className="mb-2">
+                            <Form.Label>Courier</Form.Label>
+                            <Form.Control
+                              as="select"
+                              name="courier"
+                              value={editCustomer.courier}
+                              onChange={handleEditCustomerChange}
+                            >
+                              <option value="">Don't book (handled manually)</option>
+                              {COURIERS.map((c) => (
+                                <option key={c.value} value={c.value}>
+                                  Book with {c.label}
+                                </option>
+                              ))}
+                            </Form.Control>
+                          </Col>
+                        )}
+                      <Col className="mb-2">
+                        <Form.Label>Status Change Note</Form.Label>
+                        <Form.Control
+                          type="text"
+                          name="statusNote"
+                          placeholder="Optional, saved in the order history"
+                          value={editCustomer.statusNote}
+                          onChange={handleEditCustomerChange}
+                        />
+                      </Col>
+                    </Row>
+                  )}
+
                   {/* ITEMS EDITOR - EDIT */}
-                  <OrderItemsEditor
-                    items={editItems}
-                    setItems={setEditItems}
-                    title="Order Items"
-                    cartons={cartons}
-                    getCartonLabel={getCartonLabel}
-                    getUnitPriceForProduct={getUnitPriceForProduct}
-                    isEdit={true} 
-                  />
+                  {linesLockedFor(editingOrder) ? (
+                    <div className="text-muted mt-3">
+                      {!isOrderLocked(editingOrder)
+                        ? "Your role can change this order's status, but not its items."
+                        : editingOrder?.status === "Cancelled"
+                          ? "This order has been cancelled, so its items can no longer be changed."
+                          : "This order has returns recorded, so its items can no longer be changed."}
+                    </div>
+                  ) : (
+                    <OrderItemsEditor
+                      items={editItems}
+                      setItems={setEditItems}
+                      title="Order Items"
+                      cartons={cartons}
+                      getCartonLabel={getCartonLabel}
+                      getUnitPriceForProduct={unitPriceFor(editCustomer)}
+                      getVatRateForProduct={getVatRateForProduct}
+                      getFloorPriceForProduct={getFloorPriceForProduct}
+                      getProductName={getProductName}
+                      margins={editMargins}
+                      autoPolicy={company.autoCartonPolicy}
+                      isEdit={true}
+                    />
+                  )}
 
                   <Row className="mt-3">
+                    <Col md={3}>
+                      <Form.Label>Order Discount</Form.Label>
+                      <DiscountInput
+                        type={editCustomer.discountType}
+                        value={editCustomer.discountValue}
+                        onChange={setOrderDiscount(setEditCustomer)}
+                        disabled={linesLockedFor(editingOrder)}
+                      />
+                    </Col>
                     <Col md={4}>
-                      <div>
-                        <strong>Subtotal:</strong>{" "}
-                        {editSubtotal.toFixed(2)}
-                      </div>
-                      <div>
-                        <strong>Delivery:</strong>{" "}
-                        {editDeliveryFeeNum.toFixed(2)}
-                      </div>
-                      <div>
-                        <strong>Total:</strong> {editTotal.toFixed(2)}
-                      </div>
+                      <OrderTotalsSummary totals={editTotals} />
                     </Col>
+                    {!linesLockedFor(editingOrder) && (
+                      <Col md={5}>
+                        <OrderMarginSummary
+                          margins={editMargins}
+                          minMarginPercent={company.minMarginPercent}
+                        />
+                        {renderMarginApproval(
+                          editMargins,
+                          editCustomer,
+                          setEditCustomer,
+                          editingOrder
+                        )}
+                      </Col>
+                    )}
                   </Row>
 
                   {editError && (
@@ -1919,6 +2612,412 @@ const Orders = () => {
         </div>
       )}
 
+      {/* RETURN MODAL (custom overlay) */}
+      {returnOrder && (
+        <div
+          style={{
+            position: "fixed",
+            inset: 0,
+            background: "rgba(0,0,0,0.5)",
+            zIndex: 1050,
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "center",
+          }}
+          onClick={closeReturnModal}
+        >
+          <div
+            className="modal-dialog"
+            style={{ maxWidth: "800px" }}
+            onClick={(e) => e.stopPropagation()}
+          >
+            <div className="modal-content">
+              <Form onSubmit={handleSubmitReturn}>
+                <div className="modal-header">
+                  <h5 className="modal-title">
+                    Return Items – Order #{returnOrder.id}
+                  </h5>
+                  <button
+                    type="button"
+                    className="close"
+                    onClick={closeReturnModal}
+                  >
+                    <span>&times;</span>
+                  </button>
+                </div>
+
+                <div
+                  className="modal-body"
+                  style={{ maxHeight: "70vh", overflowY: "auto" }}
+                >
+                  <p className="text-muted mb-2">
+                    Loose units go back into their source carton. A carton
+                    returned in part goes back to stock as an opened carton.
+                  </p>
+                  <Table bordered size="sm">
+                    <thead>
+                      <tr>
+                        <th>Product</th>
+                        <th>Carton</th>
+                        <th>Type</th>
+                        <th>Sold</th>
+                        <th>Returned</th>
+                        <th style={{ width: "120px" }}>Return Now</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {getOrderItems(returnOrder).map((it) => {
+                        const remaining =
+                          Number(it.quantity || 0) -
+                          Number(it.returned_quantity || 0);
+                        return (
+                          <tr key={it.id}>
+                            <td>{getProductName(it.product_id)}</td>
+                            <td>{it.carton_id ? `Carton ${it.carton_id}` : "-"}</td>
+                            <td>{it.mode}</td>
+                            <td>{it.quantity}</td>
+                            <td>{it.returned_quantity || 0}</td>
+                            <td>
+                              <Form.Control
+                                type="number"
+                                min={0}
+                                max={remaining}
+                                disabled={remaining <= 0}
+                                value={returnQty[it.id] || ""}
+                                onChange={(e) =>
+                                  setReturnQty((prev) => ({
+                                    ...prev,
+                                    [it.id]: e.target.value,
+                                  }))
+                                }
+                              />
+                            </td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </Table>
+                  <Button
+                    variant="secondary"
+                    size="sm"
+                    onClick={handleReturnAll}
+                  >
+                    Return everything
+                  </Button>
+
+                  <Form.Group className="mt-3">
+                    <Form.Label>Reason</Form.Label>
+                    <Form.Control
+                      type="text"
+                      value={returnReason}
+                      onChange={(e) => setReturnReason(e.target.value)}
+                      placeholder="e.g. damaged in transit"
+                    />
+                  </Form.Group>
+
+                  {returnError && (
+                    <div className="text-danger mt-2">{returnError}</div>
+                  )}
+                </div>
+
+                <div className="modal-footer">
+                  <Button variant="secondary" onClick={closeReturnModal}>
+                    Cancel
+                  </Button>
+                  <Button type="submit" variant="info" disabled={savingReturn}>
+                    {savingReturn ? "Saving..." : "Record Return"}
+                  </Button>
+                </div>
+              </Form>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* COURIER BOOKING MODAL (custom overlay) */}
+      {bookingOrder && (
+        <div
+          style={{
+            position: "fixed",
+            inset: 0,
+            background: "rgba(0,0,0,0.5)",
+            zIndex: 1050,
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "center",
+          }}
+          onClick={closeBookingModal}
+        >
+          <div
+            className="modal-dialog"
+            style={{ maxWidth: "500px", width: "100%" }}
+            onClick={(e) => e.stopPropagation()}
+          >
+            <div className="modal-content">
+              <Form onSubmit={handleSubmitBooking}>
+                <div className="modal-header">
+                  <h5 className="modal-title">
+                    Book Courier – Order #{bookingOrder.id}
+                  </h5>
+                  <button
+                    type="button"
+                    className="close"
+                    onClick={closeBookingModal}
+                  >
+                    <span>&times;</span>
+                  </button>
+                </div>
+
+                <div className="modal-body">
+                  <p className="text-muted mb-2">
+                    {bookingOrder.customer_name} · {bookingOrder.customer_phone}
+                    <br />
+                    {bookingOrder.delivery_address}
+                  </p>
+                  <p className="mb-3">
+                    Cash to collect:{" "}
+                    <strong>৳{getBalanceDue(bookingOrder).toFixed(2)}</strong>
+                  </p>
+                  <Form.Label>Courier</Form.Label>
+                  <Form.Control
+                    as="select"
+                    value={bookingCourier}
+                    onChange={(e) => setBookingCourier(e.target.value)}
+                  >
+                    {COURIERS.map((c) => (
+                      <option key={c.value} value={c.value}>
+                        {c.label}
+                      </option>
+                    ))}
+                  </Form.Control>
+
+                  {bookingError && (
+                    <div className="text-danger mt-2">{bookingError}</div>
+                  )}
+                </div>
+
+                <div className="modal-footer">
+                  <Button variant="secondary" onClick={closeBookingModal}>
+                    Cancel
+                  </Button>
+                  <Button
+                    type="submit"
+                    variant="info"
+                    disabled={savingBooking}
+                  >
+                    {savingBooking ? "Booking..." : "Book Shipment"}
+                  </Button>
+                </div>
+              </Form>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* PAYMENTS MODAL (custom overlay) */}
+      {paymentOrder && (
+        <div
+          style={{
+            position: "fixed",
+            inset: 0,
+            background: "rgba(0,0,0,0.5)",
+            zIndex: 1050,
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "center",
+          }}
+          onClick={closePaymentModal}
+        >
+          <div
+            className="modal-dialog"
+            style={{ maxWidth: "800px" }}
+            onClick={(e) => e.stopPropagation()}
+          >
+            <div className="modal-content">
+              <Form onSubmit={handleAddPayment}>
+                <div className="modal-header">
+                  <h5 className="modal-title">
+                    Payments – Order #{paymentOrder.id}
+                  </h5>
+                  <button
+                    type="button"
+                    className="close"
+                    onClick={closePaymentModal}
+                  >
+                    <span>&times;</span>
+                  </button>
+                </div>
+
+                <div
+                  className="modal-body"
+                  style={{ maxHeight: "70vh", overflowY: "auto" }}
+                >
+                  <p className="mb-2">
+                    Net Amount: ৳{getNetOrderAmount(paymentOrder).toFixed(2)}
+                    {" · "}Paid: ৳
+                    {Number(paymentOrder.amount_paid || 0).toFixed(2)}
+                    {" · "}
+                    <strong>
+                      Balance Due: ৳{getBalanceDue(paymentOrder).toFixed(2)}
+                    </strong>{" "}
+                    <Badge
+                      variant={getPaymentStatusVariant(
+                        paymentOrder.payment_status
+                      )}
+                    >
+                      {paymentOrder.payment_status || "Unpaid"}
+                    </Badge>
+                  </p>
+
+                  {getOrderPayments(paymentOrder).length === 0 ? (
+                    <p className="text-muted">No payments recorded yet.</p>
+                  ) : (
+                    <Table bordered size="sm">
+                      <thead>
+                        <tr>
+                          <th>Date</th>
+                          <th>Method</th>
+                          <th>Reference</th>
+                          <th>Amount</th>
+                          <th>Recorded By</th>
+                          <th></th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {getOrderPayments(paymentOrder).map((p) => (
+                          <tr key={p.id}>
+                            <td>{formatDate(p.paid_at)}</td>
+                            <td>{getPaymentMethodLabel(p.method)}</td>
+                            <td>
+                              {p.reference || "-"}
+                              {p.note && (
+                                <small className="text-muted d-block">
+                                  {p.note}
+                                </small>
+                              )}
+                            </td>
+                            <td>৳{Number(p.amount).toFixed(2)}</td>
+                            <td>{p.created_by_email || "-"}</td>
+                            <td>
+                              {canManagePayments && (
+                                <Button
+                                  variant="danger"
+                                  size="sm"
+                                  onClick={() => handleDeletePayment(p)}
+                                >
+                                  <i className="fa fa-trash" />
+                                </Button>
+                              )}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </Table>
+                  )}
+
+                  {paymentOrder.status !== "Cancelled" && canManagePayments && (
+                    <>
+                      <h6 className="mt-3">Record Payment</h6>
+                      <Row>
+                        <Col md="4">
+                          <Form.Group>
+                            <Form.Label>Amount (৳)</Form.Label>
+                            <Form.Control
+                              type="number"
+                              name="amount"
+                              min={0}
+                              step="0.01"
+                              value={newPayment.amount}
+                              onChange={handleNewPaymentChange}
+                            />
+                          </Form.Group>
+                        </Col>
+                        <Col md="4">
+                          <Form.Group>
+                            <Form.Label>Method</Form.Label>
+                            <Form.Control
+                              as="select"
+                              name="method"
+                              value={newPayment.method}
+                              onChange={handleNewPaymentChange}
+                            >
+                              {PAYMENT_METHODS.map((m) => (
+                                <option key={m.value} value={m.value}>
+                                  {m.label}
+                                </option>
+                              ))}
+                            </Form.Control>
+                          </Form.Group>
+                        </Col>
+                        <Col md="4">
+                          <Form.Group>
+                            <Form.Label>Date</Form.Label>
+                            <Form.Control
+                              type="date"
+                              name="paidDate"
+                              value={newPayment.paidDate}
+                              onChange={handleNewPaymentChange}
+                            />
+                          </Form.Group>
+                        </Col>
+                      </Row>
+                      <Row>
+                        <Col md="6">
+                          <Form.Group>
+                            <Form.Label>Reference / TrxID</Form.Label>
+                            <Form.Control
+                              type="text"
+                              name="reference"
+                              value={newPayment.reference}
+                              onChange={handleNewPaymentChange}
+                              placeholder={
+                                newPayment.method === "cash"
+                                  ? "Optional"
+                                  : "Transaction ID"
+                              }
+                            />
+                          </Form.Group>
+                        </Col>
+                        <Col md="6">
+                          <Form.Group>
+                            <Form.Label>Note</Form.Label>
+                            <Form.Control
+                              type="text"
+                              name="note"
+                              value={newPayment.note}
+                              onChange={handleNewPaymentChange}
+                            />
+                          </Form.Group>
+                        </Col>
+                      </Row>
+                    </>
+                  )}
+
+                  {paymentError && (
+                    <div className="text-danger mt-2">{paymentError}</div>
+                  )}
+                </div>
+
+                <div className="modal-footer">
+                  <Button variant="secondary" onClick={closePaymentModal}>
+                    Close
+                  </Button>
+                  {paymentOrder.status !== "Cancelled" && canManagePayments && (
+                    <Button
+                      type="submit"
+                      variant="success"
+                      disabled={savingPayment}
+                    >
+                      {savingPayment ? "Saving..." : "Add Payment"}
+                    </Button>
+                  )}
+                </div>
+              </Form>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* INVOICE zoom modal */}
       {selectedInvoiceImage && (
         <div
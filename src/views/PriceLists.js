@@ -0,0 +1,623 @@
+// src/views/PriceLists.js
+
+import React, { useState, useEffect, useMemo } from "react";
+import {
+  Card,
+  Table,
+  Container,
+  Row,
+  Col,
+  Form,
+  Button,
+  Badge,
+} from "react-bootstrap";
+import { supabase } from "createClient";
+import {
+  fetchPriceLists,
+  formatTierQuantity,
+  isBelowFloor,
+} from "../utils/priceLists";
+import { useProducts } from "../utils/catalog";
+import { useAuth } from "../context/AuthProvider";
+
+const EMPTY_LIST = {
+  name: "",
+  description: "",
+  is_default: false,
+  active: true,
+};
+
+const EMPTY_TIER = {
+  product_id: "",
+  min_quantity: "1",
+  unit_price: "",
+};
+
+const money = (value) => `৳${Number(value || 0).toFixed(2)}`;
+
+const PriceLists = () => {
+  const { can } = useAuth();
+  const canManage = can("priceLists.manage");
+  const [priceLists, setPriceLists] = useState([]);
+  const { data: products } = useProducts();
+  const productsByName = useMemo(
+    () =>
+      [...products].sort((a, b) =>
+        String(a.name || "").localeCompare(String(b.name || ""))
+      ),
+    [products]
+  );
+  const [customerCounts, setCustomerCounts] = useState({});
+  const [selectedId, setSelectedId] = useState(null);
+
+  // list form (add / edit)
+  const [listForm, setListForm] = useState(EMPTY_LIST);
+  const [editingListId, setEditingListId] = useState(null);
+  const [listError, setListError] = useState("");
+  const [savingList, setSavingList] = useState(false);
+
+  // tier form
+  const [tierForm, setTierForm] = useState(EMPTY_TIER);
+  const [tierError, setTierError] = useState("");
+  const [savingTier, setSavingTier] = useState(false);
+  const [productFilter, setProductFilter] = useState("");
+
+  const reloadPriceLists = async () => {
+    const data = await fetchPriceLists();
+    setPriceLists(data);
+    return data;
+  };
+
+  useEffect(() => {
+    async function fetchAll() {
+      const [lists, { data: customersData, error: customersErr }] =
+        await Promise.all([
+          fetchPriceLists(),
+          supabase.from("customers").select("id, price_list_id"),
+        ]);
+
+      if (customersErr)
+        console.error("Supabase error (customers):", customersErr);
+
+      const counts = {};
+      (customersData || []).forEach((c) => {
+        if (c.price_list_id) {
+          counts[c.price_list_id] = (counts[c.price_list_id] || 0) + 1;
+        }
+      });
+
+      setPriceLists(lists);
+      setCustomerCounts(counts);
+      setSelectedId((prev) => prev || lists[0]?.id || null);
+    }
+
+    fetchAll();
+  }, []);
+
+  const selectedList = priceLists.find((l) => l.id === selectedId) || null;
+  const getProduct = (id) => products.find((p) => p.id === id);
+
+  // ---------- LISTS ----------
+
+  const handleListChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setListForm((prev) => ({
+      ...prev,
+      [name]: type === "checkbox" ? checked : value,
+    }));
+  };
+
+  const resetListForm = () => {
+    setListForm(EMPTY_LIST);
+    setEditingListId(null);
+    setListError("");
+  };
+
+  const startEditList = (list) => {
+    setListForm({
+      name: list.name || "",
+      description: list.description || "",
+      is_default: !!list.is_default,
+      active: list.active !== false,
+    });
+    setEditingListId(list.id);
+    setListError("");
+  };
+
+  const handleSaveList = async (e) => {
+    e.preventDefault();
+    setListError("");
+
+    if (!listForm.name.trim()) {
+      setListError("List name is required.");
+      return;
+    }
+
+    const payload = {
+      name: listForm.name.trim(),
+      description: listForm.description.trim() || null,
+      is_default: listForm.is_default,
+      active: listForm.active,
+      updated_at: new Date().toISOString(),
+    };
+
+    try {
+      setSavingList(true);
+
+      // only one default list
+      if (payload.is_default) {
+        const { error: clearErr } = await supabase
+          .from("price_lists")
+          .update({ is_default: false })
+          .eq("is_default", true)
+          .neq("id", editingListId || 0);
+        if (clearErr) {
+          console.error("Supabase error (price_lists):", clearErr);
+          setListError(
+            clearErr.message || "Failed to change the default list."
+          );
+          return;
+        }
+      }
+
+      const query = editingListId
+        ? supabase
+            .from("price_lists")
+            .update(payload)
+            .eq("id", editingListId)
+            .select()
+            .single()
+        : supabase.from("price_lists").insert([payload]).select().single();
+      const { data, error } = await query;
+
+      if (error) {
+        console.error("Supabase error (price_lists):", error);
+        setListError(
+          error.code === "23505"
+            ? "Another price list already has this name."
+            : error.message || "Failed to save the price list."
+        );
+        return;
+      }
+
+      await reloadPriceLists();
+      setSelectedId(data.id);
+      resetListForm();
+    } finally {
+      setSavingList(false);
+    }
+  };
+
+  const handleDeleteList = async (list) => {
+    const customers = customerCounts[list.id] || 0;
+    const confirmed = window.confirm(
+      customers > 0
+        ? `${customers} customer(s) buy on "${list.name}". Delete it anyway? They move to the default list.`
+        : `Delete the "${list.name}" price list?`
+    );
+    if (!confirmed) return;
+
+    const { error } = await supabase
+      .from("price_lists")
+      .delete()
+      .eq("id", list.id);
+
+    if (error) {
+      console.error("Supabase error (price_lists):", error);
+      alert(error.message || "Failed to delete the price list.");
+      return;
+    }
+
+    const lists = await reloadPriceLists();
+    if (selectedId === list.id) setSelectedId(lists[0]?.id || null);
+    if (editingListId === list.id) resetListForm();
+  };
+
+  // ---------- TIERS ----------
+
+  const handleTierChange = (e) => {
+    const { name, value } = e.target;
+    setTierForm((prev) => ({ ...prev, [name]: value }));
+  };
+
+  // the same product + minimum quantity replaces the existing price
+  const handleSaveTier = async (e) => {
+    e.preventDefault();
+    if (!selectedList) return;
+    setTierError("");
+
+    const minQuantity = Math.floor(Number(tierForm.min_quantity || 0));
+    const unitPrice = Number(tierForm.unit_price);
+
+    if (!tierForm.product_id) {
+      setTierError("Choose a product.");
+      return;
+    }
+    if (minQuantity < 1) {
+      setTierError("Minimum quantity must be at least 1.");
+      return;
+    }
+    if (tierForm.unit_price === "" || unitPrice < 0) {
+      setTierError("Enter a unit price.");
+      return;
+    }
+
+    try {
+      setSavingTier(true);
+
+      const { error } = await supabase.from("price_list_items").upsert(
+        [
+          {
+            price_list_id: selectedList.id,
+            product_id: Number(tierForm.product_id),
+            min_quantity: minQuantity,
+            unit_price: unitPrice,
+          },
+        ],
+        { onConflict: "price_list_id,product_id,min_quantity" }
+      );
+
+      if (error) {
+        console.error("Supabase error (price_list_items):", error);
+        setTierError(error.message || "Failed to save the price.");
+        return;
+      }
+
+      await reloadPriceLists();
+      setTierForm((prev) => ({ ...EMPTY_TIER, product_id: prev.product_id }));
+    } finally {
+      setSavingTier(false);
+    }
+  };
+
+  const handleDeleteTier = async (tier) => {
+    const { error } = await supabase
+      .from("price_list_items")
+      .delete()
+      .eq("id", tier.id);
+
+    if (error) {
+      console.error("Supabase error (price_list_items):", error);
+      alert(error.message || "Failed to delete the price.");
+      return;
+    }
+    await reloadPriceLists();
+  };
+
+  const tierProduct = getProduct(Number(tierForm.product_id));
+
+  const tiers = [...(selectedList?.price_list_items || [])]
+    .filter((t) => {
+      const term = productFilter.trim().toLowerCase();
+      if (!term) return true;
+      const p = getProduct(t.product_id);
+      return (
+        p?.name?.toLowerCase().includes(term) ||
+        p?.sku?.toLowerCase().includes(term)
+      );
+    })
+    .sort((a, b) => {
+      const nameA = getProduct(a.product_id)?.name || "";
+      const nameB = getProduct(b.product_id)?.name || "";
+      if (nameA !== nameB) return nameA.localeCompare(nameB);
+      return Number(a.min_quantity) - Number(b.min_quantity);
+    });
+
+  return (
+    <Container fluid>
+      <Row>
+        <Col md="4">
+          <Card>
+            <Card.Header>
+              <Card.Title as="h4">Price Lists</Card.Title>
+              <p className="card-category">
+                Customers without a list buy on the default list
+              </p>
+            </Card.Header>
+            <Card.Body>
+              <Table className="table-hover" size="sm">
+                <tbody>
+                  {priceLists.map((list) => (
+                    <tr
+                      key={list.id}
+                      onClick={() => setSelectedId(list.id)}
+                      style={{ cursor: "pointer" }}
+                      className={list.id === selectedId ? "table-active" : ""}
+                    >
+                      <td>
+                        <strong>{list.name}</strong>{" "}
+                        {list.is_default && (
+                          <Badge variant="info">Default</Badge>
+                        )}{" "}
+                        {!list.active && (
+                          <Badge variant="secondary">Inactive</Badge>
+                        )}
+                        <small className="text-muted d-block">
+                          {(list.price_list_items || []).length} price(s) ·{" "}
+                          {customerCounts[list.id] || 0} customer(s)
+                        </small>
+                      </td>
+                      {canManage && (
+                        <td className="text-right">
+                          <Button
+                            variant="link"
+                            size="sm"
+                            className="p-0 mr-2"
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              startEditList(list);
+                            }}
+                          >
+                            Edit
+                          </Button>
+                          <Button
+                            variant="link"
+                            size="sm"
+                            className="p-0 text-danger"
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              handleDeleteList(list);
+                            }}
+                          >
+                            Delete
+                          </Button>
+                        </td>
+                      )}
+                    </tr>
+                  ))}
+                  {priceLists.length === 0 && (
+                    <tr>
+                      <td className="text-center text-muted py-3">
+                        No price lists yet.
+                      </td>
+                    </tr>
+                  )}
+                </tbody>
+              </Table>
+
+              {canManage && (
+                <Form onSubmit={handleSaveList} className="border-top pt-3">
+                  <h5>{editingListId ? "Edit List" : "New List"}</h5>
+                  <Form.Group className="mb-2">
+                    <Form.Label>Name *</Form.Label>
+                    <Form.Control
+                      name="name"
+                      value={listForm.name}
+                      onChange={handleListChange}
+                      placeholder="Wholesale"
+                    />
+                  </Form.Group>
+                  <Form.Group className="mb-2">
+                    <Form.Label>Description</Form.Label>
+                    <Form.Control
+                      name="description"
+                      value={listForm.description}
+                      onChange={handleListChange}
+                    />
+                  </Form.Group>
+                  <Form.Check
+                    type="checkbox"
+                    id="price-list-default"
+                    name="is_default"
+                    label="Default list"
+                    checked={listForm.is_default}
+                    onChange={handleListChange}
+                  />
+                  <Form.Check
+                    type="checkbox"
+                    id="price-list-active"
+                    name="active"
+                    label="Active"
+                    checked={listForm.active}
+                    onChange={handleListChange}
+                  />
+                  {listError && (
+                    <div className="text-danger mt-2">{listError}</div>
+                  )}
+                  <div className="d-flex justify-content-end mt-2">
+                    {editingListId && (
+                      <Button
+                        variant="secondary"
+                        className="mr-2"
+                        onClick={resetListForm}
+                        disabled={savingList}
+                      >
+                        Cancel
+                      </Button>
+                    )}
+                    <Button
+                      type="submit"
+                      variant="info"
+                      className="btn-fill"
+                      disabled={savingList}
+                    >
+                      {savingList
+                        ? "Saving..."
+                        : editingListId
+                          ? "Update List"
+                          : "Add List"}
+                    </Button>
+                  </div>
+                </Form>
+              )}
+            </Card.Body>
+          </Card>
+        </Col>
+
+        <Col md="8">
+          <Card>
+            <Card.Header>
+              <Card.Title as="h4">
+                {selectedList ? `${selectedList.name} Prices` : "Prices"}
+              </Card.Title>
+              <p className="card-category">
+                The price of the highest quantity a line reaches applies.
+                Products without a price here sell at their selling price.
+              </p>
+            </Card.Header>
+            <Card.Body>
+              {!selectedList ? (
+                <p className="text-muted">
+                  {canManage
+                    ? "Choose or add a price list."
+                    : "Choose a price list."}
+                </p>
+              ) : (
+                <>
+                  {canManage && (
+                    <Form onSubmit={handleSaveTier}>
+                      <Row className="align-items-end">
+                        <Col md={5} className="mb-2">
+                          <Form.Label>Product</Form.Label>
+                          <Form.Control
+                            as="select"
+                            name="product_id"
+                            value={tierForm.product_id}
+                            onChange={handleTierChange}
+                          >
+                            <option value="">Select product</option>
+                            {productsByName.map((p) => (
+                              <option key={p.id} value={p.id}>
+                                {p.name}
+                                {p.sku ? ` (${p.sku})` : ""}
+                              </option>
+                            ))}
+                          </Form.Control>
+                          {tierProduct && (
+                            <small className="text-muted">
+                              Selling {money(tierProduct.unit_selling_price)}
+                              {tierProduct.floor_price != null &&
+                                ` · floor ${money(tierProduct.floor_price)}`}
+                              {tierProduct.units_per_carton &&
+                                ` · ${tierProduct.units_per_carton} units/carton`}
+                            </small>
+                          )}
+                        </Col>
+                        <Col md={2} className="mb-2">
+                          <Form.Label>From Qty (units)</Form.Label>
+                          <Form.Control
+                            type="number"
+                            min={1}
+                            name="min_quantity"
+                            value={tierForm.min_quantity}
+                            onChange={handleTierChange}
+                          />
+                        </Col>
+                        <Col md={2} className="mb-2">
+                          <Form.Label>Unit Price</Form.Label>
+                          <Form.Control
+                            type="number"
+                            min={0}
+                            step="0.01"
+                            name="unit_price"
+                            value={tierForm.unit_price}
+                            onChange={handleTierChange}
+                          />
+                        </Col>
+                        <Col md={3} className="mb-2 text-right">
+                          <Button
+                            type="submit"
+                            variant="info"
+                            className="btn-fill"
+                            disabled={savingTier}
+                          >
+                            {savingTier ? "Saving..." : "Save Price"}
+                          </Button>
+                        </Col>
+                      </Row>
+                      {tierError && (
+                        <div className="text-danger mb-2">{tierError}</div>
+                      )}
+                    </Form>
+                  )}
+
+                  <Form.Control
+                    type="text"
+                    className="mt-2 mb-2"
+                    placeholder="Filter by product name or SKU..."
+                    value={productFilter}
+                    onChange={(e) => setProductFilter(e.target.value)}
+                  />
+
+                  <Table className="table-hover table-striped" size="sm">
+                    <thead>
+                      <tr>
+                        <th>Product</th>
+                        <th>From</th>
+                        <th>Unit Price</th>
+                        <th>Selling Price</th>
+                        <th />
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {tiers.map((tier) => {
+                        const product = getProduct(tier.product_id);
+                        return (
+                          <tr key={tier.id}>
+                            <td>{product?.name || `#${tier.product_id}`}</td>
+                            <td>
+                              {formatTierQuantity(tier.min_quantity, product)}
+                            </td>
+                            <td>
+                              {money(tier.unit_price)}
+                              {isBelowFloor(product, tier.unit_price) && (
+                                <small className="text-danger d-block">
+                                  ⚠️ Below floor {money(product.floor_price)}
+                                </small>
+                              )}
+                            </td>
+                            <td className="text-muted">
+                              {money(product?.unit_selling_price)}
+                            </td>
+                            {canManage && (
+                              <td className="text-right">
+                                <Button
+                                  variant="link"
+                                  size="sm"
+                                  className="p-0 mr-2"
+                                  onClick={() =>
+                                    setTierForm({
+                                      product_id: String(tier.product_id),
+                                      min_quantity: String(tier.min_quantity),
+                                      unit_price: String(tier.unit_price),
+                                    })
+                                  }
+                                >
+                                  Edit
+                                </Button>
+                                <Button
+                                  variant="link"
+                                  size="sm"
+                                  className="p-0 text-danger"
+                                  onClick={() => handleDeleteTier(tier)}
+                                >
+                                  Delete
+                                </Button>
+                              </td>
+                            )}
+                          </tr>
+                        );
+                      })}
+                      {tiers.length === 0 && (
+                        <tr>
+                          <td
+                            colSpan={5}
+                            className="text-center text-muted py-3"
+                          >
+                            No prices on this list yet.
+                          </td>
+                        </tr>
+                      )}
+                    </tbody>
+                  </Table>
+                </>
+              )}
+            </Card.Body>
+          </Card>
+        </Col>
+      </Row>
+    </Container>
+  );
+};
+
+export default PriceLists;
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from "react";
+import React, { useState } from "react";
 import {
   Card,
   Table,
@@ -10,9 +10,24 @@ import {
   Collapse,
 } from "react-bootstrap";
 import { supabase } from "createClient";
+import { useOpenFromQuery } from "../utils/globalSearch";
+import { useProducts, saveProductCost } from "../utils/catalog";
+import { useAuth } from "../context/AuthProvider";
+import {
+  useTableChanges,
+  changedRowId,
+  useChangedIds,
+  changedRowStyle,
+  markOwnWrite,
+  isOwnWrite,
+} from "../utils/realtime";
+import EditConflictAlert from "../components/EditConflictAlert";
 
 const ProductList = () => {
-  const [products, setProducts] = useState([]);
+  const { data: products, setData: setProducts } = useProducts();
+  const { can } = useAuth();
+  const canManage = can("products.manage");
+  const canViewCosts = can("costs.view");
   const [selectedImage, setSelectedImage] = useState(null);
   const [search, setSearch] = useState("");
 
@@ -24,8 +39,11 @@ const ProductList = () => {
     units_per_carton: "",
     unit_purchase_price: "",
     unit_selling_price: "",
+    floor_price: "",
+    vat_rate: "",
     category: "",
     size: "",
+    unit_weight_kg: "",
   });
   const [imageFile, setImageFile] = useState(null);
   const [adding, setAdding] = useState(false);
@@ -42,26 +60,30 @@ const ProductList = () => {
     units_per_carton: "",
     unit_purchase_price: "",
     unit_selling_price: "",
+    floor_price: "",
+    vat_rate: "",
     category: "",
     size: "",
+    unit_weight_kg: "",
   });
   const [editImageFile, setEditImageFile] = useState(null);
   const [editError, setEditError] = useState("");
   const [savingEdit, setSavingEdit] = useState(false);
-
-  useEffect(() => {
-    async function fetchProducts() {
-      const { data, error } = await supabase.from("products").select("*");
-
-      if (error) {
-        console.error("Supabase error:", error);
-      } else {
-        setProducts(data.reverse()); // latest first
-      }
+  // someone else changed the product being edited: "changed" | "deleted"
+  const [editConflict, setEditConflict] = useState(null);
+
+  const [isChanged, markChanged] = useChangedIds();
+
+  // 🔴 live: products edited in other tabs (the shared list patches itself;
+  // this highlights the rows and flags the one being edited)
+  useTableChanges("products", (payload) => {
+    const id = changedRowId(payload);
+    if (isOwnWrite("products", id)) return;
+    markChanged(id);
+    if (editingProduct?.id === id) {
+      setEditConflict(payload.eventType === "DELETE" ? "deleted" : "changed");
     }
-
-    fetchProducts();
-  }, []);
+  });
 
   // 🔎 Search filter
   const filteredProducts = products.filter((p) => {
@@ -142,14 +164,20 @@ const ProductList = () => {
         units_per_carton: newProduct.units_per_carton
           ? Number(newProduct.units_per_carton)
           : null,
-        unit_purchase_price: newProduct.unit_purchase_price
-          ? Number(newProduct.unit_purchase_price)
-          : null,
         unit_selling_price: newProduct.unit_selling_price
           ? Number(newProduct.unit_selling_price)
           : null,
+        // blank = no floor
+        floor_price:
+          String(newProduct.floor_price).trim() !== ""
+            ? Number(newProduct.floor_price)
+            : null,
+        vat_rate: Number(newProduct.vat_rate || 0),
         category: newProduct.category || "",
         size: newProduct.size || "",
+        unit_weight_kg: newProduct.unit_weight_kg
+          ? Number(newProduct.unit_weight_kg)
+          : null,
         image_url: imageUrl,
         updated_at: new Date().toISOString()
       };
@@ -164,7 +192,20 @@ const ProductList = () => {
         console.error("Supabase insert error:", insertError);
         setAddError(insertError.message || "Failed to add product.");
       } else {
-        setProducts((prev) => [data, ...prev]);
+        markOwnWrite("products", data.id);
+        setProducts((prev) => [data, ...prev.filter((p) => p.id !== data.id)]);
+        // purchase price is kept apart (product_costs), see catalog.js
+        const cost = newProduct.unit_purchase_price
+          ? Number(newProduct.unit_purchase_price)
+          : null;
+        if (cost != null) {
+          const costError = await saveProductCost(data.id, cost);
+          if (costError) {
+            alert(
+              `Product added, but its purchase price wasn't saved: ${costError.message}`
+            );
+          }
+        }
         setNewProduct({
           name: "",
           brand: "",
@@ -172,8 +213,11 @@ const ProductList = () => {
           units_per_carton: "",
           unit_purchase_price: "",
           unit_selling_price: "",
+          floor_price: "",
+          vat_rate: "",
           category: "",
           size: "",
+          unit_weight_kg: "",
         });
         setImageFile(null);
       }
@@ -214,14 +258,24 @@ const ProductList = () => {
       units_per_carton: product.units_per_carton ?? "",
       unit_purchase_price: product.unit_purchase_price ?? "",
       unit_selling_price: product.unit_selling_price ?? "",
+      floor_price: product.floor_price ?? "",
+      vat_rate: product.vat_rate ?? "",
       category: product.category || "",
       size: product.size || "",
+      unit_weight_kg: product.unit_weight_kg ?? "",
     });
     setEditImageFile(null);
     setEditError("");
+    setEditConflict(null);
     setShowEditModal(true);
   };
 
+  // navbar search result: /admin/products?open=<id>
+  // only admins edit products; everyone else gets the list filtered to it
+  useOpenFromQuery(products, (product) =>
+    canManage ? openEditModal(product) : setSearch(product.sku || product.name)
+  );
+
   const handleEditChange = (e) => {
     const { name, value } = e.target;
     setEditForm((prev) => ({
@@ -244,6 +298,7 @@ const ProductList = () => {
 
     try {
       setSavingEdit(true);
+      markOwnWrite("products", editingProduct.id);
 
       let updatedImageUrl = editingProduct.image_url;
 
@@ -291,14 +346,20 @@ const ProductList = () => {
         units_per_carton: editForm.units_per_carton
           ? Number(editForm.units_per_carton)
           : null,
-        unit_purchase_price: editForm.unit_purchase_price
-          ? Number(editForm.unit_purchase_price)
-          : null,
         unit_selling_price: editForm.unit_selling_price
           ? Number(editForm.unit_selling_price)
           : null,
+        // blank = no floor
+        floor_price:
+          String(editForm.floor_price).trim() !== ""
+            ? Number(editForm.floor_price)
+            : null,
+        vat_rate: Number(editForm.vat_rate || 0),
         category: editForm.category || "",
         size: editForm.size || "",
+        unit_weight_kg: editForm.unit_weight_kg
+          ? Number(editForm.unit_weight_kg)
+          : null,
         image_url: updatedImageUrl,
         updated_at: new Date().toISOString()
       };
@@ -315,8 +376,20 @@ const ProductList = () => {
         setEditError(updateError.message || "Failed to update product.");
       } else {
         setProducts((prev) =>
-          prev.map((p) => (p.id === editingProduct.id ? data : p))
+          prev.map((p) => (p.id === editingProduct.id ? { ...p, ...data } : p))
         );
+        const cost = editForm.unit_purchase_price
+          ? Number(editForm.unit_purchase_price)
+          : null;
+        if (cost !== (editingProduct.unit_purchase_price ?? null)) {
+          const costError = await saveProductCost(editingProduct.id, cost);
+          if (costError) {
+            setEditError(
+              costError.message || "Failed to update the purchase price."
+            );
+            return;
+          }
+        }
         setShowEditModal(false);
         setEditingProduct(null);
       }
@@ -347,17 +420,19 @@ const ProductList = () => {
                 />
 
                 {/* Toggle Add Product form */}
-                <div className="d-flex justify-content-start mb-2">
-                  <Button
-                    variant={showForm ? "danger" : "info"}
-                    onClick={() => setShowForm((prev) => !prev)}
-                  >
-                    {showForm ? "Close" : "Add New Product"}
-                  </Button>
-                </div>
+                {canManage && (
+                  <div className="d-flex justify-content-start mb-2">
+                    <Button
+                      variant={showForm ? "danger" : "info"}
+                      onClick={() => setShowForm((prev) => !prev)}
+                    >
+                      {showForm ? "Close" : "Add New Product"}
+                    </Button>
+                  </div>
+                )}
 
                 {/* ➕ Add Product mini-form (sliding) */}
-                <Collapse in={showForm}>
+                <Collapse in={showForm && canManage}>
                   <div>
                     <Form onSubmit={handleAddProduct} className="border-top pt-3">
                       <Row className="align-items-end">
@@ -431,6 +506,32 @@ const ProductList = () => {
                             placeholder="0.00"
                           />
                         </Col>
+                        <Col md={1} className="mb-2">
+                          <Form.Label>Floor</Form.Label>
+                          <Form.Control
+                            name="floor_price"
+                            type="number"
+                            min={0}
+                            step="0.01"
+                            value={newProduct.floor_price}
+                            onChange={handleNewProductChange}
+                            placeholder="-"
+                            title="Lowest unit price staff should sell at"
+                          />
+                        </Col>
+                        <Col md={1} className="mb-2">
+                          <Form.Label>VAT %</Form.Label>
+                          <Form.Control
+                            name="vat_rate"
+                            type="number"
+                            min={0}
+                            max={100}
+                            step="0.01"
+                            value={newProduct.vat_rate}
+                            onChange={handleNewProductChange}
+                            placeholder="0"
+                          />
+                        </Col>
                         <Col md={2} className="mb-2">
                           <Form.Label>Category</Form.Label>
                           <Form.Control
@@ -440,7 +541,7 @@ const ProductList = () => {
                             placeholder="Facewash / Serum / etc."
                           />
                         </Col>
-                        <Col md={2} className="mb-2">
+                        <Col md={1} className="mb-2">
                           <Form.Label>Size</Form.Label>
                           <Form.Control
                             name="size"
@@ -449,7 +550,19 @@ const ProductList = () => {
                             placeholder="e.g. 236ml"
                           />
                         </Col>
-                        <Col md={4} className="mb-2 d-flex justify-content-end">
+                        <Col md={1} className="mb-2">
+                          <Form.Label>Weight kg</Form.Label>
+                          <Form.Control
+                            name="unit_weight_kg"
+                            type="number"
+                            min={0}
+                            step="0.001"
+                            value={newProduct.unit_weight_kg}
+                            onChange={handleNewProductChange}
+                            placeholder="0.25"
+                          />
+                        </Col>
+                        <Col md={2} className="mb-2 d-flex justify-content-end">
                           <div className="text-right w-100">
                             {addError && (
                               <div className="text-danger mb-1">{addError}</div>
@@ -480,18 +593,23 @@ const ProductList = () => {
                       <th>Brand</th>
                       <th>SKU</th>
                       <th>Units/Carton</th>
-                      <th>Buying Price</th>
+                      {canViewCosts && <th>Buying Price</th>}
                       <th>Selling Price</th>
+                      <th>VAT</th>
                       <th>Category</th>
                       <th>Size</th>
-                      <th>Actions</th>
+                      <th>Weight</th>
+                      {canManage && <th>Actions</th>}
                     </tr>
                   </thead>
 
                   <tbody>
                     {filteredProducts.length > 0 ? (
                       filteredProducts.map((product) => (
-                        <tr key={product.id}>
+                        <tr
+                          key={product.id}
+                          style={changedRowStyle(isChanged(product.id))}
+                        >
                           <td>{product.id}</td>
 
                           {/* Image with zoom */}
@@ -530,32 +648,49 @@ const ProductList = () => {
                           <td>{product.brand}</td>
                           <td>{product.sku}</td>
                           <td>{product.units_per_carton}</td>
-                          <td>{product.unit_purchase_price}</td>
-                          <td>{product.unit_selling_price}</td>
+                          {canViewCosts && (
+                            <td>{product.unit_purchase_price}</td>
+                          )}
+                          <td>
+                            {product.unit_selling_price}
+                            {product.floor_price != null && (
+                              <small className="text-muted d-block">
+                                Floor {product.floor_price}
+                              </small>
+                            )}
+                          </td>
+                          <td>{Number(product.vat_rate || 0)}%</td>
                           <td>{product.category}</td>
                           <td>{product.size}</td>
-                          <td className="d-flex gap-1">
-                            <Button
-                              variant="info"
-                              size="sm"
-                              className="mr-1"
-                              onClick={() => openEditModal(product)}
-                            >
-                              Edit
-                            </Button>
-                            <Button
-                              variant="danger"
-                              size="sm"
-                              onClick={() => handleDeleteProduct(product)}
-                            >
-                              Delete
-                            </Button>
+                          <td>
+                            {product.unit_weight_kg
+                              ? `${Number(product.unit_weight_kg)} kg`
+                              : "-"}
                           </td>
+                          {canManage && (
+                            <td className="d-flex gap-1">
+                              <Button
+                                variant="info"
+                                size="sm"
+                                className="mr-1"
+                                onClick={() => openEditModal(product)}
+                              >
+                                Edit
+                              </Button>
+                              <Button
+                                variant="danger"
+                                size="sm"
+                                onClick={() => handleDeleteProduct(product)}
+                              >
+                                Delete
+                              </Button>
+                            </td>
+                          )}
                         </tr>
                       ))
                     ) : (
                       <tr>
-                        <td colSpan={11} className="text-center text-danger py-3">
+                        <td colSpan={13} className="text-center text-danger py-3">
                           No products found!
                         </td>
                       </tr>
@@ -634,6 +769,15 @@ const ProductList = () => {
               </button>
             </div>
             <div className="card-body">
+              <EditConflictAlert
+                conflict={editConflict}
+                noun="product"
+                onReload={() =>
+                  openEditModal(
+                    products.find((p) => p.id === editingProduct?.id)
+                  )
+                }
+              />
               {editError && (
                 <div className="text-danger mb-2">{editError}</div>
               )}
@@ -658,7 +802,7 @@ const ProductList = () => {
                   </Col>
                 </Row>
                 <Row>
-                  <Col md={4} className="mb-2">
+                  <Col md={3} className="mb-2">
                     <Form.Label>SKU *</Form.Label>
                     <Form.Control
                       name="sku"
@@ -666,7 +810,7 @@ const ProductList = () => {
                       onChange={handleEditChange}
                     />
                   </Col>
-                  <Col md={4} className="mb-2">
+                  <Col md={3} className="mb-2">
                     <Form.Label>Units/Carton</Form.Label>
                     <Form.Control
                       name="units_per_carton"
@@ -675,7 +819,7 @@ const ProductList = () => {
                       onChange={handleEditChange}
                     />
                   </Col>
-                  <Col md={4} className="mb-2">
+                  <Col md={3} className="mb-2">
                     <Form.Label>Size</Form.Label>
                     <Form.Control
                       name="size"
@@ -683,9 +827,20 @@ const ProductList = () => {
                       onChange={handleEditChange}
                     />
                   </Col>
+                  <Col md={3} className="mb-2">
+                    <Form.Label>Unit Weight (kg)</Form.Label>
+                    <Form.Control
+                      name="unit_weight_kg"
+                      type="number"
+                      min={0}
+                      step="0.001"
+                      value={editForm.unit_weight_kg}
+                      onChange={handleEditChange}
+                    />
+                  </Col>
                 </Row>
                 <Row>
-                  <Col md={4} className="mb-2">
+                  <Col md={3} className="mb-2">
                     <Form.Label>Buying Price</Form.Label>
                     <Form.Control
                       name="unit_purchase_price"
@@ -694,7 +849,7 @@ const ProductList = () => {
                       onChange={handleEditChange}
                     />
                   </Col>
-                  <Col md={4} className="mb-2">
+                  <Col md={3} className="mb-2">
                     <Form.Label>Selling Price</Form.Label>
                     <Form.Control
                       name="unit_selling_price"
@@ -703,7 +858,31 @@ const ProductList = () => {
                       onChange={handleEditChange}
                     />
                   </Col>
-                  <Col md={4} className="mb-2">
+                  <Col md={2} className="mb-2">
+                    <Form.Label>Floor Price</Form.Label>
+                    <Form.Control
+                      name="floor_price"
+                      type="number"
+                      min={0}
+                      step="0.01"
+                      value={editForm.floor_price}
+                      onChange={handleEditChange}
+                      placeholder="None"
+                    />
+                  </Col>
+                  <Col md={2} className="mb-2">
+                    <Form.Label>VAT %</Form.Label>
+                    <Form.Control
+                      name="vat_rate"
+                      type="number"
+                      min={0}
+                      max={100}
+                      step="0.01"
+                      value={editForm.vat_rate}
+                      onChange={handleEditChange}
+                    />
+                  </Col>
+                  <Col md={2} className="mb-2">
                     <Form.Label>Category</Form.Label>
                     <Form.Control
                       name="category"
@@ -0,0 +1,905 @@
+// src/views/Quotations.js
+
+import React, { useState, useEffect } from "react";
+import {
+  Card,
+  Table,
+  Container,
+  Row,
+  Col,
+  Form,
+  Button,
+  Collapse,
+  Badge,
+} from "react-bootstrap";
+import { Link } from "react-router-dom";
+import { supabase } from "createClient";
+import { formatDate, todayForDateInput } from "../utils/formatDate";
+import {
+  buildOrderPricing,
+  expandAutoItems,
+  getOrderItems,
+} from "../utils/orderItems";
+import { computeOrderTotals } from "../utils/orderTotals";
+import {
+  fetchPriceLists,
+  getCustomerPriceList,
+  repriceItems,
+  resolveUnitPrice,
+} from "../utils/priceLists";
+import {
+  DEFAULT_COMPANY_PROFILE,
+  fetchCompanyProfile,
+} from "../utils/companyProfile";
+import { getOrderMargins } from "../utils/margins";
+import {
+  useCartons,
+  useProducts,
+  mergeCachedCartons,
+  invalidateCartons,
+  findProductName,
+} from "../utils/catalog";
+import CustomerPicker, { CustomerPhoneHint } from "../components/CustomerPicker";
+import OrderItemsEditor, {
+  DiscountInput,
+  OrderMarginSummary,
+  OrderTotalsSummary,
+} from "../components/OrderItemsEditor";
+import {
+  QUOTATION_SELECT,
+  createOrUpdateInvoice,
+  createOrUpdateQuotationPdf,
+} from "../utils/orderInvoice";
+import { getQuotationLabel } from "../utils/invoiceNumber";
+
+// quotations are valid for a week unless changed
+const DEFAULT_VALIDITY_DAYS = 7;
+
+const emptyForm = () => ({
+  customerId: null,
+  name: "",
+  email: "",
+  phone: "",
+  address: "",
+  deliveryFee: "0",
+  discountType: "",
+  discountValue: "0",
+  validUntil: todayForDateInput(DEFAULT_VALIDITY_DAYS),
+  notes: "",
+});
+
+const emptyItemRow = () => ({
+  uid: Date.now() + Math.random(),
+  mode: "carton",
+  carton_id: "",
+  product_id: null,
+  quantity: 0,
+  unit_price: 0,
+  line_total: 0,
+});
+
+function getQuotationItems(quotation) {
+  const rows = Array.isArray(quotation?.quotation_items)
+    ? quotation.quotation_items
+    : [];
+  return [...rows].sort(
+    (a, b) => Number(a.line_no || 0) - Number(b.line_no || 0)
+  );
+}
+
+// Open quotations past their validity date show (and act) as expired
+function getQuotationStatus(quotation) {
+  if (
+    quotation.status === "Open" &&
+    quotation.valid_until &&
+    quotation.valid_until < todayForDateInput()
+  ) {
+    return "Expired";
+  }
+  return quotation.status || "Open";
+}
+
+function getQuotationStatusVariant(status) {
+  switch (status) {
+    case "Open":
+      return "info";
+    case "Expired":
+      return "warning";
+    case "Converted":
+      return "success";
+    default:
+      return "secondary";
+  }
+}
+
+const Quotations = () => {
+  const [quotations, setQuotations] = useState([]);
+  const { data: cartons } = useCartons();
+  const { data: products } = useProducts();
+  const [customers, setCustomers] = useState([]);
+  const [priceLists, setPriceLists] = useState([]);
+  const [company, setCompany] = useState(DEFAULT_COMPANY_PROFILE);
+
+  // create / edit form (same form for both)
+  const [showForm, setShowForm] = useState(false);
+  const [editingQuotation, setEditingQuotation] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+  const [items, setItems] = useState(() => [emptyItemRow()]);
+  const [saving, setSaving] = useState(false);
+  const [formError, setFormError] = useState("");
+
+  const [convertingId, setConvertingId] = useState(null);
+  const [search, setSearch] = useState("");
+
+  useEffect(() => {
+    async function fetchAll() {
+      const [
+        { data: quotationsData, error: quotationsErr },
+        { data: customersData, error: customersErr },
+        priceListsData,
+        companyData,
+      ] = await Promise.all([
+        supabase
+          .from("quotations")
+          .select(QUOTATION_SELECT)
+          .order("id", { ascending: false }),
+        supabase.from("customers").select("*").order("name"),
+        fetchPriceLists(),
+        fetchCompanyProfile(),
+      ]);
+
+      if (quotationsErr)
+        console.error("Supabase error (quotations):", quotationsErr);
+      if (customersErr)
+        console.error("Supabase error (customers):", customersErr);
+
+      setQuotations(quotationsData || []);
+      setCustomers(customersData || []);
+      setPriceLists(priceListsData);
+      setCompany(companyData);
+    }
+
+    fetchAll();
+  }, []);
+
+  const getProductName = (id) => findProductName(products, id);
+
+  const getCartonLabel = (carton) => {
+    if (!carton) return "Unknown Carton";
+    return `Carton ${carton.id} - ${getProductName(carton.product_id)}`;
+  };
+
+  // 🏷️ prices from the customer's price list (quantity breaks)
+  const getPriceListFor = (customerId) =>
+    getCustomerPriceList(
+      priceLists,
+      customers.find((c) => c.id === customerId)
+    );
+
+  const unitPriceFor = (customerId) => (productId, quantity) =>
+    resolveUnitPrice(
+      getPriceListFor(customerId),
+      products.find((p) => p.id === productId),
+      quantity
+    ).price;
+
+  const getFloorPriceForProduct = (productId) =>
+    products.find((p) => p.id === productId)?.floor_price ?? null;
+
+  const getVatRateForProduct = (productId) =>
+    Number(products.find((p) => p.id === productId)?.vat_rate || 0);
+
+  // quoted lines are costed at today's purchase price
+  const getUnitCost = (line) => {
+    const cost = products.find((p) => p.id === line.product_id)
+      ?.unit_purchase_price;
+    return cost == null ? null : Number(cost);
+  };
+
+  const replaceQuotation = (quotation) => {
+    setQuotations((prev) =>
+      prev.map((q) => (q.id === quotation.id ? quotation : q))
+    );
+  };
+
+  // quotations can add customers on the server (new phone number)
+  const reloadCustomers = async (record) => {
+    if (!record?.customer_id) return;
+    if (customers.some((c) => c.id === record.customer_id)) return;
+    const { data, error } = await supabase
+      .from("customers")
+      .select("*")
+      .order("name");
+    if (error) {
+      console.error("Supabase error (customers):", error);
+      return;
+    }
+    setCustomers(data || []);
+  };
+
+  // ---------- FORM ----------
+
+  const handleFormChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSelectCustomer = (c) => {
+    setForm((prev) =>
+      c
+        ? {
+            ...prev,
+            customerId: c.id,
+            name: c.name || "",
+            email: c.email || "",
+            phone: c.phone || "",
+            address: c.address || "",
+          }
+        : { ...prev, customerId: null }
+    );
+    setItems((prev) => repriceItems(prev, unitPriceFor(c?.id || null)));
+  };
+
+  const handleDiscountChange = (type, value) =>
+    setForm((prev) => ({
+      ...prev,
+      discountType: type || "",
+      discountValue: type ? value : "0",
+    }));
+
+  const resetForm = () => {
+    setEditingQuotation(null);
+    setForm(emptyForm());
+    setItems([emptyItemRow()]);
+    setFormError("");
+  };
+
+  const toggleForm = () => {
+    if (showForm) resetForm();
+    setShowForm((prev) => !prev);
+  };
+
+  const openEdit = (quotation) => {
+    setEditingQuotation(quotation);
+    setFormError("");
+    setForm({
+      customerId: quotation.customer_id || null,
+      name: quotation.customer_name || "",
+      email: quotation.customer_email || "",
+      phone: quotation.customer_phone || "",
+      address: quotation.delivery_address || "",
+      deliveryFee: String(quotation.delivery_charge || 0),
+      discountType: quotation.discount_type || "",
+      discountValue: String(quotation.discount_value || 0),
+      validUntil: quotation.valid_until || todayForDateInput(),
+      notes: quotation.notes || "",
+    });
+    setItems(
+      getQuotationItems(quotation).map((it) => ({
+        uid: Date.now() + Math.random(),
+        mode: it.mode || "carton",
+        carton_id: it.carton_id || "",
+        product_id: it.product_id || null,
+        quantity: it.quantity || 0,
+        unit_price: it.unit_price || 0,
+        line_total: it.line_total || 0,
+        discount_type: it.discount_type || null,
+        discount_value: it.discount_value || 0,
+        vat_rate: it.vat_rate ?? null,
+        // quoted prices stay as quoted
+        price_manual: true,
+      }))
+    );
+    setShowForm(true);
+    window.scrollTo({ top: 0, behavior: "smooth" });
+  };
+
+  const validateForm = () => {
+    if (!form.name?.trim()) return "Customer name is required.";
+    if (!form.phone?.trim()) return "Customer phone is required.";
+    if (!form.validUntil) return "Valid until date is required.";
+    if (items.length === 0) return "Please add at least one item.";
+
+    for (const r of items) {
+      if (!r.carton_id) return "Each item must have a carton selected.";
+      if (!r.quantity || r.quantity <= 0) {
+        return "Each item must have a valid quantity.";
+      }
+    }
+    return null;
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setFormError("");
+
+    const validationErr = validateForm();
+    if (validationErr) {
+      setFormError(validationErr);
+      return;
+    }
+
+    try {
+      setSaving(true);
+
+      // no stock is held, so auto rows are stored as they are and only
+      // expanded into cartons when the quotation becomes an order
+      const { itemsPayload, orderTotals } = buildOrderPricing(
+        items,
+        form,
+        products
+      );
+
+      const payload = {
+        customer_id: form.customerId || null,
+        customer_name: form.name,
+        customer_email: form.email || null,
+        customer_phone: form.phone || null,
+        delivery_address: form.address || null,
+        valid_until: form.validUntil,
+        notes: form.notes || null,
+        ...orderTotals,
+      };
+
+      const { data: saved, error: saveErr } = await supabase.rpc(
+        "save_quotation",
+        {
+          p_quotation_id: editingQuotation?.id ?? null,
+          p_quotation: payload,
+          p_items: itemsPayload,
+          p_expected_version: editingQuotation?.version ?? null,
+        }
+      );
+
+      if (saveErr) {
+        console.error("Supabase save_quotation error:", saveErr);
+        setFormError(saveErr.message || "Failed to save quotation.");
+        return;
+      }
+
+      let finalQuotation = saved;
+      try {
+        finalQuotation = await createOrUpdateQuotationPdf(saved, products);
+      } catch (pdfErr) {
+        console.error("Quotation PDF error:", pdfErr);
+        alert(
+          `${getQuotationLabel(saved)} was saved, but its PDF failed: ${
+            pdfErr?.message || "unknown error"
+          }. Use "Get PDF" to retry.`
+        );
+      }
+
+      if (editingQuotation) {
+        replaceQuotation(finalQuotation);
+      } else {
+        setQuotations((prev) => [finalQuotation, ...prev]);
+      }
+      await reloadCustomers(saved);
+
+      resetForm();
+      setShowForm(false);
+    } catch (err) {
+      console.error("Unexpected error saving quotation:", err);
+      setFormError(err?.message || "Unexpected error while saving quotation.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // ---------- ACTIONS ----------
+
+  const handleGeneratePdf = async (quotation) => {
+    try {
+      replaceQuotation(await createOrUpdateQuotationPdf(quotation, products));
+    } catch (err) {
+      console.error("Quotation PDF error:", err);
+      alert(err?.message || "Failed to generate the quotation PDF.");
+    }
+  };
+
+  const handleCancel = async (quotation) => {
+    if (
+      !window.confirm(
+        `Cancel ${getQuotationLabel(quotation)}? It can no longer be converted.`
+      )
+    ) {
+      return;
+    }
+
+    const { data, error } = await supabase
+      .from("quotations")
+      .update({ status: "Cancelled", updated_at: new Date().toISOString() })
+      .eq("id", quotation.id)
+      .eq("version", quotation.version)
+      .select(QUOTATION_SELECT)
+      .maybeSingle();
+
+    if (error) {
+      console.error("Supabase update error (quotations):", error);
+      alert(error.message || "Failed to cancel quotation.");
+      return;
+    }
+    if (!data) {
+      alert(
+        `${getQuotationLabel(
+          quotation
+        )} was changed by someone else. Reload and try again.`
+      );
+      return;
+    }
+    replaceQuotation(data);
+  };
+
+  const handleDelete = async (quotation) => {
+    if (!window.confirm(`Delete ${getQuotationLabel(quotation)}?`)) return;
+
+    const { error } = await supabase
+      .from("quotations")
+      .delete()
+      .eq("id", quotation.id);
+
+    if (error) {
+      console.error("Supabase delete error (quotations):", error);
+      alert(error.message || "Failed to delete quotation.");
+      return;
+    }
+    setQuotations((prev) => prev.filter((q) => q.id !== quotation.id));
+  };
+
+  // quoted prices, discounts and VAT carry over; cartons are booked against
+  // the stock available now, exactly as for a new order
+  const handleConvert = async (quotation) => {
+    if (
+      !window.confirm(
+        `Convert ${getQuotationLabel(
+          quotation
+        )} into an order? Its cartons will be booked now.`
+      )
+    ) {
+      return;
+    }
+
+    try {
+      setConvertingId(quotation.id);
+
+      const rows = getQuotationItems(quotation).map((it) => ({
+        ...it,
+        uid: it.id,
+      }));
+      const expandedItems = expandAutoItems(
+        rows,
+        cartons,
+        products,
+        company.autoCartonPolicy
+      );
+
+      const { itemsPayload, orderTotals } = buildOrderPricing(
+        expandedItems,
+        {
+          discountType: quotation.discount_type,
+          discountValue: quotation.discount_value,
+          deliveryFee: quotation.delivery_charge,
+        },
+        products
+      );
+
+      const orderPayload = {
+        customer_id: quotation.customer_id || null,
+        customer_name: quotation.customer_name,
+        customer_email: quotation.customer_email || null,
+        customer_phone: quotation.customer_phone || null,
+        delivery_address: quotation.delivery_address || null,
+        status: "Created",
+        ...orderTotals,
+      };
+
+      const { data: result, error: convertErr } = await supabase.rpc(
+        "convert_quotation",
+        {
+          p_quotation_id: quotation.id,
+          p_order: orderPayload,
+          p_items: itemsPayload,
+          p_expected_version: quotation.version ?? null,
+        }
+      );
+
+      if (convertErr) {
+        console.error("Supabase convert_quotation error:", convertErr);
+        alert(convertErr.message || "Failed to convert quotation.");
+        // our copy of the stock may be stale
+        invalidateCartons();
+        return;
+      }
+
+      replaceQuotation(result.quotation);
+      mergeCachedCartons(result.cartons);
+
+      // the new order gets its invoice like any other order
+      try {
+        await createOrUpdateInvoice(
+          result.order,
+          getOrderItems(result.order),
+          products
+        );
+      } catch (invoiceErr) {
+        console.error("Invoice generation error:", invoiceErr);
+        alert(
+          `Order #${result.order.id} was created, but its invoice failed: ${
+            invoiceErr?.message || "unknown error"
+          }. Use "Get Invoice" on the Orders page to retry.`
+        );
+      }
+    } catch (err) {
+      console.error("Unexpected error converting quotation:", err);
+      alert(err?.message || "Unexpected error while converting quotation.");
+    } finally {
+      setConvertingId(null);
+    }
+  };
+
+  // ---------- derived ----------
+
+  const filteredQuotations = quotations.filter((q) => {
+    const term = search.trim().toLowerCase();
+    if (!term) return true;
+    return (
+      q.quote_number?.toLowerCase().includes(term) ||
+      q.customer_name?.toLowerCase().includes(term) ||
+      q.customer_phone?.toLowerCase().includes(term) ||
+      q.customer_email?.toLowerCase().includes(term)
+    );
+  });
+
+  const formTotals = computeOrderTotals(
+    items.map((r) => ({
+      ...r,
+      vat_rate: r.vat_rate ?? getVatRateForProduct(r.product_id),
+    })),
+    {
+      discountType: form.discountType || null,
+      discountValue: form.discountValue,
+      deliveryCharge: form.deliveryFee,
+    }
+  );
+  const formMargins = getOrderMargins(formTotals.lines, getUnitCost, company);
+
+  return (
+    <Container fluid>
+      <Row>
+        <Col md="12">
+          <Card className="strpied-tabled-with-hover">
+            <Card.Header>
+              <Card.Title as="h4">Quotations</Card.Title>
+              <p className="card-category">
+                Price offers that hold no stock until they become orders
+              </p>
+
+              {/* 🔍 Search bar */}
+              <Form.Control
+                type="text"
+                placeholder="Search by quotation no., customer, phone..."
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+                className="mt-3"
+              />
+
+              <div className="d-flex justify-content-start mb-2 mt-3">
+                <Button
+                  variant={showForm ? "danger" : "info"}
+                  onClick={toggleForm}
+                >
+                  {showForm ? "Close" : "Create New Quotation"}
+                </Button>
+              </div>
+
+              <Collapse in={showForm}>
+                <div>
+                  <Form onSubmit={handleSave} className="border-top pt-3">
+                    {editingQuotation && (
+                      <h5 className="mb-3">
+                        Editing {getQuotationLabel(editingQuotation)}
+                      </h5>
+                    )}
+                    <Row>
+                      <Col md={8} className="mb-2">
+                        <Form.Label>Customer</Form.Label>
+                        <CustomerPicker
+                          customers={customers}
+                          selectedId={form.customerId}
+                          onSelect={handleSelectCustomer}
+                        />
+                        <CustomerPhoneHint
+                          customers={customers}
+                          form={form}
+                          onSelect={handleSelectCustomer}
+                          documentLabel="quotation"
+                        />
+                        {getPriceListFor(form.customerId) && (
+                          <small className="text-muted d-block">
+                            🏷️ Price list:{" "}
+                            {getPriceListFor(form.customerId).name}
+                          </small>
+                        )}
+                      </Col>
+                    </Row>
+                    <Row>
+                      <Col md={4} className="mb-2">
+                        <Form.Label>Customer Name *</Form.Label>
+                        <Form.Control
+                          type="text"
+                          name="name"
+                          value={form.name}
+                          onChange={handleFormChange}
+                        />
+                      </Col>
+                      <Col md={4} className="mb-2">
+                        <Form.Label>Email</Form.Label>
+                        <Form.Control
+                          type="email"
+                          name="email"
+                          value={form.email}
+                          onChange={handleFormChange}
+                        />
+                      </Col>
+                      <Col md={4} className="mb-2">
+                        <Form.Label>Phone *</Form.Label>
+                        <Form.Control
+                          type="text"
+                          name="phone"
+                          value={form.phone}
+                          onChange={handleFormChange}
+                        />
+                      </Col>
+                    </Row>
+
+                    <Row>
+                      <Col md={8} className="mb-2">
+                        <Form.Label>Delivery Address</Form.Label>
+                        <Form.Control
+                          as="textarea"
+                          rows={2}
+                          name="address"
+                          value={form.address}
+                          onChange={handleFormChange}
+                        />
+                      </Col>
+                      <Col md={2} className="mb-2">
+                        <Form.Label>Delivery Charge</Form.Label>
+                        <Form.Control
+                          type="number"
+                          name="deliveryFee"
+                          value={form.deliveryFee}
+                          onChange={handleFormChange}
+                        />
+                      </Col>
+                      <Col md={2} className="mb-2">
+                        <Form.Label>Valid Until *</Form.Label>
+                        <Form.Control
+                          type="date"
+                          name="validUntil"
+                          value={form.validUntil}
+                          onChange={handleFormChange}
+                        />
+                      </Col>
+                    </Row>
+
+                    {/* ITEMS EDITOR */}
+                    <OrderItemsEditor
+                      items={items}
+                      setItems={setItems}
+                      title="Quoted Items"
+                      cartons={cartons}
+                      getCartonLabel={getCartonLabel}
+                      getUnitPriceForProduct={unitPriceFor(form.customerId)}
+                      getVatRateForProduct={getVatRateForProduct}
+                      getFloorPriceForProduct={getFloorPriceForProduct}
+                      getProductName={getProductName}
+                      margins={formMargins}
+                      autoPolicy={company.autoCartonPolicy}
+                      isEdit={true}
+                    />
+
+                    <Row className="mt-3">
+                      <Col md={3}>
+                        <Form.Label>Quotation Discount</Form.Label>
+                        <DiscountInput
+                          type={form.discountType}
+                          value={form.discountValue}
+                          onChange={handleDiscountChange}
+                        />
+                        <Form.Label className="mt-2">Notes</Form.Label>
+                        <Form.Control
+                          as="textarea"
+                          rows={2}
+                          name="notes"
+                          value={form.notes}
+                          onChange={handleFormChange}
+                          placeholder="Printed on the quotation"
+                        />
+                      </Col>
+                      <Col md={3}>
+                        <OrderTotalsSummary totals={formTotals} />
+                      </Col>
+                      <Col md={3}>
+                        <OrderMarginSummary
+                          margins={formMargins}
+                          minMarginPercent={company.minMarginPercent}
+                        />
+                        {formMargins.needsApproval && (
+                          <small className="text-muted d-block">
+                            The order made from this quotation will need an
+                            admin&apos;s approval.
+                          </small>
+                        )}
+                      </Col>
+                      <Col
+                        md={3}
+                        className="d-flex justify-content-end align-items-end"
+                      >
+                        <div className="text-right w-100">
+                          {formError && (
+                            <div className="text-danger mb-1">{formError}</div>
+                          )}
+                          <Button
+                            type="submit"
+                            variant="info"
+                            className="btn-fill"
+                            disabled={saving}
+                          >
+                            {saving
+                              ? "Saving..."
+                              : editingQuotation
+                              ? "Save Quotation"
+                              : "Create Quotation"}
+                          </Button>
+                        </div>
+                      </Col>
+                    </Row>
+                  </Form>
+                </div>
+              </Collapse>
+            </Card.Header>
+
+            <Card.Body className="table-full-width table-responsive px-0">
+              <Table className="table-hover table-striped">
+                <thead>
+                  <tr>
+                    <th className="border-0">Quotation</th>
+                    <th className="border-0">Customer</th>
+                    <th className="border-0">Contact</th>
+                    <th className="border-0">Status</th>
+                    <th className="border-0">Valid Until</th>
+                    <th className="border-0">Total</th>
+                    <th className="border-0">PDF</th>
+                    <th className="border-0">Created At</th>
+                    <th className="border-0">Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {filteredQuotations.length > 0 ? (
+                    filteredQuotations.map((q) => {
+                      const status = getQuotationStatus(q);
+                      return (
+                        <tr key={q.id}>
+                          <td className="text-nowrap">
+                            {getQuotationLabel(q)}
+                          </td>
+                          <td>{q.customer_name}</td>
+                          <td>
+                            <div>{q.customer_phone || "-"}</div>
+                            {q.customer_email && (
+                              <small className="text-muted">
+                                {q.customer_email}
+                              </small>
+                            )}
+                          </td>
+                          <td>
+                            <Badge variant={getQuotationStatusVariant(status)}>
+                              {status}
+                            </Badge>
+                            {q.order_id && (
+                              <small className="d-block">
+                                <Link to="/admin/orders">
+                                  Order #{q.order_id}
+                                </Link>
+                              </small>
+                            )}
+                          </td>
+                          <td>{q.valid_until || "-"}</td>
+                          <td>৳{Number(q.total_amount || 0).toFixed(2)}</td>
+                          <td>
+                            {q.quotation_pdf_url ? (
+                              <Button
+                                size="sm"
+                                variant="outline-secondary"
+                                href={q.quotation_pdf_url}
+                                target="_blank"
+                                rel="noreferrer"
+                              >
+                                View / Print
+                              </Button>
+                            ) : (
+                              <Button
+                                size="sm"
+                                variant="secondary"
+                                onClick={() => handleGeneratePdf(q)}
+                              >
+                                Get PDF
+                              </Button>
+                            )}
+                          </td>
+                          <td>{q.created_at ? formatDate(q.created_at) : "-"}</td>
+                          <td className="align-middle">
+                            <div className="d-flex align-items-center gap-2">
+                              {status === "Open" && (
+                                <Button
+                                  size="sm"
+                                  variant="success"
+                                  className="btn-fill mr-2"
+                                  disabled={convertingId === q.id}
+                                  onClick={() => handleConvert(q)}
+                                >
+                                  {convertingId === q.id
+                                    ? "Converting..."
+                                    : "Convert to Order"}
+                                </Button>
+                              )}
+                              {/* expired ones can be edited to extend them */}
+                              {q.status === "Open" && (
+                                <>
+                                  <Button
+                                    variant="link"
+                                    size="sm"
+                                    className="p-0 text-warning"
+                                    title="Edit quotation"
+                                    onClick={() => openEdit(q)}
+                                  >
+                                    <i className="fa fa-edit" />
+                                  </Button>
+                                  <Button
+                                    variant="link"
+                                    size="sm"
+                                    className="p-0 text-secondary ml-2"
+                                    title="Cancel quotation"
+                                    onClick={() => handleCancel(q)}
+                                  >
+                                    <i className="fa fa-ban" />
+                                  </Button>
+                                </>
+                              )}
+                              {q.status !== "Converted" && (
+                                <Button
+                                  variant="link"
+                                  size="sm"
+                                  className="p-0 text-danger ml-2"
+                                  title="Delete quotation"
+                                  onClick={() => handleDelete(q)}
+                                >
+                                  <i className="fa fa-trash" />
+                                </Button>
+                              )}
+                            </div>
+                          </td>
+                        </tr>
+                      );
+                    })
+                  ) : (
+                    <tr>
+                      <td colSpan={9} className="text-center text-danger py-3">
+                        {quotations.length > 0
+                          ? "No quotations match your search."
+                          : "No quotations have been created yet."}
+                      </td>
+                    </tr>
+                  )}
+                </tbody>
+              </Table>
+            </Card.Body>
+          </Card>
+        </Col>
+      </Row>
+    </Container>
+  );
+};
+
+export default Quotations;
@@ -0,0 +1,406 @@
+import React, { useState, useEffect } from "react";
+import { Card, Container, Row, Col, Form, Button } from "react-bootstrap";
+import { supabase } from "createClient";
+import { fetchCompanyProfile } from "../utils/companyProfile";
+import DeliveryZonesCard from "../components/DeliveryZonesCard";
+import { MARGIN_GUARD_OPTIONS } from "../utils/margins";
+import { AUTO_CARTON_POLICIES } from "../utils/orderItems";
+
+const EMPTY_SETTINGS = {
+  company_name: "",
+  logo_url: "",
+  address: "",
+  warehouse_address: "",
+  phone: "",
+  alt_phone: "",
+  email: "",
+  website: "",
+  bin: "",
+  tin: "",
+  invoice_footer: "",
+  invoice_terms: "",
+  min_margin_percent: "",
+  margin_guard: "warn",
+  auto_carton_policy: "fifo",
+};
+
+const Settings = () => {
+  const [form, setForm] = useState(EMPTY_SETTINGS);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [uploadingLogo, setUploadingLogo] = useState(false);
+  const [error, setError] = useState("");
+  const [message, setMessage] = useState("");
+
+  useEffect(() => {
+    async function fetchSettings() {
+      const { data, error: fetchErr } = await supabase
+        .from("company_settings")
+        .select("*")
+        .eq("id", 1)
+        .maybeSingle();
+
+      if (fetchErr) {
+        console.error("Supabase error (company_settings):", fetchErr);
+        setError(fetchErr.message || "Failed to load settings.");
+      } else if (data) {
+        const loaded = {};
+        Object.keys(EMPTY_SETTINGS).forEach((key) => {
+          loaded[key] = data[key] == null ? "" : String(data[key]);
+        });
+        setForm(loaded);
+      }
+      setLoading(false);
+    }
+
+    fetchSettings();
+  }, []);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+    setMessage("");
+  };
+
+  // logo goes to the public "assets" bucket; saved with the rest of the form
+  const handleLogoUpload = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    if (!file.type.startsWith("image/")) {
+      setError("Please choose an image file for the logo.");
+      return;
+    }
+
+    setError("");
+    setUploadingLogo(true);
+    try {
+      const ext = file.name.split(".").pop() || "png";
+      const filePath = `company/logo_${Date.now()}.${ext}`;
+
+      const { error: uploadError } = await supabase.storage
+        .from("assets")
+        .upload(filePath, file, { upsert: true, contentType: file.type });
+
+      if (uploadError) {
+        console.error("Supabase upload error (logo):", uploadError);
+        setError(uploadError.message || "Failed to upload logo.");
+        return;
+      }
+
+      const { data: publicData } = await supabase.storage
+        .from("assets")
+        .getPublicUrl(filePath);
+
+      setForm((prev) => ({ ...prev, logo_url: publicData?.publicUrl || "" }));
+      setMessage("Logo uploaded. Save to use it on invoices and labels.");
+    } finally {
+      setUploadingLogo(false);
+      e.target.value = "";
+    }
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setError("");
+    setMessage("");
+
+    if (!form.company_name.trim()) {
+      setError("Company name is required.");
+      return;
+    }
+    const minMargin = form.min_margin_percent.trim();
+    if (
+      minMargin !== "" &&
+      !(Number(minMargin) >= 0 && Number(minMargin) < 100)
+    ) {
+      setError("Minimum margin must be between 0 and 100%.");
+      return;
+    }
+
+    try {
+      setSaving(true);
+
+      const payload = {};
+      Object.keys(EMPTY_SETTINGS).forEach((key) => {
+        payload[key] = form[key].trim() || null;
+      });
+      payload.min_margin_percent = minMargin === "" ? null : Number(minMargin);
+      payload.margin_guard = form.margin_guard || "warn";
+      payload.auto_carton_policy = form.auto_carton_policy || "fifo";
+      payload.updated_at = new Date().toISOString();
+
+      const { data, error: saveErr } = await supabase
+        .from("company_settings")
+        .update(payload)
+        .eq("id", 1)
+        .select()
+        .maybeSingle();
+
+      if (saveErr) {
+        console.error("Supabase update error (company_settings):", saveErr);
+        setError(saveErr.message || "Failed to save settings.");
+        return;
+      }
+      if (!data) {
+        setError(
+          "The company settings row is missing. Run the database migrations first."
+        );
+        return;
+      }
+
+      await fetchCompanyProfile({ refresh: true });
+      setMessage(
+        "Settings saved. New and regenerated invoices and labels will use them."
+      );
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Container fluid>
+        <p className="text-muted">Loading settings...</p>
+      </Container>
+    );
+  }
+
+  return (
+    <Container fluid>
+      <Row>
+        <Col md="12">
+          <Card>
+            <Card.Header>
+              <Card.Title as="h4">Company Settings</Card.Title>
+              <p className="card-category">
+                Printed on invoices and carton labels
+              </p>
+            </Card.Header>
+            <Card.Body>
+              <Form onSubmit={handleSave}>
+                <Row>
+                  <Col md={8}>
+                    <Row>
+                      <Col md={6} className="mb-2">
+                        <Form.Label>Company Name *</Form.Label>
+                        <Form.Control
+                          name="company_name"
+                          value={form.company_name}
+                          onChange={handleChange}
+                        />
+                      </Col>
+                      <Col md={6} className="mb-2">
+                        <Form.Label>Website</Form.Label>
+                        <Form.Control
+                          name="website"
+                          value={form.website}
+                          onChange={handleChange}
+                          placeholder="example.com"
+                        />
+                      </Col>
+                    </Row>
+                    <Row>
+                      <Col md={6} className="mb-2">
+                        <Form.Label>Address</Form.Label>
+                        <Form.Control
+                          as="textarea"
+                          rows={2}
+                          name="address"
+                          value={form.address}
+                          onChange={handleChange}
+                          placeholder="Registered / office address"
+                        />
+                      </Col>
+                      <Col md={6} className="mb-2">
+                        <Form.Label>Warehouse Address</Form.Label>
+                        <Form.Control
+                          as="textarea"
+                          rows={2}
+                          name="warehouse_address"
+                          value={form.warehouse_address}
+                          onChange={handleChange}
+                          placeholder="Where goods are dispatched from"
+                        />
+                      </Col>
+                    </Row>
+                    <Row>
+                      <Col md={4} className="mb-2">
+                        <Form.Label>Phone</Form.Label>
+                        <Form.Control
+                          name="phone"
+                          value={form.phone}
+                          onChange={handleChange}
+                        />
+                      </Col>
+                      <Col md={4} className="mb-2">
+                        <Form.Label>Alternate Phone</Form.Label>
+                        <Form.Control
+                          name="alt_phone"
+                          value={form.alt_phone}
+                          onChange={handleChange}
+                        />
+                      </Col>
+                      <Col md={4} className="mb-2">
+                        <Form.Label>Email</Form.Label>
+                        <Form.Control
+                          type="email"
+                          name="email"
+                          value={form.email}
+                          onChange={handleChange}
+                        />
+                      </Col>
+                    </Row>
+                    <Row>
+                      <Col md={6} className="mb-2">
+                        <Form.Label>BIN</Form.Label>
+                        <Form.Control
+                          name="bin"
+                          value={form.bin}
+                          onChange={handleChange}
+                          placeholder="VAT Business Identification Number"
+                        />
+                      </Col>
+                      <Col md={6} className="mb-2">
+                        <Form.Label>TIN</Form.Label>
+                        <Form.Control
+                          name="tin"
+                          value={form.tin}
+                          onChange={handleChange}
+                          placeholder="Taxpayer Identification Number"
+                        />
+                      </Col>
+                    </Row>
+                  </Col>
+
+                  <Col md={4} className="mb-2">
+                    <Form.Label>Logo</Form.Label>
+                    <div
+                      className="border rounded d-flex align-items-center justify-content-center mb-2"
+                      style={{ height: "160px", background: "#fff" }}
+                    >
+                      {form.logo_url ? (
+                        <img
+                          src={form.logo_url}
+                          alt="Company logo"
+                          style={{ maxHeight: "140px", maxWidth: "100%" }}
+                        />
+                      ) : (
+                        <span className="text-muted">No logo</span>
+                      )}
+                    </div>
+                    <Form.Control
+                      type="file"
+                      accept="image/*"
+                      onChange={handleLogoUpload}
+                      disabled={uploadingLogo}
+                    />
+                    {uploadingLogo && (
+                      <small className="text-muted">Uploading...</small>
+                    )}
+                  </Col>
+                </Row>
+
+                <Row>
+                  <Col md={6} className="mb-2">
+                    <Form.Label>Invoice Footer</Form.Label>
+                    <Form.Control
+                      name="invoice_footer"
+                      value={form.invoice_footer}
+                      onChange={handleChange}
+                      placeholder="Thank you for your business!"
+                    />
+                  </Col>
+                  <Col md={3} className="mb-2">
+                    <Form.Label>Minimum Margin %</Form.Label>
+                    <Form.Control
+                      type="number"
+                      min={0}
+                      max={99.99}
+                      step="0.01"
+                      name="min_margin_percent"
+                      value={form.min_margin_percent}
+                      onChange={handleChange}
+                      placeholder="No minimum"
+                    />
+                  </Col>
+                  <Col md={3} className="mb-2">
+                    <Form.Label>Below Minimum Margin</Form.Label>
+                    <Form.Control
+                      as="select"
+                      name="margin_guard"
+                      value={form.margin_guard}
+                      onChange={handleChange}
+                    >
+                      {MARGIN_GUARD_OPTIONS.map((opt) => (
+                        <option key={opt.value} value={opt.value}>
+                          {opt.label}
+                        </option>
+                      ))}
+                    </Form.Control>
+                    <small className="text-muted">
+                      Sales below cost always need an admin&apos;s approval.
+                    </small>
+                  </Col>
+                </Row>
+                <Row>
+                  <Col md={6} className="mb-2">
+                    <Form.Label>Auto Carton Selection</Form.Label>
+                    <Form.Control
+                      as="select"
+                      name="auto_carton_policy"
+                      value={form.auto_carton_policy}
+                      onChange={handleChange}
+                    >
+                      {AUTO_CARTON_POLICIES.map((opt) => (
+                        <option key={opt.value} value={opt.value}>
+                          {opt.label}
+                        </option>
+                      ))}
+                    </Form.Control>
+                    <small className="text-muted">
+                      Which cartons &quot;Auto&quot; order lines ship first.
+                    </small>
+                  </Col>
+                </Row>
+                <Row>
+                  <Col md={12} className="mb-2">
+                    <Form.Label>Invoice Terms & Conditions</Form.Label>
+                    <Form.Control
+                      as="textarea"
+                      rows={4}
+                      name="invoice_terms"
+                      value={form.invoice_terms}
+                      onChange={handleChange}
+                      placeholder="Return policy, payment terms..."
+                    />
+                  </Col>
+                </Row>
+
+                <div className="d-flex justify-content-end align-items-center mt-2">
+                  {error && <div className="text-danger mr-2">{error}</div>}
+                  {message && <div className="text-success mr-2">{message}</div>}
+                  <Button
+                    type="submit"
+                    variant="info"
+                    className="btn-fill"
+                    disabled={saving || uploadingLogo}
+                  >
+                    {saving ? "Saving..." : "Save Settings"}
+                  </Button>
+                </div>
+              </Form>
+            </Card.Body>
+          </Card>
+        </Col>
+      </Row>
+      <Row>
+        <Col md="12">
+          <DeliveryZonesCard />
+        </Col>
+      </Row>
+    </Container>
+  );
+};
+
+export default Settings;
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from "react";
+import React, { useState } from "react";
 import {
   Card,
   Table,
@@ -10,10 +10,24 @@ import {
   Collapse,
 } from "react-bootstrap";
 import { supabase } from "createClient";
+import { useOpenFromQuery } from "../utils/globalSearch";
+import { useSuppliers } from "../utils/catalog";
+import {
+  useTableChanges,
+  changedRowId,
+  useChangedIds,
+  changedRowStyle,
+  markOwnWrite,
+  isOwnWrite,
+} from "../utils/realtime";
+import EditConflictAlert from "../components/EditConflictAlert";
+import { useAuth } from "../context/AuthProvider";
 
 const Suppliers = () => {
-  const [suppliers, setSuppliers] = useState([]);
+  const { data: suppliers, setData: setSuppliers } = useSuppliers();
   const [search, setSearch] = useState("");
+  const { can } = useAuth();
+  const canManage = can("suppliers.manage");
 
   // Add supplier form state
   const [newSupplier, setNewSupplier] = useState({
@@ -43,21 +57,21 @@ const Suppliers = () => {
   });
   const [editError, setEditError] = useState("");
   const [savingEdit, setSavingEdit] = useState(false);
-
-  useEffect(() => {
-    async function fetchSuppliers() {
-      const { data, error } = await supabase.from("supplier").select("*");
-
-      if (error) {
-        console.error("Supabase error:", error);
-      } else {
-        // newest first
-        setSuppliers(data.reverse());
-      }
+  // someone else changed the supplier being edited: "changed" | "deleted"
+  const [editConflict, setEditConflict] = useState(null);
+
+  const [isChanged, markChanged] = useChangedIds();
+
+  // 🔴 live: suppliers edited in other tabs (the shared list patches itself;
+  // this highlights the rows and flags the one being edited)
+  useTableChanges("supplier", (payload) => {
+    const id = changedRowId(payload);
+    if (isOwnWrite("supplier", id)) return;
+    markChanged(id);
+    if (editingSupplier?.id === id) {
+      setEditConflict(payload.eventType === "DELETE" ? "deleted" : "changed");
     }
-
-    fetchSuppliers();
-  }, []);
+  });
 
   function fixUrl(url) {
     if (!url) return "#";
@@ -123,7 +137,8 @@ const Suppliers = () => {
         console.error("Supabase insert error:", error);
         setAddError(error.message || "Failed to add supplier.");
       } else {
-        setSuppliers((prev) => [data, ...prev]);
+        markOwnWrite("supplier", data.id);
+        setSuppliers((prev) => [data, ...prev.filter((s) => s.id !== data.id)]);
         setNewSupplier({
           organization_name: "",
           contact_name: "",
@@ -175,9 +190,16 @@ const Suppliers = () => {
       updated_at: new Date().toISOString()
     });
     setEditError("");
+    setEditConflict(null);
     setShowEditModal(true);
   };
 
+  // navbar search result: /admin/supplier?open=<id> (highlighted for
+  // read-only roles)
+  useOpenFromQuery(suppliers, (supplier) =>
+    canManage ? openEditModal(supplier) : markChanged(supplier.id)
+  );
+
   const handleEditChange = (e) => {
     const { name, value } = e.target;
     setEditForm((prev) => ({
@@ -199,6 +221,7 @@ const Suppliers = () => {
 
     try {
       setSavingEdit(true);
+      markOwnWrite("supplier", editingSupplier.id);
 
       const payload = {
         organization_name: editForm.organization_name,
@@ -255,17 +278,19 @@ const Suppliers = () => {
                 />
 
                 {/* Toggle Add Supplier form */}
-                <div className="d-flex justify-content-start mb-2">
-                  <Button
-                    variant={showForm ? "danger" : "info"}
-                    onClick={() => setShowForm((prev) => !prev)}
-                  >
-                    {showForm ? "Close" : "Add New Supplier"}
-                  </Button>
-                </div>
+                {canManage && (
+                  <div className="d-flex justify-content-start mb-2">
+                    <Button
+                      variant={showForm ? "danger" : "info"}
+                      onClick={() => setShowForm((prev) => !prev)}
+                    >
+                      {showForm ? "Close" : "Add New Supplier"}
+                    </Button>
+                  </div>
+                )}
 
                 {/* ➕ Add Supplier mini-form (sliding) */}
-                <Collapse in={showForm}>
+                <Collapse in={showForm && canManage}>
                   <div>
                     <Form onSubmit={handleAddSupplier} className="border-top pt-3">
                       <Row>
@@ -370,14 +395,17 @@ const Suppliers = () => {
                       <th>Email</th>
                       <th>Address</th>
                       <th>Notes</th>
-                      <th>Actions</th>
+                      {canManage && <th>Actions</th>}
                     </tr>
                   </thead>
 
                   <tbody>
                     {filteredSuppliers.length > 0 ? (
                       filteredSuppliers.map((supplier) => (
-                        <tr key={supplier.id}>
+                        <tr
+                          key={supplier.id}
+                          style={changedRowStyle(isChanged(supplier.id))}
+                        >
                           <td>{supplier.id}</td>
                           <td>
                             <a
@@ -395,23 +423,27 @@ const Suppliers = () => {
                           <td>{supplier.email}</td>
                           <td>{supplier.address}</td>
                           <td>{supplier.notes}</td>
-                          <td className="d-flex align-items-center gap-2">
-                            <Button
+                          {canManage && (
+                            <td className="d-flex align-items-center gap-2">
+                              <Button
                                 variant="info"
                                 size="sm"
                                 className="mr-1"
                                 onClick={() => openEditModal(supplier)}
-                            >
+                              >
                                 Edit
-                            </Button>
-                            <Button
-                                variant="danger"
-                                size="sm"
-                                onClick={() => handleDeleteSupplier(supplier)}
+                              </Button>
+                              {can("suppliers.delete") && (
+                                <Button
+                                  variant="danger"
+                                  size="sm"
+                                  onClick={() => handleDeleteSupplier(supplier)}
                                 >
-                                Delete
-                            </Button>
-                          </td>
+                                  Delete
+                                </Button>
+                              )}
+                            </td>
+                          )}
                         </tr>
                       ))
                     ) : (
@@ -464,6 +496,15 @@ const Suppliers = () => {
               </button>
             </div>
             <div className="card-body">
+              <EditConflictAlert
+                conflict={editConflict}
+                noun="supplier"
+                onReload={() =>
+                  openEditModal(
+                    suppliers.find((s) => s.id === editingSupplier?.id)
+                  )
+                }
+              />
               {editError && (
                 <div className="text-danger mb-2">{editError}</div>
               )}
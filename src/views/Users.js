@@ -0,0 +1,171 @@
+import React, { useState, useEffect } from "react";
+import { Card, Container, Row, Col, Form, Table } from "react-bootstrap";
+import { supabase } from "createClient";
+import { useAuth } from "../context/AuthProvider";
+import { ROLES } from "../utils/permissions";
+
+const formatDate = (value) =>
+  value ? new Date(value).toLocaleDateString() : "";
+
+const Users = () => {
+  const { user } = useAuth();
+  const [profiles, setProfiles] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [savingId, setSavingId] = useState(null);
+  const [error, setError] = useState("");
+  const [message, setMessage] = useState("");
+
+  useEffect(() => {
+    async function fetchProfiles() {
+      const { data, error: fetchErr } = await supabase
+        .from("profiles")
+        .select("id, email, role, created_at")
+        .order("created_at", { ascending: true });
+
+      if (fetchErr) {
+        console.error("Supabase error (profiles):", fetchErr);
+        setError(fetchErr.message || "Failed to load users.");
+      } else {
+        setProfiles(data || []);
+      }
+      setLoading(false);
+    }
+
+    fetchProfiles();
+  }, []);
+
+  // set_user_role() checks the caller is an admin and keeps one admin around
+  const handleRoleChange = async (profile, role) => {
+    setError("");
+    setMessage("");
+    setSavingId(profile.id);
+    try {
+      const { data, error: saveErr } = await supabase.rpc("set_user_role", {
+        p_user_id: profile.id,
+        p_role: role || null,
+      });
+
+      if (saveErr) {
+        console.error("Supabase rpc error (set_user_role):", saveErr);
+        setError(saveErr.message || "Failed to change the role.");
+        return;
+      }
+
+      setProfiles((prev) =>
+        prev.map((p) => (p.id === profile.id ? { ...p, ...data } : p))
+      );
+      setMessage(
+        `${profile.email} is now ${
+          role ? ROLES.find((r) => r.value === role).label : "without access"
+        }.`
+      );
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  const pending = profiles.filter((p) => !p.role).length;
+
+  return (
+    <Container fluid>
+      <Row>
+        <Col md="8">
+          <Card className="strpied-tabled-with-hover">
+            <Card.Header>
+              <Card.Title as="h4">Users</Card.Title>
+              <p className="card-category">
+                {pending > 0
+                  ? `${pending} login(s) waiting for a role`
+                  : "Everyone who can log in and what they may do"}
+              </p>
+              {error && <div className="text-danger mt-2">{error}</div>}
+              {message && <div className="text-success mt-2">{message}</div>}
+            </Card.Header>
+
+            <Card.Body className="table-full-width table-responsive px-0">
+              <Table className="table-hover table-striped">
+                <thead>
+                  <tr>
+                    <th>Email</th>
+                    <th>Role</th>
+                    <th>Since</th>
+                  </tr>
+                </thead>
+
+                <tbody>
+                  {loading ? (
+                    <tr>
+                      <td colSpan={3} className="text-center text-muted py-3">
+                        Loading users...
+                      </td>
+                    </tr>
+                  ) : profiles.length > 0 ? (
+                    profiles.map((profile) => (
+                      <tr key={profile.id}>
+                        <td>
+                          {profile.email}
+                          {profile.id === user?.id && (
+                            <span className="text-muted"> (you)</span>
+                          )}
+                        </td>
+                        <td style={{ minWidth: "180px" }}>
+                          <Form.Control
+                            as="select"
+                            size="sm"
+                            value={profile.role || ""}
+                            disabled={savingId === profile.id}
+                            onChange={(e) =>
+                              handleRoleChange(profile, e.target.value)
+                            }
+                          >
+                            <option value="">No access</option>
+                            {ROLES.map((r) => (
+                              <option key={r.value} value={r.value}>
+                                {r.label}
+                              </option>
+                            ))}
+                          </Form.Control>
+                        </td>
+                        <td>{formatDate(profile.created_at)}</td>
+                      </tr>
+                    ))
+                  ) : (
+                    <tr>
+                      <td colSpan={3} className="text-center text-danger py-3">
+                        No users found!
+                      </td>
+                    </tr>
+                  )}
+                </tbody>
+              </Table>
+            </Card.Body>
+          </Card>
+        </Col>
+
+        <Col md="4">
+          <Card>
+            <Card.Header>
+              <Card.Title as="h4">Roles</Card.Title>
+              <p className="card-category">
+                New logins are invited from Supabase Auth (Authentication →
+                Users → Invite) and can't do anything until they get a role
+                here.
+              </p>
+            </Card.Header>
+            <Card.Body>
+              {ROLES.map((r) => (
+                <p key={r.value} className="mb-2">
+                  <strong>{r.label}</strong>
+                  <br />
+                  <span className="text-muted">{r.description}</span>
+                </p>
+              ))}
+            </Card.Body>
+          </Card>
+        </Col>
+      </Row>
+    </Container>
+  );
+};
+
+export default Users;
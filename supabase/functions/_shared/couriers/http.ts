@@ -0,0 +1,41 @@
+// Helpers for the courier API clients.
+
+export function requireEnv(name: string): string {
+  const value = Deno.env.get(name);
+  if (!value) throw new Error(`${name} is not configured for this courier.`);
+  return value;
+}
+
+// JSON request to a courier API; non-2xx responses become errors with the
+// courier's message
+export async function courierFetch(
+  courier: string,
+  url: string,
+  init: RequestInit = {}
+): Promise<Record<string, any>> {
+  const res = await fetch(url, {
+    ...init,
+    headers: {
+      "Content-Type": "application/json",
+      Accept: "application/json",
+      ...(init.headers || {}),
+    },
+  });
+
+  let body: Record<string, any> = {};
+  try {
+    body = await res.json();
+  } catch (_) {
+    // empty / non-JSON body
+  }
+
+  if (!res.ok) {
+    const message =
+      body?.message || body?.error || body?.errors || res.statusText;
+    throw new Error(
+      `${courier}: ${typeof message === "string" ? message : JSON.stringify(message)} (${res.status})`
+    );
+  }
+
+  return body;
+}
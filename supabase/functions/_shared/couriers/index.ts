@@ -0,0 +1,39 @@
+// Courier adapters, one module per courier, all with the same shape:
+//
+//   book(order)            -> Booking: creates the consignment
+//   track(shipment)        -> StatusUpdate: current status from the courier
+//   parseWebhook(body)     -> StatusUpdate & { consignmentId } | null
+//
+// Statuses are normalized to the shipments.status values (see
+// supabase/migrations/20261019103000_courier_shipments.sql); `status: null`
+// means the courier's own status (kept in courierStatus) has no equivalent.
+// Adding a courier = a module here + its name in the shipments.courier check
+// and in COURIERS (src/utils/shipments.js).
+
+import { mockCourier } from "./mock.ts";
+import { pathaoCourier } from "./pathao.ts";
+import { redxCourier } from "./redx.ts";
+import { steadfastCourier } from "./steadfast.ts";
+import type { CourierAdapter } from "./types.ts";
+
+export type {
+  Booking,
+  CourierAdapter,
+  CourierOrder,
+  CourierShipment,
+  ShipmentStatus,
+  StatusUpdate,
+} from "./types.ts";
+
+const ADAPTERS: Record<string, CourierAdapter> = {
+  mock: mockCourier,
+  steadfast: steadfastCourier,
+  pathao: pathaoCourier,
+  redx: redxCourier,
+};
+
+export function getCourierAdapter(courier: string): CourierAdapter {
+  const adapter = ADAPTERS[courier];
+  if (!adapter) throw new Error(`Unknown courier "${courier}".`);
+  return adapter;
+}
@@ -0,0 +1,45 @@
+// Local mock courier for testing the shipment flow without a courier account
+// or network access. Booking always succeeds; every tracking poll moves the
+// parcel one step along booked -> picked_up -> in_transit -> delivered, so a
+// few "Refresh tracking" clicks take an order through to Delivered.
+// Webhooks can be simulated with
+//   POST /functions/v1/courier-webhook?courier=mock&token=<COURIER_WEBHOOK_SECRET>
+//   { "consignment_id": "MOCK-...", "status": "delivered" }
+
+import type { CourierAdapter, ShipmentStatus } from "./types.ts";
+
+const STEPS: ShipmentStatus[] = ["booked", "picked_up", "in_transit", "delivered"];
+
+const STATUSES: ShipmentStatus[] = [...STEPS, "returned", "cancelled"];
+
+export const mockCourier: CourierAdapter = {
+  async book(order) {
+    const consignmentId = `MOCK-${order.id}-${Date.now().toString(36).toUpperCase()}`;
+    return {
+      consignmentId,
+      trackingCode: consignmentId,
+      status: "booked",
+      courierStatus: "booked",
+      deliveryFee: 60,
+      raw: { mock: true, cod_amount: order.cod_amount },
+    };
+  },
+
+  async track(shipment) {
+    const idx = STEPS.indexOf(shipment.status);
+    const next =
+      idx >= 0 && idx < STEPS.length - 1 ? STEPS[idx + 1] : shipment.status;
+    return { status: next, courierStatus: next, raw: { mock: true } };
+  },
+
+  parseWebhook(body) {
+    const consignmentId = String(body.consignment_id || "");
+    const courierStatus = String(body.status || "");
+    if (!consignmentId || !courierStatus) return null;
+
+    const status = STATUSES.includes(courierStatus as ShipmentStatus)
+      ? (courierStatus as ShipmentStatus)
+      : null;
+    return { consignmentId, status, courierStatus, raw: body };
+  },
+};
@@ -0,0 +1,142 @@
+// Pathao Courier (merchant API, aladdin v1).
+//   PATHAO_CLIENT_ID, PATHAO_CLIENT_SECRET, PATHAO_USERNAME, PATHAO_PASSWORD
+//   PATHAO_STORE_ID
+//   PATHAO_BASE_URL (optional, defaults to the live API)
+// Webhook: .../functions/v1/courier-webhook?courier=pathao&token=<COURIER_WEBHOOK_SECRET>
+
+import { courierFetch, requireEnv } from "./http.ts";
+import type { CourierAdapter, ShipmentStatus } from "./types.ts";
+
+function baseUrl() {
+  return Deno.env.get("PATHAO_BASE_URL") || "https://api-hermes.pathao.com";
+}
+
+// access token, reused while the function instance is warm
+let cachedToken: { value: string; expiresAt: number } | null = null;
+
+async function authHeaders() {
+  if (!cachedToken || cachedToken.expiresAt <= Date.now()) {
+    const body = await courierFetch(
+      "Pathao",
+      `${baseUrl()}/aladdin/api/v1/issue-token`,
+      {
+        method: "POST",
+        body: JSON.stringify({
+          client_id: requireEnv("PATHAO_CLIENT_ID"),
+          client_secret: requireEnv("PATHAO_CLIENT_SECRET"),
+          username: requireEnv("PATHAO_USERNAME"),
+          password: requireEnv("PATHAO_PASSWORD"),
+          grant_type: "password",
+        }),
+      }
+    );
+    cachedToken = {
+      value: body.access_token,
+      // refresh a minute early
+      expiresAt: Date.now() + (Number(body.expires_in || 3600) - 60) * 1000,
+    };
+  }
+  return { Authorization: `Bearer ${cachedToken.value}` };
+}
+
+// "Pickup_Requested" (order_status) and "order.pickup-requested" (webhook
+// event) both become "pickup_requested"
+function normalize(value: string) {
+  return value
+    .toLowerCase()
+    .replace(/^order\./, "")
+    .replace(/[\s-]+/g, "_");
+}
+
+function toStatus(courierStatus: string): ShipmentStatus | null {
+  switch (normalize(courierStatus)) {
+    case "pending":
+    case "created":
+    case "pickup_requested":
+    case "assigned_for_pickup":
+      return "booked";
+    case "picked":
+      return "picked_up";
+    case "at_the_sorting_hub":
+    case "in_transit":
+    case "received_at_last_mile_hub":
+    case "assigned_for_delivery":
+    case "on_hold":
+    case "delivery_failed":
+      return "in_transit";
+    case "delivered":
+    case "partial_delivery":
+      return "delivered";
+    case "return":
+    case "returned":
+    case "paid_return":
+      return "returned";
+    case "pickup_cancelled":
+    case "pickup_failed":
+      return "cancelled";
+    default:
+      return null;
+  }
+}
+
+export const pathaoCourier: CourierAdapter = {
+  async book(order) {
+    const body = await courierFetch("Pathao", `${baseUrl()}/aladdin/api/v1/orders`, {
+      method: "POST",
+      headers: await authHeaders(),
+      body: JSON.stringify({
+        store_id: Number(requireEnv("PATHAO_STORE_ID")),
+        merchant_order_id: order.invoice_number || `ORDER-${order.id}`,
+        recipient_name: order.customer_name,
+        recipient_phone: order.customer_phone,
+        recipient_address: order.delivery_address,
+        delivery_type: 48, // normal delivery
+        item_type: 2, // parcel
+        item_quantity: Math.max(1, order.item_count),
+        item_weight: 0.5,
+        amount_to_collect: Math.round(order.cod_amount),
+        special_instruction: order.note || "",
+      }),
+    });
+
+    const data = body.data;
+    if (!data?.consignment_id) {
+      throw new Error(`Pathao: ${body.message || "booking was not accepted."}`);
+    }
+
+    return {
+      consignmentId: String(data.consignment_id),
+      trackingCode: String(data.consignment_id),
+      status: toStatus(data.order_status || "") || "booked",
+      courierStatus: data.order_status || null,
+      deliveryFee: data.delivery_fee != null ? Number(data.delivery_fee) : null,
+      raw: body,
+    };
+  },
+
+  async track(shipment) {
+    const body = await courierFetch(
+      "Pathao",
+      `${baseUrl()}/aladdin/api/v1/orders/${encodeURIComponent(shipment.consignment_id)}/info`,
+      { headers: await authHeaders() }
+    );
+    const courierStatus = body.data?.order_status || null;
+    return {
+      status: courierStatus ? toStatus(courierStatus) : null,
+      courierStatus,
+      raw: body,
+    };
+  },
+
+  parseWebhook(body) {
+    const consignmentId = String(body.consignment_id || "");
+    const courierStatus = String(body.order_status || body.event || "");
+    if (!consignmentId || !courierStatus) return null;
+    return {
+      consignmentId,
+      status: toStatus(courierStatus),
+      courierStatus,
+      raw: body,
+    };
+  },
+};
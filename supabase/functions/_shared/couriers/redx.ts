@@ -0,0 +1,102 @@
+// RedX (open API).
+//   REDX_API_TOKEN
+//   REDX_DELIVERY_AREA, REDX_DELIVERY_AREA_ID: area used for every parcel
+//     (RedX needs one; pick your main delivery area from GET /areas)
+//   REDX_BASE_URL (optional, defaults to the live API)
+// Webhook: .../functions/v1/courier-webhook?courier=redx&token=<COURIER_WEBHOOK_SECRET>
+
+import { courierFetch, requireEnv } from "./http.ts";
+import type { CourierAdapter, ShipmentStatus } from "./types.ts";
+
+function baseUrl() {
+  return (
+    Deno.env.get("REDX_BASE_URL") || "https://openapi.redx.com.bd/v1.0.0-beta"
+  );
+}
+
+function headers() {
+  return { "API-ACCESS-TOKEN": `Bearer ${requireEnv("REDX_API_TOKEN")}` };
+}
+
+function toStatus(courierStatus: string): ShipmentStatus | null {
+  switch (courierStatus) {
+    case "pickup-pending":
+    case "pickup-in-progress":
+      return "booked";
+    case "ready-for-delivery":
+      return "picked_up";
+    case "delivery-in-progress":
+    case "agent-hold":
+    case "agent-area-change":
+      return "in_transit";
+    case "delivered":
+      return "delivered";
+    case "agent-returning":
+    case "returned":
+      return "returned";
+    case "cancelled":
+      return "cancelled";
+    default:
+      return null;
+  }
+}
+
+export const redxCourier: CourierAdapter = {
+  async book(order) {
+    const body = await courierFetch("RedX", `${baseUrl()}/parcel`, {
+      method: "POST",
+      headers: headers(),
+      body: JSON.stringify({
+        customer_name: order.customer_name,
+        customer_phone: order.customer_phone,
+        delivery_area: requireEnv("REDX_DELIVERY_AREA"),
+        delivery_area_id: Number(requireEnv("REDX_DELIVERY_AREA_ID")),
+        customer_address: order.delivery_address,
+        merchant_invoice_id: order.invoice_number || `ORDER-${order.id}`,
+        cash_collection_amount: String(Math.round(order.cod_amount)),
+        parcel_weight: 500, // grams
+        instruction: order.note || "",
+        value: String(Math.round(order.cod_amount)),
+      }),
+    });
+
+    if (!body.tracking_id) {
+      throw new Error(`RedX: ${body.message || "booking was not accepted."}`);
+    }
+
+    return {
+      consignmentId: String(body.tracking_id),
+      trackingCode: String(body.tracking_id),
+      status: "booked",
+      courierStatus: "pickup-pending",
+      deliveryFee: null,
+      raw: body,
+    };
+  },
+
+  async track(shipment) {
+    const body = await courierFetch(
+      "RedX",
+      `${baseUrl()}/parcel/info/${encodeURIComponent(shipment.consignment_id)}`,
+      { headers: headers() }
+    );
+    const courierStatus = body.parcel?.status || null;
+    return {
+      status: courierStatus ? toStatus(courierStatus) : null,
+      courierStatus,
+      raw: body,
+    };
+  },
+
+  parseWebhook(body) {
+    const consignmentId = String(body.tracking_number || "");
+    const courierStatus = String(body.status || "");
+    if (!consignmentId || !courierStatus) return null;
+    return {
+      consignmentId,
+      status: toStatus(courierStatus),
+      courierStatus,
+      raw: body,
+    };
+  },
+};
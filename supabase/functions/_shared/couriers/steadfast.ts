@@ -0,0 +1,101 @@
+// Steadfast Courier (packzy API v1).
+//   STEADFAST_API_KEY, STEADFAST_SECRET_KEY
+//   STEADFAST_BASE_URL (optional, defaults to the live API)
+// Webhook: set the callback URL to
+//   .../functions/v1/courier-webhook?courier=steadfast
+// and its auth token to COURIER_WEBHOOK_SECRET (sent as a Bearer token).
+
+import { courierFetch, requireEnv } from "./http.ts";
+import type { CourierAdapter, ShipmentStatus } from "./types.ts";
+
+function baseUrl() {
+  return Deno.env.get("STEADFAST_BASE_URL") || "https://portal.packzy.com/api/v1";
+}
+
+function headers() {
+  return {
+    "Api-Key": requireEnv("STEADFAST_API_KEY"),
+    "Secret-Key": requireEnv("STEADFAST_SECRET_KEY"),
+  };
+}
+
+function toStatus(deliveryStatus: string): ShipmentStatus | null {
+  switch (deliveryStatus) {
+    case "in_review":
+    case "pending":
+      return "booked";
+    case "hold":
+    case "delivered_approval_pending":
+    case "partial_delivered_approval_pending":
+    case "cancelled_approval_pending":
+    case "unknown_approval_pending":
+      return "in_transit";
+    case "delivered":
+    case "partial_delivered":
+      return "delivered";
+    case "cancelled":
+      return "returned";
+    default:
+      return null;
+  }
+}
+
+export const steadfastCourier: CourierAdapter = {
+  async book(order) {
+    const body = await courierFetch("Steadfast", `${baseUrl()}/create_order`, {
+      method: "POST",
+      headers: headers(),
+      body: JSON.stringify({
+        invoice: order.invoice_number || `ORDER-${order.id}`,
+        recipient_name: order.customer_name,
+        recipient_phone: order.customer_phone,
+        recipient_address: order.delivery_address,
+        cod_amount: order.cod_amount,
+        note: order.note || "",
+      }),
+    });
+
+    const consignment = body.consignment;
+    if (!consignment?.consignment_id) {
+      throw new Error(`Steadfast: ${body.message || "booking was not accepted."}`);
+    }
+
+    return {
+      consignmentId: String(consignment.consignment_id),
+      trackingCode: consignment.tracking_code || null,
+      status: toStatus(consignment.status) || "booked",
+      courierStatus: consignment.status || null,
+      deliveryFee: null,
+      raw: body,
+    };
+  },
+
+  async track(shipment) {
+    const body = await courierFetch(
+      "Steadfast",
+      `${baseUrl()}/status_by_cid/${encodeURIComponent(shipment.consignment_id)}`,
+      { headers: headers() }
+    );
+    const courierStatus = body.delivery_status || null;
+    return {
+      status: courierStatus ? toStatus(courierStatus) : null,
+      courierStatus,
+      raw: body,
+    };
+  },
+
+  parseWebhook(body) {
+    if (body.notification_type && body.notification_type !== "delivery_status") {
+      return null;
+    }
+    const consignmentId = String(body.consignment_id || "");
+    const courierStatus = String(body.status || "");
+    if (!consignmentId || !courierStatus) return null;
+    return {
+      consignmentId,
+      status: toStatus(courierStatus),
+      courierStatus,
+      raw: body,
+    };
+  },
+};
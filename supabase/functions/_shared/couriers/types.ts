@@ -0,0 +1,52 @@
+// Shared types of the courier adapters (see ./index.ts).
+
+export type ShipmentStatus =
+  | "booked"
+  | "picked_up"
+  | "in_transit"
+  | "delivered"
+  | "returned"
+  | "cancelled";
+
+// the order fields the adapters need (orders row + order_items)
+export interface CourierOrder {
+  id: number;
+  invoice_number: string | null;
+  customer_name: string;
+  customer_phone: string | null;
+  delivery_address: string | null;
+  cod_amount: number;
+  item_count: number;
+  note: string | null;
+}
+
+export interface CourierShipment {
+  id: number;
+  courier: string;
+  consignment_id: string;
+  tracking_code: string | null;
+  status: ShipmentStatus;
+}
+
+export interface Booking {
+  consignmentId: string;
+  trackingCode: string | null;
+  status: ShipmentStatus;
+  courierStatus: string | null;
+  deliveryFee: number | null;
+  raw: unknown;
+}
+
+export interface StatusUpdate {
+  status: ShipmentStatus | null;
+  courierStatus: string | null;
+  raw: unknown;
+}
+
+export interface CourierAdapter {
+  book(order: CourierOrder): Promise<Booking>;
+  track(shipment: CourierShipment): Promise<StatusUpdate>;
+  parseWebhook(
+    body: Record<string, unknown>
+  ): (StatusUpdate & { consignmentId: string }) | null;
+}
@@ -0,0 +1,61 @@
+// Status callbacks from the couriers:
+//   POST .../functions/v1/courier-webhook?courier=<mock|steadfast|pathao|redx>
+// authenticated with COURIER_WEBHOOK_SECRET, given either as ?token= or as a
+// Bearer token. Couriers don't send a Supabase JWT, so deploy with
+//   supabase functions deploy courier-webhook --no-verify-jwt
+//
+// Updates for consignments we don't know (or statuses the adapter ignores)
+// are acknowledged and dropped, so the courier doesn't keep retrying them.
+
+import { createClient } from "npm:@supabase/supabase-js@2";
+
+import { json } from "../_shared/http.ts";
+import { getCourierAdapter } from "../_shared/couriers/index.ts";
+
+Deno.serve(async (req) => {
+  if (req.method !== "POST") return json({ error: "Method not allowed." }, 405);
+
+  const url = new URL(req.url);
+  const secret = Deno.env.get("COURIER_WEBHOOK_SECRET");
+  const token =
+    url.searchParams.get("token") ||
+    (req.headers.get("Authorization") || "").replace(/^Bearer\s+/i, "");
+  if (!secret || token !== secret) {
+    return json({ error: "Unauthorized." }, 401);
+  }
+
+  const courier = url.searchParams.get("courier") || "";
+
+  try {
+    const update = getCourierAdapter(courier).parseWebhook(await req.json());
+    if (!update) return json({ status: "ignored" });
+
+    const supabase = createClient(
+      Deno.env.get("SUPABASE_URL")!,
+      Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!
+    );
+
+    const { data: shipment, error } = await supabase
+      .from("shipments")
+      .select("id")
+      .eq("courier", courier)
+      .eq("consignment_id", update.consignmentId)
+      .maybeSingle();
+    if (error) throw new Error(error.message);
+    if (!shipment) return json({ status: "ignored" });
+
+    const { error: recordError } = await supabase.rpc("record_shipment_status", {
+      p_shipment_id: shipment.id,
+      p_status: update.status,
+      p_courier_status: update.courierStatus,
+      p_source: "webhook",
+      p_payload: update.raw ?? null,
+    });
+    if (recordError) throw new Error(recordError.message);
+
+    return json({ status: "success" });
+  } catch (err) {
+    console.error("courier-webhook error:", err);
+    return json({ error: err instanceof Error ? err.message : String(err) }, 400);
+  }
+});
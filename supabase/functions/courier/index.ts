@@ -0,0 +1,257 @@
+// Courier bookings and tracking for the app (src/utils/shipments.js).
+// Reads run as the signed-in user, so the usual RLS applies; shipments are
+// written with the service role (clients can only read them), once the
+// caller's role has been checked. Courier API keys come from the function's
+// secrets (see ../_shared/couriers/*.ts).
+//
+//   { action: "book",  order_id, courier } -> { shipment, order }
+//   { action: "track", shipment_id }       -> { shipment, order }
+//   { action: "poll" }                     -> { orders, errors }
+//       refreshes the open shipments (oldest update first)
+//
+// `order` is order_as_json (the shape the order RPCs return).
+
+import { createClient, SupabaseClient } from "npm:@supabase/supabase-js@2";
+
+import { corsHeaders, json } from "../_shared/http.ts";
+import { getCourierAdapter } from "../_shared/couriers/index.ts";
+import type { Booking, CourierShipment } from "../_shared/couriers/index.ts";
+
+const OPEN_STATUSES = ["booked", "picked_up", "in_transit"];
+// roles that may ship orders (src/utils/permissions.js "orders.ship")
+const SHIPPING_ROLES = ["admin", "sales", "warehouse"];
+const POLL_LIMIT = 50;
+
+async function orderAsJson(supabase: SupabaseClient, orderId: number) {
+  const { data, error } = await supabase.rpc("order_as_json", {
+    p_order_id: orderId,
+  });
+  if (error) throw new Error(error.message);
+  return data;
+}
+
+async function recordStatus(
+  supabase: SupabaseClient,
+  shipmentId: number,
+  update: { status: string | null; courierStatus: string | null; raw: unknown },
+  source: "booking" | "poll"
+) {
+  const { data, error } = await supabase.rpc("record_shipment_status", {
+    p_shipment_id: shipmentId,
+    p_status: update.status,
+    p_courier_status: update.courierStatus,
+    p_source: source,
+    p_payload: update.raw ?? null,
+  });
+  if (error) throw new Error(error.message);
+  return data;
+}
+
+async function book(
+  supabase: SupabaseClient,
+  admin: SupabaseClient,
+  userId: string,
+  orderId: number,
+  courier: string
+) {
+  const adapter = getCourierAdapter(courier);
+
+  const { data: order, error } = await supabase
+    .from("orders")
+    .select("*, order_items(quantity, returned_quantity), shipments(*)")
+    .eq("id", orderId)
+    .single();
+  if (error) throw new Error(error.message);
+
+  if (order.status !== "Shipped") {
+    throw new Error(
+      `Order #${order.id} is ${order.status}; only shipped orders are booked with a courier.`
+    );
+  }
+
+  const active = (order.shipments || []).find(
+    (s: CourierShipment) => !["returned", "cancelled"].includes(s.status)
+  );
+  if (active) {
+    throw new Error(
+      `Order #${order.id} is already booked with ${active.courier} (${active.tracking_code || active.consignment_id || "booking"}).`
+    );
+  }
+
+  // collect whatever is still owed on delivery
+  const codAmount = Math.max(
+    0,
+    Number(order.total_amount || 0) -
+      Number(order.returned_amount || 0) -
+      Number(order.amount_paid || 0)
+  );
+  const itemCount = (order.order_items || []).reduce(
+    (sum: number, it: { quantity: number; returned_quantity: number }) =>
+      sum + Number(it.quantity || 0) - Number(it.returned_quantity || 0),
+    0
+  );
+
+  // claim the order before calling the courier: the placeholder takes the
+  // order's one live shipment (shipments_one_active_per_order), so a second
+  // request fails here instead of booking the parcel twice
+  const { data: claim, error: claimError } = await admin
+    .from("shipments")
+    .insert({
+      order_id: order.id,
+      courier,
+      status: "booked",
+      cod_amount: Math.round(codAmount * 100) / 100,
+      booked_by: userId,
+    })
+    .select()
+    .single();
+
+  if (claimError) {
+    if (claimError.code === "23505") {
+      throw new Error(`Order #${order.id} is already being booked with a courier.`);
+    }
+    throw new Error(claimError.message);
+  }
+
+  let booking: Booking;
+  try {
+    booking = await adapter.book({
+      id: order.id,
+      invoice_number: order.invoice_number,
+      customer_name: order.customer_name,
+      customer_phone: order.customer_phone,
+      delivery_address: order.delivery_address,
+      cod_amount: Math.round(codAmount * 100) / 100,
+      item_count: itemCount,
+      note: null,
+    });
+  } catch (err) {
+    // the courier didn't take it: free the order for another try
+    await admin.from("shipments").delete().eq("id", claim.id);
+    throw err;
+  }
+
+  const { data: shipment, error: saveError } = await admin
+    .from("shipments")
+    .update({
+      consignment_id: booking.consignmentId,
+      tracking_code: booking.trackingCode,
+      status: booking.status,
+      courier_status: booking.courierStatus,
+      delivery_fee: booking.deliveryFee,
+    })
+    .eq("id", claim.id)
+    .select()
+    .single();
+
+  if (saveError) {
+    // the courier has the parcel but we couldn't store it; say which one
+    throw new Error(
+      `Booked with ${courier} as ${booking.consignmentId}, but saving the shipment failed: ${saveError.message}`
+    );
+  }
+
+  const recorded = await recordStatus(admin, shipment.id, booking, "booking");
+  return { shipment: recorded, order: await orderAsJson(supabase, order.id) };
+}
+
+async function refresh(
+  supabase: SupabaseClient,
+  admin: SupabaseClient,
+  shipment: CourierShipment & { order_id: number }
+) {
+  const update = await getCourierAdapter(shipment.courier).track(shipment);
+  const recorded = await recordStatus(admin, shipment.id, update, "poll");
+  return { shipment: recorded, order: await orderAsJson(supabase, shipment.order_id) };
+}
+
+async function track(supabase: SupabaseClient, admin: SupabaseClient, shipmentId: number) {
+  const { data: shipment, error } = await supabase
+    .from("shipments")
+    .select("*")
+    .eq("id", shipmentId)
+    .single();
+  if (error) throw new Error(error.message);
+  if (!shipment.consignment_id) {
+    throw new Error(`Shipment ${shipment.id} is still being booked with ${shipment.courier}.`);
+  }
+  return refresh(supabase, admin, shipment);
+}
+
+async function poll(supabase: SupabaseClient, admin: SupabaseClient) {
+  const { data: shipments, error } = await supabase
+    .from("shipments")
+    .select("*")
+    .in("status", OPEN_STATUSES)
+    .not("consignment_id", "is", null)
+    .order("last_event_at", { ascending: true, nullsFirst: true })
+    .limit(POLL_LIMIT);
+  if (error) throw new Error(error.message);
+
+  const orders = [];
+  const errors = [];
+  // one at a time: the courier APIs rate-limit
+  for (const shipment of shipments || []) {
+    try {
+      orders.push((await refresh(supabase, admin, shipment)).order);
+    } catch (err) {
+      errors.push({
+        shipment_id: shipment.id,
+        order_id: shipment.order_id,
+        message: err instanceof Error ? err.message : String(err),
+      });
+    }
+  }
+  return { orders, errors };
+}
+
+Deno.serve(async (req) => {
+  if (req.method === "OPTIONS") {
+    return new Response("ok", { headers: corsHeaders });
+  }
+
+  const supabase = createClient(
+    Deno.env.get("SUPABASE_URL")!,
+    Deno.env.get("SUPABASE_ANON_KEY")!,
+    { global: { headers: { Authorization: req.headers.get("Authorization") || "" } } }
+  );
+
+  const {
+    data: { user },
+  } = await supabase.auth.getUser();
+  if (!user) return json({ error: "Sign in to book shipments." }, 401);
+
+  const { data: profile } = await supabase
+    .from("profiles")
+    .select("role")
+    .eq("id", user.id)
+    .maybeSingle();
+  if (!SHIPPING_ROLES.includes(profile?.role)) {
+    return json({ error: "Your role can't book or track shipments." }, 403);
+  }
+
+  // record_shipment_status() and shipment inserts are service-role only
+  const admin = createClient(
+    Deno.env.get("SUPABASE_URL")!,
+    Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!
+  );
+
+  try {
+    const body = await req.json();
+    switch (body.action) {
+      case "book":
+        return json(
+          await book(supabase, admin, user.id, Number(body.order_id), String(body.courier))
+        );
+      case "track":
+        return json(await track(supabase, admin, Number(body.shipment_id)));
+      case "poll":
+        return json(await poll(supabase, admin));
+      default:
+        return json({ error: `Unknown action "${body.action}".` }, 400);
+    }
+  } catch (err) {
+    console.error("courier error:", err);
+    return json({ error: err instanceof Error ? err.message : String(err) }, 400);
+  }
+});
@@ -0,0 +1,198 @@
+-- Atomic order writes.
+--
+-- Creating, editing and deleting an order used to be several independent
+-- requests from the browser (order row, loose-unit deductions, carton
+-- bookings). These functions run the whole change inside one transaction so
+-- stock can never drift from the orders that consume it.
+--
+-- Item payload shape (same as orders.items):
+--   [{ "mode": "carton" | "loose", "carton_id": 1, "product_id": 2,
+--      "quantity": 72, "unit_price": 10, "line_total": 720 }, ...]
+
+-- Distinct carton ids referenced by an item payload.
+create or replace function public.order_item_carton_ids(p_items jsonb)
+returns bigint[]
+language sql
+immutable
+as $$
+  select coalesce(array_agg(distinct (it->>'carton_id')::bigint), '{}')
+  from jsonb_array_elements(coalesce(p_items, '[]'::jsonb)) as it
+  where nullif(it->>'carton_id', '') is not null;
+$$;
+
+-- Apply (p_direction = -1) or release (p_direction = 1) the stock held by
+-- a set of order items:
+--   carton -> status "booked" / back to "received"
+--   loose  -> units_remaining decreased / increased on the source carton
+create or replace function public.apply_order_stock(p_items jsonb, p_direction integer)
+returns void
+language plpgsql
+as $$
+declare
+  v_item jsonb;
+  v_carton_id bigint;
+  v_qty integer;
+  v_units integer;
+begin
+  for v_item in select * from jsonb_array_elements(coalesce(p_items, '[]'::jsonb))
+  loop
+    v_carton_id := nullif(v_item->>'carton_id', '')::bigint;
+    if v_carton_id is null then
+      continue;
+    end if;
+
+    if v_item->>'mode' = 'loose' then
+      v_qty := coalesce((v_item->>'quantity')::integer, 0);
+
+      update public.cartons
+         set units_remaining = coalesce(units_remaining, 0) + p_direction * v_qty,
+             updated_at = now()
+       where id = v_carton_id
+      returning units_remaining into v_units;
+
+      if not found then
+        raise exception 'Carton % not found.', v_carton_id;
+      end if;
+      if v_units < 0 then
+        raise exception 'Not enough units remaining for Carton %.', v_carton_id;
+      end if;
+    elsif v_item->>'mode' = 'carton' then
+      update public.cartons
+         set status = case when p_direction < 0 then 'booked' else 'received' end,
+             updated_at = now()
+       where id = v_carton_id;
+
+      if not found then
+        raise exception 'Carton % not found.', v_carton_id;
+      end if;
+    end if;
+  end loop;
+end;
+$$;
+
+-- Cartons touched by an order write, returned so the client can patch its
+-- local list without refetching everything.
+create or replace function public.cartons_as_json(p_ids bigint[])
+returns jsonb
+language sql
+stable
+as $$
+  select coalesce(jsonb_agg(to_jsonb(c) order by c.id), '[]'::jsonb)
+  from public.cartons c
+  where c.id = any(p_ids);
+$$;
+
+create or replace function public.create_order(p_order jsonb, p_items jsonb)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_order public.orders;
+begin
+  insert into public.orders (
+    customer_name,
+    customer_email,
+    customer_phone,
+    delivery_address,
+    status,
+    items,
+    subtotal,
+    delivery_charge,
+    total_amount
+  )
+  values (
+    p_order->>'customer_name',
+    nullif(p_order->>'customer_email', ''),
+    nullif(p_order->>'customer_phone', ''),
+    nullif(p_order->>'delivery_address', ''),
+    coalesce(nullif(p_order->>'status', ''), 'Created'),
+    coalesce(p_items, '[]'::jsonb),
+    coalesce((p_order->>'subtotal')::numeric, 0),
+    coalesce((p_order->>'delivery_charge')::numeric, 0),
+    coalesce((p_order->>'total_amount')::numeric, 0)
+  )
+  returning * into v_order;
+
+  perform public.apply_order_stock(p_items, -1);
+
+  return jsonb_build_object(
+    'order', to_jsonb(v_order),
+    'cartons', public.cartons_as_json(public.order_item_carton_ids(p_items))
+  );
+end;
+$$;
+
+create or replace function public.update_order(p_order_id bigint, p_order jsonb, p_items jsonb)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_old_items jsonb;
+  v_order public.orders;
+begin
+  select items into v_old_items
+    from public.orders
+   where id = p_order_id
+     for update;
+
+  if not found then
+    raise exception 'Order % not found.', p_order_id;
+  end if;
+
+  -- release what the order held before, then take what it holds now;
+  -- cartons kept in both end up booked again
+  perform public.apply_order_stock(v_old_items, 1);
+  perform public.apply_order_stock(p_items, -1);
+
+  update public.orders
+     set customer_name = p_order->>'customer_name',
+         customer_email = nullif(p_order->>'customer_email', ''),
+         customer_phone = nullif(p_order->>'customer_phone', ''),
+         delivery_address = nullif(p_order->>'delivery_address', ''),
+         status = coalesce(nullif(p_order->>'status', ''), status),
+         items = coalesce(p_items, '[]'::jsonb),
+         subtotal = coalesce((p_order->>'subtotal')::numeric, 0),
+         delivery_charge = coalesce((p_order->>'delivery_charge')::numeric, 0),
+         total_amount = coalesce((p_order->>'total_amount')::numeric, 0),
+         updated_at = now()
+   where id = p_order_id
+  returning * into v_order;
+
+  return jsonb_build_object(
+    'order', to_jsonb(v_order),
+    'cartons', public.cartons_as_json(
+      public.order_item_carton_ids(v_old_items) || public.order_item_carton_ids(p_items)
+    )
+  );
+end;
+$$;
+
+create or replace function public.delete_order(p_order_id bigint)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_old_items jsonb;
+begin
+  select items into v_old_items
+    from public.orders
+   where id = p_order_id
+     for update;
+
+  if not found then
+    raise exception 'Order % not found.', p_order_id;
+  end if;
+
+  perform public.apply_order_stock(v_old_items, 1);
+
+  delete from public.orders where id = p_order_id;
+
+  return jsonb_build_object(
+    'cartons', public.cartons_as_json(public.order_item_carton_ids(v_old_items))
+  );
+end;
+$$;
+
+grant execute on function public.create_order(jsonb, jsonb) to authenticated;
+grant execute on function public.update_order(bigint, jsonb, jsonb) to authenticated;
+grant execute on function public.delete_order(bigint) to authenticated;
@@ -0,0 +1,194 @@
+-- Concurrency-safe carton reservation and optimistic version checks.
+--
+-- * Stock changes lock the affected carton rows and validate against the
+--   current database state instead of values computed in the browser, so
+--   two people can't book the same carton or overwrite each other's loose
+--   unit counts.
+-- * cartons and orders carry a version number bumped on every update. Edits
+--   send the version they started from and are rejected if the row moved on.
+
+alter table public.cartons add column if not exists version integer not null default 1;
+alter table public.orders add column if not exists version integer not null default 1;
+
+create or replace function public.bump_row_version()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.version := coalesce(old.version, 0) + 1;
+  return new;
+end;
+$$;
+
+drop trigger if exists cartons_bump_version on public.cartons;
+create trigger cartons_bump_version
+  before update on public.cartons
+  for each row execute function public.bump_row_version();
+
+drop trigger if exists orders_bump_version on public.orders;
+create trigger orders_bump_version
+  before update on public.orders
+  for each row execute function public.bump_row_version();
+
+-- Same contract as before, but every carton is locked (in id order, to avoid
+-- deadlocks between concurrent orders) and checked against its current row.
+create or replace function public.apply_order_stock(p_items jsonb, p_direction integer)
+returns void
+language plpgsql
+as $$
+declare
+  v_item jsonb;
+  v_carton_id bigint;
+  v_qty integer;
+  v_carton public.cartons;
+begin
+  perform 1
+     from public.cartons
+    where id = any(public.order_item_carton_ids(p_items))
+    order by id
+      for update;
+
+  for v_item in select * from jsonb_array_elements(coalesce(p_items, '[]'::jsonb))
+  loop
+    v_carton_id := nullif(v_item->>'carton_id', '')::bigint;
+    if v_carton_id is null then
+      continue;
+    end if;
+
+    select * into v_carton from public.cartons where id = v_carton_id;
+    if not found then
+      raise exception 'Carton % not found.', v_carton_id;
+    end if;
+
+    if v_item->>'mode' = 'loose' then
+      v_qty := coalesce((v_item->>'quantity')::integer, 0);
+
+      if p_direction < 0 then
+        if v_carton.status <> 'received' then
+          raise exception 'Carton % is no longer available (status: %).',
+            v_carton_id, v_carton.status;
+        end if;
+        if coalesce(v_carton.units_remaining, 0) < v_qty then
+          raise exception 'Not enough units remaining for Carton % (requested %, available %).',
+            v_carton_id, v_qty, coalesce(v_carton.units_remaining, 0);
+        end if;
+      end if;
+
+      update public.cartons
+         set units_remaining = coalesce(units_remaining, 0) + p_direction * v_qty,
+             updated_at = now()
+       where id = v_carton_id;
+    elsif v_item->>'mode' = 'carton' then
+      if p_direction < 0 and v_carton.status <> 'received' then
+        raise exception 'Carton % is no longer available (status: %). Another order may have booked it.',
+          v_carton_id, v_carton.status;
+      end if;
+      if p_direction > 0 and v_carton.status <> 'booked' then
+        -- already released elsewhere (e.g. edited by hand); nothing to undo
+        continue;
+      end if;
+
+      update public.cartons
+         set status = case when p_direction < 0 then 'booked' else 'received' end,
+             updated_at = now()
+       where id = v_carton_id;
+    end if;
+  end loop;
+end;
+$$;
+
+create or replace function public.assert_order_version(p_order_id bigint, p_expected_version integer)
+returns void
+language plpgsql
+as $$
+declare
+  v_version integer;
+begin
+  select version into v_version
+    from public.orders
+   where id = p_order_id
+     for update;
+
+  if not found then
+    raise exception 'Order % not found.', p_order_id;
+  end if;
+
+  if p_expected_version is not null and v_version <> p_expected_version then
+    raise exception 'Order % was changed by someone else while you were editing it. Reload and try again.',
+      p_order_id;
+  end if;
+end;
+$$;
+
+drop function if exists public.update_order(bigint, jsonb, jsonb);
+drop function if exists public.delete_order(bigint);
+
+create or replace function public.update_order(
+  p_order_id bigint,
+  p_order jsonb,
+  p_items jsonb,
+  p_expected_version integer default null
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_old_items jsonb;
+  v_order public.orders;
+begin
+  perform public.assert_order_version(p_order_id, p_expected_version);
+
+  select items into v_old_items from public.orders where id = p_order_id;
+
+  perform public.apply_order_stock(v_old_items, 1);
+  perform public.apply_order_stock(p_items, -1);
+
+  update public.orders
+     set customer_name = p_order->>'customer_name',
+         customer_email = nullif(p_order->>'customer_email', ''),
+         customer_phone = nullif(p_order->>'customer_phone', ''),
+         delivery_address = nullif(p_order->>'delivery_address', ''),
+         status = coalesce(nullif(p_order->>'status', ''), status),
+         items = coalesce(p_items, '[]'::jsonb),
+         subtotal = coalesce((p_order->>'subtotal')::numeric, 0),
+         delivery_charge = coalesce((p_order->>'delivery_charge')::numeric, 0),
+         total_amount = coalesce((p_order->>'total_amount')::numeric, 0),
+         updated_at = now()
+   where id = p_order_id
+  returning * into v_order;
+
+  return jsonb_build_object(
+    'order', to_jsonb(v_order),
+    'cartons', public.cartons_as_json(
+      public.order_item_carton_ids(v_old_items) || public.order_item_carton_ids(p_items)
+    )
+  );
+end;
+$$;
+
+create or replace function public.delete_order(
+  p_order_id bigint,
+  p_expected_version integer default null
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_old_items jsonb;
+begin
+  perform public.assert_order_version(p_order_id, p_expected_version);
+
+  select items into v_old_items from public.orders where id = p_order_id;
+
+  perform public.apply_order_stock(v_old_items, 1);
+
+  delete from public.orders where id = p_order_id;
+
+  return jsonb_build_object(
+    'cartons', public.cartons_as_json(public.order_item_carton_ids(v_old_items))
+  );
+end;
+$$;
+
+grant execute on function public.update_order(bigint, jsonb, jsonb, integer) to authenticated;
+grant execute on function public.delete_order(bigint, integer) to authenticated;
@@ -0,0 +1,298 @@
+-- Normalized order lines.
+--
+-- Order lines used to live in the orders.items JSON array and every screen
+-- re-parsed it. They now live in order_items, linked to orders, products and
+-- cartons, with the unit cost captured at the time of sale so profit stays
+-- correct when purchase prices change later.
+--
+-- Existing orders are backfilled from orders.items. The JSON column is kept
+-- (nullable, no longer written) so the migration can be rolled back.
+
+create table if not exists public.order_items (
+  id bigint generated by default as identity primary key,
+  order_id bigint not null references public.orders(id) on delete cascade,
+  line_no integer not null,
+  mode text not null check (mode in ('carton', 'loose')),
+  product_id bigint references public.products(id) on delete set null,
+  carton_id bigint references public.cartons(id) on delete set null,
+  quantity integer not null default 0 check (quantity >= 0),
+  unit_price numeric(12, 2) not null default 0,
+  line_total numeric(12, 2) not null default 0,
+  unit_cost numeric(12, 2),
+  created_at timestamptz not null default now(),
+  unique (order_id, line_no)
+);
+
+create index if not exists order_items_order_id_idx on public.order_items (order_id);
+create index if not exists order_items_product_id_idx on public.order_items (product_id);
+create index if not exists order_items_carton_id_idx on public.order_items (carton_id);
+
+alter table public.order_items enable row level security;
+
+drop policy if exists "order_items authenticated access" on public.order_items;
+create policy "order_items authenticated access"
+  on public.order_items
+  for all
+  to authenticated
+  using (true)
+  with check (true);
+
+-- ---------- backfill ----------
+
+insert into public.order_items (
+  order_id, line_no, mode, product_id, carton_id,
+  quantity, unit_price, line_total, unit_cost, created_at
+)
+select
+  o.id,
+  it.ordinality,
+  coalesce(nullif(it.value->>'mode', ''), 'carton'),
+  nullif(it.value->>'product_id', '')::bigint,
+  nullif(it.value->>'carton_id', '')::bigint,
+  coalesce((it.value->>'quantity')::integer, 0),
+  coalesce((it.value->>'unit_price')::numeric, 0),
+  coalesce((it.value->>'line_total')::numeric, 0),
+  p.unit_purchase_price,
+  coalesce(o.created_at, now())
+from public.orders o
+cross join lateral jsonb_array_elements(
+  case when jsonb_typeof(o.items) = 'array' then o.items else '[]'::jsonb end
+) with ordinality as it(value, ordinality)
+left join public.products p on p.id = nullif(it.value->>'product_id', '')::bigint
+where not exists (select 1 from public.order_items oi where oi.order_id = o.id);
+
+alter table public.orders alter column items drop not null;
+comment on column public.orders.items is
+  'Deprecated: superseded by order_items. No longer written; kept for rollback.';
+
+-- ---------- helpers ----------
+
+-- Stored lines of an order in the item payload shape used by apply_order_stock.
+create or replace function public.order_items_as_json(p_order_id bigint)
+returns jsonb
+language sql
+stable
+as $$
+  select coalesce(
+    jsonb_agg(
+      jsonb_build_object(
+        'mode', oi.mode,
+        'carton_id', oi.carton_id,
+        'product_id', oi.product_id,
+        'quantity', oi.quantity,
+        'unit_price', oi.unit_price,
+        'line_total', oi.line_total
+      )
+      order by oi.line_no
+    ),
+    '[]'::jsonb
+  )
+  from public.order_items oi
+  where oi.order_id = p_order_id;
+$$;
+
+-- Order row with its lines nested, matching select("*, order_items(*)").
+create or replace function public.order_as_json(p_order_id bigint)
+returns jsonb
+language sql
+stable
+as $$
+  select to_jsonb(o) || jsonb_build_object(
+    'order_items',
+    coalesce(
+      (select jsonb_agg(to_jsonb(oi) order by oi.line_no)
+         from public.order_items oi
+        where oi.order_id = o.id),
+      '[]'::jsonb
+    )
+  )
+  from public.orders o
+  where o.id = p_order_id;
+$$;
+
+-- Replace the lines of an order. Lines for a product that was already on the
+-- order keep their original cost snapshot; new products snapshot today's cost.
+create or replace function public.replace_order_items(p_order_id bigint, p_items jsonb)
+returns void
+language plpgsql
+as $$
+declare
+  v_costs jsonb;
+begin
+  select coalesce(jsonb_object_agg(product_id::text, unit_cost), '{}'::jsonb)
+    into v_costs
+    from (
+      select distinct on (product_id) product_id, unit_cost
+        from public.order_items
+       where order_id = p_order_id
+         and product_id is not null
+         and unit_cost is not null
+       order by product_id, line_no
+    ) prev;
+
+  delete from public.order_items where order_id = p_order_id;
+
+  insert into public.order_items (
+    order_id, line_no, mode, product_id, carton_id,
+    quantity, unit_price, line_total, unit_cost
+  )
+  select
+    p_order_id,
+    it.ordinality,
+    coalesce(nullif(it.value->>'mode', ''), 'carton'),
+    nullif(it.value->>'product_id', '')::bigint,
+    nullif(it.value->>'carton_id', '')::bigint,
+    coalesce((it.value->>'quantity')::integer, 0),
+    coalesce((it.value->>'unit_price')::numeric, 0),
+    coalesce((it.value->>'line_total')::numeric, 0),
+    coalesce(
+      (v_costs->>(it.value->>'product_id'))::numeric,
+      p.unit_purchase_price
+    )
+  from jsonb_array_elements(coalesce(p_items, '[]'::jsonb))
+    with ordinality as it(value, ordinality)
+  left join public.products p on p.id = nullif(it.value->>'product_id', '')::bigint;
+end;
+$$;
+
+-- ---------- order writes now go through order_items ----------
+
+create or replace function public.create_order(p_order jsonb, p_items jsonb)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_order_id bigint;
+begin
+  insert into public.orders (
+    customer_name,
+    customer_email,
+    customer_phone,
+    delivery_address,
+    status,
+    subtotal,
+    delivery_charge,
+    total_amount
+  )
+  values (
+    p_order->>'customer_name',
+    nullif(p_order->>'customer_email', ''),
+    nullif(p_order->>'customer_phone', ''),
+    nullif(p_order->>'delivery_address', ''),
+    coalesce(nullif(p_order->>'status', ''), 'Created'),
+    coalesce((p_order->>'subtotal')::numeric, 0),
+    coalesce((p_order->>'delivery_charge')::numeric, 0),
+    coalesce((p_order->>'total_amount')::numeric, 0)
+  )
+  returning id into v_order_id;
+
+  perform public.replace_order_items(v_order_id, p_items);
+  perform public.apply_order_stock(p_items, -1);
+
+  return jsonb_build_object(
+    'order', public.order_as_json(v_order_id),
+    'cartons', public.cartons_as_json(public.order_item_carton_ids(p_items))
+  );
+end;
+$$;
+
+create or replace function public.update_order(
+  p_order_id bigint,
+  p_order jsonb,
+  p_items jsonb,
+  p_expected_version integer default null
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_old_items jsonb;
+begin
+  perform public.assert_order_version(p_order_id, p_expected_version);
+
+  v_old_items := public.order_items_as_json(p_order_id);
+
+  perform public.apply_order_stock(v_old_items, 1);
+  perform public.apply_order_stock(p_items, -1);
+  perform public.replace_order_items(p_order_id, p_items);
+
+  update public.orders
+     set customer_name = p_order->>'customer_name',
+         customer_email = nullif(p_order->>'customer_email', ''),
+         customer_phone = nullif(p_order->>'customer_phone', ''),
+         delivery_address = nullif(p_order->>'delivery_address', ''),
+         status = coalesce(nullif(p_order->>'status', ''), status),
+         subtotal = coalesce((p_order->>'subtotal')::numeric, 0),
+         delivery_charge = coalesce((p_order->>'delivery_charge')::numeric, 0),
+         total_amount = coalesce((p_order->>'total_amount')::numeric, 0),
+         updated_at = now()
+   where id = p_order_id;
+
+  return jsonb_build_object(
+    'order', public.order_as_json(p_order_id),
+    'cartons', public.cartons_as_json(
+      public.order_item_carton_ids(v_old_items) || public.order_item_carton_ids(p_items)
+    )
+  );
+end;
+$$;
+
+create or replace function public.delete_order(
+  p_order_id bigint,
+  p_expected_version integer default null
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_old_items jsonb;
+begin
+  perform public.assert_order_version(p_order_id, p_expected_version);
+
+  v_old_items := public.order_items_as_json(p_order_id);
+
+  perform public.apply_order_stock(v_old_items, 1);
+
+  -- order_items go with it (on delete cascade)
+  delete from public.orders where id = p_order_id;
+
+  return jsonb_build_object(
+    'cartons', public.cartons_as_json(public.order_item_carton_ids(v_old_items))
+  );
+end;
+$$;
+
+-- ---------- reporting views ----------
+
+-- Units, revenue, cost and profit per product across all orders.
+create or replace view public.product_sales
+with (security_invoker = true)
+as
+select
+  oi.product_id,
+  count(distinct oi.order_id) as order_count,
+  sum(oi.quantity) as units_sold,
+  sum(oi.line_total) as revenue,
+  sum(oi.quantity * coalesce(oi.unit_cost, 0)) as cost,
+  sum(oi.line_total - oi.quantity * coalesce(oi.unit_cost, 0)) as profit
+from public.order_items oi
+where oi.product_id is not null
+group by oi.product_id;
+
+-- Every order line a carton has appeared on.
+create or replace view public.carton_history
+with (security_invoker = true)
+as
+select
+  oi.carton_id,
+  oi.order_id,
+  oi.mode,
+  oi.quantity,
+  oi.unit_price,
+  oi.line_total,
+  o.status as order_status,
+  o.customer_name,
+  o.created_at as ordered_at
+from public.order_items oi
+join public.orders o on o.id = oi.order_id
+where oi.carton_id is not null;
@@ -0,0 +1,205 @@
+-- Order status lifecycle.
+--
+--   Created  -> Shipped | Delivered | Cancelled
+--   Shipped  -> Delivered | Returned
+--   Delivered -> Paid | Returned
+--   Paid     -> Returned
+--   Cancelled, Returned: final
+--
+-- New orders always start as Created. Every status change (including the
+-- initial one) is recorded in order_status_history with who made it.
+-- Keep src/utils/orderStatus.js in sync with this table of transitions.
+
+create or replace function public.order_status_transition_allowed(p_from text, p_to text)
+returns boolean
+language sql
+immutable
+as $$
+  select case p_from
+    when 'Created' then p_to in ('Shipped', 'Delivered', 'Cancelled')
+    when 'Shipped' then p_to in ('Delivered', 'Returned')
+    when 'Delivered' then p_to in ('Paid', 'Returned')
+    when 'Paid' then p_to in ('Returned')
+    else false
+  end;
+$$;
+
+alter table public.orders
+  drop constraint if exists orders_status_check;
+alter table public.orders
+  add constraint orders_status_check
+  check (status in ('Created', 'Shipped', 'Delivered', 'Paid', 'Cancelled', 'Returned'))
+  not valid;
+
+create table if not exists public.order_status_history (
+  id bigint generated by default as identity primary key,
+  order_id bigint not null references public.orders(id) on delete cascade,
+  from_status text,
+  to_status text not null,
+  note text,
+  changed_by uuid default auth.uid(),
+  changed_by_email text default (auth.jwt() ->> 'email'),
+  changed_at timestamptz not null default now()
+);
+
+create index if not exists order_status_history_order_id_idx
+  on public.order_status_history (order_id, changed_at);
+
+alter table public.order_status_history enable row level security;
+
+-- history is append-only from the client's point of view
+drop policy if exists "order_status_history read" on public.order_status_history;
+create policy "order_status_history read"
+  on public.order_status_history
+  for select
+  to authenticated
+  using (true);
+
+-- ---------- enforcement ----------
+
+create or replace function public.enforce_order_status()
+returns trigger
+language plpgsql
+as $$
+begin
+  if tg_op = 'INSERT' then
+    new.status := coalesce(new.status, 'Created');
+    if new.status <> 'Created' then
+      raise exception 'New orders must start as Created (got %).', new.status;
+    end if;
+  elsif new.status is distinct from old.status then
+    if not public.order_status_transition_allowed(old.status, new.status) then
+      raise exception 'Order %: cannot change status from % to %.',
+        old.id, old.status, new.status;
+    end if;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists orders_enforce_status on public.orders;
+create trigger orders_enforce_status
+  before insert or update of status on public.orders
+  for each row execute function public.enforce_order_status();
+
+-- Runs as the table owner so clients don't need insert rights on the history.
+-- An optional note for the change can be passed with
+--   set_config('app.status_note', '...', true)
+-- inside the same transaction.
+create or replace function public.record_order_status()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if tg_op = 'INSERT' or new.status is distinct from old.status then
+    insert into public.order_status_history (order_id, from_status, to_status, note)
+    values (
+      new.id,
+      case when tg_op = 'INSERT' then null else old.status end,
+      new.status,
+      nullif(current_setting('app.status_note', true), '')
+    );
+  end if;
+  return null;
+end;
+$$;
+
+drop trigger if exists orders_record_status on public.orders;
+create trigger orders_record_status
+  after insert or update of status on public.orders
+  for each row execute function public.record_order_status();
+
+-- ---------- backfill ----------
+
+-- One entry per existing order with its current status. For orders already
+-- past Created, updated_at is the best guess we have for when that happened.
+insert into public.order_status_history (
+  order_id, from_status, to_status, note, changed_by, changed_by_email, changed_at
+)
+select
+  o.id,
+  null,
+  o.status,
+  'Imported with existing order',
+  null,
+  null,
+  case
+    when o.status = 'Created' then coalesce(o.created_at, now())
+    else coalesce(o.updated_at, o.created_at, now())
+  end
+from public.orders o
+where not exists (
+  select 1 from public.order_status_history h where h.order_id = o.id
+);
+
+-- ---------- RPC payloads carry the history ----------
+
+create or replace function public.order_as_json(p_order_id bigint)
+returns jsonb
+language sql
+stable
+as $$
+  select to_jsonb(o) || jsonb_build_object(
+    'order_items',
+    coalesce(
+      (select jsonb_agg(to_jsonb(oi) order by oi.line_no)
+         from public.order_items oi
+        where oi.order_id = o.id),
+      '[]'::jsonb
+    ),
+    'order_status_history',
+    coalesce(
+      (select jsonb_agg(to_jsonb(h) order by h.changed_at, h.id)
+         from public.order_status_history h
+        where h.order_id = o.id),
+      '[]'::jsonb
+    )
+  )
+  from public.orders o
+  where o.id = p_order_id;
+$$;
+
+-- update_order accepts an optional "status_note" in p_order for the history.
+create or replace function public.update_order(
+  p_order_id bigint,
+  p_order jsonb,
+  p_items jsonb,
+  p_expected_version integer default null
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_old_items jsonb;
+begin
+  perform public.assert_order_version(p_order_id, p_expected_version);
+  perform set_config('app.status_note', coalesce(p_order->>'status_note', ''), true);
+
+  v_old_items := public.order_items_as_json(p_order_id);
+
+  perform public.apply_order_stock(v_old_items, 1);
+  perform public.apply_order_stock(p_items, -1);
+  perform public.replace_order_items(p_order_id, p_items);
+
+  update public.orders
+     set customer_name = p_order->>'customer_name',
+         customer_email = nullif(p_order->>'customer_email', ''),
+         customer_phone = nullif(p_order->>'customer_phone', ''),
+         delivery_address = nullif(p_order->>'delivery_address', ''),
+         status = coalesce(nullif(p_order->>'status', ''), status),
+         subtotal = coalesce((p_order->>'subtotal')::numeric, 0),
+         delivery_charge = coalesce((p_order->>'delivery_charge')::numeric, 0),
+         total_amount = coalesce((p_order->>'total_amount')::numeric, 0),
+         updated_at = now()
+   where id = p_order_id;
+
+  return jsonb_build_object(
+    'order', public.order_as_json(p_order_id),
+    'cartons', public.cartons_as_json(
+      public.order_item_carton_ids(v_old_items) || public.order_item_carton_ids(p_items)
+    )
+  );
+end;
+$$;
@@ -0,0 +1,320 @@
+-- Order cancellation and customer returns.
+--
+-- Deleting an order destroys the record. Cancelling (before shipping) and
+-- returning (after shipping, fully or per line) keep it and put the stock
+-- back:
+--   * loose units go back into the carton they were taken from
+--   * a fully returned carton goes back to "received" as it was
+--   * a partially returned carton goes back to "received" as an opened
+--     carton holding only the returned units
+-- Returned value is tracked on the order (returned_amount) so revenue can be
+-- reported net of returns.
+
+alter table public.order_items
+  add column if not exists returned_quantity integer not null default 0;
+alter table public.order_items
+  drop constraint if exists order_items_returned_quantity_check;
+alter table public.order_items
+  add constraint order_items_returned_quantity_check
+  check (returned_quantity >= 0 and returned_quantity <= quantity);
+
+alter table public.orders
+  add column if not exists returned_amount numeric(12, 2) not null default 0,
+  add column if not exists cancelled_at timestamptz,
+  add column if not exists cancel_reason text;
+
+create table if not exists public.order_returns (
+  id bigint generated by default as identity primary key,
+  order_id bigint not null references public.orders(id) on delete cascade,
+  order_item_id bigint references public.order_items(id) on delete set null,
+  carton_id bigint references public.cartons(id) on delete set null,
+  quantity integer not null check (quantity > 0),
+  amount numeric(12, 2) not null default 0,
+  reason text,
+  created_by uuid default auth.uid(),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists order_returns_order_id_idx on public.order_returns (order_id);
+
+alter table public.order_returns enable row level security;
+
+drop policy if exists "order_returns read" on public.order_returns;
+create policy "order_returns read"
+  on public.order_returns
+  for select
+  to authenticated
+  using (true);
+
+-- ---------- what an order still holds ----------
+
+-- Stock the order still holds, in the apply_order_stock payload shape.
+-- Cancelled orders hold nothing; returned units are no longer held, and a
+-- carton line with any return is back on the shelf.
+create or replace function public.order_items_as_json(p_order_id bigint)
+returns jsonb
+language sql
+stable
+as $$
+  select coalesce(
+    jsonb_agg(
+      jsonb_build_object(
+        'mode', oi.mode,
+        'carton_id', oi.carton_id,
+        'product_id', oi.product_id,
+        'quantity', oi.quantity - oi.returned_quantity,
+        'unit_price', oi.unit_price,
+        'line_total', oi.line_total
+      )
+      order by oi.line_no
+    ),
+    '[]'::jsonb
+  )
+  from public.order_items oi
+  join public.orders o on o.id = oi.order_id
+  where oi.order_id = p_order_id
+    and o.status <> 'Cancelled'
+    and oi.quantity > oi.returned_quantity
+    and not (oi.mode = 'carton' and oi.returned_quantity > 0);
+$$;
+
+-- ---------- edits ----------
+
+-- Cancelled / Returned can only be reached through cancel_order and
+-- return_order_items, which restock. Once an order has returns, or is
+-- finished, its lines are frozen: pass p_items = null to change only the
+-- customer details and status.
+create or replace function public.update_order(
+  p_order_id bigint,
+  p_order jsonb,
+  p_items jsonb,
+  p_expected_version integer default null
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_current public.orders;
+  v_old_items jsonb;
+  v_new_status text := nullif(p_order->>'status', '');
+begin
+  perform public.assert_order_version(p_order_id, p_expected_version);
+  perform set_config('app.status_note', coalesce(p_order->>'status_note', ''), true);
+
+  select * into v_current from public.orders where id = p_order_id;
+
+  if v_new_status in ('Cancelled', 'Returned')
+     and v_new_status is distinct from v_current.status then
+    raise exception 'Use the Cancel / Return actions to mark order % as %.',
+      p_order_id, v_new_status;
+  end if;
+
+  if p_items is not null then
+    if v_current.status in ('Cancelled', 'Returned') or v_current.returned_amount > 0 then
+      raise exception 'Order % has cancellations or returns recorded; its items can no longer be edited.',
+        p_order_id;
+    end if;
+
+    v_old_items := public.order_items_as_json(p_order_id);
+
+    perform public.apply_order_stock(v_old_items, 1);
+    perform public.apply_order_stock(p_items, -1);
+    perform public.replace_order_items(p_order_id, p_items);
+  end if;
+
+  update public.orders
+     set customer_name = p_order->>'customer_name',
+         customer_email = nullif(p_order->>'customer_email', ''),
+         customer_phone = nullif(p_order->>'customer_phone', ''),
+         delivery_address = nullif(p_order->>'delivery_address', ''),
+         status = coalesce(v_new_status, status),
+         subtotal = case when p_items is null then subtotal
+                         else coalesce((p_order->>'subtotal')::numeric, 0) end,
+         delivery_charge = case when p_items is null then delivery_charge
+                                else coalesce((p_order->>'delivery_charge')::numeric, 0) end,
+         total_amount = case when p_items is null then total_amount
+                             else coalesce((p_order->>'total_amount')::numeric, 0) end,
+         updated_at = now()
+   where id = p_order_id;
+
+  return jsonb_build_object(
+    'order', public.order_as_json(p_order_id),
+    'cartons', public.cartons_as_json(
+      public.order_item_carton_ids(coalesce(v_old_items, '[]'::jsonb))
+      || public.order_item_carton_ids(p_items)
+    )
+  );
+end;
+$$;
+
+-- ---------- cancel ----------
+
+create or replace function public.cancel_order(
+  p_order_id bigint,
+  p_reason text default null,
+  p_expected_version integer default null
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_held jsonb;
+begin
+  perform public.assert_order_version(p_order_id, p_expected_version);
+  perform set_config('app.status_note', coalesce(p_reason, ''), true);
+
+  v_held := public.order_items_as_json(p_order_id);
+  perform public.apply_order_stock(v_held, 1);
+
+  -- the status trigger rejects this unless the order is still Created
+  update public.orders
+     set status = 'Cancelled',
+         cancelled_at = now(),
+         cancel_reason = nullif(p_reason, ''),
+         updated_at = now()
+   where id = p_order_id;
+
+  return jsonb_build_object(
+    'order', public.order_as_json(p_order_id),
+    'cartons', public.cartons_as_json(public.order_item_carton_ids(v_held))
+  );
+end;
+$$;
+
+-- ---------- returns ----------
+
+-- p_lines: [{ "order_item_id": 12, "quantity": 30 }, ...]
+create or replace function public.return_order_items(
+  p_order_id bigint,
+  p_lines jsonb,
+  p_reason text default null,
+  p_expected_version integer default null
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_order public.orders;
+  v_line jsonb;
+  v_item public.order_items;
+  v_carton public.cartons;
+  v_qty integer;
+  v_amount numeric(12, 2);
+  v_total_returned numeric(12, 2) := 0;
+  v_carton_ids bigint[] := '{}';
+begin
+  perform public.assert_order_version(p_order_id, p_expected_version);
+
+  select * into v_order from public.orders where id = p_order_id;
+  if v_order.status not in ('Shipped', 'Delivered', 'Paid') then
+    raise exception 'Only shipped, delivered or paid orders can be returned (order % is %).',
+      p_order_id, v_order.status;
+  end if;
+
+  for v_line in select * from jsonb_array_elements(coalesce(p_lines, '[]'::jsonb))
+  loop
+    v_qty := coalesce((v_line->>'quantity')::integer, 0);
+    if v_qty <= 0 then
+      continue;
+    end if;
+
+    select * into v_item
+      from public.order_items
+     where id = (v_line->>'order_item_id')::bigint
+       and order_id = p_order_id
+       for update;
+
+    if not found then
+      raise exception 'Order line % does not belong to order %.',
+        v_line->>'order_item_id', p_order_id;
+    end if;
+
+    if v_qty > v_item.quantity - v_item.returned_quantity then
+      raise exception 'Cannot return % units of line % (only % not yet returned).',
+        v_qty, v_item.line_no, v_item.quantity - v_item.returned_quantity;
+    end if;
+
+    if v_item.carton_id is not null then
+      select * into v_carton from public.cartons where id = v_item.carton_id for update;
+
+      if v_item.mode = 'loose' or v_carton.status <> 'booked' then
+        -- back into the source carton (or a carton already back from an
+        -- earlier partial return of this line)
+        update public.cartons
+           set units_remaining = coalesce(units_remaining, 0) + v_qty,
+               is_open = case when v_item.mode = 'carton' then true else is_open end,
+               status = case when status = 'booked' then 'received' else status end,
+               updated_at = now()
+         where id = v_item.carton_id;
+      else
+        -- booked carton comes back: whole, or opened with only what returned
+        update public.cartons
+           set status = 'received',
+               units_remaining = v_qty,
+               is_open = v_qty < v_item.quantity,
+               updated_at = now()
+         where id = v_item.carton_id;
+      end if;
+
+      v_carton_ids := v_carton_ids || v_item.carton_id;
+    end if;
+
+    v_amount := round(v_qty * v_item.unit_price, 2);
+    v_total_returned := v_total_returned + v_amount;
+
+    update public.order_items
+       set returned_quantity = returned_quantity + v_qty
+     where id = v_item.id;
+
+    insert into public.order_returns (order_id, order_item_id, carton_id, quantity, amount, reason)
+    values (p_order_id, v_item.id, v_item.carton_id, v_qty, v_amount, nullif(p_reason, ''));
+  end loop;
+
+  if v_total_returned = 0 then
+    raise exception 'Nothing to return: enter a quantity for at least one line.';
+  end if;
+
+  perform set_config('app.status_note', coalesce(p_reason, ''), true);
+
+  update public.orders
+     set returned_amount = returned_amount + v_total_returned,
+         status = case
+           when not exists (
+             select 1 from public.order_items
+              where order_id = p_order_id and returned_quantity < quantity
+           ) then 'Returned'
+           else status
+         end,
+         updated_at = now()
+   where id = p_order_id;
+
+  return jsonb_build_object(
+    'order', public.order_as_json(p_order_id),
+    'cartons', public.cartons_as_json(v_carton_ids)
+  );
+end;
+$$;
+
+grant execute on function public.cancel_order(bigint, text, integer) to authenticated;
+grant execute on function public.return_order_items(bigint, jsonb, text, integer) to authenticated;
+
+-- ---------- reporting: net of cancellations and returns ----------
+
+create or replace view public.product_sales
+with (security_invoker = true)
+as
+select
+  oi.product_id,
+  count(distinct oi.order_id) as order_count,
+  sum(oi.quantity - oi.returned_quantity) as units_sold,
+  sum(oi.line_total - oi.returned_quantity * oi.unit_price) as revenue,
+  sum((oi.quantity - oi.returned_quantity) * coalesce(oi.unit_cost, 0)) as cost,
+  sum(
+    oi.line_total - oi.returned_quantity * oi.unit_price
+    - (oi.quantity - oi.returned_quantity) * coalesce(oi.unit_cost, 0)
+  ) as profit
+from public.order_items oi
+join public.orders o on o.id = oi.order_id
+where oi.product_id is not null
+  and o.status <> 'Cancelled'
+group by oi.product_id;
@@ -0,0 +1,230 @@
+-- Payment ledger per order.
+--
+-- Customers pay in instalments (cash, bKash, Nagad, ...). Every payment is a
+-- row in order_payments; orders.amount_paid and orders.payment_status are
+-- kept in sync from the ledger (and can't be written any other way), and a
+-- delivered order that becomes fully paid moves to Paid on its own. Paid can
+-- no longer be set by hand while a balance is outstanding.
+
+create table if not exists public.order_payments (
+  id bigint generated by default as identity primary key,
+  order_id bigint not null references public.orders(id) on delete cascade,
+  amount numeric(12, 2) not null check (amount <> 0),
+  method text not null default 'cash'
+    check (method in ('cash', 'bkash', 'nagad', 'rocket', 'bank', 'card', 'cod', 'other')),
+  reference text,
+  note text,
+  paid_at timestamptz not null default now(),
+  created_by uuid default auth.uid(),
+  created_by_email text default (auth.jwt() ->> 'email'),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists order_payments_order_id_idx on public.order_payments (order_id);
+create index if not exists order_payments_paid_at_idx on public.order_payments (paid_at);
+
+alter table public.order_payments enable row level security;
+
+drop policy if exists "order_payments authenticated access" on public.order_payments;
+create policy "order_payments authenticated access"
+  on public.order_payments
+  for all
+  to authenticated
+  using (true)
+  with check (true);
+
+alter table public.orders
+  add column if not exists amount_paid numeric(12, 2) not null default 0,
+  add column if not exists payment_status text not null default 'Unpaid';
+
+alter table public.orders drop constraint if exists orders_payment_status_check;
+alter table public.orders
+  add constraint orders_payment_status_check
+  check (payment_status in ('Unpaid', 'Partially Paid', 'Paid'));
+
+-- What the customer owes: nothing once cancelled, less anything returned.
+-- Same rule as getNetOrderAmount() in src/utils/orderTotals.js.
+create or replace function public.order_net_amount(p_order public.orders)
+returns numeric
+language sql
+immutable
+as $$
+  select case
+    when p_order.status = 'Cancelled' then 0
+    else greatest(0, coalesce(p_order.total_amount, 0) - coalesce(p_order.returned_amount, 0))
+  end;
+$$;
+
+create or replace function public.set_order_payment_status()
+returns trigger
+language plpgsql
+as $$
+declare
+  v_net numeric := public.order_net_amount(new);
+begin
+  new.payment_status := case
+    when coalesce(new.amount_paid, 0) <= 0 then 'Unpaid'
+    when new.amount_paid >= v_net then 'Paid'
+    else 'Partially Paid'
+  end;
+  return new;
+end;
+$$;
+
+drop trigger if exists orders_set_payment_status on public.orders;
+create trigger orders_set_payment_status
+  before insert or update on public.orders
+  for each row execute function public.set_order_payment_status();
+
+-- amount_paid / payment_status follow the ledger only: sync_order_payments()
+-- sets app.payment_sync for its own update, every other write is refused.
+-- (Fires before orders_set_payment_status, so it sees what the writer sent.)
+create or replace function public.protect_order_payment_columns()
+returns trigger
+language plpgsql
+as $$
+begin
+  if coalesce(current_setting('app.payment_sync', true), '') = 'on' then
+    return new;
+  end if;
+
+  if tg_op = 'INSERT' then
+    if coalesce(new.amount_paid, 0) <> 0 then
+      raise exception 'New orders start unpaid; record a payment instead.';
+    end if;
+  elsif new.amount_paid is distinct from old.amount_paid
+     or new.payment_status is distinct from old.payment_status then
+    raise exception 'Order %: amount paid and payment status come from its payments; record a payment instead.',
+      old.id;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists orders_protect_payment_columns on public.orders;
+create trigger orders_protect_payment_columns
+  before insert or update on public.orders
+  for each row execute function public.protect_order_payment_columns();
+
+-- Recompute amount_paid from the ledger; a delivered order that is now fully
+-- paid moves on to Paid (recorded in the status history like any change).
+create or replace function public.sync_order_payments()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_order_id bigint := coalesce(new.order_id, old.order_id);
+  v_paid numeric;
+begin
+  select coalesce(sum(amount), 0) into v_paid
+    from public.order_payments
+   where order_id = v_order_id;
+
+  perform set_config('app.status_note', 'Paid in full', true);
+  perform set_config('app.payment_sync', 'on', true);
+
+  update public.orders o
+     set amount_paid = v_paid,
+         status = case
+           when o.status = 'Delivered' and v_paid >= public.order_net_amount(o) then 'Paid'
+           else o.status
+         end
+   where o.id = v_order_id;
+
+  perform set_config('app.payment_sync', '', true);
+  perform set_config('app.status_note', '', true);
+  return null;
+end;
+$$;
+
+drop trigger if exists order_payments_sync on public.order_payments;
+create trigger order_payments_sync
+  after insert or update or delete on public.order_payments
+  for each row execute function public.sync_order_payments();
+
+-- Paid is reached by paying, not by picking it from a list.
+create or replace function public.enforce_order_status()
+returns trigger
+language plpgsql
+as $$
+begin
+  if tg_op = 'INSERT' then
+    new.status := coalesce(new.status, 'Created');
+    if new.status <> 'Created' then
+      raise exception 'New orders must start as Created (got %).', new.status;
+    end if;
+  elsif new.status is distinct from old.status then
+    if not public.order_status_transition_allowed(old.status, new.status) then
+      raise exception 'Order %: cannot change status from % to %.',
+        old.id, old.status, new.status;
+    end if;
+    if new.status = 'Paid' and coalesce(new.amount_paid, 0) < public.order_net_amount(new) then
+      raise exception 'Order % still has % outstanding. Record a payment instead of marking it Paid.',
+        old.id, public.order_net_amount(new) - coalesce(new.amount_paid, 0);
+    end if;
+  end if;
+  return new;
+end;
+$$;
+
+-- ---------- backfill ----------
+
+-- Orders already marked Paid get one payment for their full amount, dated
+-- when they became Paid.
+insert into public.order_payments (
+  order_id, amount, method, reference, paid_at, created_by, created_by_email
+)
+select
+  o.id,
+  public.order_net_amount(o),
+  'other',
+  'Imported: order was marked Paid',
+  coalesce(
+    (select max(h.changed_at) from public.order_status_history h
+      where h.order_id = o.id and h.to_status = 'Paid'),
+    o.updated_at,
+    o.created_at,
+    now()
+  ),
+  null,
+  null
+from public.orders o
+where o.status = 'Paid'
+  and public.order_net_amount(o) > 0
+  and not exists (select 1 from public.order_payments p where p.order_id = o.id);
+
+-- ---------- RPC payloads carry the payments ----------
+
+create or replace function public.order_as_json(p_order_id bigint)
+returns jsonb
+language sql
+stable
+as $$
+  select to_jsonb(o) || jsonb_build_object(
+    'order_items',
+    coalesce(
+      (select jsonb_agg(to_jsonb(oi) order by oi.line_no)
+         from public.order_items oi
+        where oi.order_id = o.id),
+      '[]'::jsonb
+    ),
+    'order_status_history',
+    coalesce(
+      (select jsonb_agg(to_jsonb(h) order by h.changed_at, h.id)
+         from public.order_status_history h
+        where h.order_id = o.id),
+      '[]'::jsonb
+    ),
+    'order_payments',
+    coalesce(
+      (select jsonb_agg(to_jsonb(p) order by p.paid_at, p.id)
+         from public.order_payments p
+        where p.order_id = o.id),
+      '[]'::jsonb
+    )
+  )
+  from public.orders o
+  where o.id = p_order_id;
+$$;
@@ -0,0 +1,260 @@
+-- Customer master records.
+--
+-- Orders used to carry free-text customer details only. Customers now live
+-- in their own table, de-duplicated by phone number, and every order links
+-- to one. The customer_* / delivery_address columns stay on the order as the
+-- snapshot printed on its invoice.
+
+-- Bangladeshi mobile numbers in one shape: "+880 1711-000000",
+-- "8801711000000" and "01711000000" all become "01711000000".
+-- Keep normalizePhone() in src/utils/customers.js in sync.
+create or replace function public.normalize_bd_phone(p_phone text)
+returns text
+language sql
+immutable
+as $$
+  select case
+    when d = '' then null
+    when d like '880%' and length(d) = 13 then '0' || substr(d, 4)
+    when d like '1%' and length(d) = 10 then '0' || d
+    else d
+  end
+  from (select regexp_replace(coalesce(p_phone, ''), '\D', '', 'g') as d) x;
+$$;
+
+create table if not exists public.customers (
+  id bigint generated by default as identity primary key,
+  name text not null,
+  phone text,
+  phone_normalized text generated always as (public.normalize_bd_phone(phone)) stored,
+  email text,
+  address text,
+  notes text,
+  version integer not null default 1,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create unique index if not exists customers_phone_normalized_key
+  on public.customers (phone_normalized)
+  where phone_normalized is not null;
+create index if not exists customers_name_idx on public.customers (lower(name));
+
+drop trigger if exists customers_bump_version on public.customers;
+create trigger customers_bump_version
+  before update on public.customers
+  for each row execute function public.bump_row_version();
+
+alter table public.customers enable row level security;
+
+drop policy if exists "customers authenticated access" on public.customers;
+create policy "customers authenticated access"
+  on public.customers
+  for all
+  to authenticated
+  using (true)
+  with check (true);
+
+alter table public.orders
+  add column if not exists customer_id bigint references public.customers(id) on delete set null;
+
+create index if not exists orders_customer_id_idx on public.orders (customer_id);
+
+-- ---------- backfill ----------
+
+-- One customer per distinct phone, with the details of their latest order.
+-- Orders without a phone number stay unlinked.
+insert into public.customers (name, phone, email, address, created_at)
+select distinct on (public.normalize_bd_phone(o.customer_phone))
+  coalesce(nullif(trim(o.customer_name), ''), 'Unknown'),
+  o.customer_phone,
+  o.customer_email,
+  o.delivery_address,
+  coalesce(o.created_at, now())
+from public.orders o
+where public.normalize_bd_phone(o.customer_phone) is not null
+order by public.normalize_bd_phone(o.customer_phone), o.created_at desc, o.id desc
+on conflict do nothing;
+
+update public.orders o
+   set customer_id = c.id
+  from public.customers c
+ where o.customer_id is null
+   and c.phone_normalized = public.normalize_bd_phone(o.customer_phone);
+
+-- ---------- linking orders to customers ----------
+
+-- The customer an order payload belongs to: the customer_id it names, else
+-- the customer with the same phone, else a new customer. Missing email and
+-- address on an existing customer are filled in from the order.
+create or replace function public.resolve_order_customer(p_order jsonb)
+returns bigint
+language plpgsql
+as $$
+declare
+  v_id bigint := nullif(p_order->>'customer_id', '')::bigint;
+  v_phone text := nullif(trim(p_order->>'customer_phone'), '');
+begin
+  if v_id is not null then
+    if not exists (select 1 from public.customers where id = v_id) then
+      raise exception 'Customer % no longer exists.', v_id;
+    end if;
+    return v_id;
+  end if;
+
+  if public.normalize_bd_phone(v_phone) is null then
+    return null;
+  end if;
+
+  select id into v_id
+    from public.customers
+   where phone_normalized = public.normalize_bd_phone(v_phone);
+
+  if v_id is not null then
+    update public.customers
+       set email = coalesce(email, nullif(p_order->>'customer_email', '')),
+           address = coalesce(address, nullif(p_order->>'delivery_address', '')),
+           updated_at = now()
+     where id = v_id
+       and (email is null or address is null);
+    return v_id;
+  end if;
+
+  insert into public.customers (name, phone, email, address)
+  values (
+    coalesce(nullif(trim(p_order->>'customer_name'), ''), 'Unknown'),
+    v_phone,
+    nullif(p_order->>'customer_email', ''),
+    nullif(p_order->>'delivery_address', '')
+  )
+  returning id into v_id;
+
+  return v_id;
+end;
+$$;
+
+create or replace function public.create_order(p_order jsonb, p_items jsonb)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_order_id bigint;
+begin
+  insert into public.orders (
+    customer_id,
+    customer_name,
+    customer_email,
+    customer_phone,
+    delivery_address,
+    status,
+    subtotal,
+    delivery_charge,
+    total_amount
+  )
+  values (
+    public.resolve_order_customer(p_order),
+    p_order->>'customer_name',
+    nullif(p_order->>'customer_email', ''),
+    nullif(p_order->>'customer_phone', ''),
+    nullif(p_order->>'delivery_address', ''),
+    coalesce(nullif(p_order->>'status', ''), 'Created'),
+    coalesce((p_order->>'subtotal')::numeric, 0),
+    coalesce((p_order->>'delivery_charge')::numeric, 0),
+    coalesce((p_order->>'total_amount')::numeric, 0)
+  )
+  returning id into v_order_id;
+
+  perform public.replace_order_items(v_order_id, p_items);
+  perform public.apply_order_stock(p_items, -1);
+
+  return jsonb_build_object(
+    'order', public.order_as_json(v_order_id),
+    'cartons', public.cartons_as_json(public.order_item_carton_ids(p_items))
+  );
+end;
+$$;
+
+create or replace function public.update_order(
+  p_order_id bigint,
+  p_order jsonb,
+  p_items jsonb,
+  p_expected_version integer default null
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_current public.orders;
+  v_old_items jsonb;
+  v_new_status text := nullif(p_order->>'status', '');
+begin
+  perform public.assert_order_version(p_order_id, p_expected_version);
+  perform set_config('app.status_note', coalesce(p_order->>'status_note', ''), true);
+
+  select * into v_current from public.orders where id = p_order_id;
+
+  if v_new_status in ('Cancelled', 'Returned')
+     and v_new_status is distinct from v_current.status then
+    raise exception 'Use the Cancel / Return actions to mark order % as %.',
+      p_order_id, v_new_status;
+  end if;
+
+  if p_items is not null then
+    if v_current.status in ('Cancelled', 'Returned') or v_current.returned_amount > 0 then
+      raise exception 'Order % has cancellations or returns recorded; its items can no longer be edited.',
+        p_order_id;
+    end if;
+
+    v_old_items := public.order_items_as_json(p_order_id);
+
+    perform public.apply_order_stock(v_old_items, 1);
+    perform public.apply_order_stock(p_items, -1);
+    perform public.replace_order_items(p_order_id, p_items);
+  end if;
+
+  update public.orders
+     set customer_id = public.resolve_order_customer(p_order),
+         customer_name = p_order->>'customer_name',
+         customer_email = nullif(p_order->>'customer_email', ''),
+         customer_phone = nullif(p_order->>'customer_phone', ''),
+         delivery_address = nullif(p_order->>'delivery_address', ''),
+         status = coalesce(v_new_status, status),
+         subtotal = case when p_items is null then subtotal
+                         else coalesce((p_order->>'subtotal')::numeric, 0) end,
+         delivery_charge = case when p_items is null then delivery_charge
+                                else coalesce((p_order->>'delivery_charge')::numeric, 0) end,
+         total_amount = case when p_items is null then total_amount
+                             else coalesce((p_order->>'total_amount')::numeric, 0) end,
+         updated_at = now()
+   where id = p_order_id;
+
+  return jsonb_build_object(
+    'order', public.order_as_json(p_order_id),
+    'cartons', public.cartons_as_json(
+      public.order_item_carton_ids(coalesce(v_old_items, '[]'::jsonb))
+      || public.order_item_carton_ids(p_items)
+    )
+  );
+end;
+$$;
+
+-- ---------- reporting ----------
+
+-- Customers with their totals. Lifetime value is net of cancellations and
+-- returns; outstanding is what is still owed on their orders.
+create or replace view public.customer_summary
+with (security_invoker = true)
+as
+select
+  c.*,
+  count(o.id) filter (where o.status <> 'Cancelled') as order_count,
+  coalesce(sum(public.order_net_amount(o)), 0) as lifetime_value,
+  coalesce(sum(o.amount_paid), 0) as total_paid,
+  coalesce(
+    sum(greatest(0, public.order_net_amount(o) - coalesce(o.amount_paid, 0))),
+    0
+  ) as outstanding,
+  max(o.created_at) as last_order_at
+from public.customers c
+left join public.orders o on o.customer_id = c.id
+group by c.id;
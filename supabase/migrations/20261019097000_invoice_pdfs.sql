@@ -0,0 +1,11 @@
+-- Invoices are generated as paginated PDFs (invoices bucket,
+-- invoice_<order id>.pdf). Orders invoiced before this keep their PNG in
+-- invoice_url until the invoice is regenerated.
+
+alter table public.orders
+  add column if not exists invoice_pdf_url text;
+
+comment on column public.orders.invoice_url is
+  'Legacy PNG invoice (invoice_<id>.png). New invoices are PDFs, see invoice_pdf_url.';
+comment on column public.orders.invoice_pdf_url is
+  'Public URL of the PDF invoice (invoice_<id>.pdf in the invoices bucket).';
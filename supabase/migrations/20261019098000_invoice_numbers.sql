@@ -0,0 +1,151 @@
+-- Invoice numbers.
+--
+-- An order gets an invoice number the first time its invoice is issued after
+-- it has left Created (shipped or delivered; until then its invoice is a
+-- draft and the order can still be deleted), in the form
+-- BBD/<fiscal year>/<6 digits>, e.g. BBD/2026-27/000123. Numbers
+-- run per Bangladesh fiscal year (July-June, Asia/Dhaka time), come from a
+-- counter row that is locked while a number is taken (so there are no gaps
+-- from rolled-back transactions the way a sequence would leave), never
+-- change once issued, and invoiced orders can no longer be deleted.
+
+create table if not exists public.invoice_sequences (
+  fiscal_year text primary key,
+  last_number integer not null default 0
+);
+
+alter table public.invoice_sequences enable row level security;
+
+drop policy if exists "invoice_sequences read" on public.invoice_sequences;
+create policy "invoice_sequences read"
+  on public.invoice_sequences
+  for select
+  to authenticated
+  using (true);
+
+alter table public.orders
+  add column if not exists invoice_number text,
+  add column if not exists invoice_issued_at timestamptz;
+
+create unique index if not exists orders_invoice_number_key
+  on public.orders (invoice_number)
+  where invoice_number is not null;
+
+-- '2026-27' for any date from 1 July 2026 to 30 June 2027 (Dhaka time).
+create or replace function public.fiscal_year_label(p_at timestamptz)
+returns text
+language sql
+stable
+as $$
+  select case
+    when extract(month from d) >= 7
+      then extract(year from d)::int || '-' || lpad(((extract(year from d)::int + 1) % 100)::text, 2, '0')
+    else (extract(year from d)::int - 1) || '-' || lpad((extract(year from d)::int % 100)::text, 2, '0')
+  end
+  from (select (p_at at time zone 'Asia/Dhaka')::date as d) x;
+$$;
+
+-- ---------- immutability ----------
+
+create or replace function public.protect_invoice_number()
+returns trigger
+language plpgsql
+as $$
+begin
+  if tg_op = 'DELETE' then
+    if old.invoice_number is not null then
+      raise exception 'Order % has invoice %; cancel or return it instead of deleting.',
+        old.id, old.invoice_number;
+    end if;
+    return old;
+  end if;
+
+  if old.invoice_number is not null
+     and (new.invoice_number is distinct from old.invoice_number
+          or new.invoice_issued_at is distinct from old.invoice_issued_at) then
+    raise exception 'Invoice number % of order % cannot be changed.',
+      old.invoice_number, old.id;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists orders_protect_invoice_number on public.orders;
+create trigger orders_protect_invoice_number
+  before update or delete on public.orders
+  for each row execute function public.protect_invoice_number();
+
+-- ---------- issuing ----------
+
+-- Gives the order its invoice number if it doesn't have one yet and returns
+-- the order (order_as_json). Calling it again is harmless.
+create or replace function public.issue_invoice_number(p_order_id bigint)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_order public.orders;
+  v_fy text := public.fiscal_year_label(now());
+  v_next integer;
+begin
+  select * into v_order from public.orders where id = p_order_id for update;
+  if not found then
+    raise exception 'Order % not found.', p_order_id;
+  end if;
+
+  if v_order.invoice_number is null and v_order.status in ('Created', 'Cancelled') then
+    raise exception 'Order % is %; invoice numbers are issued once an order ships or is delivered.',
+      p_order_id, v_order.status;
+  end if;
+
+  if v_order.invoice_number is null then
+    insert into public.invoice_sequences as s (fiscal_year, last_number)
+    values (v_fy, 1)
+    on conflict (fiscal_year)
+      do update set last_number = s.last_number + 1
+    returning last_number into v_next;
+
+    update public.orders
+       set invoice_number = 'BBD/' || v_fy || '/' || lpad(v_next::text, 6, '0'),
+           invoice_issued_at = now()
+     where id = p_order_id;
+  end if;
+
+  return public.order_as_json(p_order_id);
+end;
+$$;
+
+revoke all on function public.issue_invoice_number(bigint) from public;
+grant execute on function public.issue_invoice_number(bigint) to authenticated;
+
+-- ---------- backfill ----------
+
+-- Orders that already have an invoice are numbered in the fiscal year they
+-- were created in, oldest first.
+with numbered as (
+  select
+    o.id,
+    public.fiscal_year_label(coalesce(o.created_at, now())) as fy,
+    row_number() over (
+      partition by public.fiscal_year_label(coalesce(o.created_at, now()))
+      order by o.created_at, o.id
+    ) as n
+  from public.orders o
+  where o.invoice_number is null
+    and (o.invoice_url is not null or o.invoice_pdf_url is not null)
+)
+update public.orders o
+   set invoice_number = 'BBD/' || numbered.fy || '/' || lpad(numbered.n::text, 6, '0'),
+       invoice_issued_at = coalesce(o.created_at, now())
+  from numbered
+ where numbered.id = o.id;
+
+insert into public.invoice_sequences (fiscal_year, last_number)
+select split_part(invoice_number, '/', 2), max(split_part(invoice_number, '/', 3)::int)
+from public.orders
+where invoice_number is not null
+group by split_part(invoice_number, '/', 2)
+on conflict (fiscal_year)
+  do update set last_number = greatest(invoice_sequences.last_number, excluded.last_number);
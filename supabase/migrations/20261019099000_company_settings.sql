@@ -0,0 +1,53 @@
+-- Company profile printed on invoices and carton labels.
+--
+-- A single row (id = 1) edited from the Settings page. The logo is uploaded
+-- to the public "assets" bucket and referenced by URL.
+
+create table if not exists public.company_settings (
+  id integer primary key default 1 check (id = 1),
+  company_name text not null,
+  logo_url text,
+  address text,
+  warehouse_address text,
+  phone text,
+  alt_phone text,
+  email text,
+  website text,
+  bin text,
+  tin text,
+  invoice_footer text,
+  invoice_terms text,
+  updated_by uuid default auth.uid(),
+  updated_at timestamptz not null default now()
+);
+
+alter table public.company_settings enable row level security;
+
+drop policy if exists "company_settings read" on public.company_settings;
+create policy "company_settings read"
+  on public.company_settings
+  for select
+  to authenticated
+  using (true);
+
+drop policy if exists "company_settings update" on public.company_settings;
+create policy "company_settings update"
+  on public.company_settings
+  for update
+  to authenticated
+  using (true)
+  with check (true);
+
+-- the values that used to be hard-coded in Orders.js / Inventory.js
+insert into public.company_settings (
+  id, company_name, logo_url, address, phone, invoice_footer
+)
+values (
+  1,
+  'Brand Bazaar BD',
+  'https://wujdkjvthzqnzbbczykd.supabase.co/storage/v1/object/public/assets/reactlogo.png',
+  'Motijheel, Dhaka, Bangladesh',
+  '+8801711276418',
+  'Thank you for your business!'
+)
+on conflict (id) do nothing;
@@ -0,0 +1,394 @@
+-- Discounts and VAT.
+--
+-- Each line can carry a discount (percent or fixed taka) and every product
+-- has a VAT rate that is copied onto the line when it is ordered. An order
+-- discount on top is spread over the lines in proportion to their value, so
+-- every line knows its own taxable amount:
+--
+--   line_total            quantity * unit_price (gross, before discounts)
+--   discount_amount       the line's own discount
+--   order_discount_amount its share of the order discount
+--   taxable_amount        line_total - both discounts
+--   vat_amount            taxable_amount * vat_rate / 100
+--   net_amount            taxable_amount + vat_amount (what the line costs)
+--
+-- Order totals: subtotal (sum of line_total) - discount_total + vat_amount
+-- + delivery_charge + rounding_adjustment = total_amount, rounded to the
+-- whole taka. The client works these out (utils/orderTotals.js) and sends
+-- them with the order. Returns are refunded at the line's net unit price.
+
+alter table public.products
+  add column if not exists vat_rate numeric(5, 2) not null default 0;
+
+alter table public.order_items
+  add column if not exists discount_type text,
+  add column if not exists discount_value numeric(12, 2) not null default 0,
+  add column if not exists discount_amount numeric(12, 2) not null default 0,
+  add column if not exists order_discount_amount numeric(12, 2) not null default 0,
+  add column if not exists taxable_amount numeric(12, 2),
+  add column if not exists vat_rate numeric(5, 2) not null default 0,
+  add column if not exists vat_amount numeric(12, 2) not null default 0,
+  add column if not exists net_amount numeric(12, 2);
+
+alter table public.order_items
+  drop constraint if exists order_items_discount_type_check;
+alter table public.order_items
+  add constraint order_items_discount_type_check
+  check (discount_type is null or discount_type in ('percent', 'fixed'));
+
+alter table public.orders
+  add column if not exists discount_type text,
+  add column if not exists discount_value numeric(12, 2) not null default 0,
+  add column if not exists discount_amount numeric(12, 2) not null default 0,
+  add column if not exists discount_total numeric(12, 2) not null default 0,
+  add column if not exists vat_amount numeric(12, 2) not null default 0,
+  add column if not exists rounding_adjustment numeric(12, 2) not null default 0;
+
+alter table public.orders
+  drop constraint if exists orders_discount_type_check;
+alter table public.orders
+  add constraint orders_discount_type_check
+  check (discount_type is null or discount_type in ('percent', 'fixed'));
+
+-- existing lines had no discount or VAT
+update public.order_items
+   set taxable_amount = coalesce(taxable_amount, line_total),
+       net_amount = coalesce(net_amount, line_total)
+ where taxable_amount is null or net_amount is null;
+
+-- ---------- order writes ----------
+
+create or replace function public.replace_order_items(p_order_id bigint, p_items jsonb)
+returns void
+language plpgsql
+as $$
+declare
+  v_costs jsonb;
+begin
+  select coalesce(jsonb_object_agg(product_id::text, unit_cost), '{}'::jsonb)
+    into v_costs
+    from (
+      select distinct on (product_id) product_id, unit_cost
+        from public.order_items
+       where order_id = p_order_id
+         and product_id is not null
+         and unit_cost is not null
+       order by product_id, line_no
+    ) prev;
+
+  delete from public.order_items where order_id = p_order_id;
+
+  insert into public.order_items (
+    order_id, line_no, mode, product_id, carton_id,
+    quantity, unit_price, line_total, unit_cost,
+    discount_type, discount_value, discount_amount, order_discount_amount,
+    taxable_amount, vat_rate, vat_amount, net_amount
+  )
+  select
+    p_order_id,
+    it.ordinality,
+    coalesce(nullif(it.value->>'mode', ''), 'carton'),
+    nullif(it.value->>'product_id', '')::bigint,
+    nullif(it.value->>'carton_id', '')::bigint,
+    coalesce((it.value->>'quantity')::integer, 0),
+    coalesce((it.value->>'unit_price')::numeric, 0),
+    coalesce((it.value->>'line_total')::numeric, 0),
+    coalesce(
+      (v_costs->>(it.value->>'product_id'))::numeric,
+      p.unit_purchase_price
+    ),
+    nullif(it.value->>'discount_type', ''),
+    coalesce((it.value->>'discount_value')::numeric, 0),
+    coalesce((it.value->>'discount_amount')::numeric, 0),
+    coalesce((it.value->>'order_discount_amount')::numeric, 0),
+    coalesce(
+      (it.value->>'taxable_amount')::numeric,
+      (it.value->>'line_total')::numeric,
+      0
+    ),
+    coalesce((it.value->>'vat_rate')::numeric, p.vat_rate, 0),
+    coalesce((it.value->>'vat_amount')::numeric, 0),
+    coalesce(
+      (it.value->>'net_amount')::numeric,
+      (it.value->>'line_total')::numeric,
+      0
+    )
+  from jsonb_array_elements(coalesce(p_items, '[]'::jsonb))
+    with ordinality as it(value, ordinality)
+  left join public.products p on p.id = nullif(it.value->>'product_id', '')::bigint;
+end;
+$$;
+
+create or replace function public.create_order(p_order jsonb, p_items jsonb)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_order_id bigint;
+begin
+  insert into public.orders (
+    customer_id,
+    customer_name,
+    customer_email,
+    customer_phone,
+    delivery_address,
+    status,
+    subtotal,
+    discount_type,
+    discount_value,
+    discount_amount,
+    discount_total,
+    vat_amount,
+    delivery_charge,
+    rounding_adjustment,
+    total_amount
+  )
+  values (
+    public.resolve_order_customer(p_order),
+    p_order->>'customer_name',
+    nullif(p_order->>'customer_email', ''),
+    nullif(p_order->>'customer_phone', ''),
+    nullif(p_order->>'delivery_address', ''),
+    coalesce(nullif(p_order->>'status', ''), 'Created'),
+    coalesce((p_order->>'subtotal')::numeric, 0),
+    nullif(p_order->>'discount_type', ''),
+    coalesce((p_order->>'discount_value')::numeric, 0),
+    coalesce((p_order->>'discount_amount')::numeric, 0),
+    coalesce((p_order->>'discount_total')::numeric, 0),
+    coalesce((p_order->>'vat_amount')::numeric, 0),
+    coalesce((p_order->>'delivery_charge')::numeric, 0),
+    coalesce((p_order->>'rounding_adjustment')::numeric, 0),
+    coalesce((p_order->>'total_amount')::numeric, 0)
+  )
+  returning id into v_order_id;
+
+  perform public.replace_order_items(v_order_id, p_items);
+  perform public.apply_order_stock(p_items, -1);
+
+  return jsonb_build_object(
+    'order', public.order_as_json(v_order_id),
+    'cartons', public.cartons_as_json(public.order_item_carton_ids(p_items))
+  );
+end;
+$$;
+
+create or replace function public.update_order(
+  p_order_id bigint,
+  p_order jsonb,
+  p_items jsonb,
+  p_expected_version integer default null
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_current public.orders;
+  v_old_items jsonb;
+  v_new_status text := nullif(p_order->>'status', '');
+begin
+  perform public.assert_order_version(p_order_id, p_expected_version);
+  perform set_config('app.status_note', coalesce(p_order->>'status_note', ''), true);
+
+  select * into v_current from public.orders where id = p_order_id;
+
+  if v_new_status in ('Cancelled', 'Returned')
+     and v_new_status is distinct from v_current.status then
+    raise exception 'Use the Cancel / Return actions to mark order % as %.',
+      p_order_id, v_new_status;
+  end if;
+
+  if p_items is not null then
+    if v_current.status in ('Cancelled', 'Returned') or v_current.returned_amount > 0 then
+      raise exception 'Order % has cancellations or returns recorded; its items can no longer be edited.',
+        p_order_id;
+    end if;
+
+    v_old_items := public.order_items_as_json(p_order_id);
+
+    perform public.apply_order_stock(v_old_items, 1);
+    perform public.apply_order_stock(p_items, -1);
+    perform public.replace_order_items(p_order_id, p_items);
+  end if;
+
+  -- totals (and the discount they came from) only change with the items
+  update public.orders
+     set customer_id = public.resolve_order_customer(p_order),
+         customer_name = p_order->>'customer_name',
+         customer_email = nullif(p_order->>'customer_email', ''),
+         customer_phone = nullif(p_order->>'customer_phone', ''),
+         delivery_address = nullif(p_order->>'delivery_address', ''),
+         status = coalesce(v_new_status, status),
+         subtotal = case when p_items is null then subtotal
+                         else coalesce((p_order->>'subtotal')::numeric, 0) end,
+         discount_type = case when p_items is null then discount_type
+                              else nullif(p_order->>'discount_type', '') end,
+         discount_value = case when p_items is null then discount_value
+                               else coalesce((p_order->>'discount_value')::numeric, 0) end,
+         discount_amount = case when p_items is null then discount_amount
+                                else coalesce((p_order->>'discount_amount')::numeric, 0) end,
+         discount_total = case when p_items is null then discount_total
+                               else coalesce((p_order->>'discount_total')::numeric, 0) end,
+         vat_amount = case when p_items is null then vat_amount
+                           else coalesce((p_order->>'vat_amount')::numeric, 0) end,
+         delivery_charge = case when p_items is null then delivery_charge
+                                else coalesce((p_order->>'delivery_charge')::numeric, 0) end,
+         rounding_adjustment = case when p_items is null then rounding_adjustment
+                                    else coalesce((p_order->>'rounding_adjustment')::numeric, 0) end,
+         total_amount = case when p_items is null then total_amount
+                             else coalesce((p_order->>'total_amount')::numeric, 0) end,
+         updated_at = now()
+   where id = p_order_id;
+
+  return jsonb_build_object(
+    'order', public.order_as_json(p_order_id),
+    'cartons', public.cartons_as_json(
+      public.order_item_carton_ids(coalesce(v_old_items, '[]'::jsonb))
+      || public.order_item_carton_ids(p_items)
+    )
+  );
+end;
+$$;
+
+-- ---------- returns: refunded at the net (discounted, VAT-inclusive) price ----------
+
+create or replace function public.return_order_items(
+  p_order_id bigint,
+  p_lines jsonb,
+  p_reason text default null,
+  p_expected_version integer default null
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_order public.orders;
+  v_line jsonb;
+  v_item public.order_items;
+  v_carton public.cartons;
+  v_qty integer;
+  v_amount numeric(12, 2);
+  v_total_returned numeric(12, 2) := 0;
+  v_carton_ids bigint[] := '{}';
+begin
+  perform public.assert_order_version(p_order_id, p_expected_version);
+
+  select * into v_order from public.orders where id = p_order_id;
+  if v_order.status not in ('Shipped', 'Delivered', 'Paid') then
+    raise exception 'Only shipped, delivered or paid orders can be returned (order % is %).',
+      p_order_id, v_order.status;
+  end if;
+
+  for v_line in select * from jsonb_array_elements(coalesce(p_lines, '[]'::jsonb))
+  loop
+    v_qty := coalesce((v_line->>'quantity')::integer, 0);
+    if v_qty <= 0 then
+      continue;
+    end if;
+
+    select * into v_item
+      from public.order_items
+     where id = (v_line->>'order_item_id')::bigint
+       and order_id = p_order_id
+       for update;
+
+    if not found then
+      raise exception 'Order line % does not belong to order %.',
+        v_line->>'order_item_id', p_order_id;
+    end if;
+
+    if v_qty > v_item.quantity - v_item.returned_quantity then
+      raise exception 'Cannot return % units of line % (only % not yet returned).',
+        v_qty, v_item.line_no, v_item.quantity - v_item.returned_quantity;
+    end if;
+
+    if v_item.carton_id is not null then
+      select * into v_carton from public.cartons where id = v_item.carton_id for update;
+
+      if v_item.mode = 'loose' or v_carton.status <> 'booked' then
+        -- back into the source carton (or a carton already back from an
+        -- earlier partial return of this line)
+        update public.cartons
+           set units_remaining = coalesce(units_remaining, 0) + v_qty,
+               is_open = case when v_item.mode = 'carton' then true else is_open end,
+               status = case when status = 'booked' then 'received' else status end,
+               updated_at = now()
+         where id = v_item.carton_id;
+      else
+        -- booked carton comes back: whole, or opened with only what returned
+        update public.cartons
+           set status = 'received',
+               units_remaining = v_qty,
+               is_open = v_qty < v_item.quantity,
+               updated_at = now()
+         where id = v_item.carton_id;
+      end if;
+
+      v_carton_ids := v_carton_ids || v_item.carton_id;
+    end if;
+
+    v_amount := round(
+      v_qty * coalesce(v_item.net_amount / nullif(v_item.quantity, 0), v_item.unit_price),
+      2
+    );
+    v_total_returned := v_total_returned + v_amount;
+
+    update public.order_items
+       set returned_quantity = returned_quantity + v_qty
+     where id = v_item.id;
+
+    insert into public.order_returns (order_id, order_item_id, carton_id, quantity, amount, reason)
+    values (p_order_id, v_item.id, v_item.carton_id, v_qty, v_amount, nullif(p_reason, ''));
+  end loop;
+
+  if v_total_returned = 0 then
+    raise exception 'Nothing to return: enter a quantity for at least one line.';
+  end if;
+
+  perform set_config('app.status_note', coalesce(p_reason, ''), true);
+
+  update public.orders
+     set returned_amount = returned_amount + v_total_returned,
+         status = case
+           when not exists (
+             select 1 from public.order_items
+              where order_id = p_order_id and returned_quantity < quantity
+           ) then 'Returned'
+           else status
+         end,
+         updated_at = now()
+   where id = p_order_id;
+
+  return jsonb_build_object(
+    'order', public.order_as_json(p_order_id),
+    'cartons', public.cartons_as_json(v_carton_ids)
+  );
+end;
+$$;
+
+-- ---------- reporting: revenue excludes VAT (it is owed to the government) ----------
+
+create or replace view public.product_sales
+with (security_invoker = true)
+as
+select
+  oi.product_id,
+  count(distinct oi.order_id) as order_count,
+  sum(oi.quantity - oi.returned_quantity) as units_sold,
+  sum(
+    coalesce(oi.taxable_amount, oi.line_total)
+    * (oi.quantity - oi.returned_quantity) / nullif(oi.quantity, 0)
+  ) as revenue,
+  sum((oi.quantity - oi.returned_quantity) * coalesce(oi.unit_cost, 0)) as cost,
+  sum(
+    coalesce(oi.taxable_amount, oi.line_total)
+    * (oi.quantity - oi.returned_quantity) / nullif(oi.quantity, 0)
+    - (oi.quantity - oi.returned_quantity) * coalesce(oi.unit_cost, 0)
+  ) as profit,
+  sum(
+    oi.vat_amount * (oi.quantity - oi.returned_quantity) / nullif(oi.quantity, 0)
+  ) as vat_collected
+from public.order_items oi
+join public.orders o on o.id = oi.order_id
+where oi.product_id is not null
+  and o.status <> 'Cancelled'
+group by oi.product_id;
@@ -0,0 +1,278 @@
+-- Quotations (proforma invoices).
+--
+-- A quotation has the same lines and pricing as an order (discounts, VAT,
+-- rounding) but holds no stock: cartons on its lines only say which product
+-- is being offered, and "auto" lines stay unexpanded until conversion.
+-- Converting an open, unexpired quotation creates a normal order through
+-- create_order (so cartons are booked and loose stock deducted then, against
+-- whatever is in stock at that moment) and links the two.
+
+create sequence if not exists public.quotation_number_seq;
+
+create table if not exists public.quotations (
+  id bigint generated by default as identity primary key,
+  quote_number text not null unique
+    default 'QT-' || lpad(nextval('public.quotation_number_seq')::text, 6, '0'),
+  customer_id bigint references public.customers(id) on delete set null,
+  customer_name text not null,
+  customer_email text,
+  customer_phone text,
+  delivery_address text,
+  status text not null default 'Open'
+    check (status in ('Open', 'Converted', 'Cancelled')),
+  valid_until date not null,
+  notes text,
+  subtotal numeric(12, 2) not null default 0,
+  discount_type text check (discount_type is null or discount_type in ('percent', 'fixed')),
+  discount_value numeric(12, 2) not null default 0,
+  discount_amount numeric(12, 2) not null default 0,
+  discount_total numeric(12, 2) not null default 0,
+  vat_amount numeric(12, 2) not null default 0,
+  delivery_charge numeric(12, 2) not null default 0,
+  rounding_adjustment numeric(12, 2) not null default 0,
+  total_amount numeric(12, 2) not null default 0,
+  quotation_pdf_url text,
+  order_id bigint references public.orders(id) on delete set null,
+  converted_at timestamptz,
+  created_by uuid default auth.uid(),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  version integer not null default 1
+);
+
+create table if not exists public.quotation_items (
+  id bigint generated by default as identity primary key,
+  quotation_id bigint not null references public.quotations(id) on delete cascade,
+  line_no integer not null,
+  mode text not null default 'carton',
+  product_id bigint references public.products(id),
+  carton_id bigint references public.cartons(id) on delete set null,
+  quantity integer not null default 0,
+  unit_price numeric(12, 2) not null default 0,
+  line_total numeric(12, 2) not null default 0,
+  discount_type text check (discount_type is null or discount_type in ('percent', 'fixed')),
+  discount_value numeric(12, 2) not null default 0,
+  discount_amount numeric(12, 2) not null default 0,
+  order_discount_amount numeric(12, 2) not null default 0,
+  taxable_amount numeric(12, 2) not null default 0,
+  vat_rate numeric(5, 2) not null default 0,
+  vat_amount numeric(12, 2) not null default 0,
+  net_amount numeric(12, 2) not null default 0
+);
+
+create index if not exists quotation_items_quotation_id_idx
+  on public.quotation_items (quotation_id);
+create index if not exists quotations_customer_id_idx
+  on public.quotations (customer_id);
+
+alter table public.orders
+  add column if not exists quotation_id bigint references public.quotations(id) on delete set null;
+
+alter table public.quotations enable row level security;
+alter table public.quotation_items enable row level security;
+
+drop policy if exists "quotations authenticated access" on public.quotations;
+create policy "quotations authenticated access"
+  on public.quotations
+  for all
+  to authenticated
+  using (true)
+  with check (true);
+
+drop policy if exists "quotation_items authenticated access" on public.quotation_items;
+create policy "quotation_items authenticated access"
+  on public.quotation_items
+  for all
+  to authenticated
+  using (true)
+  with check (true);
+
+drop trigger if exists quotations_bump_version on public.quotations;
+create trigger quotations_bump_version
+  before update on public.quotations
+  for each row execute function public.bump_row_version();
+
+-- Quotation row with its lines nested, matching select("*, quotation_items(*)").
+create or replace function public.quotation_as_json(p_quotation_id bigint)
+returns jsonb
+language sql
+stable
+as $$
+  select to_jsonb(q) || jsonb_build_object(
+    'quotation_items',
+    coalesce(
+      (select jsonb_agg(to_jsonb(qi) order by qi.line_no)
+         from public.quotation_items qi
+        where qi.quotation_id = q.id),
+      '[]'::jsonb
+    )
+  )
+  from public.quotations q
+  where q.id = p_quotation_id;
+$$;
+
+-- Locks the quotation and checks it is still the version the caller edited.
+create or replace function public.lock_quotation(p_quotation_id bigint, p_expected_version integer)
+returns public.quotations
+language plpgsql
+as $$
+declare
+  v_quotation public.quotations;
+begin
+  select * into v_quotation
+    from public.quotations
+   where id = p_quotation_id
+     for update;
+
+  if not found then
+    raise exception 'Quotation % not found.', p_quotation_id;
+  end if;
+
+  if p_expected_version is not null and v_quotation.version <> p_expected_version then
+    raise exception 'Quotation % was changed by someone else while you were editing it. Reload and try again.',
+      v_quotation.quote_number;
+  end if;
+
+  return v_quotation;
+end;
+$$;
+
+-- ---------- writes ----------
+
+-- Creates (p_quotation_id null) or updates an open quotation and replaces its
+-- lines; p_quotation / p_items use the create_order payload shapes plus
+-- valid_until and notes. Returns quotation_as_json.
+create or replace function public.save_quotation(
+  p_quotation_id bigint,
+  p_quotation jsonb,
+  p_items jsonb,
+  p_expected_version integer default null
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_id bigint := p_quotation_id;
+  v_quotation public.quotations;
+begin
+  if v_id is null then
+    insert into public.quotations (customer_name, valid_until)
+    values (
+      p_quotation->>'customer_name',
+      coalesce((p_quotation->>'valid_until')::date, current_date + 7)
+    )
+    returning id into v_id;
+  else
+    v_quotation := public.lock_quotation(v_id, p_expected_version);
+    if v_quotation.status <> 'Open' then
+      raise exception 'Quotation % is %; only open quotations can be edited.',
+        v_quotation.quote_number, lower(v_quotation.status);
+    end if;
+  end if;
+
+  update public.quotations
+     set customer_id = public.resolve_order_customer(p_quotation),
+         customer_name = p_quotation->>'customer_name',
+         customer_email = nullif(p_quotation->>'customer_email', ''),
+         customer_phone = nullif(p_quotation->>'customer_phone', ''),
+         delivery_address = nullif(p_quotation->>'delivery_address', ''),
+         valid_until = coalesce((p_quotation->>'valid_until')::date, valid_until),
+         notes = nullif(p_quotation->>'notes', ''),
+         subtotal = coalesce((p_quotation->>'subtotal')::numeric, 0),
+         discount_type = nullif(p_quotation->>'discount_type', ''),
+         discount_value = coalesce((p_quotation->>'discount_value')::numeric, 0),
+         discount_amount = coalesce((p_quotation->>'discount_amount')::numeric, 0),
+         discount_total = coalesce((p_quotation->>'discount_total')::numeric, 0),
+         vat_amount = coalesce((p_quotation->>'vat_amount')::numeric, 0),
+         delivery_charge = coalesce((p_quotation->>'delivery_charge')::numeric, 0),
+         rounding_adjustment = coalesce((p_quotation->>'rounding_adjustment')::numeric, 0),
+         total_amount = coalesce((p_quotation->>'total_amount')::numeric, 0),
+         updated_at = now()
+   where id = v_id;
+
+  delete from public.quotation_items where quotation_id = v_id;
+
+  insert into public.quotation_items (
+    quotation_id, line_no, mode, product_id, carton_id,
+    quantity, unit_price, line_total,
+    discount_type, discount_value, discount_amount, order_discount_amount,
+    taxable_amount, vat_rate, vat_amount, net_amount
+  )
+  select
+    v_id,
+    it.ordinality,
+    coalesce(nullif(it.value->>'mode', ''), 'carton'),
+    nullif(it.value->>'product_id', '')::bigint,
+    nullif(it.value->>'carton_id', '')::bigint,
+    coalesce((it.value->>'quantity')::integer, 0),
+    coalesce((it.value->>'unit_price')::numeric, 0),
+    coalesce((it.value->>'line_total')::numeric, 0),
+    nullif(it.value->>'discount_type', ''),
+    coalesce((it.value->>'discount_value')::numeric, 0),
+    coalesce((it.value->>'discount_amount')::numeric, 0),
+    coalesce((it.value->>'order_discount_amount')::numeric, 0),
+    coalesce((it.value->>'taxable_amount')::numeric, 0),
+    coalesce((it.value->>'vat_rate')::numeric, 0),
+    coalesce((it.value->>'vat_amount')::numeric, 0),
+    coalesce((it.value->>'net_amount')::numeric, 0)
+  from jsonb_array_elements(coalesce(p_items, '[]'::jsonb))
+    with ordinality as it(value, ordinality);
+
+  return public.quotation_as_json(v_id);
+end;
+$$;
+
+-- Turns an open quotation into an order. p_order / p_items are the
+-- create_order payloads built from the quotation's lines against current
+-- stock (auto lines expanded into cartons). Returns the create_order result
+-- plus the updated quotation.
+create or replace function public.convert_quotation(
+  p_quotation_id bigint,
+  p_order jsonb,
+  p_items jsonb,
+  p_expected_version integer default null
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_quotation public.quotations;
+  v_result jsonb;
+  v_order_id bigint;
+begin
+  v_quotation := public.lock_quotation(p_quotation_id, p_expected_version);
+
+  if v_quotation.status <> 'Open' then
+    raise exception 'Quotation % is already %.',
+      v_quotation.quote_number, lower(v_quotation.status);
+  end if;
+
+  if v_quotation.valid_until < (now() at time zone 'Asia/Dhaka')::date then
+    raise exception 'Quotation % expired on %; extend its validity before converting it.',
+      v_quotation.quote_number, v_quotation.valid_until;
+  end if;
+
+  v_result := public.create_order(p_order, p_items);
+  v_order_id := (v_result->'order'->>'id')::bigint;
+
+  update public.orders
+     set quotation_id = p_quotation_id
+   where id = v_order_id;
+
+  update public.quotations
+     set status = 'Converted',
+         order_id = v_order_id,
+         converted_at = now(),
+         updated_at = now()
+   where id = p_quotation_id;
+
+  return jsonb_build_object(
+    'order', public.order_as_json(v_order_id),
+    'cartons', v_result->'cartons',
+    'quotation', public.quotation_as_json(p_quotation_id)
+  );
+end;
+$$;
+
+grant execute on function public.save_quotation(bigint, jsonb, jsonb, integer) to authenticated;
+grant execute on function public.convert_quotation(bigint, jsonb, jsonb, integer) to authenticated;
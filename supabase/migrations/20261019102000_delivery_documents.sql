@@ -0,0 +1,9 @@
+-- Delivery challan and packing slip per order.
+--
+-- Both are unpriced PDFs for the warehouse (carton IDs, loose units and
+-- their source carton, carton QR codes, signature lines), rendered by the
+-- app and stored in the invoices bucket next to the invoice.
+
+alter table public.orders
+  add column if not exists challan_pdf_url text,
+  add column if not exists packing_slip_pdf_url text;
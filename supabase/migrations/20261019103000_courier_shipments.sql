@@ -0,0 +1,225 @@
+-- Courier shipments.
+--
+-- Booking an order with a courier (Steadfast, Pathao, RedX, or the local mock
+-- courier used for testing) creates a shipment row with the courier's
+-- consignment / tracking IDs. The courier adapters live in the "courier" edge
+-- function (supabase/functions), which keeps the API keys server-side; courier
+-- webhooks arrive at the "courier-webhook" function.
+--
+-- Every status update, polled or pushed, goes through record_shipment_status(),
+-- which appends to shipment_events and moves a Shipped order to Delivered once
+-- its courier reports delivery. Only the edge functions (service role) write
+-- shipments; the app reads them and saves labels with set_shipment_label().
+--
+-- Shipment statuses (normalized across couriers):
+--   booked -> picked_up -> in_transit -> delivered
+--   returned, cancelled: the parcel came back / the booking was cancelled
+
+create table if not exists public.shipments (
+  id bigint generated by default as identity primary key,
+  order_id bigint not null references public.orders(id) on delete cascade,
+  courier text not null
+    check (courier in ('mock', 'steadfast', 'pathao', 'redx')),
+  -- null while the booking is with the courier (see the courier function)
+  consignment_id text,
+  tracking_code text,
+  status text not null default 'booked'
+    check (status in ('booked', 'picked_up', 'in_transit', 'delivered', 'returned', 'cancelled')),
+  courier_status text,
+  cod_amount numeric(12, 2) not null default 0,
+  delivery_fee numeric(12, 2),
+  label_url text,
+  booked_by uuid default auth.uid(),
+  booked_at timestamptz not null default now(),
+  last_event_at timestamptz,
+  delivered_at timestamptz,
+  unique (courier, consignment_id)
+);
+
+create index if not exists shipments_order_id_idx on public.shipments (order_id);
+-- one live booking per order: the courier function claims the order with a
+-- placeholder row before it calls the courier, so two clicks can't book the
+-- parcel twice
+create unique index if not exists shipments_one_active_per_order
+  on public.shipments (order_id)
+  where status not in ('returned', 'cancelled');
+create index if not exists shipments_open_idx
+  on public.shipments (status)
+  where status in ('booked', 'picked_up', 'in_transit');
+
+create table if not exists public.shipment_events (
+  id bigint generated by default as identity primary key,
+  shipment_id bigint not null references public.shipments(id) on delete cascade,
+  status text,
+  courier_status text,
+  source text not null check (source in ('booking', 'poll', 'webhook')),
+  payload jsonb,
+  received_at timestamptz not null default now()
+);
+
+create index if not exists shipment_events_shipment_id_idx
+  on public.shipment_events (shipment_id, received_at);
+
+alter table public.shipments enable row level security;
+alter table public.shipment_events enable row level security;
+
+-- shipments are written by the courier edge functions (service role) only
+drop policy if exists "shipments authenticated access" on public.shipments;
+drop policy if exists "shipments read" on public.shipments;
+create policy "shipments read"
+  on public.shipments
+  for select
+  to authenticated
+  using (true);
+
+-- events are written by record_shipment_status() only
+drop policy if exists "shipment_events read" on public.shipment_events;
+create policy "shipment_events read"
+  on public.shipment_events
+  for select
+  to authenticated
+  using (true);
+
+-- Records a courier status update for a shipment (p_status null = the
+-- courier's status didn't map to one of ours; it is still logged). Final
+-- statuses (delivered / returned / cancelled) are not overwritten by late or
+-- out-of-order updates. Returns the shipment row.
+create or replace function public.record_shipment_status(
+  p_shipment_id bigint,
+  p_status text,
+  p_courier_status text,
+  p_source text,
+  p_payload jsonb default null
+)
+returns public.shipments
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_shipment public.shipments;
+  v_order_status text;
+begin
+  select * into v_shipment
+    from public.shipments
+   where id = p_shipment_id
+     for update;
+
+  if not found then
+    raise exception 'Shipment % not found.', p_shipment_id;
+  end if;
+
+  insert into public.shipment_events (shipment_id, status, courier_status, source, payload)
+  values (p_shipment_id, p_status, p_courier_status, p_source, p_payload);
+
+  if v_shipment.status in ('delivered', 'returned', 'cancelled') then
+    p_status := null;
+  end if;
+
+  update public.shipments
+     set status = coalesce(p_status, status),
+         courier_status = coalesce(p_courier_status, courier_status),
+         last_event_at = now(),
+         delivered_at = case
+           when p_status = 'delivered' then now()
+           else delivered_at
+         end
+   where id = p_shipment_id
+  returning * into v_shipment;
+
+  if p_status = 'delivered' then
+    select status into v_order_status
+      from public.orders
+     where id = v_shipment.order_id
+       for update;
+
+    if v_order_status = 'Shipped' then
+      perform set_config(
+        'app.status_note',
+        format('Delivered by %s (%s)', v_shipment.courier,
+               coalesce(v_shipment.tracking_code, v_shipment.consignment_id)),
+        true
+      );
+      update public.orders
+         set status = 'Delivered',
+             updated_at = now()
+       where id = v_shipment.order_id;
+    end if;
+  end if;
+
+  return v_shipment;
+end;
+$$;
+
+revoke execute on function public.record_shipment_status(bigint, text, text, text, jsonb) from public, anon, authenticated;
+grant execute on function public.record_shipment_status(bigint, text, text, text, jsonb) to service_role;
+
+-- Saves the stored shipping label PDF of a shipment (the app renders it).
+create or replace function public.set_shipment_label(
+  p_shipment_id bigint,
+  p_label_url text
+)
+returns public.shipments
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_shipment public.shipments;
+begin
+  update public.shipments
+     set label_url = nullif(btrim(p_label_url), '')
+   where id = p_shipment_id
+  returning * into v_shipment;
+
+  if not found then
+    raise exception 'Shipment % not found.', p_shipment_id;
+  end if;
+
+  return v_shipment;
+end;
+$$;
+
+revoke execute on function public.set_shipment_label(bigint, text) from public;
+grant execute on function public.set_shipment_label(bigint, text) to authenticated;
+
+-- ---------- RPC payloads carry the shipments ----------
+
+create or replace function public.order_as_json(p_order_id bigint)
+returns jsonb
+language sql
+stable
+as $$
+  select to_jsonb(o) || jsonb_build_object(
+    'order_items',
+    coalesce(
+      (select jsonb_agg(to_jsonb(oi) order by oi.line_no)
+         from public.order_items oi
+        where oi.order_id = o.id),
+      '[]'::jsonb
+    ),
+    'order_status_history',
+    coalesce(
+      (select jsonb_agg(to_jsonb(h) order by h.changed_at, h.id)
+         from public.order_status_history h
+        where h.order_id = o.id),
+      '[]'::jsonb
+    ),
+    'order_payments',
+    coalesce(
+      (select jsonb_agg(to_jsonb(p) order by p.paid_at, p.id)
+         from public.order_payments p
+        where p.order_id = o.id),
+      '[]'::jsonb
+    ),
+    'shipments',
+    coalesce(
+      (select jsonb_agg(to_jsonb(s) order by s.booked_at, s.id)
+         from public.shipments s
+        where s.order_id = o.id),
+      '[]'::jsonb
+    )
+  )
+  from public.orders o
+  where o.id = p_order_id;
+$$;
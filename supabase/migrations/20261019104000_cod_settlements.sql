@@ -0,0 +1,249 @@
+-- Cash-on-delivery settlements.
+--
+-- Couriers pay out the cash they collected in batches and send a settlement
+-- report (CSV) listing each parcel with the amount collected and their fee.
+-- The COD Reconciliation page matches the report's rows to orders (by
+-- tracking ID, invoice number or phone) and applies it with
+-- apply_cod_settlement(), which in one transaction:
+--   - stores the import and every row with how it matched,
+--   - records the collected cash as a 'cod' payment on each matched order
+--     (the payment ledger then marks it Paid / Partially Paid),
+--   - moves orders still Created / Shipped to Delivered, since the courier
+--     has collected for them,
+--   - keeps the courier's fee on the shipment.
+-- A parcel is only ever settled once.
+
+create table if not exists public.cod_settlements (
+  id bigint generated by default as identity primary key,
+  courier text,
+  reference text,
+  file_name text,
+  settled_on date not null default current_date,
+  row_count integer not null default 0,
+  collected_total numeric(12, 2) not null default 0,
+  fee_total numeric(12, 2) not null default 0,
+  payout_total numeric(12, 2) not null default 0,
+  imported_by uuid default auth.uid(),
+  imported_by_email text default (auth.jwt() ->> 'email'),
+  imported_at timestamptz not null default now()
+);
+
+create table if not exists public.cod_settlement_lines (
+  id bigint generated by default as identity primary key,
+  settlement_id bigint not null references public.cod_settlements(id) on delete cascade,
+  line_no integer not null,
+  order_id bigint references public.orders(id) on delete set null,
+  shipment_id bigint references public.shipments(id) on delete set null,
+  courier text,
+  tracking_code text,
+  phone text,
+  collected_amount numeric(12, 2) not null default 0,
+  courier_fee numeric(12, 2) not null default 0,
+  expected_amount numeric(12, 2),
+  match_type text check (match_type is null or match_type in ('tracking', 'invoice', 'phone')),
+  result text not null
+    check (result in ('settled', 'short_paid', 'over_paid', 'already_paid', 'unmatched', 'duplicate')),
+  payment_id bigint references public.order_payments(id) on delete set null,
+  raw jsonb
+);
+
+create index if not exists cod_settlement_lines_settlement_id_idx
+  on public.cod_settlement_lines (settlement_id);
+create index if not exists cod_settlement_lines_order_id_idx
+  on public.cod_settlement_lines (order_id);
+-- the same parcel can't be paid out twice (tracking codes are per courier)
+create unique index if not exists cod_settlement_lines_paid_tracking_key
+  on public.cod_settlement_lines (coalesce(courier, ''), tracking_code)
+  where payment_id is not null and tracking_code is not null;
+
+alter table public.shipments
+  add column if not exists courier_fee numeric(12, 2),
+  add column if not exists settled_at timestamptz;
+
+alter table public.shipment_events drop constraint if exists shipment_events_source_check;
+alter table public.shipment_events
+  add constraint shipment_events_source_check
+  check (source in ('booking', 'poll', 'webhook', 'settlement'));
+
+alter table public.cod_settlements enable row level security;
+alter table public.cod_settlement_lines enable row level security;
+
+-- settlements are written by apply_cod_settlement() only
+drop policy if exists "cod_settlements read" on public.cod_settlements;
+create policy "cod_settlements read"
+  on public.cod_settlements
+  for select
+  to authenticated
+  using (true);
+
+drop policy if exists "cod_settlement_lines read" on public.cod_settlement_lines;
+create policy "cod_settlement_lines read"
+  on public.cod_settlement_lines
+  for select
+  to authenticated
+  using (true);
+
+-- p_settlement: { courier, reference, file_name, settled_on }
+-- p_lines: [{ order_id, shipment_id, tracking_code, phone, collected_amount,
+--             courier_fee, expected_amount, match_type, result, raw }]
+-- Lines with an order and a positive collected amount (and a result other
+-- than already_paid / duplicate) are paid. Returns
+-- { settlement, orders: [order_as_json of every paid order] }.
+create or replace function public.apply_cod_settlement(p_settlement jsonb, p_lines jsonb)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_settlement public.cod_settlements;
+  v_line record;
+  v_order public.orders;
+  v_payment_id bigint;
+  v_order_ids bigint[] := '{}';
+  v_label text;
+begin
+  insert into public.cod_settlements (courier, reference, file_name, settled_on)
+  values (
+    nullif(p_settlement->>'courier', ''),
+    nullif(p_settlement->>'reference', ''),
+    nullif(p_settlement->>'file_name', ''),
+    coalesce((p_settlement->>'settled_on')::date, current_date)
+  )
+  returning * into v_settlement;
+
+  v_label := format('COD settlement #%s%s', v_settlement.id,
+    coalesce(' (' || v_settlement.reference || ')', ''));
+
+  for v_line in
+    select
+      it.ordinality as line_no,
+      nullif(it.value->>'order_id', '')::bigint as order_id,
+      nullif(it.value->>'shipment_id', '')::bigint as shipment_id,
+      nullif(trim(it.value->>'tracking_code'), '') as tracking_code,
+      nullif(trim(it.value->>'phone'), '') as phone,
+      coalesce((it.value->>'collected_amount')::numeric, 0) as collected_amount,
+      coalesce((it.value->>'courier_fee')::numeric, 0) as courier_fee,
+      nullif(it.value->>'expected_amount', '')::numeric as expected_amount,
+      nullif(it.value->>'match_type', '') as match_type,
+      it.value->>'result' as result,
+      it.value->'raw' as raw
+    from jsonb_array_elements(coalesce(p_lines, '[]'::jsonb)) with ordinality as it(value, ordinality)
+  loop
+    v_payment_id := null;
+
+    if v_line.order_id is not null
+       and v_line.collected_amount > 0
+       and v_line.result not in ('already_paid', 'duplicate', 'unmatched') then
+
+      if v_line.tracking_code is not null and exists (
+        select 1 from public.cod_settlement_lines l
+         where l.tracking_code = v_line.tracking_code
+           and l.courier is not distinct from v_settlement.courier
+           and l.payment_id is not null
+      ) then
+        raise exception 'Parcel % has already been settled in an earlier import.',
+          v_line.tracking_code;
+      end if;
+
+      select * into v_order
+        from public.orders
+       where id = v_line.order_id
+         for update;
+
+      if not found then
+        raise exception 'Order % not found (settlement line %).',
+          v_line.order_id, v_line.line_no;
+      end if;
+
+      if v_line.shipment_id is not null and not exists (
+        select 1 from public.shipments s
+         where s.id = v_line.shipment_id
+           and s.order_id = v_order.id
+      ) then
+        raise exception 'Shipment % is not on order % (settlement line %).',
+          v_line.shipment_id, v_order.id, v_line.line_no;
+      end if;
+
+      if v_order.status in ('Cancelled', 'Returned') then
+        raise exception 'Order % is %; its settlement row (line %) can''t be applied.',
+          v_order.id, lower(v_order.status), v_line.line_no;
+      end if;
+
+      if v_line.shipment_id is not null then
+        -- also moves a Shipped order to Delivered
+        perform public.record_shipment_status(
+          v_line.shipment_id, 'delivered', null, 'settlement',
+          jsonb_build_object('settlement_id', v_settlement.id, 'row', v_line.raw)
+        );
+        update public.shipments
+           set courier_fee = v_line.courier_fee,
+               settled_at = now()
+         where id = v_line.shipment_id;
+      end if;
+
+      if v_order.status in ('Created', 'Shipped') then
+        perform set_config('app.status_note', 'Delivered (' || v_label || ')', true);
+        update public.orders
+           set status = 'Delivered',
+               updated_at = now()
+         where id = v_order.id
+           and status in ('Created', 'Shipped');
+        perform set_config('app.status_note', '', true);
+      end if;
+
+      insert into public.order_payments (order_id, amount, method, reference, note, paid_at)
+      values (
+        v_order.id,
+        v_line.collected_amount,
+        'cod',
+        coalesce(v_line.tracking_code, v_settlement.reference),
+        v_label,
+        v_settlement.settled_on::timestamptz
+      )
+      returning id into v_payment_id;
+
+      v_order_ids := array_append(v_order_ids, v_order.id);
+    end if;
+
+    insert into public.cod_settlement_lines (
+      settlement_id, line_no, order_id, shipment_id, courier, tracking_code,
+      phone, collected_amount, courier_fee, expected_amount, match_type,
+      result, payment_id, raw
+    )
+    values (
+      v_settlement.id, v_line.line_no, v_line.order_id, v_line.shipment_id,
+      v_settlement.courier, v_line.tracking_code, v_line.phone, v_line.collected_amount,
+      v_line.courier_fee, v_line.expected_amount, v_line.match_type,
+      v_line.result, v_payment_id, v_line.raw
+    );
+  end loop;
+
+  update public.cod_settlements s
+     set row_count = x.row_count,
+         collected_total = x.collected_total,
+         fee_total = x.fee_total,
+         payout_total = x.collected_total - x.fee_total
+    from (
+      select count(*) as row_count,
+             coalesce(sum(collected_amount), 0) as collected_total,
+             coalesce(sum(courier_fee), 0) as fee_total
+        from public.cod_settlement_lines
+       where settlement_id = v_settlement.id
+    ) x
+   where s.id = v_settlement.id
+  returning s.* into v_settlement;
+
+  return jsonb_build_object(
+    'settlement', to_jsonb(v_settlement),
+    'orders', coalesce(
+      (select jsonb_agg(public.order_as_json(id))
+         from (select distinct unnest(v_order_ids) as id) o),
+      '[]'::jsonb
+    )
+  );
+end;
+$$;
+
+revoke execute on function public.apply_cod_settlement(jsonb, jsonb) from public;
+grant execute on function public.apply_cod_settlement(jsonb, jsonb) to authenticated;
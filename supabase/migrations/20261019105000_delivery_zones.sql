@@ -0,0 +1,391 @@
+-- Delivery zones and fee rules.
+--
+-- Each zone has a fee rule; the order form picks the zone from the delivery
+-- address (the first active zone, by sort_order, with a keyword found in it;
+-- otherwise the default zone) or the zone staff choose, and suggests:
+--
+--   base_fee
+--   + per_kg_fee      for every started kg over included_kg
+--   + per_package_fee for every package after the first (a full carton is
+--                     one package, loose units together are one more)
+--   = 0 when the goods (after discounts, with VAT) reach free_shipping_min
+--
+-- The order form shows the suggestion (utils/deliveryFees.js); the server
+-- works it out again from the zone and the saved lines and stores it with
+-- the order. Staff can charge something else, but then have to give a
+-- reason, and every such override is logged in delivery_fee_overrides.
+
+create table if not exists public.delivery_zones (
+  id bigint generated by default as identity primary key,
+  name text not null unique,
+  keywords text[] not null default '{}',
+  base_fee numeric(12, 2) not null default 0,
+  included_kg numeric(8, 2),
+  per_kg_fee numeric(12, 2) not null default 0,
+  per_package_fee numeric(12, 2) not null default 0,
+  free_shipping_min numeric(12, 2),
+  sort_order integer not null default 0,
+  is_default boolean not null default false,
+  active boolean not null default true,
+  updated_at timestamptz not null default now()
+);
+
+-- at most one fallback zone
+create unique index if not exists delivery_zones_default_key
+  on public.delivery_zones (is_default)
+  where is_default;
+
+alter table public.products
+  add column if not exists unit_weight_kg numeric(8, 3);
+
+alter table public.orders
+  add column if not exists delivery_zone_id bigint
+    references public.delivery_zones(id) on delete set null,
+  add column if not exists suggested_delivery_charge numeric(12, 2),
+  add column if not exists delivery_fee_reason text;
+
+create table if not exists public.delivery_fee_overrides (
+  id bigint generated by default as identity primary key,
+  order_id bigint not null references public.orders(id) on delete cascade,
+  zone_id bigint references public.delivery_zones(id) on delete set null,
+  suggested_fee numeric(12, 2),
+  previous_fee numeric(12, 2),
+  charged_fee numeric(12, 2) not null,
+  reason text not null,
+  changed_by uuid default auth.uid(),
+  changed_by_email text default (auth.jwt() ->> 'email'),
+  changed_at timestamptz not null default now()
+);
+
+create index if not exists delivery_fee_overrides_order_id_idx
+  on public.delivery_fee_overrides (order_id);
+
+alter table public.delivery_zones enable row level security;
+alter table public.delivery_fee_overrides enable row level security;
+
+drop policy if exists "delivery_zones all" on public.delivery_zones;
+create policy "delivery_zones all"
+  on public.delivery_zones
+  for all
+  to authenticated
+  using (true)
+  with check (true);
+
+-- written by log_delivery_fee_override() only
+drop policy if exists "delivery_fee_overrides read" on public.delivery_fee_overrides;
+create policy "delivery_fee_overrides read"
+  on public.delivery_fee_overrides
+  for select
+  to authenticated
+  using (true);
+
+-- starting rules; edited from the Settings page
+insert into public.delivery_zones (
+  name, keywords, base_fee, included_kg, per_kg_fee, per_package_fee,
+  free_shipping_min, sort_order, is_default
+)
+values
+  (
+    'Dhaka Suburbs',
+    array['savar', 'ashulia', 'gazipur', 'tongi', 'narayanganj', 'keraniganj',
+          'fatullah', 'siddhirganj', 'dhamrai', 'kaliakair'],
+    100, 1, 20, 30, null, 1, false
+  ),
+  (
+    'Inside Dhaka',
+    array['dhanmondi', 'gulshan', 'banani', 'mirpur', 'uttara', 'mohammadpur',
+          'motijheel', 'badda', 'rampura', 'tejgaon', 'farmgate', 'khilgaon',
+          'bashundhara', 'wari', 'lalbagh', 'dhaka'],
+    70, 1, 15, 20, 5000, 2, false
+  ),
+  (
+    'Outside Dhaka',
+    '{}',
+    130, 1, 25, 40, null, 3, true
+  )
+on conflict (name) do nothing;
+
+-- ---------- suggestions ----------
+
+-- The zone an order's charge follows: the one staff picked, else the first
+-- active zone (by sort_order) with a keyword in the address (as a whole
+-- word), else the default zone. No row (null id) when none applies.
+create or replace function public.delivery_zone_for(p_zone_id bigint, p_address text)
+returns public.delivery_zones
+language plpgsql
+stable
+set search_path = public
+as $$
+declare
+  v_zone public.delivery_zones;
+begin
+  if p_zone_id is not null then
+    select * into v_zone from public.delivery_zones where id = p_zone_id;
+    return v_zone;
+  end if;
+
+  select z.* into v_zone
+    from public.delivery_zones z
+   where z.active
+     and exists (
+       select 1
+         from unnest(z.keywords) k
+        where trim(k) <> ''
+          and lower(coalesce(p_address, '')) ~ (
+            '(^|[^a-z0-9])'
+            || regexp_replace(lower(trim(k)), '([.*+?^${}()|\[\]\\])', '\\\1', 'g')
+            || '([^a-z0-9]|$)'
+          )
+     )
+   order by z.sort_order, z.id
+   limit 1;
+
+  if not found then
+    select * into v_zone from public.delivery_zones where active and is_default;
+  end if;
+
+  return v_zone;
+end;
+$$;
+
+-- The charge a zone suggests for an order's saved lines (calcDeliveryFee()
+-- in utils/deliveryFees.js): every carton line is a package, the loose lines
+-- together one more, and the goods value is the lines' net amount.
+create or replace function public.suggest_delivery_fee(p_zone public.delivery_zones, p_order_id bigint)
+returns numeric
+language sql
+stable
+set search_path = public
+as $$
+  select case
+           when p_zone.free_shipping_min is not null
+                and m.order_value > 0
+                and m.order_value >= p_zone.free_shipping_min then 0
+           else round(
+             p_zone.base_fee
+             + case when p_zone.included_kg is null then 0
+                    else greatest(0, ceil(round(m.weight_kg, 2) - p_zone.included_kg))
+                         * p_zone.per_kg_fee end
+             + greatest(0, m.packages - 1) * p_zone.per_package_fee,
+             2
+           )
+         end
+    from (
+      select coalesce(sum(coalesce(p.unit_weight_kg, 0) * oi.quantity), 0) as weight_kg,
+             count(*) filter (where oi.mode = 'carton')
+               + case when bool_or(oi.mode = 'loose') then 1 else 0 end as packages,
+             coalesce(sum(oi.net_amount), 0) as order_value
+        from public.order_items oi
+        left join public.products p on p.id = oi.product_id
+       where oi.order_id = p_order_id
+         and oi.product_id is not null
+         and oi.quantity > 0
+    ) m;
+$$;
+
+-- ---------- order writes ----------
+
+-- Works out the suggested charge for an order from its zone and saved lines
+-- (so it runs after replace_order_items()) and stores it with the order;
+-- when staff charged something else, checks for a reason and logs the
+-- override. p_previous_fee is the stored charge (null on create); keeping it
+-- needs no new reason. A converted quotation keeps its quoted charge with no
+-- zone (convert_quotation() sets app.quoted_delivery).
+create or replace function public.log_delivery_fee_override(
+  p_order_id bigint,
+  p_order jsonb,
+  p_previous_fee numeric default null
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_charged numeric := coalesce((p_order->>'delivery_charge')::numeric, 0);
+  v_reason text := nullif(trim(p_order->>'delivery_fee_reason'), '');
+  v_zone public.delivery_zones;
+  v_suggested numeric;
+begin
+  if coalesce(current_setting('app.quoted_delivery', true), '') <> 'on' then
+    v_zone := public.delivery_zone_for(
+      nullif(p_order->>'delivery_zone_id', '')::bigint,
+      p_order->>'delivery_address'
+    );
+  end if;
+
+  if v_zone.id is not null then
+    v_suggested := public.suggest_delivery_fee(v_zone, p_order_id);
+  end if;
+
+  update public.orders
+     set delivery_zone_id = v_zone.id,
+         suggested_delivery_charge = v_suggested
+   where id = p_order_id;
+
+  -- no zone means a typed fee
+  if v_suggested is null
+     or v_charged = v_suggested
+     or v_charged = p_previous_fee then
+    return;
+  end if;
+
+  if v_reason is null then
+    raise exception 'Delivery charge % differs from the suggested % for order %; give a reason for the override.',
+      v_charged, v_suggested, p_order_id;
+  end if;
+
+  insert into public.delivery_fee_overrides (
+    order_id, zone_id, suggested_fee, previous_fee, charged_fee, reason
+  )
+  values (
+    p_order_id,
+    v_zone.id,
+    v_suggested,
+    p_previous_fee,
+    v_charged,
+    v_reason
+  );
+end;
+$$;
+
+revoke execute on function public.log_delivery_fee_override(bigint, jsonb, numeric) from public;
+grant execute on function public.log_delivery_fee_override(bigint, jsonb, numeric) to authenticated;
+
+create or replace function public.create_order(p_order jsonb, p_items jsonb)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_order_id bigint;
+begin
+  insert into public.orders (
+    customer_id,
+    customer_name,
+    customer_email,
+    customer_phone,
+    delivery_address,
+    status,
+    subtotal,
+    discount_type,
+    discount_value,
+    discount_amount,
+    discount_total,
+    vat_amount,
+    delivery_charge,
+    delivery_fee_reason,
+    rounding_adjustment,
+    total_amount
+  )
+  values (
+    public.resolve_order_customer(p_order),
+    p_order->>'customer_name',
+    nullif(p_order->>'customer_email', ''),
+    nullif(p_order->>'customer_phone', ''),
+    nullif(p_order->>'delivery_address', ''),
+    coalesce(nullif(p_order->>'status', ''), 'Created'),
+    coalesce((p_order->>'subtotal')::numeric, 0),
+    nullif(p_order->>'discount_type', ''),
+    coalesce((p_order->>'discount_value')::numeric, 0),
+    coalesce((p_order->>'discount_amount')::numeric, 0),
+    coalesce((p_order->>'discount_total')::numeric, 0),
+    coalesce((p_order->>'vat_amount')::numeric, 0),
+    coalesce((p_order->>'delivery_charge')::numeric, 0),
+    nullif(trim(p_order->>'delivery_fee_reason'), ''),
+    coalesce((p_order->>'rounding_adjustment')::numeric, 0),
+    coalesce((p_order->>'total_amount')::numeric, 0)
+  )
+  returning id into v_order_id;
+
+  perform public.replace_order_items(v_order_id, p_items);
+  perform public.log_delivery_fee_override(v_order_id, p_order);
+  perform public.apply_order_stock(p_items, -1);
+
+  return jsonb_build_object(
+    'order', public.order_as_json(v_order_id),
+    'cartons', public.cartons_as_json(public.order_item_carton_ids(p_items))
+  );
+end;
+$$;
+
+create or replace function public.update_order(
+  p_order_id bigint,
+  p_order jsonb,
+  p_items jsonb,
+  p_expected_version integer default null
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_current public.orders;
+  v_old_items jsonb;
+  v_new_status text := nullif(p_order->>'status', '');
+begin
+  perform public.assert_order_version(p_order_id, p_expected_version);
+  perform set_config('app.status_note', coalesce(p_order->>'status_note', ''), true);
+
+  select * into v_current from public.orders where id = p_order_id;
+
+  if v_new_status in ('Cancelled', 'Returned')
+     and v_new_status is distinct from v_current.status then
+    raise exception 'Use the Cancel / Return actions to mark order % as %.',
+      p_order_id, v_new_status;
+  end if;
+
+  if p_items is not null then
+    if v_current.status in ('Cancelled', 'Returned') or v_current.returned_amount > 0 then
+      raise exception 'Order % has cancellations or returns recorded; its items can no longer be edited.',
+        p_order_id;
+    end if;
+
+    v_old_items := public.order_items_as_json(p_order_id);
+
+    perform public.apply_order_stock(v_old_items, 1);
+    perform public.apply_order_stock(p_items, -1);
+    perform public.replace_order_items(p_order_id, p_items);
+
+    perform public.log_delivery_fee_override(p_order_id, p_order, v_current.delivery_charge);
+  end if;
+
+  -- totals (and the discount and delivery rule they came from) only change
+  -- with the items
+  update public.orders
+     set customer_id = public.resolve_order_customer(p_order),
+         customer_name = p_order->>'customer_name',
+         customer_email = nullif(p_order->>'customer_email', ''),
+         customer_phone = nullif(p_order->>'customer_phone', ''),
+         delivery_address = nullif(p_order->>'delivery_address', ''),
+         status = coalesce(v_new_status, status),
+         subtotal = case when p_items is null then subtotal
+                         else coalesce((p_order->>'subtotal')::numeric, 0) end,
+         discount_type = case when p_items is null then discount_type
+                              else nullif(p_order->>'discount_type', '') end,
+         discount_value = case when p_items is null then discount_value
+                               else coalesce((p_order->>'discount_value')::numeric, 0) end,
+         discount_amount = case when p_items is null then discount_amount
+                                else coalesce((p_order->>'discount_amount')::numeric, 0) end,
+         discount_total = case when p_items is null then discount_total
+                               else coalesce((p_order->>'discount_total')::numeric, 0) end,
+         vat_amount = case when p_items is null then vat_amount
+                           else coalesce((p_order->>'vat_amount')::numeric, 0) end,
+         delivery_charge = case when p_items is null then delivery_charge
+                                else coalesce((p_order->>'delivery_charge')::numeric, 0) end,
+         delivery_fee_reason = case when p_items is null then delivery_fee_reason
+                                    else nullif(trim(p_order->>'delivery_fee_reason'), '') end,
+         rounding_adjustment = case when p_items is null then rounding_adjustment
+                                    else coalesce((p_order->>'rounding_adjustment')::numeric, 0) end,
+         total_amount = case when p_items is null then total_amount
+                             else coalesce((p_order->>'total_amount')::numeric, 0) end,
+         updated_at = now()
+   where id = p_order_id;
+
+  return jsonb_build_object(
+    'order', public.order_as_json(p_order_id),
+    'cartons', public.cartons_as_json(
+      public.order_item_carton_ids(coalesce(v_old_items, '[]'::jsonb))
+      || public.order_item_carton_ids(p_items)
+    )
+  );
+end;
+$$;
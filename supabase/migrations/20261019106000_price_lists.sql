@@ -0,0 +1,89 @@
+-- Price lists.
+--
+-- Wholesalers, retailers and walk-in buyers pay different prices. A price
+-- list holds per-product unit prices with quantity breaks (the price of the
+-- highest min_quantity the line reaches applies); a customer can be given a
+-- list, and everyone else gets the default list. Products the list doesn't
+-- price fall back to unit_selling_price. The order editor applies the price
+-- (utils/priceLists.js); staff can still type their own, and prices below
+-- the product's floor_price are flagged.
+
+create table if not exists public.price_lists (
+  id bigint generated by default as identity primary key,
+  name text not null unique,
+  description text,
+  is_default boolean not null default false,
+  active boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- at most one list for customers without their own
+create unique index if not exists price_lists_default_key
+  on public.price_lists (is_default)
+  where is_default;
+
+create table if not exists public.price_list_items (
+  id bigint generated by default as identity primary key,
+  price_list_id bigint not null references public.price_lists(id) on delete cascade,
+  product_id bigint not null references public.products(id) on delete cascade,
+  min_quantity integer not null default 1 check (min_quantity >= 1),
+  unit_price numeric(12, 2) not null check (unit_price >= 0),
+  unique (price_list_id, product_id, min_quantity)
+);
+
+create index if not exists price_list_items_product_id_idx
+  on public.price_list_items (product_id);
+
+alter table public.products
+  add column if not exists floor_price numeric(12, 2);
+
+alter table public.customers
+  add column if not exists price_list_id bigint
+    references public.price_lists(id) on delete set null;
+
+alter table public.price_lists enable row level security;
+alter table public.price_list_items enable row level security;
+
+drop policy if exists "price_lists all" on public.price_lists;
+create policy "price_lists all"
+  on public.price_lists
+  for all
+  to authenticated
+  using (true)
+  with check (true);
+
+drop policy if exists "price_list_items all" on public.price_list_items;
+create policy "price_list_items all"
+  on public.price_list_items
+  for all
+  to authenticated
+  using (true)
+  with check (true);
+
+insert into public.price_lists (name, description, is_default)
+values
+  ('Retail', 'Shops buying to resell', false),
+  ('Wholesale', 'Distributors buying by the carton', false),
+  ('Walk-in', 'Counter sales and one-off buyers', true)
+on conflict (name) do nothing;
+
+-- c.* is expanded when the view is created; recreate it so the list shows
+-- the customer's price list
+drop view if exists public.customer_summary;
+create view public.customer_summary
+with (security_invoker = true)
+as
+select
+  c.*,
+  count(o.id) filter (where o.status <> 'Cancelled') as order_count,
+  coalesce(sum(public.order_net_amount(o)), 0) as lifetime_value,
+  coalesce(sum(o.amount_paid), 0) as total_paid,
+  coalesce(
+    sum(greatest(0, public.order_net_amount(o) - coalesce(o.amount_paid, 0))),
+    0
+  ) as outstanding,
+  max(o.created_at) as last_order_at
+from public.customers c
+left join public.orders o on o.customer_id = c.id
+group by c.id;
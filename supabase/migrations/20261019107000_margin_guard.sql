@@ -0,0 +1,487 @@
+-- Minimum margin guard.
+--
+-- Every order line carries the product's cost (order_items.unit_cost), so
+-- the margin of a line is
+--
+--   (taxable_amount - unit_cost * quantity) / taxable_amount
+--
+-- i.e. on the price after discounts, before VAT. Company settings hold the
+-- minimum margin and what happens below it:
+--   'warn'  - the order form warns; only lines sold below cost need approval
+--   'block' - lines below the minimum margin need approval as well
+-- An order that needs approval is saved with margin_approval_status
+-- 'pending' and can't move on from Created (other than to Cancelled) until a
+-- manager approves it; a manager saving the order can approve it right
+-- away. The approver is recorded on the order. The approval columns are
+-- only written by apply_margin_guard() / approve_order_margin() (or by a
+-- manager).
+--
+-- Roles live in profiles (one row per login). Everyone who had a login
+-- before this migration becomes a manager; new logins start as staff.
+-- Change roles in the SQL editor until there is a users page.
+
+create table if not exists public.profiles (
+  id uuid primary key references auth.users(id) on delete cascade,
+  email text,
+  role text not null default 'staff' check (role in ('staff', 'manager')),
+  created_at timestamptz not null default now()
+);
+
+alter table public.profiles enable row level security;
+
+-- everyone can see who is who; roles are changed by the database owner only
+drop policy if exists "profiles read" on public.profiles;
+create policy "profiles read"
+  on public.profiles
+  for select
+  to authenticated
+  using (true);
+
+create or replace function public.handle_new_user_profile()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  insert into public.profiles (id, email)
+  values (new.id, new.email)
+  on conflict (id) do nothing;
+  return new;
+end;
+$$;
+
+drop trigger if exists on_auth_user_created_profile on auth.users;
+create trigger on_auth_user_created_profile
+  after insert on auth.users
+  for each row execute function public.handle_new_user_profile();
+
+insert into public.profiles (id, email, role)
+select u.id, u.email, 'manager'
+from auth.users u
+on conflict (id) do nothing;
+
+create or replace function public.current_user_role()
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select role from public.profiles where id = auth.uid();
+$$;
+
+create or replace function public.is_manager()
+returns boolean
+language sql
+stable
+as $$
+  select coalesce(public.current_user_role() = 'manager', false);
+$$;
+
+alter table public.company_settings
+  add column if not exists min_margin_percent numeric(5, 2) default 10,
+  add column if not exists margin_guard text not null default 'warn';
+
+alter table public.company_settings
+  drop constraint if exists company_settings_margin_guard_check;
+alter table public.company_settings
+  add constraint company_settings_margin_guard_check
+  check (margin_guard in ('warn', 'block'));
+
+alter table public.orders
+  add column if not exists margin_approval_status text,
+  add column if not exists margin_approved_by uuid,
+  add column if not exists margin_approved_by_email text,
+  add column if not exists margin_approved_at timestamptz,
+  add column if not exists margin_approval_note text;
+
+alter table public.orders
+  drop constraint if exists orders_margin_approval_status_check;
+alter table public.orders
+  add constraint orders_margin_approval_status_check
+  check (margin_approval_status is null or margin_approval_status in ('pending', 'approved'));
+
+-- ---------- checks ----------
+
+-- { below_cost, below_margin, min_margin }: how many of the order's lines
+-- sell below cost / below the minimum margin
+create or replace function public.order_margin_issues(p_order_id bigint)
+returns jsonb
+language sql
+stable
+as $$
+  select jsonb_build_object(
+    'below_cost',
+    count(*) filter (
+      where oi.taxable_amount < oi.unit_cost * oi.quantity
+    ),
+    'below_margin',
+    count(*) filter (
+      where s.min_margin_percent is not null
+        and (
+          oi.taxable_amount <= 0
+          or (oi.taxable_amount - oi.unit_cost * oi.quantity) * 100
+             < s.min_margin_percent * oi.taxable_amount
+        )
+    ),
+    'min_margin',
+    max(s.min_margin_percent)
+  )
+  from public.order_items oi
+  left join public.company_settings s on s.id = 1
+  where oi.order_id = p_order_id
+    and oi.quantity > 0
+    and oi.unit_cost is not null;
+$$;
+
+-- Sets the order's approval state from its current lines. p_order may ask
+-- for approval with { margin_approved: true, margin_approval_note }, which
+-- only a manager can give. The lines' shares of the order discount have to
+-- add up to p_order's discount on them, or their taxable amounts (what the
+-- margins are taken on) can't be trusted.
+create or replace function public.apply_margin_guard(p_order_id bigint, p_order jsonb)
+returns void
+language plpgsql
+as $$
+declare
+  v_issues jsonb;
+  v_guard text;
+  v_needs_approval boolean;
+  v_base numeric;
+  v_allocated numeric;
+  v_out_of_range boolean;
+  v_discount_type text := nullif(p_order->>'discount_type', '');
+  v_discount_value numeric := coalesce((p_order->>'discount_value')::numeric, 0);
+  v_discount numeric;
+begin
+  select coalesce(sum(line_total - discount_amount), 0),
+         coalesce(sum(order_discount_amount), 0),
+         coalesce(bool_or(order_discount_amount < 0
+                          or order_discount_amount > line_total - discount_amount), false)
+    into v_base, v_allocated, v_out_of_range
+    from public.order_items
+   where order_id = p_order_id;
+
+  v_discount := case
+    when v_discount_type is null or v_discount_value <= 0 or v_base <= 0 then 0
+    when v_discount_type = 'percent' then
+      round(least(v_base * least(v_discount_value, 100) / 100, v_base), 2)
+    else round(least(v_discount_value, v_base), 2)
+  end;
+
+  if v_out_of_range or abs(v_allocated - v_discount) >= 0.01 then
+    raise exception 'The order discount on order % doesn''t add up over its lines; reload the order and save it again.',
+      p_order_id;
+  end if;
+
+  v_issues := public.order_margin_issues(p_order_id);
+
+  select coalesce(margin_guard, 'warn') into v_guard
+    from public.company_settings
+   where id = 1;
+
+  v_needs_approval := (v_issues->>'below_cost')::integer > 0
+    or (v_guard = 'block' and (v_issues->>'below_margin')::integer > 0);
+
+  perform set_config('app.margin_guard', 'on', true);
+
+  if not v_needs_approval then
+    update public.orders
+       set margin_approval_status = null,
+           margin_approved_by = null,
+           margin_approved_by_email = null,
+           margin_approved_at = null,
+           margin_approval_note = null
+     where id = p_order_id;
+  elsif coalesce((p_order->>'margin_approved')::boolean, false) then
+    if not public.is_manager() then
+      raise exception 'Only a manager can approve the prices on order %.', p_order_id;
+    end if;
+    update public.orders
+       set margin_approval_status = 'approved',
+           margin_approved_by = auth.uid(),
+           margin_approved_by_email = auth.jwt() ->> 'email',
+           margin_approved_at = now(),
+           margin_approval_note = nullif(trim(p_order->>'margin_approval_note'), '')
+     where id = p_order_id;
+  else
+    update public.orders
+       set margin_approval_status = 'pending',
+           margin_approved_by = null,
+           margin_approved_by_email = null,
+           margin_approved_at = null,
+           margin_approval_note = null
+     where id = p_order_id;
+  end if;
+
+  perform set_config('app.margin_guard', '', true);
+end;
+$$;
+
+-- what an approval was given for: the lines' products, quantities and
+-- prices after discounts
+create or replace function public.order_pricing_snapshot(p_order_id bigint)
+returns jsonb
+language sql
+stable
+as $$
+  select coalesce(
+    jsonb_agg(
+      jsonb_build_array(oi.product_id, oi.quantity, oi.taxable_amount)
+      order by oi.line_no
+    ),
+    '[]'::jsonb
+  )
+  from public.order_items oi
+  where oi.order_id = p_order_id;
+$$;
+
+-- orders waiting for approval stay Created (or get cancelled)
+create or replace function public.enforce_margin_approval()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.status is distinct from old.status
+     and new.status <> 'Cancelled'
+     and new.margin_approval_status = 'pending' then
+    raise exception 'Order % has prices below the allowed margin; a manager must approve them before it can be marked %.',
+      new.id, new.status;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists orders_enforce_margin_approval on public.orders;
+create trigger orders_enforce_margin_approval
+  before update of status on public.orders
+  for each row execute function public.enforce_margin_approval();
+
+-- the approval columns can't be set by a plain orders update:
+-- apply_margin_guard() / approve_order_margin() set app.margin_guard around
+-- their own updates, and managers may correct them by hand
+create or replace function public.protect_margin_approval()
+returns trigger
+language plpgsql
+as $$
+begin
+  if coalesce(current_setting('app.margin_guard', true), '') = 'on'
+     or public.is_manager() then
+    return new;
+  end if;
+
+  if tg_op = 'INSERT' then
+    if new.margin_approval_status is not null
+       or new.margin_approved_by is not null
+       or new.margin_approved_by_email is not null
+       or new.margin_approved_at is not null
+       or new.margin_approval_note is not null then
+      raise exception 'New orders can''t carry a price approval; a manager approves them once saved.';
+    end if;
+  elsif new.margin_approval_status is distinct from old.margin_approval_status
+     or new.margin_approved_by is distinct from old.margin_approved_by
+     or new.margin_approved_by_email is distinct from old.margin_approved_by_email
+     or new.margin_approved_at is distinct from old.margin_approved_at
+     or new.margin_approval_note is distinct from old.margin_approval_note then
+    raise exception 'Only a manager can change the price approval on order %.', old.id;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists orders_protect_margin_approval on public.orders;
+create trigger orders_protect_margin_approval
+  before insert or update on public.orders
+  for each row execute function public.protect_margin_approval();
+
+create or replace function public.approve_order_margin(p_order_id bigint, p_note text default null)
+returns jsonb
+language plpgsql
+as $$
+begin
+  if not public.is_manager() then
+    raise exception 'Only a manager can approve the prices on order %.', p_order_id;
+  end if;
+
+  perform set_config('app.margin_guard', 'on', true);
+
+  update public.orders
+     set margin_approval_status = 'approved',
+         margin_approved_by = auth.uid(),
+         margin_approved_by_email = auth.jwt() ->> 'email',
+         margin_approved_at = now(),
+         margin_approval_note = nullif(trim(p_note), ''),
+         updated_at = now()
+   where id = p_order_id
+     and margin_approval_status = 'pending';
+
+  if not found then
+    raise exception 'Order % is not waiting for a price approval.', p_order_id;
+  end if;
+
+  perform set_config('app.margin_guard', '', true);
+
+  return public.order_as_json(p_order_id);
+end;
+$$;
+
+-- ---------- order writes ----------
+
+create or replace function public.create_order(p_order jsonb, p_items jsonb)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_order_id bigint;
+begin
+  insert into public.orders (
+    customer_id,
+    customer_name,
+    customer_email,
+    customer_phone,
+    delivery_address,
+    status,
+    subtotal,
+    discount_type,
+    discount_value,
+    discount_amount,
+    discount_total,
+    vat_amount,
+    delivery_charge,
+    delivery_fee_reason,
+    rounding_adjustment,
+    total_amount
+  )
+  values (
+    public.resolve_order_customer(p_order),
+    p_order->>'customer_name',
+    nullif(p_order->>'customer_email', ''),
+    nullif(p_order->>'customer_phone', ''),
+    nullif(p_order->>'delivery_address', ''),
+    coalesce(nullif(p_order->>'status', ''), 'Created'),
+    coalesce((p_order->>'subtotal')::numeric, 0),
+    nullif(p_order->>'discount_type', ''),
+    coalesce((p_order->>'discount_value')::numeric, 0),
+    coalesce((p_order->>'discount_amount')::numeric, 0),
+    coalesce((p_order->>'discount_total')::numeric, 0),
+    coalesce((p_order->>'vat_amount')::numeric, 0),
+    coalesce((p_order->>'delivery_charge')::numeric, 0),
+    nullif(trim(p_order->>'delivery_fee_reason'), ''),
+    coalesce((p_order->>'rounding_adjustment')::numeric, 0),
+    coalesce((p_order->>'total_amount')::numeric, 0)
+  )
+  returning id into v_order_id;
+
+  perform public.replace_order_items(v_order_id, p_items);
+  perform public.log_delivery_fee_override(v_order_id, p_order);
+  perform public.apply_order_stock(p_items, -1);
+  perform public.apply_margin_guard(v_order_id, p_order);
+
+  if exists (
+    select 1 from public.orders
+     where id = v_order_id
+       and margin_approval_status = 'pending'
+       and status not in ('Created', 'Cancelled')
+  ) then
+    raise exception 'This order has prices below the allowed margin; save it as Created until a manager approves them.';
+  end if;
+
+  return jsonb_build_object(
+    'order', public.order_as_json(v_order_id),
+    'cartons', public.cartons_as_json(public.order_item_carton_ids(p_items))
+  );
+end;
+$$;
+
+create or replace function public.update_order(
+  p_order_id bigint,
+  p_order jsonb,
+  p_items jsonb,
+  p_expected_version integer default null
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_current public.orders;
+  v_old_items jsonb;
+  v_old_pricing jsonb;
+  v_new_status text := nullif(p_order->>'status', '');
+begin
+  perform public.assert_order_version(p_order_id, p_expected_version);
+  perform set_config('app.status_note', coalesce(p_order->>'status_note', ''), true);
+
+  select * into v_current from public.orders where id = p_order_id;
+
+  if v_new_status in ('Cancelled', 'Returned')
+     and v_new_status is distinct from v_current.status then
+    raise exception 'Use the Cancel / Return actions to mark order % as %.',
+      p_order_id, v_new_status;
+  end if;
+
+  if p_items is not null then
+    if v_current.status in ('Cancelled', 'Returned') or v_current.returned_amount > 0 then
+      raise exception 'Order % has cancellations or returns recorded; its items can no longer be edited.',
+        p_order_id;
+    end if;
+
+    v_old_items := public.order_items_as_json(p_order_id);
+    v_old_pricing := public.order_pricing_snapshot(p_order_id);
+
+    perform public.apply_order_stock(v_old_items, 1);
+    perform public.apply_order_stock(p_items, -1);
+    perform public.replace_order_items(p_order_id, p_items);
+
+    perform public.log_delivery_fee_override(p_order_id, p_order, v_current.delivery_charge);
+
+    -- before the status changes, so a pending approval holds it back; an
+    -- approval stands while the lines are priced as they were
+    if v_current.margin_approval_status is distinct from 'approved'
+       or coalesce((p_order->>'margin_approved')::boolean, false)
+       or public.order_pricing_snapshot(p_order_id) <> v_old_pricing then
+      perform public.apply_margin_guard(p_order_id, p_order);
+    end if;
+  end if;
+
+  -- totals (and the discount and delivery rule they came from) only change
+  -- with the items
+  update public.orders
+     set customer_id = public.resolve_order_customer(p_order),
+         customer_name = p_order->>'customer_name',
+         customer_email = nullif(p_order->>'customer_email', ''),
+         customer_phone = nullif(p_order->>'customer_phone', ''),
+         delivery_address = nullif(p_order->>'delivery_address', ''),
+         status = coalesce(v_new_status, status),
+         subtotal = case when p_items is null then subtotal
+                         else coalesce((p_order->>'subtotal')::numeric, 0) end,
+         discount_type = case when p_items is null then discount_type
+                              else nullif(p_order->>'discount_type', '') end,
+         discount_value = case when p_items is null then discount_value
+                               else coalesce((p_order->>'discount_value')::numeric, 0) end,
+         discount_amount = case when p_items is null then discount_amount
+                                else coalesce((p_order->>'discount_amount')::numeric, 0) end,
+         discount_total = case when p_items is null then discount_total
+                               else coalesce((p_order->>'discount_total')::numeric, 0) end,
+         vat_amount = case when p_items is null then vat_amount
+                           else coalesce((p_order->>'vat_amount')::numeric, 0) end,
+         delivery_charge = case when p_items is null then delivery_charge
+                                else coalesce((p_order->>'delivery_charge')::numeric, 0) end,
+         delivery_fee_reason = case when p_items is null then delivery_fee_reason
+                                    else nullif(trim(p_order->>'delivery_fee_reason'), '') end,
+         rounding_adjustment = case when p_items is null then rounding_adjustment
+                                    else coalesce((p_order->>'rounding_adjustment')::numeric, 0) end,
+         total_amount = case when p_items is null then total_amount
+                             else coalesce((p_order->>'total_amount')::numeric, 0) end,
+         updated_at = now()
+   where id = p_order_id;
+
+  return jsonb_build_object(
+    'order', public.order_as_json(p_order_id),
+    'cartons', public.cartons_as_json(
+      public.order_item_carton_ids(coalesce(v_old_items, '[]'::jsonb))
+      || public.order_item_carton_ids(p_items)
+    )
+  );
+end;
+$$;
@@ -0,0 +1,86 @@
+-- Auto carton selection.
+--
+-- Auto order lines are now planned to ship exactly the quantity asked for:
+-- whole sealed cartons first, the rest as loose units from open cartons or
+-- from a carton the order opens (utils/orderItems.js selectCartonsForAuto).
+-- Which cartons go first is a company setting: 'fifo' (oldest received) or
+-- 'fewest' (largest first, so fewer cartons are touched).
+--
+-- Taking loose units from a sealed carton opens it, so apply_order_stock now
+-- marks the carton open.
+
+alter table public.company_settings
+  add column if not exists auto_carton_policy text not null default 'fifo';
+
+alter table public.company_settings
+  drop constraint if exists company_settings_auto_carton_policy_check;
+alter table public.company_settings
+  add constraint company_settings_auto_carton_policy_check
+  check (auto_carton_policy in ('fifo', 'fewest'));
+
+create or replace function public.apply_order_stock(p_items jsonb, p_direction integer)
+returns void
+language plpgsql
+as $$
+declare
+  v_item jsonb;
+  v_carton_id bigint;
+  v_qty integer;
+  v_carton public.cartons;
+begin
+  perform 1
+     from public.cartons
+    where id = any(public.order_item_carton_ids(p_items))
+    order by id
+      for update;
+
+  for v_item in select * from jsonb_array_elements(coalesce(p_items, '[]'::jsonb))
+  loop
+    v_carton_id := nullif(v_item->>'carton_id', '')::bigint;
+    if v_carton_id is null then
+      continue;
+    end if;
+
+    select * into v_carton from public.cartons where id = v_carton_id;
+    if not found then
+      raise exception 'Carton % not found.', v_carton_id;
+    end if;
+
+    if v_item->>'mode' = 'loose' then
+      v_qty := coalesce((v_item->>'quantity')::integer, 0);
+
+      if p_direction < 0 then
+        if v_carton.status <> 'received' then
+          raise exception 'Carton % is no longer available (status: %).',
+            v_carton_id, v_carton.status;
+        end if;
+        if coalesce(v_carton.units_remaining, 0) < v_qty then
+          raise exception 'Not enough units remaining for Carton % (requested %, available %).',
+            v_carton_id, v_qty, coalesce(v_carton.units_remaining, 0);
+        end if;
+      end if;
+
+      -- a carton units were taken from stays open when they come back
+      update public.cartons
+         set units_remaining = coalesce(units_remaining, 0) + p_direction * v_qty,
+             is_open = case when p_direction < 0 and v_qty > 0 then true else is_open end,
+             updated_at = now()
+       where id = v_carton_id;
+    elsif v_item->>'mode' = 'carton' then
+      if p_direction < 0 and v_carton.status <> 'received' then
+        raise exception 'Carton % is no longer available (status: %). Another order may have booked it.',
+          v_carton_id, v_carton.status;
+      end if;
+      if p_direction > 0 and v_carton.status <> 'booked' then
+        -- already released elsewhere (e.g. edited by hand); nothing to undo
+        continue;
+      end if;
+
+      update public.cartons
+         set status = case when p_direction < 0 then 'booked' else 'received' end,
+             updated_at = now()
+       where id = v_carton_id;
+    end if;
+  end loop;
+end;
+$$;
@@ -0,0 +1,103 @@
+-- Paged orders list.
+--
+-- The Orders page used to load every order (with its lines, history,
+-- payments and shipments) and filter in the browser. list_orders() filters,
+-- sorts and pages on the server and returns one page in the order_as_json()
+-- shape plus the total number of matches. Filters (all optional):
+--   q            invoice no., #id, customer name, phone or email
+--   status       exact status
+--   from, to     created_at range (timestamps; to is exclusive)
+--   customer     customer name contains
+--   customer_id  exact customer
+--   phone        customer phone contains
+--   product_id   has a line for the product
+--   carton_id    has a line from the carton
+
+create index if not exists orders_created_at_idx on public.orders (created_at);
+create index if not exists orders_status_idx on public.orders (status);
+
+create or replace function public.filter_orders(p_filters jsonb)
+returns setof public.orders
+language sql
+stable
+as $$
+  select o.*
+    from public.orders o
+   where (nullif(p_filters->>'status', '') is null
+          or o.status = p_filters->>'status')
+     and (nullif(p_filters->>'from', '') is null
+          or o.created_at >= (p_filters->>'from')::timestamptz)
+     and (nullif(p_filters->>'to', '') is null
+          or o.created_at < (p_filters->>'to')::timestamptz)
+     and (nullif(p_filters->>'customer_id', '') is null
+          or o.customer_id = (p_filters->>'customer_id')::bigint)
+     and (nullif(trim(p_filters->>'customer'), '') is null
+          or o.customer_name ilike '%' || trim(p_filters->>'customer') || '%')
+     and (nullif(trim(p_filters->>'phone'), '') is null
+          or o.customer_phone ilike '%' || trim(p_filters->>'phone') || '%')
+     and (nullif(p_filters->>'product_id', '') is null
+          or exists (
+            select 1 from public.order_items oi
+             where oi.order_id = o.id
+               and oi.product_id = (p_filters->>'product_id')::bigint
+          ))
+     and (nullif(p_filters->>'carton_id', '') is null
+          or exists (
+            select 1 from public.order_items oi
+             where oi.order_id = o.id
+               and oi.carton_id = (p_filters->>'carton_id')::bigint
+          ))
+     and (nullif(trim(p_filters->>'q'), '') is null
+          or o.invoice_number ilike '%' || trim(p_filters->>'q') || '%'
+          or o.id::text = ltrim(trim(p_filters->>'q'), '#')
+          or o.customer_name ilike '%' || trim(p_filters->>'q') || '%'
+          or o.customer_phone ilike '%' || trim(p_filters->>'q') || '%'
+          or o.customer_email ilike '%' || trim(p_filters->>'q') || '%');
+$$;
+
+-- { total, orders: [order_as_json...] } for one page.
+--   p_sort: id | created_at | customer_name | status | total_amount
+create or replace function public.list_orders(
+  p_filters jsonb default '{}'::jsonb,
+  p_sort text default 'id',
+  p_ascending boolean default false,
+  p_limit integer default 25,
+  p_offset integer default 0
+)
+returns jsonb
+language sql
+stable
+as $$
+  with matches as (
+    select * from public.filter_orders(coalesce(p_filters, '{}'::jsonb))
+  ),
+  page as (
+    select m.id,
+           row_number() over (
+             order by
+               case when p_sort = 'created_at' and p_ascending then m.created_at end asc,
+               case when p_sort = 'created_at' and not p_ascending then m.created_at end desc,
+               case when p_sort = 'customer_name' and p_ascending then lower(m.customer_name) end asc,
+               case when p_sort = 'customer_name' and not p_ascending then lower(m.customer_name) end desc,
+               case when p_sort = 'status' and p_ascending then m.status end asc,
+               case when p_sort = 'status' and not p_ascending then m.status end desc,
+               case when p_sort = 'total_amount' and p_ascending then m.total_amount end asc,
+               case when p_sort = 'total_amount' and not p_ascending then m.total_amount end desc,
+               case when p_ascending then m.id end asc,
+               case when not p_ascending then m.id end desc
+           ) as position
+      from matches m
+  )
+  select jsonb_build_object(
+    'total', (select count(*) from matches),
+    'orders', coalesce(
+      (
+        select jsonb_agg(public.order_as_json(p.id) order by p.position)
+          from page p
+         where p.position > greatest(p_offset, 0)
+           and p.position <= greatest(p_offset, 0) + least(greatest(p_limit, 1), 200)
+      ),
+      '[]'::jsonb
+    )
+  );
+$$;
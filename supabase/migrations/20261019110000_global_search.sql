@@ -0,0 +1,120 @@
+-- Global search (navbar).
+--
+-- One call looks a term up everywhere staff usually need to jump to:
+--   orders     #id, invoice number, customer name or phone
+--   customers  name or phone
+--   cartons    id or a scanned label QR ("carton123", utils/cartonQr.js)
+--   products   SKU or name
+--   suppliers  organization or contact name
+-- and returns a few of each, best matches (exact ids) first. Trigram indexes
+-- keep the "contains" matches fast on large tables.
+
+create extension if not exists pg_trgm with schema extensions;
+
+create index if not exists orders_customer_name_trgm_idx
+  on public.orders using gin (customer_name extensions.gin_trgm_ops);
+create index if not exists orders_customer_phone_trgm_idx
+  on public.orders using gin (customer_phone extensions.gin_trgm_ops);
+create index if not exists orders_invoice_number_trgm_idx
+  on public.orders using gin (invoice_number extensions.gin_trgm_ops);
+create index if not exists customers_name_trgm_idx
+  on public.customers using gin (name extensions.gin_trgm_ops);
+create index if not exists customers_phone_trgm_idx
+  on public.customers using gin (phone extensions.gin_trgm_ops);
+create index if not exists products_name_trgm_idx
+  on public.products using gin (name extensions.gin_trgm_ops);
+create index if not exists products_sku_trgm_idx
+  on public.products using gin (sku extensions.gin_trgm_ops);
+
+-- { orders, customers, cartons, products, suppliers }, at most p_limit each
+create or replace function public.global_search(p_query text, p_limit integer default 5)
+returns jsonb
+language plpgsql
+stable
+as $$
+declare
+  v_term text := trim(coalesce(p_query, ''));
+  v_limit integer := least(greatest(coalesce(p_limit, 5), 1), 20);
+  v_like text;
+  v_id bigint;
+begin
+  -- "123", "#123" or a carton label scan "carton123"
+  if v_term ~* '^(#|carton)?[0-9]{1,18}$' then
+    v_id := substring(v_term from '[0-9]+')::bigint;
+  end if;
+
+  if v_id is null and length(v_term) < 2 then
+    return jsonb_build_object(
+      'orders', '[]'::jsonb,
+      'customers', '[]'::jsonb,
+      'cartons', '[]'::jsonb,
+      'products', '[]'::jsonb,
+      'suppliers', '[]'::jsonb
+    );
+  end if;
+
+  -- the term is matched literally
+  v_like := '%' || replace(replace(replace(v_term, '\', '\\'), '%', '\%'), '_', '\_') || '%';
+
+  return jsonb_build_object(
+    'orders', coalesce((
+      select jsonb_agg(r)
+        from (
+          select o.id, o.invoice_number, o.customer_name, o.customer_phone,
+                 o.status, o.total_amount, o.created_at
+            from public.orders o
+           where o.id = v_id
+              or o.invoice_number ilike v_like
+              or o.customer_name ilike v_like
+              or o.customer_phone ilike v_like
+           order by (o.id = v_id) is true desc, o.id desc
+           limit v_limit
+        ) r
+    ), '[]'::jsonb),
+    'customers', coalesce((
+      select jsonb_agg(r)
+        from (
+          select c.id, c.name, c.phone
+            from public.customers c
+           where c.name ilike v_like
+              or c.phone ilike v_like
+           order by c.name
+           limit v_limit
+        ) r
+    ), '[]'::jsonb),
+    'cartons', coalesce((
+      select jsonb_agg(r)
+        from (
+          select c.id, c.status, c.units_remaining, c.is_open,
+                 p.name as product_name
+            from public.cartons c
+            left join public.products p on p.id = c.product_id
+           where c.id = v_id
+           limit v_limit
+        ) r
+    ), '[]'::jsonb),
+    'products', coalesce((
+      select jsonb_agg(r)
+        from (
+          select p.id, p.name, p.sku
+            from public.products p
+           where p.sku ilike v_like
+              or p.name ilike v_like
+           order by (lower(p.sku) = lower(v_term)) is true desc, p.name
+           limit v_limit
+        ) r
+    ), '[]'::jsonb),
+    'suppliers', coalesce((
+      select jsonb_agg(r)
+        from (
+          select s.id, s.organization_name, s.contact_name, s.phone
+            from public.supplier s
+           where s.organization_name ilike v_like
+              or s.contact_name ilike v_like
+           order by s.organization_name
+           limit v_limit
+        ) r
+    ), '[]'::jsonb)
+  );
+end;
+$$;
@@ -0,0 +1,28 @@
+-- Realtime updates between open dashboard tabs.
+--
+-- Orders, Inventory, Products and Suppliers subscribe to changes on these
+-- tables (src/utils/realtime.js) and patch what they show instead of waiting
+-- for a refresh. Events respect RLS, so each user only hears about rows they
+-- can read.
+
+do $$
+declare
+  v_table text;
+begin
+  if not exists (select 1 from pg_publication where pubname = 'supabase_realtime') then
+    create publication supabase_realtime;
+  end if;
+
+  foreach v_table in array array['orders', 'cartons', 'products', 'supplier'] loop
+    if not exists (
+      select 1
+        from pg_publication_tables
+       where pubname = 'supabase_realtime'
+         and schemaname = 'public'
+         and tablename = v_table
+    ) then
+      execute format('alter publication supabase_realtime add table public.%I', v_table);
+    end if;
+  end loop;
+end;
+$$;
@@ -0,0 +1,1104 @@
+-- Role-based access.
+--
+-- Every login has one role in profiles.role:
+--   admin       everything, including users, settings and deletes
+--   sales       orders, quotations, customers, payments
+--   warehouse   cartons and suppliers; order status, shipping and returns;
+--               never sees purchase prices
+--   accountant  payments and COD settlements; reads the rest
+-- A login without a role (e.g. a new sign-up) can't read or change
+-- anything. Existing managers become admins and existing staff become sales.
+-- Admins change roles on the Users page (set_user_role()).
+--
+-- The table policies below enforce the same rules as the UI
+-- (src/utils/permissions.js). The order RPCs run as their owner and check
+-- the caller's role themselves, so clients don't write order lines or book
+-- stock directly, and a direct update of an order can only store its
+-- documents. Purchase prices move from products to product_costs, and the
+-- cost snapshot of order lines from order_items.unit_cost to
+-- order_item_costs; warehouse staff can read neither, and product_sales
+-- leaves its cost and profit empty for them.
+
+-- ---------- roles ----------
+
+alter table public.profiles drop constraint if exists profiles_role_check;
+
+update public.profiles
+   set role = case role when 'manager' then 'admin' when 'staff' then 'sales' end
+ where role in ('manager', 'staff');
+
+alter table public.profiles alter column role drop not null;
+alter table public.profiles alter column role drop default;
+alter table public.profiles
+  add constraint profiles_role_check
+  check (role in ('admin', 'sales', 'warehouse', 'accountant'));
+
+create or replace function public.has_role(variadic p_roles text[])
+returns boolean
+language sql
+stable
+as $$
+  select coalesce(public.current_user_role() = any(p_roles), false);
+$$;
+
+-- any role at all (a login an admin has let in)
+create or replace function public.is_staff()
+returns boolean
+language sql
+stable
+as $$
+  select public.current_user_role() is not null;
+$$;
+
+-- approvals that used to need a manager now need an admin
+create or replace function public.is_manager()
+returns boolean
+language sql
+stable
+as $$
+  select public.has_role('admin');
+$$;
+
+create or replace function public.can_view_costs()
+returns boolean
+language sql
+stable
+as $$
+  select public.has_role('admin', 'sales', 'accountant');
+$$;
+
+-- admin only; p_role null takes a login's access away
+create or replace function public.set_user_role(p_user_id uuid, p_role text)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_profile public.profiles;
+begin
+  if not public.has_role('admin') then
+    raise exception 'Only admins can change roles.';
+  end if;
+
+  if p_role is not null and p_role not in ('admin', 'sales', 'warehouse', 'accountant') then
+    raise exception 'Unknown role %.', p_role;
+  end if;
+
+  if p_role is distinct from 'admin'
+     and exists (select 1 from public.profiles where id = p_user_id and role = 'admin')
+     and (select count(*) from public.profiles where role = 'admin') <= 1 then
+    raise exception 'There has to be at least one admin.';
+  end if;
+
+  update public.profiles
+     set role = p_role
+   where id = p_user_id
+  returning * into v_profile;
+
+  if not found then
+    raise exception 'User % not found.', p_user_id;
+  end if;
+
+  return to_jsonb(v_profile);
+end;
+$$;
+
+revoke all on function public.set_user_role(uuid, text) from public;
+grant execute on function public.set_user_role(uuid, text) to authenticated;
+
+-- logins without a role only see their own profile
+drop policy if exists "profiles read" on public.profiles;
+create policy "profiles read"
+  on public.profiles
+  for select
+  to authenticated
+  using (id = auth.uid() or public.is_staff());
+
+-- ---------- purchase prices ----------
+
+create table if not exists public.product_costs (
+  product_id bigint primary key references public.products(id) on delete cascade,
+  unit_purchase_price numeric(12, 2),
+  updated_at timestamptz not null default now()
+);
+
+insert into public.product_costs (product_id, unit_purchase_price)
+select p.id, p.unit_purchase_price
+  from public.products p
+ where p.unit_purchase_price is not null
+on conflict (product_id) do nothing;
+
+create table if not exists public.order_item_costs (
+  order_item_id bigint primary key references public.order_items(id) on delete cascade,
+  unit_cost numeric(12, 2) not null
+);
+
+insert into public.order_item_costs (order_item_id, unit_cost)
+select oi.id, oi.unit_cost
+  from public.order_items oi
+ where oi.unit_cost is not null
+on conflict (order_item_id) do nothing;
+
+-- new lines are costed from product_costs; lines of a product the order
+-- already had keep its cost
+create or replace function public.replace_order_items(p_order_id bigint, p_items jsonb)
+returns void
+language plpgsql
+as $$
+declare
+  v_costs jsonb;
+begin
+  select coalesce(jsonb_object_agg(product_id::text, unit_cost), '{}'::jsonb)
+    into v_costs
+    from (
+      select distinct on (oi.product_id) oi.product_id, c.unit_cost
+        from public.order_items oi
+        join public.order_item_costs c on c.order_item_id = oi.id
+       where oi.order_id = p_order_id
+         and oi.product_id is not null
+       order by oi.product_id, oi.line_no
+    ) prev;
+
+  delete from public.order_items where order_id = p_order_id;
+
+  -- amounts are worked out here from quantity, price, discount and VAT rate
+  -- (as computeOrderTotals() in utils/orderTotals.js does), so the margin
+  -- guard checks the server's numbers; only the share of the order discount
+  -- comes from the client, and apply_margin_guard() checks it adds up
+  insert into public.order_items (
+    order_id, line_no, mode, product_id, carton_id,
+    quantity, unit_price, line_total,
+    discount_type, discount_value, discount_amount, order_discount_amount,
+    taxable_amount, vat_rate, vat_amount, net_amount
+  )
+  select
+    p_order_id,
+    it.ordinality,
+    l.mode,
+    l.product_id,
+    l.carton_id,
+    l.quantity,
+    l.unit_price,
+    l.line_total,
+    l.discount_type,
+    l.discount_value,
+    d.discount_amount,
+    l.order_discount_amount,
+    t.taxable_amount,
+    l.vat_rate,
+    round(t.taxable_amount * l.vat_rate / 100, 2),
+    t.taxable_amount + round(t.taxable_amount * l.vat_rate / 100, 2)
+  from jsonb_array_elements(coalesce(p_items, '[]'::jsonb))
+    with ordinality as it(value, ordinality)
+  left join public.products p on p.id = nullif(it.value->>'product_id', '')::bigint
+  cross join lateral (
+    select
+      coalesce(nullif(it.value->>'mode', ''), 'carton') as mode,
+      nullif(it.value->>'product_id', '')::bigint as product_id,
+      nullif(it.value->>'carton_id', '')::bigint as carton_id,
+      coalesce((it.value->>'quantity')::integer, 0) as quantity,
+      coalesce((it.value->>'unit_price')::numeric, 0) as unit_price,
+      round(
+        coalesce((it.value->>'quantity')::integer, 0)
+        * coalesce((it.value->>'unit_price')::numeric, 0),
+        2
+      ) as line_total,
+      nullif(it.value->>'discount_type', '') as discount_type,
+      coalesce((it.value->>'discount_value')::numeric, 0) as discount_value,
+      coalesce((it.value->>'order_discount_amount')::numeric, 0) as order_discount_amount,
+      coalesce((it.value->>'vat_rate')::numeric, p.vat_rate, 0) as vat_rate
+  ) l
+  cross join lateral (
+    select case
+             when l.discount_type is null or l.discount_value <= 0 or l.line_total <= 0 then 0
+             when l.discount_type = 'percent' then
+               round(least(l.line_total * least(l.discount_value, 100) / 100, l.line_total), 2)
+             else round(least(l.discount_value, l.line_total), 2)
+           end as discount_amount
+  ) d
+  cross join lateral (
+    select l.line_total - d.discount_amount - l.order_discount_amount as taxable_amount
+  ) t;
+
+  insert into public.order_item_costs (order_item_id, unit_cost)
+  select oi.id, cost.unit_cost
+    from public.order_items oi
+    left join public.product_costs pc on pc.product_id = oi.product_id
+    cross join lateral (
+      select coalesce((v_costs->>(oi.product_id::text))::numeric, pc.unit_purchase_price) as unit_cost
+    ) cost
+   where oi.order_id = p_order_id
+     and cost.unit_cost is not null;
+end;
+$$;
+
+create or replace function public.order_margin_issues(p_order_id bigint)
+returns jsonb
+language sql
+stable
+as $$
+  select jsonb_build_object(
+    'below_cost',
+    count(*) filter (
+      where oi.taxable_amount < c.unit_cost * oi.quantity
+    ),
+    'below_margin',
+    count(*) filter (
+      where s.min_margin_percent is not null
+        and (
+          oi.taxable_amount <= 0
+          or (oi.taxable_amount - c.unit_cost * oi.quantity) * 100
+             < s.min_margin_percent * oi.taxable_amount
+        )
+    ),
+    'min_margin',
+    max(s.min_margin_percent)
+  )
+  from public.order_items oi
+  join public.order_item_costs c on c.order_item_id = oi.id
+  left join public.company_settings s on s.id = 1
+  where oi.order_id = p_order_id
+    and oi.quantity > 0;
+$$;
+
+-- cost and profit only for roles that may see costs
+create or replace view public.product_sales
+with (security_invoker = true)
+as
+select
+  oi.product_id,
+  count(distinct oi.order_id) as order_count,
+  sum(oi.quantity - oi.returned_quantity) as units_sold,
+  sum(
+    coalesce(oi.taxable_amount, oi.line_total)
+    * (oi.quantity - oi.returned_quantity) / nullif(oi.quantity, 0)
+  ) as revenue,
+  case when public.can_view_costs() then
+    sum((oi.quantity - oi.returned_quantity) * coalesce(c.unit_cost, 0))
+  end as cost,
+  case when public.can_view_costs() then
+    sum(
+      coalesce(oi.taxable_amount, oi.line_total)
+      * (oi.quantity - oi.returned_quantity) / nullif(oi.quantity, 0)
+      - (oi.quantity - oi.returned_quantity) * coalesce(c.unit_cost, 0)
+    )
+  end as profit,
+  sum(
+    oi.vat_amount * (oi.quantity - oi.returned_quantity) / nullif(oi.quantity, 0)
+  ) as vat_collected
+from public.order_items oi
+join public.orders o on o.id = oi.order_id
+left join public.order_item_costs c on c.order_item_id = oi.id
+where oi.product_id is not null
+  and o.status <> 'Cancelled'
+group by oi.product_id;
+
+-- order lines carry unit_cost as before, for roles that may see costs (the
+-- order RPCs run as their owner, so RLS alone wouldn't hide it)
+create or replace function public.order_as_json(p_order_id bigint)
+returns jsonb
+language sql
+stable
+as $$
+  select to_jsonb(o) || jsonb_build_object(
+    'order_items',
+    coalesce(
+      (select jsonb_agg(
+                to_jsonb(oi) || jsonb_build_object(
+                  'unit_cost',
+                  case when public.can_view_costs() then c.unit_cost end
+                )
+                order by oi.line_no
+              )
+         from public.order_items oi
+         left join public.order_item_costs c on c.order_item_id = oi.id
+        where oi.order_id = o.id),
+      '[]'::jsonb
+    ),
+    'order_status_history',
+    coalesce(
+      (select jsonb_agg(to_jsonb(h) order by h.changed_at, h.id)
+         from public.order_status_history h
+        where h.order_id = o.id),
+      '[]'::jsonb
+    ),
+    'order_payments',
+    coalesce(
+      (select jsonb_agg(to_jsonb(p) order by p.paid_at, p.id)
+         from public.order_payments p
+        where p.order_id = o.id),
+      '[]'::jsonb
+    ),
+    'shipments',
+    coalesce(
+      (select jsonb_agg(to_jsonb(s) order by s.booked_at, s.id)
+         from public.shipments s
+        where s.order_id = o.id),
+      '[]'::jsonb
+    )
+  )
+  from public.orders o
+  where o.id = p_order_id;
+$$;
+
+alter table public.products drop column if exists unit_purchase_price;
+alter table public.order_items drop column if exists unit_cost;
+
+-- ---------- order writes ----------
+
+-- The order RPCs run as their owner (clients can't write order_items,
+-- shipments or, except for warehouse staff, cartons) and check the caller's
+-- role first; the bodies are otherwise unchanged.
+
+create or replace function public.create_order(p_order jsonb, p_items jsonb)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_order_id bigint;
+begin
+  if not public.has_role('admin', 'sales') then
+    raise exception 'Only admins and sales staff can create orders.';
+  end if;
+
+  insert into public.orders (
+    customer_id,
+    customer_name,
+    customer_email,
+    customer_phone,
+    delivery_address,
+    status,
+    subtotal,
+    discount_type,
+    discount_value,
+    discount_amount,
+    discount_total,
+    vat_amount,
+    delivery_charge,
+    delivery_fee_reason,
+    rounding_adjustment,
+    total_amount
+  )
+  values (
+    public.resolve_order_customer(p_order),
+    p_order->>'customer_name',
+    nullif(p_order->>'customer_email', ''),
+    nullif(p_order->>'customer_phone', ''),
+    nullif(p_order->>'delivery_address', ''),
+    coalesce(nullif(p_order->>'status', ''), 'Created'),
+    coalesce((p_order->>'subtotal')::numeric, 0),
+    nullif(p_order->>'discount_type', ''),
+    coalesce((p_order->>'discount_value')::numeric, 0),
+    coalesce((p_order->>'discount_amount')::numeric, 0),
+    coalesce((p_order->>'discount_total')::numeric, 0),
+    coalesce((p_order->>'vat_amount')::numeric, 0),
+    coalesce((p_order->>'delivery_charge')::numeric, 0),
+    nullif(trim(p_order->>'delivery_fee_reason'), ''),
+    coalesce((p_order->>'rounding_adjustment')::numeric, 0),
+    coalesce((p_order->>'total_amount')::numeric, 0)
+  )
+  returning id into v_order_id;
+
+  perform public.replace_order_items(v_order_id, p_items);
+  perform public.log_delivery_fee_override(v_order_id, p_order);
+  perform public.apply_order_stock(p_items, -1);
+  perform public.apply_margin_guard(v_order_id, p_order);
+
+  if exists (
+    select 1 from public.orders
+     where id = v_order_id
+       and margin_approval_status = 'pending'
+       and status not in ('Created', 'Cancelled')
+  ) then
+    raise exception 'This order has prices below the allowed margin; save it as Created until a manager approves them.';
+  end if;
+
+  return jsonb_build_object(
+    'order', public.order_as_json(v_order_id),
+    'cartons', public.cartons_as_json(public.order_item_carton_ids(p_items))
+  );
+end;
+$$;
+
+create or replace function public.update_order(
+  p_order_id bigint,
+  p_order jsonb,
+  p_items jsonb,
+  p_expected_version integer default null
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_current public.orders;
+  v_old_items jsonb;
+  v_old_pricing jsonb;
+  v_new_status text := nullif(p_order->>'status', '');
+  v_can_edit boolean := public.has_role('admin', 'sales');
+begin
+  -- warehouse staff only move orders along (p_items null, status only)
+  if not v_can_edit
+     and (p_items is not null or not public.has_role('warehouse')) then
+    raise exception 'Only admins and sales staff can edit orders.';
+  end if;
+
+  perform public.assert_order_version(p_order_id, p_expected_version);
+  perform set_config('app.status_note', coalesce(p_order->>'status_note', ''), true);
+
+  select * into v_current from public.orders where id = p_order_id;
+
+  if v_new_status in ('Cancelled', 'Returned')
+     and v_new_status is distinct from v_current.status then
+    raise exception 'Use the Cancel / Return actions to mark order % as %.',
+      p_order_id, v_new_status;
+  end if;
+
+  if p_items is not null then
+    if v_current.status in ('Cancelled', 'Returned') or v_current.returned_amount > 0 then
+      raise exception 'Order % has cancellations or returns recorded; its items can no longer be edited.',
+        p_order_id;
+    end if;
+
+    v_old_items := public.order_items_as_json(p_order_id);
+    v_old_pricing := public.order_pricing_snapshot(p_order_id);
+
+    perform public.apply_order_stock(v_old_items, 1);
+    perform public.apply_order_stock(p_items, -1);
+    perform public.replace_order_items(p_order_id, p_items);
+
+    perform public.log_delivery_fee_override(p_order_id, p_order, v_current.delivery_charge);
+
+    -- before the status changes, so a pending approval holds it back; an
+    -- approval stands while the lines are priced as they were
+    if v_current.margin_approval_status is distinct from 'approved'
+       or coalesce((p_order->>'margin_approved')::boolean, false)
+       or public.order_pricing_snapshot(p_order_id) <> v_old_pricing then
+      perform public.apply_margin_guard(p_order_id, p_order);
+    end if;
+  end if;
+
+  if v_can_edit then
+    -- totals (and the discount and delivery rule they came from) only change
+    -- with the items
+    update public.orders
+       set customer_id = public.resolve_order_customer(p_order),
+           customer_name = p_order->>'customer_name',
+           customer_email = nullif(p_order->>'customer_email', ''),
+           customer_phone = nullif(p_order->>'customer_phone', ''),
+           delivery_address = nullif(p_order->>'delivery_address', ''),
+           status = coalesce(v_new_status, status),
+           subtotal = case when p_items is null then subtotal
+                           else coalesce((p_order->>'subtotal')::numeric, 0) end,
+           discount_type = case when p_items is null then discount_type
+                                else nullif(p_order->>'discount_type', '') end,
+           discount_value = case when p_items is null then discount_value
+                                 else coalesce((p_order->>'discount_value')::numeric, 0) end,
+           discount_amount = case when p_items is null then discount_amount
+                                  else coalesce((p_order->>'discount_amount')::numeric, 0) end,
+           discount_total = case when p_items is null then discount_total
+                                 else coalesce((p_order->>'discount_total')::numeric, 0) end,
+           vat_amount = case when p_items is null then vat_amount
+                             else coalesce((p_order->>'vat_amount')::numeric, 0) end,
+           delivery_charge = case when p_items is null then delivery_charge
+                                  else coalesce((p_order->>'delivery_charge')::numeric, 0) end,
+           delivery_fee_reason = case when p_items is null then delivery_fee_reason
+                                      else nullif(trim(p_order->>'delivery_fee_reason'), '') end,
+           rounding_adjustment = case when p_items is null then rounding_adjustment
+                                      else coalesce((p_order->>'rounding_adjustment')::numeric, 0) end,
+           total_amount = case when p_items is null then total_amount
+                               else coalesce((p_order->>'total_amount')::numeric, 0) end,
+           updated_at = now()
+     where id = p_order_id;
+  else
+    update public.orders
+       set status = coalesce(v_new_status, status),
+           updated_at = now()
+     where id = p_order_id;
+  end if;
+
+  return jsonb_build_object(
+    'order', public.order_as_json(p_order_id),
+    'cartons', public.cartons_as_json(
+      public.order_item_carton_ids(coalesce(v_old_items, '[]'::jsonb))
+      || public.order_item_carton_ids(p_items)
+    )
+  );
+end;
+$$;
+
+create or replace function public.cancel_order(
+  p_order_id bigint,
+  p_reason text default null,
+  p_expected_version integer default null
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_held jsonb;
+begin
+  if not public.has_role('admin', 'sales') then
+    raise exception 'Only admins and sales staff can cancel orders.';
+  end if;
+
+  perform public.assert_order_version(p_order_id, p_expected_version);
+  perform set_config('app.status_note', coalesce(p_reason, ''), true);
+
+  v_held := public.order_items_as_json(p_order_id);
+  perform public.apply_order_stock(v_held, 1);
+
+  -- the status trigger rejects this unless the order is still Created
+  update public.orders
+     set status = 'Cancelled',
+         cancelled_at = now(),
+         cancel_reason = nullif(p_reason, ''),
+         updated_at = now()
+   where id = p_order_id;
+
+  return jsonb_build_object(
+    'order', public.order_as_json(p_order_id),
+    'cartons', public.cartons_as_json(public.order_item_carton_ids(v_held))
+  );
+end;
+$$;
+
+-- p_lines: [{ "order_item_id": 12, "quantity": 30 }, ...]
+create or replace function public.return_order_items(
+  p_order_id bigint,
+  p_lines jsonb,
+  p_reason text default null,
+  p_expected_version integer default null
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_order public.orders;
+  v_line jsonb;
+  v_item public.order_items;
+  v_carton public.cartons;
+  v_qty integer;
+  v_amount numeric(12, 2);
+  v_total_returned numeric(12, 2) := 0;
+  v_carton_ids bigint[] := '{}';
+begin
+  if not public.has_role('admin', 'sales', 'warehouse') then
+    raise exception 'Only admins, sales and warehouse staff can record returns.';
+  end if;
+
+  perform public.assert_order_version(p_order_id, p_expected_version);
+
+  select * into v_order from public.orders where id = p_order_id;
+  if v_order.status not in ('Shipped', 'Delivered', 'Paid') then
+    raise exception 'Only shipped, delivered or paid orders can be returned (order % is %).',
+      p_order_id, v_order.status;
+  end if;
+
+  for v_line in select * from jsonb_array_elements(coalesce(p_lines, '[]'::jsonb))
+  loop
+    v_qty := coalesce((v_line->>'quantity')::integer, 0);
+    if v_qty <= 0 then
+      continue;
+    end if;
+
+    select * into v_item
+      from public.order_items
+     where id = (v_line->>'order_item_id')::bigint
+       and order_id = p_order_id
+       for update;
+
+    if not found then
+      raise exception 'Order line % does not belong to order %.',
+        v_line->>'order_item_id', p_order_id;
+    end if;
+
+    if v_qty > v_item.quantity - v_item.returned_quantity then
+      raise exception 'Cannot return % units of line % (only % not yet returned).',
+        v_qty, v_item.line_no, v_item.quantity - v_item.returned_quantity;
+    end if;
+
+    if v_item.carton_id is not null then
+      select * into v_carton from public.cartons where id = v_item.carton_id for update;
+
+      if v_item.mode = 'loose' or v_carton.status <> 'booked' then
+        -- back into the source carton (or a carton already back from an
+        -- earlier partial return of this line)
+        update public.cartons
+           set units_remaining = coalesce(units_remaining, 0) + v_qty,
+               is_open = case when v_item.mode = 'carton' then true else is_open end,
+               status = case when status = 'booked' then 'received' else status end,
+               updated_at = now()
+         where id = v_item.carton_id;
+      else
+        -- booked carton comes back: whole, or opened with only what returned
+        update public.cartons
+           set status = 'received',
+               units_remaining = v_qty,
+               is_open = v_qty < v_item.quantity,
+               updated_at = now()
+         where id = v_item.carton_id;
+      end if;
+
+      v_carton_ids := v_carton_ids || v_item.carton_id;
+    end if;
+
+    v_amount := round(
+      v_qty * coalesce(v_item.net_amount / nullif(v_item.quantity, 0), v_item.unit_price),
+      2
+    );
+    v_total_returned := v_total_returned + v_amount;
+
+    update public.order_items
+       set returned_quantity = returned_quantity + v_qty
+     where id = v_item.id;
+
+    insert into public.order_returns (order_id, order_item_id, carton_id, quantity, amount, reason)
+    values (p_order_id, v_item.id, v_item.carton_id, v_qty, v_amount, nullif(p_reason, ''));
+  end loop;
+
+  if v_total_returned = 0 then
+    raise exception 'Nothing to return: enter a quantity for at least one line.';
+  end if;
+
+  perform set_config('app.status_note', coalesce(p_reason, ''), true);
+
+  update public.orders
+     set returned_amount = returned_amount + v_total_returned,
+         status = case
+           when not exists (
+             select 1 from public.order_items
+              where order_id = p_order_id and returned_quantity < quantity
+           ) then 'Returned'
+           else status
+         end,
+         updated_at = now()
+   where id = p_order_id;
+
+  return jsonb_build_object(
+    'order', public.order_as_json(p_order_id),
+    'cartons', public.cartons_as_json(v_carton_ids)
+  );
+end;
+$$;
+
+create or replace function public.convert_quotation(
+  p_quotation_id bigint,
+  p_order jsonb,
+  p_items jsonb,
+  p_expected_version integer default null
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_quotation public.quotations;
+  v_result jsonb;
+  v_order_id bigint;
+begin
+  if not public.has_role('admin', 'sales') then
+    raise exception 'Only admins and sales staff can convert quotations.';
+  end if;
+
+  v_quotation := public.lock_quotation(p_quotation_id, p_expected_version);
+
+  if v_quotation.status <> 'Open' then
+    raise exception 'Quotation % is already %.',
+      v_quotation.quote_number, lower(v_quotation.status);
+  end if;
+
+  if v_quotation.valid_until < (now() at time zone 'Asia/Dhaka')::date then
+    raise exception 'Quotation % expired on %; extend its validity before converting it.',
+      v_quotation.quote_number, v_quotation.valid_until;
+  end if;
+
+  -- the quoted delivery charge stands; no zone rule applies
+  perform set_config('app.quoted_delivery', 'on', true);
+  v_result := public.create_order(p_order, p_items);
+  perform set_config('app.quoted_delivery', '', true);
+  v_order_id := (v_result->'order'->>'id')::bigint;
+
+  update public.orders
+     set quotation_id = p_quotation_id
+   where id = v_order_id;
+
+  update public.quotations
+     set status = 'Converted',
+         order_id = v_order_id,
+         converted_at = now(),
+         updated_at = now()
+   where id = p_quotation_id;
+
+  return jsonb_build_object(
+    'order', public.order_as_json(v_order_id),
+    'cartons', v_result->'cartons',
+    'quotation', public.quotation_as_json(p_quotation_id)
+  );
+end;
+$$;
+
+create or replace function public.delete_order(
+  p_order_id bigint,
+  p_expected_version integer default null
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_old_items jsonb;
+begin
+  if not public.has_role('admin') then
+    raise exception 'Only admins can delete orders.';
+  end if;
+
+  perform public.assert_order_version(p_order_id, p_expected_version);
+
+  v_old_items := public.order_items_as_json(p_order_id);
+
+  perform public.apply_order_stock(v_old_items, 1);
+
+  -- order_items go with it (on delete cascade)
+  delete from public.orders where id = p_order_id;
+
+  return jsonb_build_object(
+    'cartons', public.cartons_as_json(public.order_item_carton_ids(v_old_items))
+  );
+end;
+$$;
+
+-- staff who move orders along number their invoices
+create or replace function public.issue_invoice_number(p_order_id bigint)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_order public.orders;
+  v_fy text := public.fiscal_year_label(now());
+  v_next integer;
+begin
+  if not public.has_role('admin', 'sales', 'warehouse') then
+    raise exception 'Your role can''t issue invoice numbers.';
+  end if;
+
+  select * into v_order from public.orders where id = p_order_id for update;
+  if not found then
+    raise exception 'Order % not found.', p_order_id;
+  end if;
+
+  if v_order.invoice_number is null and v_order.status in ('Created', 'Cancelled') then
+    raise exception 'Order % is %; invoice numbers are issued once an order ships or is delivered.',
+      p_order_id, v_order.status;
+  end if;
+
+  if v_order.invoice_number is null then
+    insert into public.invoice_sequences as s (fiscal_year, last_number)
+    values (v_fy, 1)
+    on conflict (fiscal_year)
+      do update set last_number = s.last_number + 1
+    returning last_number into v_next;
+
+    update public.orders
+       set invoice_number = 'BBD/' || v_fy || '/' || lpad(v_next::text, 6, '0'),
+           invoice_issued_at = now()
+     where id = p_order_id;
+  end if;
+
+  return public.order_as_json(p_order_id);
+end;
+$$;
+
+-- only the order RPCs above book and release stock, write order lines and
+-- check delivery charges
+revoke execute on function public.apply_order_stock(jsonb, integer) from public, anon, authenticated;
+revoke execute on function public.replace_order_items(bigint, jsonb) from public, anon, authenticated;
+revoke execute on function public.log_delivery_fee_override(bigint, jsonb, numeric) from public, anon, authenticated;
+
+-- shipments are written by the courier functions; staff who ship orders
+-- save their labels
+create or replace function public.set_shipment_label(
+  p_shipment_id bigint,
+  p_label_url text
+)
+returns public.shipments
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_shipment public.shipments;
+begin
+  if not public.has_role('admin', 'sales', 'warehouse') then
+    raise exception 'Your role can''t change shipments.';
+  end if;
+
+  update public.shipments
+     set label_url = nullif(btrim(p_label_url), '')
+   where id = p_shipment_id
+  returning * into v_shipment;
+
+  if not found then
+    raise exception 'Shipment % not found.', p_shipment_id;
+  end if;
+
+  return v_shipment;
+end;
+$$;
+
+-- A direct update of an order (from the app, not through an order RPC,
+-- which runs as its owner) can only store the order's documents; admins
+-- aren't limited.
+create or replace function public.guard_order_columns()
+returns trigger
+language plpgsql
+as $$
+declare
+  v_changed text[];
+begin
+  if current_user <> 'authenticated' or public.has_role('admin') then
+    return new;
+  end if;
+
+  select array_agg(n.key order by n.key) into v_changed
+    from jsonb_each(to_jsonb(new)) n
+    join jsonb_each(to_jsonb(old)) o on o.key = n.key
+   where n.value is distinct from o.value
+     and n.key not in ('invoice_pdf_url', 'challan_pdf_url', 'packing_slip_pdf_url', 'updated_at');
+
+  if v_changed is not null then
+    raise exception 'Your role can''t change % of order % directly.',
+      array_to_string(v_changed, ', '), old.id;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists guard_order_columns on public.orders;
+create trigger guard_order_columns
+  before update on public.orders
+  for each row execute function public.guard_order_columns();
+
+-- warehouse staff update orders (status, shipping) but don't cancel them.
+-- Server-side jobs (no signed-in user) are not limited.
+create or replace function public.guard_order_cancellation()
+returns trigger
+language plpgsql
+as $$
+begin
+  if auth.uid() is not null
+     and new.status = 'Cancelled'
+     and old.status is distinct from 'Cancelled'
+     and not public.has_role('admin', 'sales') then
+    raise exception 'Your role can''t cancel orders.';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists guard_order_cancellation on public.orders;
+create trigger guard_order_cancellation
+  before update of status on public.orders
+  for each row execute function public.guard_order_cancellation();
+
+-- apply_cod_settlement() runs as its owner; check the caller here
+create or replace function public.guard_cod_settlement()
+returns trigger
+language plpgsql
+as $$
+begin
+  if auth.uid() is not null and not public.has_role('admin', 'accountant') then
+    raise exception 'Only admins and accountants can apply COD settlements.';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists guard_cod_settlement on public.cod_settlements;
+create trigger guard_cod_settlement
+  before insert on public.cod_settlements
+  for each row execute function public.guard_cod_settlement();
+
+-- ---------- table policies ----------
+
+-- replace whatever policies these tables had ("authenticated access" etc.)
+do $$
+declare
+  v_policy record;
+begin
+  for v_policy in
+    select tablename, policyname
+      from pg_policies
+     where schemaname = 'public'
+       and tablename in (
+         'orders', 'order_items', 'order_payments', 'order_status_history',
+         'order_returns', 'customers', 'products', 'product_costs', 'cartons',
+         'supplier', 'quotations', 'quotation_items', 'shipments',
+         'shipment_events', 'cod_settlements', 'cod_settlement_lines',
+         'price_lists', 'price_list_items', 'delivery_zones',
+         'delivery_fee_overrides', 'company_settings', 'invoice_sequences'
+       )
+  loop
+    execute format('drop policy %I on public.%I', v_policy.policyname, v_policy.tablename);
+  end loop;
+end;
+$$;
+
+alter table public.orders enable row level security;
+alter table public.products enable row level security;
+alter table public.product_costs enable row level security;
+alter table public.order_item_costs enable row level security;
+alter table public.cartons enable row level security;
+alter table public.supplier enable row level security;
+
+-- orders
+create policy "orders read" on public.orders
+  for select to authenticated using (public.is_staff());
+-- orders are created and changed through the order RPCs; direct updates
+-- only store documents (guard_order_columns())
+create policy "orders update" on public.orders
+  for update to authenticated using (public.is_staff()) with check (public.is_staff());
+create policy "orders delete" on public.orders
+  for delete to authenticated using (public.has_role('admin'));
+
+-- written by the order RPCs only
+create policy "order_items read" on public.order_items
+  for select to authenticated using (public.is_staff());
+create policy "order_item_costs read" on public.order_item_costs
+  for select to authenticated using (public.can_view_costs());
+
+create policy "order_payments read" on public.order_payments
+  for select to authenticated using (public.is_staff());
+create policy "order_payments write" on public.order_payments
+  for all to authenticated
+  using (public.has_role('admin', 'sales', 'accountant'))
+  with check (public.has_role('admin', 'sales', 'accountant'));
+
+create policy "order_status_history read" on public.order_status_history
+  for select to authenticated using (public.is_staff());
+create policy "order_returns read" on public.order_returns
+  for select to authenticated using (public.is_staff());
+create policy "invoice_sequences read" on public.invoice_sequences
+  for select to authenticated using (public.is_staff());
+
+-- customers
+create policy "customers read" on public.customers
+  for select to authenticated using (public.is_staff());
+create policy "customers insert" on public.customers
+  for insert to authenticated with check (public.has_role('admin', 'sales'));
+create policy "customers update" on public.customers
+  for update to authenticated
+  using (public.has_role('admin', 'sales'))
+  with check (public.has_role('admin', 'sales'));
+create policy "customers delete" on public.customers
+  for delete to authenticated using (public.has_role('admin'));
+
+-- catalog
+create policy "products read" on public.products
+  for select to authenticated using (public.is_staff());
+create policy "products write" on public.products
+  for all to authenticated
+  using (public.has_role('admin'))
+  with check (public.has_role('admin'));
+
+create policy "product_costs read" on public.product_costs
+  for select to authenticated using (public.can_view_costs());
+create policy "product_costs write" on public.product_costs
+  for all to authenticated
+  using (public.has_role('admin'))
+  with check (public.has_role('admin'));
+
+create policy "price_lists read" on public.price_lists
+  for select to authenticated using (public.is_staff());
+create policy "price_lists write" on public.price_lists
+  for all to authenticated
+  using (public.has_role('admin'))
+  with check (public.has_role('admin'));
+
+create policy "price_list_items read" on public.price_list_items
+  for select to authenticated using (public.is_staff());
+create policy "price_list_items write" on public.price_list_items
+  for all to authenticated
+  using (public.has_role('admin'))
+  with check (public.has_role('admin'));
+
+-- stock (the order RPCs book and release cartons as their owner)
+create policy "cartons read" on public.cartons
+  for select to authenticated using (public.is_staff());
+create policy "cartons insert" on public.cartons
+  for insert to authenticated with check (public.has_role('admin', 'warehouse'));
+create policy "cartons update" on public.cartons
+  for update to authenticated
+  using (public.has_role('admin', 'warehouse'))
+  with check (public.has_role('admin', 'warehouse'));
+create policy "cartons delete" on public.cartons
+  for delete to authenticated using (public.has_role('admin', 'warehouse'));
+
+create policy "supplier read" on public.supplier
+  for select to authenticated using (public.is_staff());
+create policy "supplier insert" on public.supplier
+  for insert to authenticated with check (public.has_role('admin', 'warehouse'));
+create policy "supplier update" on public.supplier
+  for update to authenticated
+  using (public.has_role('admin', 'warehouse'))
+  with check (public.has_role('admin', 'warehouse'));
+create policy "supplier delete" on public.supplier
+  for delete to authenticated using (public.has_role('admin'));
+
+-- quotations
+create policy "quotations read" on public.quotations
+  for select to authenticated using (public.has_role('admin', 'sales', 'accountant'));
+create policy "quotations write" on public.quotations
+  for all to authenticated
+  using (public.has_role('admin', 'sales'))
+  with check (public.has_role('admin', 'sales'));
+
+create policy "quotation_items read" on public.quotation_items
+  for select to authenticated using (public.has_role('admin', 'sales', 'accountant'));
+create policy "quotation_items write" on public.quotation_items
+  for all to authenticated
+  using (public.has_role('admin', 'sales'))
+  with check (public.has_role('admin', 'sales'));
+
+-- shipping (shipments are written by the courier functions)
+create policy "shipments read" on public.shipments
+  for select to authenticated using (public.is_staff());
+
+create policy "shipment_events read" on public.shipment_events
+  for select to authenticated using (public.is_staff());
+
+create policy "delivery_zones read" on public.delivery_zones
+  for select to authenticated using (public.is_staff());
+create policy "delivery_zones write" on public.delivery_zones
+  for all to authenticated
+  using (public.has_role('admin'))
+  with check (public.has_role('admin'));
+
+create policy "delivery_fee_overrides read" on public.delivery_fee_overrides
+  for select to authenticated using (public.is_staff());
+
+-- COD settlements (written by apply_cod_settlement())
+create policy "cod_settlements read" on public.cod_settlements
+  for select to authenticated using (public.has_role('admin', 'accountant'));
+create policy "cod_settlement_lines read" on public.cod_settlement_lines
+  for select to authenticated using (public.has_role('admin', 'accountant'));
+
+-- settings
+create policy "company_settings read" on public.company_settings
+  for select to authenticated using (public.is_staff());
+create policy "company_settings update" on public.company_settings
+  for update to authenticated
+  using (public.has_role('admin'))
+  with check (public.has_role('admin'));